@@ -0,0 +1,733 @@
+#!/usr/bin/env node
+
+/**
+ * PRSMTECH Presentation Logic - Command Line Interface
+ *
+ * Commands:
+ *   presentrus analyze <deck> [--json]
+ *   presentrus select [--deck <file>] [--content-type <type>] [--live-code] [--mermaid]
+ *                     [--latex] [--vue] [--responsive] [--export <format>]
+ *                     [--priority <criterion=weight,...>] [--explain] [--json]
+ *   presentrus theme build [--theme <name>] [--watch] [--css-references] [--contrast <level>] [--apca] [--strict-contrast] [--json]
+ *   presentrus theme create <name> --color <hex> [--secondary <hex>] [--brand <name>] [--extends <theme>] [--dry-run] [--force] [--json]
+ *   presentrus theme export [--theme <name>] [--out <file>]
+ *   presentrus theme import <file> <name> [--dry-run] [--force] [--json]
+ *   presentrus theme sync <design-system.ts> [--theme <name>] [--check] [--prune] [--dry-run] [--json]
+ *   presentrus theme diff <old.json> [<new.json>] [--theme <name>] [--check] [--json]
+ *   presentrus theme scan <path> [--theme <name>] [--json]
+ *   presentrus convert <deck> --to reveal|webslides|pptx|pdf|slidev [--out <dir>] [--theme <name>] [--mode <name>] [--json]
+ *   presentrus notes <deck> [--format md|txt|json] [--out <dir>] [--json]
+ *   presentrus duration <deck> [--target <slot>] [--wpm <words>] [--json]
+ *
+ * Every command accepts `--plugin <module,...>`: each module is imported
+ * first and its default export (a framework definition or an array of
+ * them) is passed to registerFramework().
+ *
+ * Exit codes: 0 success, 1 command failed (or deck over its time slot), 2 usage error
+ * (including an option the command does not take).
+ *
+ * @module @prsmtech/presentation-logic/cli
+ */
+
+import { readFileSync } from 'fs';
+import { basename, dirname, extname, isAbsolute, join, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  CONTENT_TYPES,
+  SELECTION_CRITERIA,
+  rankFrameworks,
+  registerFramework,
+  parseContent,
+  convertToReveal,
+  convertToWebSlides,
+  htmlToMarkdown,
+  exportPptx,
+  exportPdf,
+  exportNotes,
+  estimateDuration,
+  DEFAULT_THEME,
+  listThemes,
+  createTheme,
+  exportTheme,
+  importTheme,
+  syncTheme,
+  diffTokens,
+  scanDeprecations,
+  formatContrastReport,
+  formatSyncReport,
+  formatTokenDiff,
+  getDesignTokens,
+  getModes
+} from '../core/index.js';
+import { NOTES_FORMATS } from '../core/notes.js';
+import { getConverters } from '../core/frameworks.js';
+import { writeOutput } from '../core/converters/utils.js';
+import { build, watchMode } from '../themes/prsmtech/build.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Exit codes
+ */
+const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2
+};
+
+/**
+ * Conversion targets for `convert --to`
+ */
+const CONVERTERS = {
+  reveal: (deck, options) => convertToReveal(deck, options),
+  webslides: (deck, options) => convertToWebSlides(deck, options),
+  pptx: (deck, options) => exportPptx(deck, options),
+  pdf: (deck, options) => exportPdf(deck, options),
+  slidev: (deck, { outDir }) => htmlToMarkdown(deck, { outDir })
+};
+
+/**
+ * Boolean flags accepted by `select`, mapped to selectFramework() options
+ */
+const SELECT_FLAGS = {
+  'live-code': 'hasLiveCode',
+  mermaid: 'hasMermaid',
+  latex: 'hasLatex',
+  vue: 'needsVueComponents',
+  responsive: 'responsive'
+};
+
+/**
+ * Flags every command accepts
+ */
+const GLOBAL_FLAGS = ['json', 'plugin', 'help', 'version'];
+
+/**
+ * Contrast flags shared by `theme build`, `theme create` and `theme import`
+ */
+const CONTRAST_FLAGS = ['contrast', 'apca', 'strict-contrast'];
+
+/**
+ * Flags each command (and `theme` subcommand) accepts besides GLOBAL_FLAGS
+ */
+const COMMAND_FLAGS = {
+  analyze: [],
+  select: ['deck', 'content-type', 'export', 'priority', 'explain', ...Object.keys(SELECT_FLAGS)],
+  'theme build': ['theme', 'watch', 'css-references', ...CONTRAST_FLAGS],
+  'theme create': ['color', 'secondary', 'brand', 'extends', 'dry-run', 'force', ...CONTRAST_FLAGS],
+  'theme export': ['theme', 'out'],
+  'theme import': ['dry-run', 'force', ...CONTRAST_FLAGS],
+  'theme sync': ['theme', 'check', 'prune', 'dry-run'],
+  'theme diff': ['theme', 'check'],
+  'theme scan': ['theme'],
+  convert: ['to', 'out', 'theme', 'mode'],
+  notes: ['format', 'out'],
+  duration: ['target', 'wpm']
+};
+
+const USAGE = `Usage: presentrus <command> [options]
+
+Commands:
+  analyze <deck>              Print deck characteristics
+  select                      Recommend a framework from content flags
+  theme build                 Compile design tokens into framework CSS
+  theme create <name>         Generate a theme from a brand colour (--color)
+  theme export                Print a theme as W3C Design Tokens (DTCG) JSON
+  theme import <file> <name>  Create a theme from a DTCG or Tokens Studio file
+  theme sync <file>           Update a theme from the website's design-system.ts
+  theme diff <old> [<new>]    Compare two variables.json versions (major/minor/patch)
+  theme scan <path>           Find deprecated --prsm-* variables in a deck or folder
+  convert <deck> --to <fmt>   Convert a deck (${Object.keys(CONVERTERS).join(', ')})
+  notes <deck>                Print or write the speaker notes script
+  duration <deck>             Estimate talk length with a per-slide timing plan
+
+Options:
+  --json                      Machine-readable output on stdout
+  --out <dir>                 Output directory for convert (default: deck directory) and notes; theme export: file
+  --format <fmt>              notes: ${NOTES_FORMATS.join(', ')} (default: md)
+  --target <slot>             duration: time slot, e.g. 20, 20min, 1h (exit 1 if over)
+  --wpm <words>               duration: speaking rate in words per minute
+  --deck <file>               select: derive flags from a deck
+  --content-type <type>       select: ${Object.values(CONTENT_TYPES).join(', ')}
+  --export <format>           select: desired export format (e.g. pdf)
+  --priority <list>           select: criterion weights, e.g. pdf=10,liveCode=2
+  --explain                   select: print the full ranking with reasons
+  --live-code, --mermaid, --latex, --vue, --responsive
+                              select: content flags
+  --watch                     theme build: rebuild on changes
+  --theme <name>              theme build: build one theme (default: all); theme export/sync/diff/scan, convert: theme to use
+  --mode <name>               convert: colour mode of reveal/webslides output (light, dark, highContrast, print)
+  --css-references            theme build: keep token references as var(--prsm-…)
+  --contrast <level>          theme build: contrast level AA, AAA or off (default: $contrast in variables.json)
+  --apca                      theme build: judge contrast by APCA Lc instead of WCAG ratios
+  --strict-contrast           theme build: fail on contrast below the level instead of warning
+  --color <hex>               theme create: brand colour (step 500 of the primary scale)
+  --secondary <hex>           theme create: secondary colour (default: derived)
+  --brand <name>              theme create: brand name (default: theme name)
+  --extends <theme>           theme create: parent theme (default: prsmtech)
+  --dry-run                   theme create/import: print the tokens instead of writing them; theme sync: report only
+  --check                     theme sync: report drift without writing, exit 1 if there is any;
+                              theme diff: exit 1 if $version is too low for the changes
+  --prune                     theme sync: delete tokens the design system no longer declares
+  --force                     theme create/import: overwrite an existing theme
+  --plugin <modules>          Register frameworks from comma-separated modules first
+  -h, --help                  Show this help
+  -v, --version               Show version`;
+
+/**
+ * Error raised for invalid command-line usage (exit code 2)
+ */
+class UsageError extends Error {}
+
+/**
+ * Split argv into positionals and `--flag` / `--key value` options
+ *
+ * Flags are checked against the command's COMMAND_FLAGS; an unknown
+ * command is left for run() to report.
+ *
+ * @param {string[]} argv - Arguments after the executable
+ * @returns {{ positionals: string[], flags: Object }} Parsed arguments
+ */
+function parseArgs(argv) {
+  const VALUE_FLAGS = ['to', 'out', 'deck', 'content-type', 'export', 'format', 'target', 'wpm', 'priority', 'plugin', 'contrast', 'theme', 'color', 'secondary', 'brand', 'extends', 'mode'];
+  const ALIASES = { h: 'help', v: 'version', w: 'watch', o: 'out' };
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [rawKey, inline] = arg.replace(/^--?/, '').split(/=(.*)/s);
+    const key = ALIASES[rawKey] || rawKey;
+
+    if (VALUE_FLAGS.includes(key)) {
+      const value = inline ?? argv[++i];
+      if (value === undefined || value.startsWith('--')) {
+        throw new UsageError(`Option --${key} requires a value`);
+      }
+      flags[key] = value;
+    } else {
+      flags[key] = true;
+    }
+  }
+
+  const command = positionals[0] === 'theme' ? positionals.slice(0, 2).join(' ') : positionals[0];
+  if (!command || COMMAND_FLAGS[command]) {
+    const known = [...GLOBAL_FLAGS, ...(COMMAND_FLAGS[command] || [])];
+    const unknown = Object.keys(flags).find(key => !known.includes(key));
+    if (unknown) {
+      throw new UsageError(`Unknown option --${unknown}${command ? ` for ${command}` : ''}`);
+    }
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * Print rows as an aligned two-column table
+ */
+function printTable(rows) {
+  const width = Math.max(...rows.map(([key]) => key.length));
+  rows.forEach(([key, value]) => console.log(`${key.padEnd(width)}  ${value}`));
+}
+
+/**
+ * Print a result as JSON
+ */
+function printJSON(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+/**
+ * Require exactly one deck path argument
+ */
+function requireDeck(positionals, command) {
+  if (positionals.length !== 1) {
+    throw new UsageError(`${command} expects one deck file`);
+  }
+  return positionals[0];
+}
+
+/**
+ * `analyze <deck>`
+ */
+function analyze(positionals, flags) {
+  const deck = parseContent(requireDeck(positionals, 'analyze'));
+  const summary = {
+    name: deck.name,
+    type: deck.type,
+    slideCount: deck.slideCount ?? 0,
+    characteristics: deck.characteristics || {},
+    recommendedFramework: deck.recommendedFramework || null
+  };
+
+  if (flags.json) {
+    printJSON(summary);
+  } else {
+    printTable([
+      ['name', summary.name],
+      ['type', summary.type],
+      ['slides', summary.slideCount],
+      ...Object.entries(summary.characteristics).map(([key, value]) => [key, value]),
+      ['recommended', summary.recommendedFramework ?? '-']
+    ]);
+  }
+
+  return deck.type === 'unknown' ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+}
+
+/**
+ * `select [flags]`
+ */
+function select(positionals, flags) {
+  if (positionals.length) {
+    throw new UsageError(`select takes no positional arguments (use --deck <file>)`);
+  }
+
+  const options = {};
+
+  if (flags.deck) {
+    const deck = parseContent(flags.deck);
+    const { hasLiveCode, hasMermaid, hasLatex, hasVueComponents } = deck.characteristics || {};
+    Object.assign(options, { hasLiveCode, hasMermaid, hasLatex, needsVueComponents: hasVueComponents });
+  }
+
+  if (flags['content-type']) {
+    if (!Object.values(CONTENT_TYPES).includes(flags['content-type'])) {
+      throw new UsageError(`Unknown content type: ${flags['content-type']}`);
+    }
+    options.contentType = flags['content-type'];
+  }
+  if (flags.export) options.exportFormat = flags.export;
+  Object.entries(SELECT_FLAGS).forEach(([flag, option]) => {
+    if (flags[flag]) options[option] = true;
+  });
+
+  if (flags.priority) {
+    options.priorities = Object.fromEntries(flags.priority.split(',').map(pair => {
+      const [criterion, weight] = pair.split('=').map(part => part.trim());
+      if (!(criterion in SELECTION_CRITERIA) || !Number.isFinite(Number(weight)) || weight === '') {
+        throw new UsageError(`Invalid priority "${pair}" (criteria: ${Object.keys(SELECTION_CRITERIA).join(', ')})`);
+      }
+      return [criterion, Number(weight)];
+    }));
+  }
+
+  const ranking = rankFrameworks(options);
+  const framework = ranking[0].framework;
+
+  if (flags.json) {
+    printJSON({ framework, options, ranking });
+  } else if (flags.explain) {
+    ranking.forEach(({ framework: id, score, unmet, criteria }, i) => {
+      console.log(`${i + 1}. ${id} (score ${score}${unmet.length ? `, unmet: ${unmet.join(', ')}` : ''})`);
+      criteria.forEach(({ points, reason }) => console.log(`     ${points >= 0 ? '+' : ''}${points}  ${reason}`));
+    });
+  } else {
+    console.log(framework);
+  }
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Theme named by `--theme`, checked against the themes under themes/
+ *
+ * @param {Object} flags - Parsed flags
+ * @returns {string|undefined} Theme name, or undefined when not given
+ */
+function themeFlag(flags) {
+  if (flags.theme === undefined) return undefined;
+  if (!listThemes().includes(flags.theme)) {
+    throw new UsageError(`Unknown theme "${flags.theme}" (available: ${listThemes().join(', ')})`);
+  }
+  return flags.theme;
+}
+
+/**
+ * Validate `--mode` against the colour modes of a theme
+ *
+ * @param {Object} flags - Parsed flags
+ * @param {string} theme - Theme name (default theme when undefined)
+ * @returns {string|undefined} Mode name, or undefined when not given
+ */
+function modeFlag(flags, theme) {
+  if (flags.mode === undefined) return undefined;
+  const modes = getModes(getDesignTokens(theme) || {}).map(({ name }) => name);
+  if (!modes.includes(flags.mode)) {
+    throw new UsageError(`Unknown colour mode "${flags.mode}" (available: ${modes.join(', ') || 'none'})`);
+  }
+  return flags.mode;
+}
+
+/**
+ * `theme build|create|export|import|sync|diff|scan ...`
+ */
+function theme(positionals, flags) {
+  if (positionals[0] === 'build' && positionals.length === 1) return themeBuild(flags);
+  if (positionals[0] === 'create' && positionals.length === 2) return themeCreate(positionals[1], flags);
+  if (positionals[0] === 'export' && positionals.length === 1) return themeExport(flags);
+  if (positionals[0] === 'import' && positionals.length === 3) return themeImport(positionals[1], positionals[2], flags);
+  if (positionals[0] === 'sync' && positionals.length === 2) return themeSync(positionals[1], flags);
+  if (positionals[0] === 'diff' && [2, 3].includes(positionals.length)) return themeDiff(positionals[1], positionals[2], flags);
+  if (positionals[0] === 'scan' && positionals.length === 2) return themeScan(positionals[1], flags);
+  throw new UsageError('theme expects "build", "create <name>", "export", "import <file> <name>", "sync <file>", "diff <old> [<new>]" or "scan <path>"');
+}
+
+/**
+ * Contrast options from `--contrast <level>`, `--apca` and `--strict-contrast`
+ */
+function contrastFlags(flags) {
+  const contrast = {};
+
+  if (flags.contrast !== undefined) {
+    const level = String(flags.contrast).toUpperCase();
+    if (!['AA', 'AAA', 'OFF'].includes(level)) {
+      throw new UsageError(`--contrast expects AA, AAA or off, got "${flags.contrast}"`);
+    }
+    if (level === 'OFF') contrast.onFailure = 'off';
+    else contrast.level = level;
+  }
+  if (flags.apca) contrast.algorithm = 'apca';
+  if (flags['strict-contrast'] && contrast.onFailure !== 'off') contrast.onFailure = 'error';
+
+  return contrast;
+}
+
+/**
+ * `theme build [--theme <name>] [--watch] [--css-references] [--contrast <level>] [--apca] [--strict-contrast]`
+ */
+function themeBuild(flags) {
+  const references = flags['css-references'] ? 'var' : 'resolve';
+  const contrast = contrastFlags(flags);
+  const theme = themeFlag(flags);
+
+  if (flags.watch) {
+    watchMode({ theme, references, contrast });
+    return null;
+  }
+
+  const { success, themes } = build({ log: flags.json ? () => {} : console.log, theme, references, contrast });
+
+  if (flags.json) {
+    printJSON({ success, themes });
+  }
+
+  return success ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+}
+
+/**
+ * `theme create <name> --color <hex> [--secondary <hex>] [--brand <name>] [--extends <theme>] [--dry-run] [--force]`
+ */
+function themeCreate(name, flags) {
+  if (typeof flags.color !== 'string') {
+    throw new UsageError('theme create needs --color <hex>, e.g. --color "#c2410c"');
+  }
+  if (flags.extends !== undefined && !listThemes().includes(flags.extends)) {
+    throw new UsageError(`Unknown theme "${flags.extends}" (available: ${listThemes().join(', ')})`);
+  }
+
+  const { path, tokens, audit, written } = createTheme(name, {
+    color: flags.color,
+    secondary: flags.secondary,
+    brand: flags.brand,
+    extends: flags.extends,
+    contrast: contrastFlags(flags),
+    write: !flags['dry-run'],
+    force: Boolean(flags.force)
+  });
+
+  if (flags.json) {
+    printJSON({ theme: name, path: written ? path : null, tokens, contrast: audit });
+  } else {
+    if (written) console.log(`${path}\n`);
+    else console.log(`${JSON.stringify(tokens, null, 2)}\n`);
+    console.log(formatContrastReport(audit, { all: true }));
+    if (written) console.log(`\nTweak the palette, then run 'presentrus theme build --theme ${name}'.`);
+  }
+
+  return audit.passed || !flags['strict-contrast'] ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+}
+
+/**
+ * `theme export [--theme <name>] [--out <file>]`
+ */
+function themeExport(flags) {
+  const theme = themeFlag(flags);
+  const json = `${JSON.stringify(exportTheme(theme), null, 2)}\n`;
+
+  if (!flags.out) {
+    process.stdout.write(json);
+    return EXIT_CODES.OK;
+  }
+
+  const outputPath = resolve(flags.out);
+  writeOutput(dirname(outputPath), basename(outputPath), json);
+
+  if (flags.json) {
+    printJSON({ theme: theme || DEFAULT_THEME, outputPath });
+  } else {
+    console.log(outputPath);
+  }
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * `theme import <file> <name> [--dry-run] [--force]`
+ */
+function themeImport(file, name, flags) {
+  const { path, tokens, audit, written } = importTheme(name, resolve(file), {
+    contrast: contrastFlags(flags),
+    write: !flags['dry-run'],
+    force: Boolean(flags.force)
+  });
+
+  if (flags.json) {
+    printJSON({ theme: name, path: written ? path : null, tokens, contrast: audit });
+  } else {
+    if (written) console.log(`${path}\n`);
+    else console.log(`${JSON.stringify(tokens, null, 2)}\n`);
+    console.log(formatContrastReport(audit));
+    if (written) console.log(`\nRun 'presentrus theme build --theme ${name}' to compile it.`);
+  }
+
+  return audit.passed || !flags['strict-contrast'] ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+}
+
+/**
+ * `theme sync <file> [--theme <name>] [--check] [--prune] [--dry-run]`
+ *
+ * Exits with 1 under `--check` when the theme has drifted from the design system.
+ */
+function themeSync(file, flags) {
+  const theme = themeFlag(flags) || DEFAULT_THEME;
+  const result = syncTheme(theme, resolve(file), {
+    prune: Boolean(flags.prune),
+    write: !flags.check && !flags['dry-run']
+  });
+  const { path, added, changed, removed, conflicts, skipped, drift, written } = result;
+
+  if (flags.json) {
+    printJSON({ theme, path: written ? path : null, drift, added, changed, removed, conflicts, skipped });
+  } else {
+    console.log(formatSyncReport(result, { pruned: Boolean(flags.prune) && written }));
+    if (skipped.length) console.log(`\nNot read statically: ${skipped.join(', ')}`);
+    if (written) console.log(`\n${path}\nRun 'presentrus theme build --theme ${theme}' to compile it.`);
+  }
+
+  return flags.check && drift ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+}
+
+/**
+ * `theme diff <old> [<new>] [--theme <name>] [--check]`
+ *
+ * Without `<new>` the old file is compared with the theme as it is now.
+ * Exits with 1 under `--check` when the new `$version` is too low for the changes.
+ */
+function themeDiff(oldFile, newFile, flags) {
+  const theme = themeFlag(flags);
+  const diff = diffTokens(resolve(oldFile), newFile ? resolve(newFile) : getDesignTokens(theme));
+
+  if (flags.json) {
+    printJSON(diff);
+  } else {
+    console.log(formatTokenDiff(diff));
+  }
+
+  return flags.check && !diff.version.sufficient ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+}
+
+/**
+ * `theme scan <path> [--theme <name>]`
+ *
+ * Exits with 1 when deprecated names are in use.
+ */
+function themeScan(path, flags) {
+  const theme = themeFlag(flags) || DEFAULT_THEME;
+  const { deprecations, files, uses } = scanDeprecations(resolve(path), { theme });
+
+  if (flags.json) {
+    printJSON({ theme, files, uses });
+  } else if (!deprecations.length) {
+    console.log(`${theme} has no deprecated tokens`);
+  } else {
+    uses.forEach(({ file, line, column, name, replacement, message }) => {
+      console.log(`${file}:${line}:${column}  ${name}${replacement ? ` → ${replacement}` : ''} (${message})`);
+    });
+    console.log(`${uses.length} deprecated use(s) in ${files} file(s) scanned`);
+  }
+
+  return uses.length ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+}
+
+/**
+ * `convert <deck> --to <format> [--out <dir>] [--theme <name>] [--mode <name>]`
+ */
+function convert(positionals, flags) {
+  const deckPath = requireDeck(positionals, 'convert');
+  const plugins = Object.entries(getConverters()).map(([id, fn]) => [id, (deck, options) => fn(deck, options)]);
+  const converters = { ...CONVERTERS, ...Object.fromEntries(plugins) };
+  const converter = converters[flags.to];
+
+  if (!converter) {
+    throw new UsageError(`convert --to must be one of: ${Object.keys(converters).join(', ')}`);
+  }
+
+  const outDir = resolve(flags.out || dirname(deckPath));
+  const theme = themeFlag(flags);
+  const mode = modeFlag(flags, theme);
+  const { outputPath, slideCount } = converter(deckPath, { outDir, ...(theme && { theme }), ...(mode && { mode }) });
+
+  if (flags.json) {
+    printJSON({ format: flags.to, input: deckPath, outputPath, slideCount });
+  } else {
+    console.log(`${outputPath} (${slideCount} slides)`);
+  }
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * `notes <deck> [--format <fmt>] [--out <dir>]`
+ */
+function notes(positionals, flags) {
+  const deckPath = requireDeck(positionals, 'notes');
+  const format = flags.format || 'md';
+
+  if (!NOTES_FORMATS.includes(format)) {
+    throw new UsageError(`notes --format must be one of: ${NOTES_FORMATS.join(', ')}`);
+  }
+
+  const script = exportNotes(parseContent(deckPath), format);
+
+  if (!flags.out) {
+    process.stdout.write(script);
+    return EXIT_CODES.OK;
+  }
+
+  const name = `${basename(deckPath, extname(deckPath))}.notes.${format}`;
+  const outputPath = writeOutput(resolve(flags.out), name, script);
+
+  if (flags.json) {
+    printJSON({ format, input: deckPath, outputPath });
+  } else {
+    console.log(outputPath);
+  }
+
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Format seconds as m:ss
+ */
+function clock(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+}
+
+/**
+ * `duration <deck> [--target <slot>] [--wpm <words>]`
+ */
+function duration(positionals, flags) {
+  const deck = parseContent(requireDeck(positionals, 'duration'));
+  const options = {};
+
+  if (flags.target) options.target = flags.target;
+  if (flags.wpm) {
+    const wpm = Number(flags.wpm);
+    if (!(wpm > 0)) throw new UsageError(`--wpm must be a positive number`);
+    options.wordsPerMinute = wpm;
+  }
+
+  const plan = estimateDuration(deck, options);
+  if (flags.target && plan.targetSeconds === null) {
+    throw new UsageError(`Unreadable --target: ${flags.target}`);
+  }
+
+  if (flags.json) {
+    printJSON(plan);
+  } else {
+    plan.slides.forEach(slide => {
+      const marker = slide.source === 'frontmatter' ? '*' : ' ';
+      console.log(`${String(slide.index + 1).padStart(3)}  ${clock(slide.startsAt).padStart(6)}  ${clock(slide.seconds).padStart(5)}${marker} ${slide.title || ''}`);
+    });
+    const slot = plan.targetSeconds === null ? '' : ` of ${clock(plan.targetSeconds)} (${plan.fits ? 'fits' : `over by ${clock(plan.totalSeconds - plan.targetSeconds)}`})`;
+    console.log(`\nTotal ${clock(plan.totalSeconds)}${slot}  (* = duration from frontmatter)`);
+  }
+
+  return plan.fits === false ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+}
+
+const COMMANDS = { analyze, select, theme, convert, notes, duration };
+
+/**
+ * Import `--plugin` modules and register the frameworks they export
+ *
+ * @param {string} list - Comma-separated module paths or package names
+ */
+async function loadPlugins(list) {
+  for (const spec of list.split(',').map(part => part.trim()).filter(Boolean)) {
+    const local = spec.startsWith('.') || isAbsolute(spec);
+    const module = await import(local ? pathToFileURL(resolve(spec)).href : spec);
+    [module.default].flat().filter(definition => definition?.id).forEach(registerFramework);
+  }
+}
+
+/**
+ * Run the CLI
+ *
+ * @param {string[]} argv - Arguments after the executable
+ * @returns {Promise<number|null>} Exit code, or null if the command keeps running (watch mode)
+ */
+async function run(argv) {
+  let json = argv.includes('--json');
+
+  try {
+    const { positionals, flags } = parseArgs(argv);
+    json = Boolean(flags.json);
+
+    if (flags.version) {
+      const { version } = JSON.parse(readFileSync(join(__dirname, '../package.json'), 'utf-8'));
+      console.log(version);
+      return EXIT_CODES.OK;
+    }
+
+    const [command, ...rest] = positionals;
+
+    if (flags.help || !command) {
+      console.log(USAGE);
+      return flags.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    if (!COMMANDS[command]) {
+      throw new UsageError(`Unknown command: ${command}`);
+    }
+
+    if (flags.plugin) {
+      await loadPlugins(flags.plugin);
+    }
+
+    return COMMANDS[command](rest, flags);
+  } catch (error) {
+    const code = error instanceof UsageError ? EXIT_CODES.USAGE : EXIT_CODES.FAILURE;
+
+    if (json) {
+      console.error(JSON.stringify({ error: error.message, code }));
+    } else {
+      console.error(`presentrus: ${error.message}`);
+      if (code === EXIT_CODES.USAGE) console.error(`Run 'presentrus --help' for usage.`);
+    }
+
+    return code;
+  }
+}
+
+const code = await run(process.argv.slice(2));
+if (code !== null) {
+  process.exitCode = code;
+}
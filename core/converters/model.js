@@ -0,0 +1,209 @@
+/**
+ * PRSMTECH Presentation Logic - Slide Model
+ *
+ * Reduces a slide's Markdown to the title, text/code/image blocks, notes
+ * and background the binary exporters (PPTX, PDF) lay out.
+ *
+ * @module @prsmtech/presentation-logic/converters/model
+ */
+
+import { parseBlocks, renderBlocks } from '../markdown.js';
+import { parseHTML, textContent, classList } from '../html.js';
+import { extractNotes, splitVerticalBlocks } from '../slides.js';
+import { extractSlideAttributes } from './utils.js';
+
+const BG_DIRECTIVE = /^bg:\s*([\w#-]+)$/;
+
+const INLINE_STYLES = {
+  strong: { bold: true },
+  b: { bold: true },
+  em: { italic: true },
+  i: { italic: true },
+  del: { strike: true },
+  s: { strike: true },
+  code: { code: true }
+};
+
+/**
+ * Flatten inline HTML into styled text runs
+ */
+function collectRuns(node, style = {}, runs = []) {
+  (node.children || []).forEach(child => {
+    if (child.type === 'text') {
+      const text = child.value.replace(/\s+/g, ' ');
+      if (text) runs.push({ ...style, text });
+    } else if (child.type === 'element') {
+      if (child.tag === 'br') {
+        runs.push({ break: true });
+      } else if (child.tag === 'a') {
+        collectRuns(child, { ...style, href: child.attrs.href }, runs);
+      } else if (child.tag === 'img') {
+        if (child.attrs.alt) runs.push({ ...style, italic: true, text: child.attrs.alt });
+      } else if (child.tag !== 'ul' && child.tag !== 'ol') {
+        collectRuns(child, { ...style, ...(INLINE_STYLES[child.tag] || {}) }, runs);
+      }
+    }
+  });
+
+  return runs;
+}
+
+function trimRuns(runs) {
+  const copy = runs.map(run => ({ ...run }));
+  while (copy.length && !copy[0].break && !copy[0].text.trim()) copy.shift();
+  while (copy.length && !copy[copy.length - 1].break && !copy[copy.length - 1].text.trim()) copy.pop();
+  if (copy.length && copy[0].text) copy[0].text = copy[0].text.replace(/^\s+/, '');
+  const last = copy[copy.length - 1];
+  if (last?.text) last.text = last.text.replace(/\s+$/, '');
+  return copy;
+}
+
+/**
+ * Build the slide model for one slide's Markdown
+ *
+ * Blocks are `text` (paragraphs of styled runs, with optional bullet
+ * level), `code` (language and lines) and `image` (src and alt). The
+ * background comes from a `<!-- bg: name -->` directive or a
+ * `<!-- .slide: data-background="..." -->` attribute.
+ *
+ * @param {string|Object[]} content - Slide Markdown, or its blocks from parseBlocks() (notes already removed)
+ * @param {Object} defaults - Fallbacks when the Markdown has none
+ * @param {string} defaults.notes - Presenter notes
+ * @param {string} defaults.background - Background (e.g. frontmatter `background`)
+ * @returns {{ title: Object[]|null, titleLevel: number|null, blocks: Object[], notes: string, background: string|null }}
+ */
+export function buildSlideModel(content, defaults = {}) {
+  const parsed = typeof content === 'string' ? extractNotes(content) : null;
+  const { blocks: withoutAttrs, attributes } = extractSlideAttributes(parsed ? parseBlocks(parsed.markdown) : content);
+  const notes = parsed?.notes || defaults.notes || '';
+
+  let background = attributes.match(/data-background(?:-color)?\s*=\s*"([^"]+)"/)?.[1] || defaults.background || null;
+  const body = withoutAttrs.filter(block => {
+    const bg = block.type === 'comment' && block.text.match(BG_DIRECTIVE);
+    if (bg) background = bg[1];
+    return !bg;
+  });
+
+  const root = parseHTML(renderBlocks(body));
+  const model = { title: null, titleLevel: null, blocks: [], notes, background };
+
+  const addParagraph = paragraph => {
+    if (!paragraph.runs.length) return;
+    const last = model.blocks[model.blocks.length - 1];
+    if (last?.kind === 'text') {
+      last.paragraphs.push(paragraph);
+    } else {
+      model.blocks.push({ kind: 'text', paragraphs: [paragraph] });
+    }
+  };
+
+  const addList = (node, level, extra = {}) => {
+    node.children.filter(child => child.tag === 'li').forEach(item => {
+      addParagraph({
+        runs: trimRuns(collectRuns(item)),
+        level,
+        bullet: node.tag === 'ol' ? 'number' : 'bullet',
+        ...extra
+      });
+      item.children
+        .filter(child => child.tag === 'ul' || child.tag === 'ol')
+        .forEach(nested => addList(nested, level + 1, extra));
+    });
+  };
+
+  const walk = (nodes, extra = {}) => nodes.forEach(node => {
+    if (node.type === 'text') {
+      if (node.value.trim()) addParagraph({ runs: trimRuns([{ text: node.value }]), ...extra });
+      return;
+    }
+    if (node.type !== 'element') return;
+
+    const { tag } = node;
+
+    if (/^h[1-6]$/.test(tag)) {
+      const runs = trimRuns(collectRuns(node));
+      if (!model.title && !extra.quote) {
+        model.title = runs;
+        model.titleLevel = Number(tag[1]);
+      } else {
+        addParagraph({ runs: runs.map(run => ({ ...run, bold: true })), size: 'heading', ...extra });
+      }
+    } else if (tag === 'p') {
+      const elements = node.children.filter(child => child.type === 'element');
+      const onlyImages = elements.length > 0 &&
+        elements.every(child => child.tag === 'img') &&
+        node.children.every(child => child.type !== 'text' || !child.value.trim());
+
+      if (onlyImages) {
+        elements.forEach(img => model.blocks.push({ kind: 'image', src: img.attrs.src, alt: img.attrs.alt || '' }));
+      } else {
+        addParagraph({ runs: trimRuns(collectRuns(node)), ...extra });
+      }
+    } else if (tag === 'ul' || tag === 'ol') {
+      addList(node, 0, extra);
+    } else if (tag === 'pre') {
+      const code = node.children.find(child => child.tag === 'code') || node;
+      const langClass = classList(code).find(cls => cls.startsWith('language-'));
+      model.blocks.push({
+        kind: 'code',
+        lang: langClass ? langClass.slice('language-'.length) : null,
+        lines: textContent(code).replace(/\n$/, '').split('\n')
+      });
+    } else if (tag === 'blockquote') {
+      walk(node.children, { ...extra, quote: true });
+    } else if (tag === 'table') {
+      const rows = [];
+      const collect = parent => parent.children.forEach(child => {
+        if (child.tag === 'tr') rows.push(child);
+        else if (child.type === 'element') collect(child);
+      });
+      collect(node);
+      rows.forEach(row => {
+        const cells = row.children.filter(cell => cell.tag === 'th' || cell.tag === 'td');
+        const header = cells.some(cell => cell.tag === 'th');
+        const runs = [];
+        cells.forEach((cell, index) => {
+          if (index > 0) runs.push({ text: '  |  ', muted: true });
+          runs.push(...trimRuns(collectRuns(cell)).map(run => ({ ...run, bold: run.bold || header })));
+        });
+        addParagraph({ runs, ...extra });
+      });
+    } else if (tag === 'img') {
+      model.blocks.push({ kind: 'image', src: node.attrs.src, alt: node.attrs.alt || '' });
+    } else if (tag !== 'hr' && tag !== 'script' && tag !== 'style') {
+      walk(node.children, extra);
+    }
+  });
+
+  walk(root.children);
+  return model;
+}
+
+
+/**
+ * Build slide models for a parsed deck, flattening vertical stacks (`--`)
+ *
+ * Slide frontmatter `background` applies to every child of a stack; the
+ * slide's notes go to its last child.
+ *
+ * @param {Object[]} slides - Slides from parseContent()
+ * @returns {Object[]} Slide models in presentation order
+ */
+export function buildDeckModels(slides) {
+  return slides.flatMap(slide => {
+    // A frontmatter-only slide still produces a (background) page
+    const children = splitVerticalBlocks(slide.blocks);
+    if (!children.length) children.push([]);
+    const background = typeof slide.frontmatter?.background === 'string' ? slide.frontmatter.background : null;
+
+    return children.map((child, i) => buildSlideModel(child, {
+      background,
+      notes: i === children.length - 1 ? slide.notes : ''
+    }));
+  });
+}
+
+export default {
+  buildSlideModel,
+  buildDeckModels
+};
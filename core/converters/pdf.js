@@ -0,0 +1,652 @@
+/**
+ * PRSMTECH Presentation Logic - PDF Exporter
+ *
+ * Lays out parsed slides directly into a PDF at the framework's slide
+ * dimensions, painting backgrounds and gradients from the design tokens.
+ * No headless browser is needed.
+ *
+ * @module @prsmtech/presentation-logic/converters/pdf
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { dirname, basename, extname, join, resolve } from 'path';
+import { parseContent, getDesignTokens, FRAMEWORKS, FRAMEWORK_CAPABILITIES } from '../index.js';
+import { loadImage } from '../images.js';
+import {
+  num,
+  pdfString,
+  createPdfDocument,
+  STANDARD_FONTS,
+  measureText,
+  parseTrueType,
+  embedTrueType,
+  embedStandardFont,
+  embedImage
+} from '../pdf.js';
+import { parseColor } from '../tokens/contrast.js';
+import { buildDeckModels } from './model.js';
+import { writeOutput } from './utils.js';
+
+/**
+ * Font slots and the standard font used when no file is supplied
+ */
+const FONT_SLOTS = {
+  sans: 'Helvetica',
+  sansBold: 'Helvetica-Bold',
+  sansItalic: 'Helvetica-Oblique',
+  sansBoldItalic: 'Helvetica-BoldOblique',
+  heading: 'Helvetica-Bold',
+  mono: 'Courier'
+};
+
+/**
+ * Font file variants looked up in `fontDir` (e.g. `Inter-Bold.ttf`)
+ */
+const FONT_VARIANTS = {
+  regular: 'Regular',
+  bold: 'Bold',
+  italic: 'Italic',
+  boldItalic: 'BoldItalic'
+};
+
+/**
+ * Background names that switch slide text to the light neutral
+ */
+const LIGHT_TEXT_BACKGROUNDS = ['primary', 'secondary', 'gradient'];
+
+/**
+ * Read a length token in px (`{ value, px }` objects, "40px"/"0.875rem" strings or numbers)
+ */
+function px(value, fallback) {
+  const raw = typeof value === 'object' && value !== null ? value.px : value;
+  const parsed = parseFloat(raw);
+  if (!Number.isFinite(parsed)) return fallback;
+  return /r?em$/.test(String(raw).trim()) ? parsed * 16 : parsed;
+}
+
+/**
+ * CSS colour as PDF RGB components (0–1), blending alpha over `base`
+ *
+ * @param {string} css - Any colour parseColor() reads
+ * @param {number[]} base - Background to blend translucent colours onto
+ * @returns {number[]|null} `[r, g, b]` or null if unrecognised
+ */
+function pdfColor(css, base = [1, 1, 1]) {
+  const parsed = parseColor(css ?? '');
+  if (!parsed) return null;
+
+  const [r, g, b, alpha] = parsed;
+  return [r, g, b].map((channel, i) => (channel / 255) * alpha + base[i] * (1 - alpha));
+}
+
+/**
+ * Parse a CSS `linear-gradient()` into an angle and colour stops
+ *
+ * @param {string} css - Gradient declaration
+ * @param {number[]} base - Background for translucent stops
+ * @returns {{ angle: number, stops: Array<{ color: number[], offset: number }> }|null}
+ */
+export function parseLinearGradient(css, base = [1, 1, 1]) {
+  const match = String(css || '').trim().match(/^linear-gradient\((.*)\)$/i);
+  if (!match) return null;
+
+  // Split on commas that are not inside rgb()/rgba()
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of match[1]) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+
+  const SIDES = { top: 0, right: 90, bottom: 180, left: 270 };
+  let angle = 180;
+  if (/deg$/.test(parts[0])) {
+    angle = parseFloat(parts.shift());
+  } else if (/^to\s/.test(parts[0])) {
+    const sides = parts.shift().slice(3).trim().split(/\s+/).map(side => SIDES[side]);
+    angle = sides.length === 2
+      ? (sides.includes(0) && sides.includes(270) ? 315 : (sides[0] + sides[1]) / 2)
+      : sides[0];
+  }
+
+  const stops = parts.map((part, i) => {
+    const [, color, offset] = part.match(/^(.*?)(?:\s+([\d.]+)%)?$/);
+    return {
+      color: pdfColor(color, base),
+      offset: offset === undefined ? (parts.length === 1 ? 0 : i / (parts.length - 1)) : Number(offset) / 100
+    };
+  });
+
+  if (stops.length < 2 || stops.some(stop => !stop.color)) return null;
+  return { angle, stops };
+}
+
+/**
+ * Derive page geometry, palettes, sizes and gradients from the tokens
+ *
+ * @param {Object} tokens - Design tokens
+ * @param {string} framework - Framework whose dimensions and padding to use
+ * @returns {Object} Design description used by the layout
+ */
+export function buildPdfDesign(tokens, framework = FRAMEWORKS.SLIDEV) {
+  const dimensions = FRAMEWORK_CAPABILITIES[framework]?.dimensions || {};
+  const width = typeof dimensions.width === 'number' ? dimensions.width : 1280;
+  const height = typeof dimensions.height === 'number' ? dimensions.height : 720;
+  const [padY, padX = padY] = String(tokens.slide?.padding?.[framework] || '40px').split(/\s+/).map(v => px(v, 40));
+
+  const fontSize = tokens.typography?.fontSize || {};
+  const lineHeight = tokens.typography?.lineHeight || {};
+  const components = tokens.components || {};
+
+  return {
+    width,
+    height,
+    padX,
+    padY,
+    colors: tokens.colors || {},
+    gradients: tokens.gradients || {},
+    fonts: tokens.typography?.fontFamily || {},
+    sizes: {
+      h1: px(fontSize['5xl'], 48),
+      h2: px(fontSize['3xl'], 30),
+      h3: px(fontSize['2xl'], 24),
+      body: px(fontSize.lg, 18),
+      code: px(components.code?.fontSize, 14)
+    },
+    lineHeights: {
+      heading: parseFloat(lineHeight.tight) || 1.25,
+      body: parseFloat(lineHeight.normal) || 1.5,
+      code: parseFloat(components.code?.lineHeight) || 1.7
+    },
+    gap: px(tokens.spacing?.md, 24),
+    components
+  };
+}
+
+/**
+ * Resolve the palette and background paint for one slide
+ */
+function slidePalette(design, background, dark) {
+  const { colors, gradients, components } = design;
+  const scheme = (dark || background === 'dark' ? colors.dark : colors.slide) || {};
+  const light = colors.neutral?.['50'] || '#ffffff';
+  const base = pdfColor(scheme.background) || [1, 1, 1];
+
+  let paint = { solid: base };
+  if (background === 'primary' || background === 'secondary') {
+    paint = { solid: pdfColor(colors[background]?.['500'] || colors[background]?.DEFAULT) || base };
+  } else if (background && background !== 'dark') {
+    const gradient = gradients[background === 'gradient' ? 'primary' : background];
+    const parsed = gradient ? parseLinearGradient(gradient, base) : null;
+    paint = parsed ? { gradient: parsed, solid: base } : { solid: pdfColor(background, base) || base };
+  }
+
+  // Light text on the brand fills and on any dark custom colour
+  const luminance = ([r, g, b]) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  const onColor = LIGHT_TEXT_BACKGROUNDS.includes(background) ||
+    (!dark && !paint.gradient && background !== 'dark' && luminance(paint.solid) < 0.5);
+  const color = value => pdfColor(value, base);
+
+  return {
+    paint,
+    text: color(onColor ? light : scheme.text),
+    heading: color(onColor ? light : scheme.heading),
+    muted: color(onColor ? light : scheme.textMuted),
+    link: color(onColor ? light : scheme.link),
+    codeBg: color(dark ? scheme.codeBg : components.code?.background || scheme.codeBg),
+    codeText: color(scheme.codeText),
+    bullet: color(onColor ? light : dark ? scheme.link : components.list?.bulletColor || scheme.heading),
+    quoteBorder: color(onColor ? light : components.blockquote?.borderColor || scheme.heading)
+  };
+}
+
+/**
+ * Collect TrueType files for each font slot from `fonts` and `fontDir`
+ */
+function resolveFontFiles(design, options) {
+  const { fonts = {}, fontDir = null } = options;
+  const roles = {};
+
+  ['sans', 'heading', 'mono'].forEach(role => {
+    const supplied = fonts[role];
+    const files = typeof supplied === 'string' ? { regular: supplied } : { ...(supplied || {}) };
+
+    if (fontDir) {
+      const stack = design.fonts[role];
+      const family = (Array.isArray(stack) ? stack[0] : stack || '').replace(/\s+/g, '');
+      Object.entries(FONT_VARIANTS).forEach(([variant, suffix]) => {
+        const candidate = join(fontDir, `${family}-${suffix}.ttf`);
+        if (!files[variant] && family && existsSync(candidate)) files[variant] = candidate;
+      });
+    }
+
+    roles[role] = files;
+  });
+
+  return {
+    sans: roles.sans.regular,
+    sansBold: roles.sans.bold,
+    sansItalic: roles.sans.italic,
+    sansBoldItalic: roles.sans.boldItalic,
+    heading: roles.heading.bold || roles.heading.regular,
+    mono: roles.mono.regular
+  };
+}
+
+/**
+ * Write font objects for every slot, embedding supplied TrueType files
+ */
+function loadFonts(doc, design, options) {
+  const files = resolveFontFiles(design, options);
+  const embedded = new Map();
+  const slots = {};
+
+  Object.entries(FONT_SLOTS).forEach(([slot, standard], index) => {
+    const file = files[slot] ? resolve(files[slot]) : null;
+    let font;
+
+    if (file) {
+      if (!existsSync(file)) throw new Error(`Font file not found: ${file}`);
+      if (!embedded.has(file)) {
+        const parsed = parseTrueType(readFileSync(file), basename(file, extname(file)));
+        embedded.set(file, { ref: embedTrueType(doc, parsed), widths: parsed.widths });
+      }
+      font = embedded.get(file);
+    } else {
+      font = { ref: embedStandardFont(doc, standard), widths: STANDARD_FONTS[standard] };
+    }
+
+    slots[slot] = { ...font, name: `F${index + 1}` };
+  });
+
+  return slots;
+}
+
+/**
+ * Font slot for a run's style
+ */
+function slotFor(run, base = 'sans') {
+  if (run.code) return 'mono';
+  if (base === 'heading') return 'heading';
+  if (run.bold && run.italic) return 'sansBoldItalic';
+  if (run.bold) return 'sansBold';
+  if (run.italic) return 'sansItalic';
+  return 'sans';
+}
+
+/**
+ * Greedy line breaking of styled runs
+ *
+ * @returns {Array<{ segments: Object[], width: number }>} Lines of measured segments
+ */
+function wrapRuns(runs, maxWidth, size, fonts, base) {
+  const lines = [{ segments: [], width: 0 }];
+  const line = () => lines[lines.length - 1];
+
+  const place = (text, run) => {
+    const slot = slotFor(run, base);
+    const width = measureText(text, fonts[slot].widths, size);
+    const current = line();
+    const last = current.segments[current.segments.length - 1];
+
+    if (last && last.slot === slot && last.href === run.href && last.muted === run.muted) {
+      last.text += text;
+      last.width += width;
+    } else {
+      current.segments.push({ text, slot, width, href: run.href, muted: run.muted, code: run.code });
+    }
+    current.width += width;
+  };
+
+  runs.forEach(run => {
+    if (run.break) {
+      lines.push({ segments: [], width: 0 });
+      return;
+    }
+
+    run.text.split(/(\s+)/).filter(Boolean).forEach(piece => {
+      const slot = slotFor(run, base);
+      const isSpace = /^\s+$/.test(piece);
+      const width = measureText(isSpace ? ' ' : piece, fonts[slot].widths, size);
+
+      if (isSpace) {
+        if (line().segments.length) place(' ', run);
+        return;
+      }
+
+      if (line().width + width > maxWidth && line().segments.length) {
+        // Drop trailing space before wrapping
+        const last = line().segments[line().segments.length - 1];
+        if (last.text.endsWith(' ')) {
+          const spaceWidth = measureText(' ', fonts[last.slot].widths, size);
+          last.text = last.text.slice(0, -1);
+          last.width -= spaceWidth;
+          line().width -= spaceWidth;
+        }
+        lines.push({ segments: [], width: 0 });
+      }
+
+      // Hard-break words longer than a full line
+      let rest = piece;
+      while (measureText(rest, fonts[slot].widths, size) > maxWidth && rest.length > 1) {
+        let cut = rest.length - 1;
+        while (cut > 1 && measureText(rest.slice(0, cut), fonts[slot].widths, size) > maxWidth - line().width) cut--;
+        place(rest.slice(0, cut), run);
+        lines.push({ segments: [], width: 0 });
+        rest = rest.slice(cut);
+      }
+      place(rest, run);
+    });
+  });
+
+  return lines;
+}
+
+/**
+ * Trim a code line to fit the block width
+ */
+function fitLine(text, widths, size, maxWidth) {
+  if (measureText(text, widths, size) <= maxWidth) return text;
+  let cut = text.length;
+  while (cut > 0 && measureText(`${text.slice(0, cut)}…`, widths, size) > maxWidth) cut--;
+  return `${text.slice(0, cut)}…`;
+}
+
+const rgb = color => color.map(num).join(' ');
+
+/**
+ * Lay out one slide and return its content stream, resources and link annotations
+ */
+function layoutSlide(model, context) {
+  const { doc, design, fonts, palette, baseDir, images, pageIndex } = context;
+  const { width, height, padX, padY, sizes, lineHeights, gap } = design;
+  const ops = [];
+  const links = [];
+  const xobjects = {};
+  const shadings = {};
+  const contentWidth = width - padX * 2;
+  let y = padY;
+
+  // Background
+  if (palette.paint.gradient) {
+    ops.push(`${rgb(palette.paint.solid)} rg 0 0 ${num(width)} ${num(height)} re f`);
+    const name = `Sh${pageIndex}`;
+    shadings[name] = gradientShading(doc, palette.paint.gradient, width, height);
+    ops.push(`q 0 0 ${num(width)} ${num(height)} re W n /${name} sh Q`);
+  } else {
+    ops.push(`${rgb(palette.paint.solid)} rg 0 0 ${num(width)} ${num(height)} re f`);
+  }
+
+  const drawLines = (lines, x, size, leading, color, base) => {
+    lines.forEach(line => {
+      const baseline = y + (leading - size) / 2 + size * 0.8;
+      let cursor = x;
+      line.segments.forEach(segment => {
+        const fill = segment.href ? palette.link : segment.muted ? palette.muted : segment.code ? palette.codeText : color;
+        const font = fonts[segment.slot];
+        if (segment.code && base !== 'heading') {
+          ops.push(`${rgb(palette.codeBg)} rg ${num(cursor - 2)} ${num(height - y - leading + (leading - size) / 2)} ${num(segment.width + 4)} ${num(size * 1.1)} re f`);
+        }
+        ops.push(`BT /${font.name} ${num(size)} Tf ${rgb(fill)} rg 1 0 0 1 ${num(cursor)} ${num(height - baseline)} Tm ${pdfString(segment.text)} Tj ET`);
+        if (segment.href) {
+          links.push({ rect: [cursor, height - y - leading, cursor + segment.width, height - y], uri: segment.href });
+        }
+        cursor += segment.width;
+      });
+      y += leading;
+    });
+  };
+
+  if (model.title) {
+    const size = model.titleLevel === 1 ? sizes.h1 : model.titleLevel === 2 ? sizes.h2 : sizes.h3;
+    const leading = size * lineHeights.heading;
+    drawLines(wrapRuns(model.title, contentWidth, size, fonts, 'heading'), padX, size, leading, palette.heading, 'heading');
+    y += gap;
+  }
+
+  model.blocks.forEach(block => {
+    if (block.kind === 'text') {
+      const counters = [];
+      block.paragraphs.forEach(paragraph => {
+        const heading = paragraph.size === 'heading';
+        const size = heading ? sizes.h3 : sizes.body;
+        const leading = size * (heading ? lineHeights.heading : lineHeights.body);
+        const level = paragraph.level || 0;
+        const indent = paragraph.bullet ? size * 1.5 * (level + 1) : 0;
+        const quoteInset = paragraph.quote ? size : 0;
+        const x = padX + indent + quoteInset;
+        const runs = paragraph.quote ? paragraph.runs.map(run => ({ ...run, italic: true })) : paragraph.runs;
+        const lines = wrapRuns(runs, contentWidth - indent - quoteInset, size, fonts, heading ? 'heading' : 'sans');
+        const top = y;
+
+        if (paragraph.bullet) {
+          counters.length = level + 1;
+          counters[level] = paragraph.bullet === 'number' ? (counters[level] || 0) + 1 : 0;
+          const marker = paragraph.bullet === 'number' ? `${counters[level]}.` : '•';
+          const font = fonts.sans;
+          const markerWidth = measureText(marker, font.widths, size);
+          const baseline = y + (leading - size) / 2 + size * 0.8;
+          ops.push(`BT /${font.name} ${num(size)} Tf ${rgb(palette.bullet)} rg 1 0 0 1 ${num(x - size * 0.6 - markerWidth)} ${num(height - baseline)} Tm ${pdfString(marker)} Tj ET`);
+        } else {
+          counters.length = 0;
+        }
+
+        drawLines(lines, x, size, leading, heading ? palette.heading : palette.text, heading ? 'heading' : 'sans');
+
+        if (paragraph.quote) {
+          const borderWidth = px(design.components.blockquote?.borderWidth, 4);
+          ops.push(`${rgb(palette.quoteBorder)} rg ${num(padX + indent)} ${num(height - y)} ${num(borderWidth)} ${num(y - top)} re f`);
+        }
+        y += size * 0.5;
+      });
+      return;
+    }
+
+    if (block.kind === 'code') {
+      const size = sizes.code;
+      const leading = size * lineHeights.code;
+      const inset = size;
+      const boxHeight = block.lines.length * leading + inset * 2;
+      const font = fonts.mono;
+
+      ops.push(`${rgb(palette.codeBg)} rg ${num(padX)} ${num(height - y - boxHeight)} ${num(contentWidth)} ${num(boxHeight)} re f`);
+      y += inset;
+      block.lines.forEach(line => {
+        if (line) {
+          const text = fitLine(line, font.widths, size, contentWidth - inset * 2);
+          const baseline = y + (leading - size) / 2 + size * 0.8;
+          ops.push(`BT /${font.name} ${num(size)} Tf ${rgb(palette.codeText)} rg 1 0 0 1 ${num(padX + inset)} ${num(height - baseline)} Tm ${pdfString(text)} Tj ET`);
+        }
+        y += leading;
+      });
+      y += inset + gap / 2;
+      return;
+    }
+
+    if (block.kind === 'image') {
+      const image = loadImage(block.src, baseDir);
+      let ref = null;
+
+      if (image) {
+        if (!images.has(image.path)) images.set(image.path, embedImage(doc, image));
+        ref = images.get(image.path);
+      }
+
+      if (!ref) {
+        console.warn(`PDF export: image "${block.src}" skipped (only local PNG and JPEG files can be embedded).`);
+        if (block.alt) {
+          const size = sizes.body;
+          drawLines(wrapRuns([{ text: block.alt, italic: true, muted: true }], contentWidth, size, fonts, 'sans'),
+            padX, size, size * lineHeights.body, palette.muted, 'sans');
+        }
+        return;
+      }
+
+      const available = Math.max(height - padY - y, height / 4);
+      const scale = Math.min(1, contentWidth / image.width, available / image.height);
+      const w = image.width * scale;
+      const h = image.height * scale;
+      const name = `Im${Object.keys(xobjects).length + 1}`;
+      xobjects[name] = ref;
+      ops.push(`q ${num(w)} 0 0 ${num(h)} ${num(padX)} ${num(height - y - h)} cm /${name} Do Q`);
+      y += h + gap / 2;
+    }
+  });
+
+  return { content: ops.join('\n'), xobjects, shadings, links };
+}
+
+/**
+ * Write an axial shading for a CSS gradient across the page
+ */
+function gradientShading(doc, { angle, stops }, width, height) {
+  // CSS gradient line: angle measured clockwise from "to top", length covers the box corners
+  const radians = angle * Math.PI / 180;
+  const dx = Math.sin(radians);
+  const dy = Math.cos(radians); // PDF y axis points up
+  const half = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+  const cx = width / 2;
+  const cy = height / 2;
+  const coords = [cx - dx * half, cy - dy * half, cx + dx * half, cy + dy * half];
+
+  const segment = (from, to) =>
+    `<< /FunctionType 2 /Domain [0 1] /C0 [${rgb(from.color)}] /C1 [${rgb(to.color)}] /N 1 >>`;
+
+  let fn;
+  if (stops.length === 2) {
+    fn = segment(stops[0], stops[1]);
+  } else {
+    const functions = stops.slice(1).map((stop, i) => segment(stops[i], stop));
+    const bounds = stops.slice(1, -1).map(stop => num(stop.offset));
+    fn = `<< /FunctionType 3 /Domain [0 1] /Functions [${functions.join(' ')}] /Bounds [${bounds.join(' ')}] ` +
+      `/Encode [${functions.map(() => '0 1').join(' ')}] >>`;
+  }
+
+  return doc.add(`<< /ShadingType 2 /ColorSpace /DeviceRGB /Coords [${coords.map(num).join(' ')}] ` +
+    `/Domain [${num(stops[0].offset)} ${num(stops[stops.length - 1].offset)}] /Function ${fn} /Extend [true true] >>`);
+}
+
+/**
+ * Render a parsed deck to PDF bytes
+ *
+ * @param {Object} deck - Result of parseContent() for a Markdown file
+ * @param {Object} options - Export options (see exportPdf)
+ * @returns {Buffer} PDF file contents
+ */
+export function renderPdf(deck, options = {}) {
+  const {
+    framework = FRAMEWORKS.SLIDEV,
+    theme = 'prsmtech',
+    baseDir = process.cwd(),
+    date = new Date()
+  } = options;
+
+  const tokens = getDesignTokens(theme);
+  if (!tokens) {
+    throw new Error(`Design tokens not found: themes/${theme}/variables.json is required for PDF export`);
+  }
+
+  const design = buildPdfDesign(tokens, framework);
+  const frontmatter = deck.frontmatter || {};
+  const title = options.title || frontmatter.title || deck.name;
+  const author = options.author || frontmatter.author || tokens.brand?.name || 'PRSMTECH';
+  const dark = options.dark ?? (frontmatter.dark === true || frontmatter.colorSchema === 'dark');
+
+  const doc = createPdfDocument();
+  const catalogRef = doc.reserve();
+  const pagesRef = doc.reserve();
+  const fonts = loadFonts(doc, design, options);
+  const fontResources = Object.values(fonts).map(font => `/${font.name} ${font.ref} 0 R`).join(' ');
+  const images = new Map();
+
+  // Vertical stacks (`--`) are flattened into consecutive pages
+  const models = buildDeckModels(deck.slides);
+
+  const pageRefs = models.map((model, i) => {
+    const palette = slidePalette(design, model.background, dark);
+    const { content, xobjects, shadings, links } = layoutSlide(model, {
+      doc, design, fonts, palette, baseDir, images, pageIndex: i + 1
+    });
+
+    const contentRef = doc.add('<< >>', content);
+    const resources = [`/Font << ${fontResources} >>`];
+    if (Object.keys(xobjects).length) {
+      resources.push(`/XObject << ${Object.entries(xobjects).map(([name, ref]) => `/${name} ${ref} 0 R`).join(' ')} >>`);
+    }
+    if (Object.keys(shadings).length) {
+      resources.push(`/Shading << ${Object.entries(shadings).map(([name, ref]) => `/${name} ${ref} 0 R`).join(' ')} >>`);
+    }
+
+    const annots = links.map(({ rect, uri }) =>
+      `<< /Type /Annot /Subtype /Link /Rect [${rect.map(num).join(' ')}] /Border [0 0 0] /A << /S /URI /URI ${pdfString(uri)} >> >>`);
+
+    return doc.add(`<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${num(design.width)} ${num(design.height)}] ` +
+      `/Resources << ${resources.join(' ')} >> /Contents ${contentRef} 0 R${annots.length ? ` /Annots [${annots.join(' ')}]` : ''} >>`);
+  });
+
+  doc.set(pagesRef, `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`);
+  doc.set(catalogRef, `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`);
+
+  const pdfDate = `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+  const infoRef = doc.add(`<< /Title ${pdfString(title)} /Author ${pdfString(author)} ` +
+    `/Producer (@prsmtech/presentation-logic) /CreationDate (${pdfDate}) >>`);
+
+  return doc.toBuffer(catalogRef, infoRef);
+}
+
+/**
+ * Export a Markdown deck as a PDF without a browser
+ *
+ * Pages use the framework's `dimensions` (1 CSS px = 1 pt). Backgrounds
+ * come from `colors.slide` (or `colors.dark` for dark decks); a
+ * `<!-- bg: name -->` directive selects `primary`, `secondary`, `dark`
+ * or any `gradients` token (`gradient` = `gradients.primary`).
+ * Vertical stacks (`--`) become consecutive pages, counted in
+ * `slideCount`.
+ *
+ * Text uses the PDF standard fonts unless TrueType files are supplied
+ * for the token font roles, either explicitly via `fonts` or found in
+ * `fontDir` by family name (e.g. `Inter-Regular.ttf`, `SpaceGrotesk-Bold.ttf`).
+ * Embedded text is limited to the WinAnsi (Latin-1) character set.
+ *
+ * @param {string} filePath - Path to Markdown deck
+ * @param {Object} options - Export options
+ * @param {string} options.outDir - Write `<name>.pdf` here (optional)
+ * @param {string} options.framework - Framework canvas to use (default: slidev)
+ * @param {string} options.theme - Theme whose tokens are used (default: prsmtech)
+ * @param {Object} options.fonts - `{ sans, heading, mono }` paths or `{ regular, bold, italic, boldItalic }` objects
+ * @param {string} options.fontDir - Directory searched for `<Family>-<Variant>.ttf`
+ * @param {boolean} options.dark - Force dark palette on/off
+ * @param {string} options.title - Override document title
+ * @param {string} options.author - Override document author
+ * @returns {{ buffer: Buffer, outputPath: string|null, slideCount: number }}
+ */
+export function exportPdf(filePath, options = {}) {
+  const deck = parseContent(filePath);
+
+  if (deck.type !== 'markdown') {
+    throw new Error(`exportPdf expects a Markdown deck, got ${deck.type}: ${filePath}`);
+  }
+
+  const { outDir = null } = options;
+  const buffer = renderPdf(deck, { ...options, baseDir: dirname(filePath) });
+  const name = `${basename(filePath, extname(filePath))}.pdf`;
+  const outputPath = outDir ? writeOutput(outDir, name, buffer) : null;
+
+  return { buffer, outputPath, slideCount: buildDeckModels(deck.slides).length };
+}
+
+export default {
+  parseLinearGradient,
+  buildPdfDesign,
+  renderPdf,
+  exportPdf
+};
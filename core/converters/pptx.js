@@ -0,0 +1,747 @@
+/**
+ * PRSMTECH Presentation Logic - PowerPoint Exporter
+ *
+ * Writes a PowerPoint (Office Open XML) package from a parsed Markdown
+ * deck. The slide master, theme colours and fonts are generated from the
+ * PRSMTECH design tokens; no external service or library is involved.
+ *
+ * @module @prsmtech/presentation-logic/converters/pptx
+ */
+
+import { dirname, basename, extname } from 'path';
+import { parseContent, getDesignTokens, FRAMEWORKS, FRAMEWORK_CAPABILITIES } from '../index.js';
+import { createZip } from '../zip.js';
+import { loadImage } from '../images.js';
+import { parseColor } from '../tokens/contrast.js';
+import { buildDeckModels } from './model.js';
+import { parseLinearGradient } from './pdf.js';
+import { writeOutput } from './utils.js';
+
+const EMU_PER_PT = 12700;
+const SLIDE_WIDTH_EMU = 12192000; // 13.333in, PowerPoint widescreen width
+const LINE_HEIGHT = 1.2;
+
+const NS = {
+  a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  p: 'http://schemas.openxmlformats.org/presentationml/2006/main',
+  rel: 'http://schemas.openxmlformats.org/package/2006/relationships',
+  ct: 'http://schemas.openxmlformats.org/package/2006/content-types'
+};
+
+const REL = {
+  officeDocument: `${NS.r}/officeDocument`,
+  coreProperties: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties',
+  extendedProperties: `${NS.r}/extended-properties`,
+  slideMaster: `${NS.r}/slideMaster`,
+  slideLayout: `${NS.r}/slideLayout`,
+  slide: `${NS.r}/slide`,
+  notesMaster: `${NS.r}/notesMaster`,
+  notesSlide: `${NS.r}/notesSlide`,
+  theme: `${NS.r}/theme`,
+  presProps: `${NS.r}/presProps`,
+  viewProps: `${NS.r}/viewProps`,
+  tableStyles: `${NS.r}/tableStyles`,
+  image: `${NS.r}/image`,
+  hyperlink: `${NS.r}/hyperlink`
+};
+
+const CONTENT_TYPE = {
+  presentation: 'application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml',
+  slideMaster: 'application/vnd.openxmlformats-officedocument.presentationml.slideMaster+xml',
+  slideLayout: 'application/vnd.openxmlformats-officedocument.presentationml.slideLayout+xml',
+  slide: 'application/vnd.openxmlformats-officedocument.presentationml.slide+xml',
+  notesMaster: 'application/vnd.openxmlformats-officedocument.presentationml.notesMaster+xml',
+  notesSlide: 'application/vnd.openxmlformats-officedocument.presentationml.notesSlide+xml',
+  theme: 'application/vnd.openxmlformats-officedocument.theme+xml',
+  presProps: 'application/vnd.openxmlformats-officedocument.presentationml.presProps+xml',
+  viewProps: 'application/vnd.openxmlformats-officedocument.presentationml.viewProps+xml',
+  tableStyles: 'application/vnd.openxmlformats-officedocument.presentationml.tableStyles+xml',
+  core: 'application/vnd.openxmlformats-package.core-properties+xml',
+  app: 'application/vnd.openxmlformats-officedocument.extended-properties+xml'
+};
+
+const IMAGE_TYPES = { png: 'image/png', jpeg: 'image/jpeg', gif: 'image/gif' };
+
+/**
+ * Background names that switch slide text to the light neutral
+ */
+const LIGHT_TEXT_BACKGROUNDS = ['primary', 'secondary', 'gradient'];
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+/**
+ * Escape text for XML content and attributes (drops invalid control characters)
+ */
+function xml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Normalize a token colour to DrawingML `RRGGBB`
+ */
+function hex(color, fallback = '000000') {
+  const match = String(color || '').trim().match(/^#?([\da-f]{3}|[\da-f]{6})$/i);
+  if (!match) return fallback;
+  const value = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+  return value.toUpperCase();
+}
+
+function srgb(color) {
+  return `<a:solidFill><a:srgbClr val="${hex(color)}"/></a:solidFill>`;
+}
+
+/**
+ * Read a length token in px (`{ value, px }` objects, "40px"/"0.875rem" strings or numbers)
+ */
+function px(value, fallback) {
+  const raw = typeof value === 'object' && value !== null ? value.px : value;
+  const parsed = parseFloat(raw);
+  if (!Number.isFinite(parsed)) return fallback;
+  return /r?em$/.test(String(raw).trim()) ? parsed * 16 : parsed;
+}
+
+/**
+ * Derive slide geometry, colours, fonts and sizes from the design tokens
+ *
+ * Sizes keep the proportions of the framework's CSS canvas: a 48px heading
+ * on a 980px Slidev slide takes the same share of the PowerPoint slide.
+ *
+ * @param {Object} tokens - Design tokens
+ * @param {string} framework - Framework whose dimensions and padding to mirror
+ * @returns {Object} Design description used by the XML writers
+ */
+export function buildPptxDesign(tokens, framework = FRAMEWORKS.SLIDEV) {
+  const dimensions = FRAMEWORK_CAPABILITIES[framework]?.dimensions || {};
+  const widthPx = typeof dimensions.width === 'number' ? dimensions.width : 1280;
+  const heightPx = typeof dimensions.height === 'number' ? dimensions.height : 720;
+  const emuPerPx = SLIDE_WIDTH_EMU / widthPx;
+
+  const fontSize = tokens.typography?.fontSize || {};
+  const size = (key, fallback) => Math.round(px(fontSize[key], fallback) * emuPerPx / EMU_PER_PT * 100);
+
+  const padding = String(tokens.slide?.padding?.[framework] || '40px').split(/\s+/).map(v => px(v, 40));
+  const [padY, padX = padY] = padding;
+
+  const slide = tokens.colors?.slide || {};
+  const dark = tokens.colors?.dark || {};
+  const first = stack => (Array.isArray(stack) ? stack[0] : stack) || 'Calibri';
+  const fonts = tokens.typography?.fontFamily || {};
+
+  return {
+    width: SLIDE_WIDTH_EMU,
+    height: Math.round(SLIDE_WIDTH_EMU * heightPx / widthPx),
+    emuPerPx,
+    padX: Math.round(padX * emuPerPx),
+    padY: Math.round(padY * emuPerPx),
+    colors: {
+      background: slide.background,
+      backgroundAlt: slide.backgroundAlt,
+      text: slide.text,
+      textMuted: slide.textMuted,
+      heading: slide.heading,
+      link: slide.link,
+      linkHover: slide.linkHover,
+      border: slide.border,
+      codeBg: tokens.components?.code?.background || slide.codeBg,
+      codeText: slide.codeText,
+      bullet: tokens.components?.list?.bulletColor || slide.heading,
+      quoteBg: tokens.components?.blockquote?.background || slide.backgroundAlt,
+      quoteBorder: tokens.components?.blockquote?.borderColor || slide.heading,
+      primary: tokens.colors?.primary?.DEFAULT,
+      secondary: tokens.colors?.secondary?.DEFAULT,
+      neutralDark: tokens.colors?.neutral?.['800'],
+      light: tokens.colors?.neutral?.['50'] || '#ffffff',
+      semantic: tokens.colors?.semantic || {}
+    },
+    backgrounds: {
+      primary: tokens.colors?.primary?.['500'] || tokens.colors?.primary?.DEFAULT,
+      secondary: tokens.colors?.secondary?.['500'] || tokens.colors?.secondary?.DEFAULT,
+      dark: dark.background
+    },
+    dark: {
+      text: dark.text,
+      textMuted: dark.textMuted,
+      heading: dark.heading,
+      link: dark.link,
+      linkHover: dark.linkHover,
+      border: dark.border,
+      codeBg: dark.codeBg,
+      codeText: dark.codeText,
+      bullet: dark.link,
+      quoteBg: dark.backgroundAlt,
+      quoteBorder: dark.heading
+    },
+    gradients: tokens.gradients || {},
+    fonts: {
+      sans: first(fonts.sans),
+      heading: first(fonts.heading),
+      mono: first(fonts.mono)
+    },
+    sizes: {
+      title: size('5xl', 48),
+      heading: size('2xl', 24),
+      body: size('lg', 18),
+      code: Math.round(px(tokens.components?.code?.fontSize, 14) * emuPerPx / EMU_PER_PT * 100),
+      small: size('sm', 14)
+    }
+  };
+}
+
+/* ----------------------------------------------------------------------------
+ * XML writers
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Per-part relationship collector
+ */
+function createRels() {
+  const rels = [];
+  return {
+    add(type, target, external = false) {
+      const id = `rId${rels.length + 1}`;
+      rels.push({ id, type, target, external });
+      return id;
+    },
+    toXML() {
+      const items = rels.map(({ id, type, target, external }) =>
+        `<Relationship Id="${id}" Type="${type}" Target="${xml(target)}"${external ? ' TargetMode="External"' : ''}/>`);
+      return `${XML_HEADER}<Relationships xmlns="${NS.rel}">${items.join('')}</Relationships>`;
+    }
+  };
+}
+
+function runXML(run, design, rels, defaults) {
+  const sz = defaults.size;
+
+  if (run.break) {
+    return `<a:br><a:rPr lang="en-US" sz="${sz}" dirty="0"/></a:br>`;
+  }
+
+  const attrs = [`lang="en-US"`, `sz="${sz}"`];
+  if (run.bold || defaults.bold) attrs.push('b="1"');
+  if (run.italic || defaults.italic) attrs.push('i="1"');
+  if (run.strike) attrs.push('strike="sngStrike"');
+  attrs.push('dirty="0"');
+
+  let color = defaults.color;
+  if (run.href) color = design.colors.link;
+  else if (run.code) color = design.colors.codeText;
+  else if (run.muted) color = design.colors.textMuted;
+
+  const font = run.code ? design.fonts.mono : defaults.font;
+  const fontXML = font ? `<a:latin typeface="${xml(font)}"/><a:cs typeface="${xml(font)}"/>` : '';
+  const link = run.href ? `<a:hlinkClick r:id="${rels.add(REL.hyperlink, run.href, true)}"/>` : '';
+
+  return `<a:r><a:rPr ${attrs.join(' ')}>${color ? srgb(color) : ''}${fontXML}${link}</a:rPr><a:t>${xml(run.text)}</a:t></a:r>`;
+}
+
+function paragraphXML(paragraph, design, rels) {
+  const size = paragraph.size === 'heading' ? design.sizes.heading : design.sizes.body;
+  const indent = Math.round(size / 100 * EMU_PER_PT * 1.5);
+  const spacing = `<a:spcAft><a:spcPts val="${Math.round(size * 0.4)}"/></a:spcAft>`;
+  let pPr;
+
+  if (paragraph.bullet) {
+    const level = paragraph.level || 0;
+    const marL = indent * (level + 1) + (paragraph.quote ? indent : 0);
+    const marker = paragraph.bullet === 'number'
+      ? '<a:buFont typeface="+mj-lt"/><a:buAutoNum type="arabicPeriod"/>'
+      : '<a:buFont typeface="Arial"/><a:buChar char="•"/>';
+    pPr = `<a:pPr marL="${marL}" lvl="${Math.min(level, 8)}" indent="-${indent}">${spacing}<a:buClr><a:srgbClr val="${hex(design.colors.bullet)}"/></a:buClr>${marker}</a:pPr>`;
+  } else {
+    pPr = `<a:pPr marL="${paragraph.quote ? indent : 0}" indent="0">${spacing}<a:buNone/></a:pPr>`;
+  }
+
+  const defaults = {
+    size,
+    color: paragraph.size === 'heading' ? design.colors.heading : design.colors.text,
+    font: paragraph.size === 'heading' ? design.fonts.heading : design.fonts.sans,
+    italic: paragraph.quote
+  };
+
+  const runs = paragraph.runs.map(run => runXML(run, design, rels, defaults)).join('');
+  return `<a:p>${pPr}${runs}<a:endParaRPr lang="en-US" sz="${size}" dirty="0"/></a:p>`;
+}
+
+function textBoxXML(id, name, frame, body, options = {}) {
+  const { fill = null, inset = 0, line = null } = options;
+  const fillXML = fill ? srgb(fill) : '<a:noFill/>';
+  const lineXML = line ? `<a:ln w="${line.width}">${srgb(line.color)}</a:ln>` : '';
+
+  return `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${xml(name)}"/><p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr>` +
+    `<p:spPr><a:xfrm><a:off x="${frame.x}" y="${frame.y}"/><a:ext cx="${frame.cx}" cy="${frame.cy}"/></a:xfrm>` +
+    `<a:prstGeom prst="rect"><a:avLst/></a:prstGeom>${fillXML}${lineXML}</p:spPr>` +
+    `<p:txBody><a:bodyPr wrap="square" lIns="${inset}" tIns="${inset}" rIns="${inset}" bIns="${inset}" rtlCol="0"><a:normAutofit/></a:bodyPr><a:lstStyle/>${body}</p:txBody></p:sp>`;
+}
+
+/**
+ * Rough text height estimate used to stack blocks vertically
+ */
+function estimateHeight(paragraphs, width, design) {
+  return paragraphs.reduce((total, paragraph) => {
+    const size = paragraph.size === 'heading' ? design.sizes.heading : design.sizes.body;
+    const sizeEmu = size / 100 * EMU_PER_PT;
+    const charsPerLine = Math.max(1, Math.floor(width / (sizeEmu * 0.5)));
+    const text = paragraph.runs.map(run => (run.break ? '\n' : run.text)).join('');
+    const lines = text.split('\n').reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length / charsPerLine)), 0);
+    return total + lines * sizeEmu * LINE_HEIGHT + sizeEmu * 0.4;
+  }, 0);
+}
+
+/**
+ * DrawingML colour of a CSS colour, with its alpha
+ */
+function colorXML(css) {
+  const parsed = parseColor(css ?? '');
+  if (!parsed) return null;
+
+  const [r, g, b, alpha] = parsed;
+  const value = [r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('').toUpperCase();
+  return alpha < 1 ? `<a:srgbClr val="${value}"><a:alpha val="${Math.round(alpha * 100000)}"/></a:srgbClr>` : `<a:srgbClr val="${value}"/>`;
+}
+
+/**
+ * Background fill and text colours of one slide
+ *
+ * `primary`, `secondary` and `dark` fill with the brand colour or the
+ * dark scheme's background, `gradient` or any `gradients` token with a
+ * gradient, and anything else is read as a CSS colour. Text turns light
+ * on the brand fills and on dark custom colours, as in the PDF export.
+ *
+ * @returns {{ fill: string|null, colors: Object }} `<p:bg>` fill XML (null for the master's) and colour overrides
+ */
+function slideBackground(background, design) {
+  if (!background) return { fill: null, colors: {} };
+  if (background === 'dark') {
+    const color = colorXML(design.backgrounds.dark);
+    return { fill: color && `<a:solidFill>${color}</a:solidFill>`, colors: design.dark };
+  }
+
+  const light = design.colors.light;
+  const onColor = {
+    text: light, textMuted: light, heading: light, link: light, bullet: light, quoteBorder: light
+  };
+
+  const gradient = !(background in design.backgrounds) && parseLinearGradient(design.gradients[background === 'gradient' ? 'primary' : background]);
+  if (gradient) {
+    const stops = gradient.stops.map(({ color, offset }) => {
+      const value = color.map(channel => Math.round(channel * 255).toString(16).padStart(2, '0')).join('').toUpperCase();
+      return `<a:gs pos="${Math.round(offset * 100000)}"><a:srgbClr val="${value}"/></a:gs>`;
+    }).join('');
+    // CSS angles start at "to top"; DrawingML's at "to right"
+    const angle = Math.round((((gradient.angle - 90) % 360) + 360) % 360 * 60000);
+    const fill = `<a:gradFill rotWithShape="1"><a:gsLst>${stops}</a:gsLst><a:lin ang="${angle}" scaled="0"/></a:gradFill>`;
+    return { fill, colors: LIGHT_TEXT_BACKGROUNDS.includes(background) ? onColor : {} };
+  }
+
+  const css = design.backgrounds[background] ?? background;
+  const parsed = parseColor(css);
+  if (!parsed) return { fill: null, colors: {} };
+
+  // Translucent colours are seen over the slide background
+  const [r, g, b, alpha] = parsed;
+  const [br, bg, bb] = parseColor(design.colors.background ?? '') || [255, 255, 255];
+  const luminance = (0.2126 * (r * alpha + br * (1 - alpha)) + 0.7152 * (g * alpha + bg * (1 - alpha)) + 0.0722 * (b * alpha + bb * (1 - alpha))) / 255;
+  const darkFill = luminance < 0.5;
+  return {
+    fill: `<a:solidFill>${colorXML(css)}</a:solidFill>`,
+    colors: LIGHT_TEXT_BACKGROUNDS.includes(background) || darkFill ? onColor : {}
+  };
+}
+
+/**
+ * Render one slide (and its notes) to XML parts
+ */
+function slideXML(model, index, baseDesign, media, baseDir) {
+  const background = slideBackground(model.background, baseDesign);
+  const overrides = Object.entries(background.colors).filter(([, color]) => color);
+  const design = { ...baseDesign, colors: { ...baseDesign.colors, ...Object.fromEntries(overrides) } };
+  const rels = createRels();
+  rels.add(REL.slideLayout, '../slideLayouts/slideLayout1.xml');
+
+  const shapes = [];
+  const contentWidth = design.width - design.padX * 2;
+  let nextId = 2;
+  let y = design.padY;
+
+  if (model.title) {
+    const titleHeight = Math.round(design.sizes.title / 100 * EMU_PER_PT * LINE_HEIGHT * 1.2);
+    const defaults = { size: design.sizes.title, color: background.colors.heading ?? null, font: null };
+    const runs = model.title.map(run => runXML(run, design, rels, defaults)).join('');
+    shapes.push(`<p:sp><p:nvSpPr><p:cNvPr id="${nextId}" name="Title ${nextId - 1}"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr>` +
+      `<p:spPr/><p:txBody><a:bodyPr/><a:lstStyle/><a:p>${runs}</a:p></p:txBody></p:sp>`);
+    nextId++;
+    y += titleHeight + Math.round(design.padY / 2);
+  }
+
+  model.blocks.forEach(block => {
+    const id = nextId++;
+
+    if (block.kind === 'text') {
+      const height = Math.round(estimateHeight(block.paragraphs, contentWidth, design));
+      const body = block.paragraphs.map(paragraph => paragraphXML(paragraph, design, rels)).join('');
+      shapes.push(textBoxXML(id, `Content ${id}`, { x: design.padX, y, cx: contentWidth, cy: height }, body));
+      y += height;
+      return;
+    }
+
+    if (block.kind === 'code') {
+      const size = design.sizes.code;
+      const sizeEmu = size / 100 * EMU_PER_PT;
+      const inset = Math.round(sizeEmu);
+      const height = Math.round(block.lines.length * sizeEmu * LINE_HEIGHT + inset * 2);
+      const defaults = { size, color: design.colors.codeText, font: design.fonts.mono };
+      const body = block.lines.map(line => {
+        const run = line ? runXML({ text: line }, design, rels, defaults) : '';
+        return `<a:p><a:pPr marL="0" indent="0"><a:buNone/></a:pPr>${run}<a:endParaRPr lang="en-US" sz="${size}" dirty="0"/></a:p>`;
+      }).join('');
+      shapes.push(textBoxXML(id, `Code ${id}`, { x: design.padX, y, cx: contentWidth, cy: height }, body, {
+        fill: design.colors.codeBg,
+        inset,
+        line: { width: 9525, color: design.colors.border }
+      }));
+      y += height + Math.round(sizeEmu);
+      return;
+    }
+
+    if (block.kind === 'image') {
+      const image = loadImage(block.src, baseDir);
+      if (!image) {
+        console.warn(`PPTX export: image "${block.src}" skipped (only local PNG, JPEG and GIF files can be embedded).`);
+        if (block.alt) {
+          const body = paragraphXML({ runs: [{ text: block.alt, italic: true, muted: true }] }, design, rels);
+          const height = Math.round(estimateHeight([{ runs: [{ text: block.alt }] }], contentWidth, design));
+          shapes.push(textBoxXML(id, `Image ${id}`, { x: design.padX, y, cx: contentWidth, cy: height }, body));
+          y += height;
+        }
+        return;
+      }
+
+      if (!media.has(image.path)) {
+        const ext = image.type === 'jpeg' ? 'jpeg' : image.type;
+        media.set(image.path, { name: `image${media.size + 1}.${ext}`, ...image });
+      }
+      const { name } = media.get(image.path);
+      const relId = rels.add(REL.image, `../media/${name}`);
+
+      const maxHeight = Math.max(design.height - design.padY - y, design.height / 4);
+      const naturalWidth = image.width * design.emuPerPx;
+      const scale = Math.min(1, contentWidth / naturalWidth, maxHeight / (image.height * design.emuPerPx));
+      const cx = Math.round(naturalWidth * scale);
+      const cy = Math.round(image.height * design.emuPerPx * scale);
+
+      shapes.push(`<p:pic><p:nvPicPr><p:cNvPr id="${id}" name="Picture ${id}" descr="${xml(block.alt)}"/><p:cNvPicPr><a:picLocks noChangeAspect="1"/></p:cNvPicPr><p:nvPr/></p:nvPicPr>` +
+        `<p:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></p:blipFill>` +
+        `<p:spPr><a:xfrm><a:off x="${design.padX}" y="${y}"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr></p:pic>`);
+      y += cy + Math.round(design.padY / 2);
+    }
+  });
+
+  let notes = null;
+  if (model.notes) {
+    rels.add(REL.notesSlide, `../notesSlides/notesSlide${index}.xml`);
+    notes = notesSlideXML(model.notes, index);
+  }
+
+  const bg = background.fill ? `<p:bg><p:bgPr>${background.fill}<a:effectLst/></p:bgPr></p:bg>` : '';
+  const slide = `${XML_HEADER}<p:sld xmlns:a="${NS.a}" xmlns:r="${NS.r}" xmlns:p="${NS.p}"><p:cSld>${bg}<p:spTree>${groupHeader()}${shapes.join('')}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>`;
+
+  return { slide, rels: rels.toXML(), notes };
+}
+
+function groupHeader() {
+  return '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>' +
+    '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>';
+}
+
+function notesSlideXML(notes, index) {
+  const paragraphs = notes.split('\n').map(line =>
+    `<a:p>${line.trim() ? `<a:r><a:rPr lang="en-US" dirty="0"/><a:t>${xml(line.trim())}</a:t></a:r>` : '<a:endParaRPr lang="en-US" dirty="0"/>'}</a:p>`).join('');
+
+  const rels = createRels();
+  rels.add(REL.notesMaster, '../notesMasters/notesMaster1.xml');
+  rels.add(REL.slide, `../slides/slide${index}.xml`);
+
+  const notesXML = `${XML_HEADER}<p:notes xmlns:a="${NS.a}" xmlns:r="${NS.r}" xmlns:p="${NS.p}"><p:cSld><p:spTree>${groupHeader()}` +
+    '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Slide Image Placeholder 1"/><p:cNvSpPr><a:spLocks noGrp="1" noRot="1" noChangeAspect="1"/></p:cNvSpPr><p:nvPr><p:ph type="sldImg"/></p:nvPr></p:nvSpPr><p:spPr/></p:sp>' +
+    `<p:sp><p:nvSpPr><p:cNvPr id="3" name="Notes Placeholder 2"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr><p:ph type="body" idx="1"/></p:nvPr></p:nvSpPr><p:spPr/><p:txBody><a:bodyPr/><a:lstStyle/>${paragraphs}</p:txBody></p:sp>` +
+    '</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:notes>';
+
+  return { xml: notesXML, rels: rels.toXML() };
+}
+
+/**
+ * Theme part: colour scheme and font scheme from the tokens
+ */
+function themeXML(design, name) {
+  const c = design.colors;
+  const scheme = [
+    ['dk1', c.text], ['lt1', c.background], ['dk2', c.neutralDark || c.text], ['lt2', c.backgroundAlt],
+    ['accent1', c.primary], ['accent2', c.secondary],
+    ['accent3', c.semantic.success?.DEFAULT], ['accent4', c.semantic.warning?.DEFAULT],
+    ['accent5', c.semantic.error?.DEFAULT], ['accent6', c.semantic.info?.DEFAULT],
+    ['hlink', c.link], ['folHlink', c.linkHover]
+  ].map(([slot, color]) => `<a:${slot}><a:srgbClr val="${hex(color)}"/></a:${slot}>`).join('');
+
+  const fill = '<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>';
+  const font = typeface => `<a:latin typeface="${xml(typeface)}"/><a:ea typeface=""/><a:cs typeface=""/>`;
+
+  return `${XML_HEADER}<a:theme xmlns:a="${NS.a}" name="${xml(name)}"><a:themeElements>` +
+    `<a:clrScheme name="${xml(name)}">${scheme}</a:clrScheme>` +
+    `<a:fontScheme name="${xml(name)}"><a:majorFont>${font(design.fonts.heading)}</a:majorFont><a:minorFont>${font(design.fonts.sans)}</a:minorFont></a:fontScheme>` +
+    `<a:fmtScheme name="${xml(name)}">` +
+    `<a:fillStyleLst>${fill}${fill}${fill}</a:fillStyleLst>` +
+    `<a:lnStyleLst>${[6350, 12700, 19050].map(w => `<a:ln w="${w}">${fill}</a:ln>`).join('')}</a:lnStyleLst>` +
+    `<a:effectStyleLst>${'<a:effectStyle><a:effectLst/></a:effectStyle>'.repeat(3)}</a:effectStyleLst>` +
+    `<a:bgFillStyleLst>${fill}${fill}${fill}</a:bgFillStyleLst>` +
+    '</a:fmtScheme></a:themeElements><a:objectDefaults/><a:extraClrSchemeLst/></a:theme>';
+}
+
+const CLR_MAP = 'bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"';
+
+/**
+ * Slide master: background, title/body placeholders and text styles
+ */
+function slideMasterXML(design) {
+  const c = design.colors;
+  const contentWidth = design.width - design.padX * 2;
+  const titleHeight = Math.round(design.sizes.title / 100 * EMU_PER_PT * LINE_HEIGHT * 1.2);
+  const bodyTop = design.padY + titleHeight + Math.round(design.padY / 2);
+
+  const placeholder = (id, name, ph, frame, anchor) =>
+    `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${name}"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr>${ph}</p:nvPr></p:nvSpPr>` +
+    `<p:spPr><a:xfrm><a:off x="${frame.x}" y="${frame.y}"/><a:ext cx="${frame.cx}" cy="${frame.cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr>` +
+    `<p:txBody><a:bodyPr vert="horz" lIns="0" tIns="0" rIns="0" bIns="0" rtlCol="0" anchor="${anchor}"><a:normAutofit/></a:bodyPr><a:lstStyle/>` +
+    `<a:p><a:r><a:rPr lang="en-US"/><a:t>${name}</a:t></a:r></a:p></p:txBody></p:sp>`;
+
+  const bodyLevel = level => {
+    const indent = Math.round(design.sizes.body / 100 * EMU_PER_PT * 1.5);
+    return `<a:lvl${level}pPr marL="${indent * level}" indent="-${indent}" algn="l">` +
+      `<a:spcAft><a:spcPts val="${Math.round(design.sizes.body * 0.4)}"/></a:spcAft>` +
+      `<a:buClr><a:srgbClr val="${hex(c.bullet)}"/></a:buClr><a:buFont typeface="Arial"/><a:buChar char="•"/>` +
+      `<a:defRPr sz="${design.sizes.body}">${srgb(c.text)}<a:latin typeface="${xml(design.fonts.sans)}"/></a:defRPr></a:lvl${level}pPr>`;
+  };
+
+  return `${XML_HEADER}<p:sldMaster xmlns:a="${NS.a}" xmlns:r="${NS.r}" xmlns:p="${NS.p}">` +
+    `<p:cSld><p:bg><p:bgPr>${srgb(c.background)}<a:effectLst/></p:bgPr></p:bg><p:spTree>${groupHeader()}` +
+    placeholder(2, 'Title Placeholder 1', '<p:ph type="title"/>', { x: design.padX, y: design.padY, cx: contentWidth, cy: titleHeight }, 'b') +
+    placeholder(3, 'Text Placeholder 2', '<p:ph type="body" idx="1"/>', { x: design.padX, y: bodyTop, cx: contentWidth, cy: design.height - bodyTop - design.padY }, 't') +
+    '</p:spTree></p:cSld>' +
+    `<p:clrMap ${CLR_MAP}/>` +
+    '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst>' +
+    '<p:txStyles>' +
+    `<p:titleStyle><a:lvl1pPr algn="l"><a:lnSpc><a:spcPct val="100000"/></a:lnSpc><a:buNone/><a:defRPr sz="${design.sizes.title}" b="1">${srgb(c.heading)}<a:latin typeface="${xml(design.fonts.heading)}"/></a:defRPr></a:lvl1pPr></p:titleStyle>` +
+    `<p:bodyStyle>${[1, 2, 3].map(bodyLevel).join('')}</p:bodyStyle>` +
+    `<p:otherStyle><a:lvl1pPr><a:defRPr sz="${design.sizes.small}">${srgb(c.text)}<a:latin typeface="${xml(design.fonts.sans)}"/></a:defRPr></a:lvl1pPr></p:otherStyle>` +
+    '</p:txStyles></p:sldMaster>';
+}
+
+function slideLayoutXML() {
+  const placeholder = (id, name, ph) =>
+    `<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${name}"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr>${ph}</p:nvPr></p:nvSpPr>` +
+    `<p:spPr/><p:txBody><a:bodyPr/><a:lstStyle/><a:p><a:endParaRPr lang="en-US"/></a:p></p:txBody></p:sp>`;
+
+  return `${XML_HEADER}<p:sldLayout xmlns:a="${NS.a}" xmlns:r="${NS.r}" xmlns:p="${NS.p}" type="obj" preserve="1">` +
+    `<p:cSld name="Title and Content"><p:spTree>${groupHeader()}` +
+    placeholder(2, 'Title 1', '<p:ph type="title"/>') +
+    placeholder(3, 'Content Placeholder 2', '<p:ph idx="1"/>') +
+    '</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>';
+}
+
+function notesMasterXML(design) {
+  const notesWidth = 6858000;
+  const notesHeight = 9144000;
+  const margin = 685800;
+  const imageHeight = Math.round((notesWidth - margin * 2) * design.height / design.width);
+
+  return `${XML_HEADER}<p:notesMaster xmlns:a="${NS.a}" xmlns:r="${NS.r}" xmlns:p="${NS.p}">` +
+    `<p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg><p:spTree>${groupHeader()}` +
+    '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Slide Image Placeholder 1"/><p:cNvSpPr><a:spLocks noGrp="1" noRot="1" noChangeAspect="1"/></p:cNvSpPr><p:nvPr><p:ph type="sldImg" idx="2"/></p:nvPr></p:nvSpPr>' +
+    `<p:spPr><a:xfrm><a:off x="${margin}" y="${margin}"/><a:ext cx="${notesWidth - margin * 2}" cy="${imageHeight}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr></p:sp>` +
+    '<p:sp><p:nvSpPr><p:cNvPr id="3" name="Notes Placeholder 2"/><p:cNvSpPr><a:spLocks noGrp="1"/></p:cNvSpPr><p:nvPr><p:ph type="body" sz="quarter" idx="3"/></p:nvPr></p:nvSpPr>' +
+    `<p:spPr><a:xfrm><a:off x="${margin}" y="${margin * 2 + imageHeight}"/><a:ext cx="${notesWidth - margin * 2}" cy="${notesHeight - imageHeight - margin * 3}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr>` +
+    '<p:txBody><a:bodyPr vert="horz" rtlCol="0"/><a:lstStyle/><a:p><a:endParaRPr lang="en-US"/></a:p></p:txBody></p:sp>' +
+    `</p:spTree></p:cSld><p:clrMap ${CLR_MAP}/>` +
+    `<p:notesStyle><a:lvl1pPr marL="0" algn="l"><a:defRPr sz="1200">${srgb(design.colors.text)}<a:latin typeface="${xml(design.fonts.sans)}"/></a:defRPr></a:lvl1pPr></p:notesStyle>` +
+    '</p:notesMaster>';
+}
+
+/**
+ * Assemble the full OOXML package for a parsed deck
+ *
+ * @param {Object} deck - Result of parseContent() for a Markdown file
+ * @param {Object} options - Export options (see exportPptx)
+ * @returns {Buffer} `.pptx` file contents
+ */
+export function renderPptx(deck, options = {}) {
+  const {
+    framework = FRAMEWORKS.SLIDEV,
+    theme = 'prsmtech',
+    baseDir = process.cwd(),
+    date = new Date()
+  } = options;
+
+  const tokens = getDesignTokens(theme);
+  if (!tokens) {
+    throw new Error(`Design tokens not found: themes/${theme}/variables.json is required for PPTX export`);
+  }
+
+  const design = buildPptxDesign(tokens, framework);
+  const frontmatter = deck.frontmatter || {};
+  const title = options.title || frontmatter.title || deck.name;
+  const author = options.author || frontmatter.author || tokens.brand?.name || 'PRSMTECH';
+  const themeName = tokens.brand?.name || 'PRSMTECH';
+
+  // Vertical stacks (`--`) are flattened into consecutive slides
+  const models = buildDeckModels(deck.slides);
+
+  const media = new Map();
+  const slides = models.map((model, i) => slideXML(model, i + 1, design, media, baseDir));
+
+  const presentationRels = createRels();
+  presentationRels.add(REL.slideMaster, 'slideMasters/slideMaster1.xml');
+  presentationRels.add(REL.notesMaster, 'notesMasters/notesMaster1.xml');
+  presentationRels.add(REL.theme, 'theme/theme1.xml');
+  presentationRels.add(REL.presProps, 'presProps.xml');
+  presentationRels.add(REL.viewProps, 'viewProps.xml');
+  presentationRels.add(REL.tableStyles, 'tableStyles.xml');
+  const slideIds = slides.map((_, i) =>
+    `<p:sldId id="${256 + i}" r:id="${presentationRels.add(REL.slide, `slides/slide${i + 1}.xml`)}"/>`).join('');
+
+  const presentation = `${XML_HEADER}<p:presentation xmlns:a="${NS.a}" xmlns:r="${NS.r}" xmlns:p="${NS.p}" saveSubsetFonts="1">` +
+    '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>' +
+    '<p:notesMasterIdLst><p:notesMasterId r:id="rId2"/></p:notesMasterIdLst>' +
+    `<p:sldIdLst>${slideIds}</p:sldIdLst>` +
+    `<p:sldSz cx="${design.width}" cy="${design.height}"/><p:notesSz cx="6858000" cy="9144000"/>` +
+    '</p:presentation>';
+
+  const masterRels = createRels();
+  masterRels.add(REL.slideLayout, '../slideLayouts/slideLayout1.xml');
+  masterRels.add(REL.theme, '../theme/theme1.xml');
+
+  const layoutRels = createRels();
+  layoutRels.add(REL.slideMaster, '../slideMasters/slideMaster1.xml');
+
+  const notesMasterRels = createRels();
+  notesMasterRels.add(REL.theme, '../theme/theme2.xml');
+
+  const rootRels = createRels();
+  rootRels.add(REL.officeDocument, 'ppt/presentation.xml');
+  rootRels.add(REL.coreProperties, 'docProps/core.xml');
+  rootRels.add(REL.extendedProperties, 'docProps/app.xml');
+
+  const overrides = [
+    ['/ppt/presentation.xml', CONTENT_TYPE.presentation],
+    ['/ppt/slideMasters/slideMaster1.xml', CONTENT_TYPE.slideMaster],
+    ['/ppt/slideLayouts/slideLayout1.xml', CONTENT_TYPE.slideLayout],
+    ['/ppt/notesMasters/notesMaster1.xml', CONTENT_TYPE.notesMaster],
+    ['/ppt/theme/theme1.xml', CONTENT_TYPE.theme],
+    ['/ppt/theme/theme2.xml', CONTENT_TYPE.theme],
+    ['/ppt/presProps.xml', CONTENT_TYPE.presProps],
+    ['/ppt/viewProps.xml', CONTENT_TYPE.viewProps],
+    ['/ppt/tableStyles.xml', CONTENT_TYPE.tableStyles],
+    ['/docProps/core.xml', CONTENT_TYPE.core],
+    ['/docProps/app.xml', CONTENT_TYPE.app],
+    ...slides.map((_, i) => [`/ppt/slides/slide${i + 1}.xml`, CONTENT_TYPE.slide]),
+    ...slides.flatMap((slide, i) => (slide.notes ? [[`/ppt/notesSlides/notesSlide${i + 1}.xml`, CONTENT_TYPE.notesSlide]] : []))
+  ];
+  const imageExtensions = [...new Set([...media.values()].map(image => image.name.split('.').pop()))];
+
+  const contentTypes = `${XML_HEADER}<Types xmlns="${NS.ct}">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    imageExtensions.map(ext => `<Default Extension="${ext}" ContentType="${IMAGE_TYPES[ext]}"/>`).join('') +
+    overrides.map(([part, type]) => `<Override PartName="${part}" ContentType="${type}"/>`).join('') +
+    '</Types>';
+
+  const timestamp = date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const core = `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:dcmitype="http://purl.org/dc/dcmitype/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">` +
+    `<dc:title>${xml(title)}</dc:title><dc:creator>${xml(author)}</dc:creator>` +
+    `<dcterms:created xsi:type="dcterms:W3CDTF">${timestamp}</dcterms:created><dcterms:modified xsi:type="dcterms:W3CDTF">${timestamp}</dcterms:modified>` +
+    '</cp:coreProperties>';
+  const app = `${XML_HEADER}<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties" xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes">` +
+    `<Application>@prsmtech/presentation-logic</Application><Slides>${slides.length}</Slides><Notes>${slides.filter(s => s.notes).length}</Notes>` +
+    '</Properties>';
+
+  const entries = [
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: rootRels.toXML() },
+    { name: 'docProps/core.xml', data: core },
+    { name: 'docProps/app.xml', data: app },
+    { name: 'ppt/presentation.xml', data: presentation },
+    { name: 'ppt/_rels/presentation.xml.rels', data: presentationRels.toXML() },
+    { name: 'ppt/presProps.xml', data: `${XML_HEADER}<p:presentationPr xmlns:a="${NS.a}" xmlns:r="${NS.r}" xmlns:p="${NS.p}"/>` },
+    { name: 'ppt/viewProps.xml', data: `${XML_HEADER}<p:viewPr xmlns:a="${NS.a}" xmlns:r="${NS.r}" xmlns:p="${NS.p}"><p:normalViewPr><p:restoredLeft sz="15620"/><p:restoredTop sz="94660"/></p:normalViewPr></p:viewPr>` },
+    { name: 'ppt/tableStyles.xml', data: `${XML_HEADER}<a:tblStyleLst xmlns:a="${NS.a}" def="{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}"/>` },
+    { name: 'ppt/theme/theme1.xml', data: themeXML(design, themeName) },
+    { name: 'ppt/theme/theme2.xml', data: themeXML(design, themeName) },
+    { name: 'ppt/slideMasters/slideMaster1.xml', data: slideMasterXML(design) },
+    { name: 'ppt/slideMasters/_rels/slideMaster1.xml.rels', data: masterRels.toXML() },
+    { name: 'ppt/slideLayouts/slideLayout1.xml', data: slideLayoutXML() },
+    { name: 'ppt/slideLayouts/_rels/slideLayout1.xml.rels', data: layoutRels.toXML() },
+    { name: 'ppt/notesMasters/notesMaster1.xml', data: notesMasterXML(design) },
+    { name: 'ppt/notesMasters/_rels/notesMaster1.xml.rels', data: notesMasterRels.toXML() }
+  ];
+
+  slides.forEach(({ slide, rels, notes }, i) => {
+    entries.push({ name: `ppt/slides/slide${i + 1}.xml`, data: slide });
+    entries.push({ name: `ppt/slides/_rels/slide${i + 1}.xml.rels`, data: rels });
+    if (notes) {
+      entries.push({ name: `ppt/notesSlides/notesSlide${i + 1}.xml`, data: notes.xml });
+      entries.push({ name: `ppt/notesSlides/_rels/notesSlide${i + 1}.xml.rels`, data: notes.rels });
+    }
+  });
+
+  media.forEach(({ name, data }) => entries.push({ name: `ppt/media/${name}`, data, store: true }));
+
+  return createZip(entries, { date });
+}
+
+/**
+ * Export a Markdown deck as a PowerPoint file
+ *
+ * The slide master's background, title and body styles, bullet colour
+ * and theme fonts come from getDesignTokens() (`colors.slide`,
+ * `typography.fontFamily`, `typography.fontSize`). The first heading of
+ * each slide becomes its title; lists, paragraphs, code blocks
+ * (monospace text boxes), local images and Slidev `<!-- -->` notes carry
+ * over. A `<!-- bg: name -->` directive, `data-background` attribute or
+ * slide frontmatter `background` fills the slide as in the PDF export.
+ * Vertical stacks (`--`) become consecutive slides, counted in
+ * `slideCount`.
+ *
+ * @param {string} filePath - Path to Markdown deck
+ * @param {Object} options - Export options
+ * @param {string} options.outDir - Write `<name>.pptx` here (optional)
+ * @param {string} options.framework - Framework canvas to mirror (default: slidev)
+ * @param {string} options.theme - Theme whose tokens are used (default: prsmtech)
+ * @param {string} options.title - Override document title
+ * @param {string} options.author - Override document author
+ * @returns {{ buffer: Buffer, outputPath: string|null, slideCount: number }}
+ */
+export function exportPptx(filePath, options = {}) {
+  const deck = parseContent(filePath);
+
+  if (deck.type !== 'markdown') {
+    throw new Error(`exportPptx expects a Markdown deck, got ${deck.type}: ${filePath}`);
+  }
+
+  const { outDir = null } = options;
+  const buffer = renderPptx(deck, { ...options, baseDir: dirname(filePath) });
+  const name = `${basename(filePath, extname(filePath))}.pptx`;
+  const outputPath = outDir ? writeOutput(outDir, name, buffer) : null;
+
+  return { buffer, outputPath, slideCount: buildDeckModels(deck.slides).length };
+}
+
+export default {
+  buildPptxDesign,
+  renderPptx,
+  exportPptx
+};
@@ -0,0 +1,239 @@
+/**
+ * PRSMTECH Presentation Logic - Reveal.js Converter
+ *
+ * Turns a parsed Markdown deck into a standalone Reveal.js `index.html`
+ * linked against the compiled PRSMTECH reveal theme.
+ *
+ * @module @prsmtech/presentation-logic/converters/reveal
+ */
+
+import { dirname, resolve } from 'path';
+import { parseContent, FRAMEWORKS, FRAMEWORK_CAPABILITIES } from '../index.js';
+import { renderMarkdown, renderBlocks, escapeHtml } from '../markdown.js';
+import { splitVerticalBlocks } from '../slides.js';
+import { resolveThemeHref, modeAttributes, extractSlideAttributes, writeOutput } from './utils.js';
+
+/**
+ * Default Reveal.js distribution (override with `options.revealUrl`)
+ */
+export const REVEAL_CDN = 'https://cdn.jsdelivr.net/npm/reveal.js@5';
+
+/**
+ * Slidev transition names mapped to their closest Reveal.js equivalent
+ */
+const TRANSITION_MAP = {
+  'slide-left': 'slide',
+  'slide-right': 'slide',
+  'slide-up': 'slide',
+  'slide-down': 'slide',
+  'fade-out': 'fade',
+  'view-transition': 'none'
+};
+
+const REVEAL_TRANSITIONS = ['none', 'fade', 'slide', 'convex', 'concave', 'zoom'];
+
+/**
+ * Render a fenced code block for the Reveal highlight plugin
+ *
+ * Slidev line highlights (`{2,3}` or `{1|2-4}`) become `data-line-numbers`;
+ * other attributes such as `{monaco}` are dropped.
+ */
+function renderRevealCode(code, { lang, attrs }) {
+  const cls = lang ? ` class="language-${lang}"` : '';
+  const lineNumbers = attrs && /^[\d,|\-\s]+$/.test(attrs)
+    ? ` data-line-numbers="${attrs.replace(/\s+/g, '')}"`
+    : '';
+
+  return `<pre><code${cls} data-trim${lineNumbers}>${escapeHtml(code)}</code></pre>`;
+}
+
+/**
+ * Section attributes from Slidev per-slide frontmatter (`class`, `background`, `transition`)
+ */
+function frontmatterAttributes(frontmatter = {}) {
+  const attrs = [];
+
+  if (frontmatter.class) attrs.push(`class="${escapeHtml(String(frontmatter.class))}"`);
+  if (frontmatter.background) attrs.push(`data-background="${escapeHtml(String(frontmatter.background))}"`);
+  if (frontmatter.transition) {
+    const transition = TRANSITION_MAP[frontmatter.transition] || frontmatter.transition;
+    if (REVEAL_TRANSITIONS.includes(transition)) attrs.push(`data-transition="${transition}"`);
+  }
+
+  return attrs.join(' ');
+}
+
+/**
+ * Render a single slide's blocks as a `<section>`
+ */
+function renderSection(blocks, indent, extraAttributes = '', notes = '') {
+  const { blocks: body, attributes } = extractSlideAttributes(blocks);
+  const attrs = [extraAttributes, attributes].filter(Boolean).map(attr => ` ${attr}`).join('');
+  // Content is left unindented so <pre> blocks keep their whitespace
+  const content = renderBlocks(body, { renderCode: renderRevealCode });
+  const aside = notes ? `\n<aside class="notes">\n${renderMarkdown(notes)}\n</aside>` : '';
+
+  return `${indent}<section${attrs}>\n${content}${aside}\n${indent}</section>`;
+}
+
+/**
+ * Build Reveal.initialize options from defaults, frontmatter and overrides
+ *
+ * @param {Object} frontmatter - Deck frontmatter
+ * @param {Object} overrides - Caller supplied Reveal options
+ * @param {boolean} hasLatex - Whether the math plugin is needed
+ * @returns {Object} Reveal configuration
+ */
+export function buildRevealConfig(frontmatter = {}, overrides = {}, hasLatex = false) {
+  const { width, height } = FRAMEWORK_CAPABILITIES[FRAMEWORKS.REVEAL].dimensions;
+  const config = {
+    width,
+    height,
+    hash: true,
+    controls: true,
+    progress: true,
+    center: false,
+    slideNumber: false,
+    transition: 'slide'
+  };
+
+  if (frontmatter.transition) {
+    const transition = TRANSITION_MAP[frontmatter.transition] || frontmatter.transition;
+    if (REVEAL_TRANSITIONS.includes(transition)) {
+      config.transition = transition;
+    }
+  }
+
+  ['controls', 'progress', 'center', 'slideNumber', 'hash', 'loop'].forEach(key => {
+    if (key in frontmatter) config[key] = frontmatter[key];
+  });
+
+  if (frontmatter.reveal && typeof frontmatter.reveal === 'object') {
+    Object.assign(config, frontmatter.reveal);
+  }
+
+  Object.assign(config, overrides);
+
+  config.plugins = ['RevealHighlight', 'RevealNotes'];
+  if (hasLatex) config.plugins.push('RevealMath.KaTeX');
+
+  return config;
+}
+
+/**
+ * Render the full Reveal.js HTML document for a parsed deck
+ *
+ * @param {Object} deck - Result of parseContent() for a Markdown file
+ * @param {Object} options - Render options (see convertToReveal)
+ * @returns {string} HTML document
+ */
+export function renderReveal(deck, options = {}) {
+  const {
+    revealUrl = REVEAL_CDN,
+    themeHref = null,
+    reveal = {}
+  } = options;
+
+  const frontmatter = deck.frontmatter || {};
+  const title = options.title || frontmatter.title || deck.name;
+  const hasLatex = Boolean(deck.characteristics?.hasLatex);
+  const config = buildRevealConfig(frontmatter, reveal, hasLatex);
+
+  const sections = deck.slides.map(slide => {
+    const stack = splitVerticalBlocks(slide.blocks);
+    const attrs = frontmatterAttributes(slide.frontmatter);
+    if (stack.length > 1) {
+      // Notes of the whole stack are shown with its last child
+      const inner = stack.map((child, i) =>
+        renderSection(child, '        ', attrs, i === stack.length - 1 ? slide.notes : '')).join('\n');
+      return `      <section>\n${inner}\n      </section>`;
+    }
+    return renderSection(stack[0] ?? [], '      ', attrs, slide.notes);
+  }).join('\n');
+
+  const { plugins, ...settings } = config;
+  const pluginScripts = [
+    `${revealUrl}/plugin/highlight/highlight.js`,
+    `${revealUrl}/plugin/notes/notes.js`,
+    ...(hasLatex ? [`${revealUrl}/plugin/math/math.js`] : [])
+  ].map(src => `  <script src="${src}"></script>`).join('\n');
+
+  const settingsJSON = JSON.stringify(settings, null, 2).replace(/\n/g, '\n    ');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(frontmatter.lang || 'en')}"${modeAttributes(frontmatter, options)}>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="generator" content="@prsmtech/presentation-logic">
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="${revealUrl}/dist/reveal.css">
+  <link rel="stylesheet" href="${revealUrl}/plugin/highlight/monokai.css">
+${themeHref ? `  <link rel="stylesheet" href="${themeHref}">\n` : ''}</head>
+<body>
+  <div class="reveal">
+    <div class="slides">
+${sections}
+    </div>
+  </div>
+
+  <script src="${revealUrl}/dist/reveal.js"></script>
+${pluginScripts}
+  <script>
+    Reveal.initialize(Object.assign(${settingsJSON}, {
+      plugins: [${plugins.join(', ')}]
+    }));
+  </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Convert a Markdown deck into a Reveal.js presentation
+ *
+ * Frontmatter mapping:
+ * - `title` → document title
+ * - `transition` → Reveal transition (Slidev names are mapped)
+ * - `mode: <name>` → colour mode (`data-mode`); `dark: true` / `colorSchema: dark` → dark theme class
+ * - `controls`, `progress`, `center`, `slideNumber`, `hash`, `loop` → passed through
+ * - `reveal: { ... }` → merged into Reveal.initialize options
+ *
+ * Slides are split on `---`; a line containing only `--` starts a vertical
+ * slide within the current stack.
+ *
+ * @param {string} filePath - Path to Markdown deck
+ * @param {Object} options - Conversion options
+ * @param {string} options.outDir - Write `index.html` here (optional)
+ * @param {string} options.title - Override document title
+ * @param {string} options.mode - Colour mode (`dark`, `highContrast`, `print`, ...)
+ * @param {boolean} options.dark - Force dark mode on/off
+ * @param {string} options.revealUrl - Base URL of the Reveal.js distribution
+ * @param {string} options.theme - Theme to link (folder under themes/, default: prsmtech)
+ * @param {string} options.themeHref - Override the theme stylesheet href
+ * @param {Object} options.reveal - Extra Reveal.initialize options
+ * @returns {{ html: string, outputPath: string|null, slideCount: number }}
+ */
+export function convertToReveal(filePath, options = {}) {
+  const deck = parseContent(filePath);
+
+  if (deck.type !== 'markdown') {
+    throw new Error(`convertToReveal expects a Markdown deck, got ${deck.type}: ${filePath}`);
+  }
+
+  const { outDir = null } = options;
+  const targetDir = resolve(outDir || dirname(filePath));
+  const themeHref = options.themeHref ?? resolveThemeHref(FRAMEWORKS.REVEAL, targetDir, options.theme);
+
+  const html = renderReveal(deck, { ...options, themeHref });
+  const outputPath = outDir ? writeOutput(targetDir, 'index.html', html) : null;
+
+  return { html, outputPath, slideCount: deck.slideCount };
+}
+
+export default {
+  REVEAL_CDN,
+  buildRevealConfig,
+  renderReveal,
+  convertToReveal
+};
@@ -0,0 +1,352 @@
+/**
+ * PRSMTECH Presentation Logic - HTML → Slidev Markdown Converter
+ *
+ * Reads legacy Reveal.js and WebSlides decks and rewrites them as Slidev
+ * Markdown so every deck can share one source format.
+ *
+ * @module @prsmtech/presentation-logic/converters/slidev
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { basename, extname } from 'path';
+import { parseHTML, classList, textContent, findFirst, findSlideSections, markdownTemplate } from '../html.js';
+import { sectionNotes } from '../notes.js';
+import { extractNotes } from '../slides.js';
+import { writeOutput } from './utils.js';
+
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'template', 'noscript', 'link', 'meta', 'title', 'head']);
+
+/**
+ * Collapse insignificant whitespace in inline text
+ */
+function collapse(text) {
+  return text.replace(/\s+/g, ' ');
+}
+
+/**
+ * Escape text so Markdown renders it literally: HTML syntax as entities,
+ * emphasis, code, link, strikethrough and math markers with a backslash
+ */
+function escapeText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/[\\`*_[\]~$]/g, '\\$&');
+}
+
+/**
+ * Escape a leading marker that would turn a line into a heading, list
+ * item or slide separator
+ */
+function escapeLineStart(text) {
+  return text.replace(/^([#+=-])/, '\\$1').replace(/^(\d+)([.)])/, '$1\\$2');
+}
+
+/**
+ * Inline code span, fenced with more backticks than the longest run in
+ * the code and padded when the code starts or ends with a backtick
+ */
+function codeSpan(code) {
+  const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  const pad = /^`|`$/.test(code) ? ' ' : '';
+  return `${fence}${pad}${code}${pad}${fence}`;
+}
+
+/**
+ * Serialize a node's children as inline Markdown
+ */
+function inline(node) {
+  return (node.children || []).map(inlineNode).join('');
+}
+
+function inlineNode(node) {
+  if (node.type === 'text') return escapeText(collapse(node.value));
+  if (node.type !== 'element' || SKIPPED_ELEMENTS.has(node.tag)) return '';
+
+  const content = () => inline(node).trim();
+
+  switch (node.tag) {
+    case 'strong':
+    case 'b':
+      return `**${content()}**`;
+    case 'em':
+    case 'i':
+      return `*${content()}*`;
+    case 'del':
+    case 's':
+      return `~~${content()}~~`;
+    case 'code':
+      return codeSpan(textContent(node));
+    case 'a':
+      return node.attrs.href ? `[${content()}](${node.attrs.href})` : content();
+    case 'img':
+      return image(node);
+    case 'br':
+      return '<br>';
+    default:
+      return inline(node);
+  }
+}
+
+function image(node) {
+  const src = node.attrs.src || node.attrs['data-src'] || '';
+  return `![${escapeText(node.attrs.alt || '')}](${src})`;
+}
+
+/**
+ * Code fence for a `<pre>` block, keeping the language and line highlights
+ */
+function codeBlock(pre) {
+  const code = findFirst(pre, child => child.tag === 'code') || pre;
+  const langClass = classList(code).find(cls => /^(language|lang)-/.test(cls));
+  const lang = langClass ? langClass.replace(/^(language|lang)-/, '') : '';
+  const lines = code.attrs['data-line-numbers'];
+  const attrs = lines ? ` {${lines}}` : '';
+  const source = textContent(code).replace(/^\n+|\s+$/g, '');
+  const fence = source.includes('```') ? '~~~' : '```';
+
+  return `${fence}${lang}${attrs}\n${source}\n${fence}`;
+}
+
+/**
+ * Convert a list element, indenting nested lists under their item
+ */
+function list(node, depth = 0) {
+  const ordered = node.tag === 'ol';
+  let index = parseInt(node.attrs.start || '1', 10);
+  const indent = '   '.repeat(depth);
+
+  return node.children
+    .filter(child => child.tag === 'li')
+    .map(item => {
+      const marker = ordered ? `${index++}.` : '-';
+      const text = item.children
+        .filter(child => child.tag !== 'ul' && child.tag !== 'ol')
+        .map(child => (child.tag === 'p' ? inline(child) : inlineNode(child)))
+        .join('')
+        .trim();
+      const nested = item.children
+        .filter(child => child.tag === 'ul' || child.tag === 'ol')
+        .map(child => list(child, depth + 1));
+
+      return [`${indent}${marker} ${escapeLineStart(text)}`, ...nested].join('\n');
+    })
+    .join('\n');
+}
+
+/**
+ * Convert a table element into a GFM table
+ */
+function table(node) {
+  const rows = [];
+  const collect = parent => parent.children.forEach(child => {
+    if (child.tag === 'tr') {
+      rows.push(child.children
+        .filter(cell => cell.tag === 'th' || cell.tag === 'td')
+        .map(cell => inline(cell).trim().replace(/\|/g, '\\|')));
+    } else if (child.type === 'element') {
+      collect(child);
+    }
+  });
+  collect(node);
+
+  if (!rows.length) return '';
+
+  const width = Math.max(...rows.map(row => row.length));
+  const pad = row => [...row, ...Array(width - row.length).fill('')];
+  const [header, ...body] = rows.map(pad);
+
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...body.map(row => `| ${row.join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Convert block-level children into Markdown blocks
+ *
+ * Notes elements are skipped; sectionNotes() collects them separately.
+ *
+ * @param {Object} node - Parent node
+ * @returns {string[]} Markdown blocks
+ */
+function blocks(node) {
+  const out = [];
+  let inlineBuffer = '';
+
+  const flush = () => {
+    if (inlineBuffer.trim()) out.push(escapeLineStart(inlineBuffer.trim()));
+    inlineBuffer = '';
+  };
+
+  (node.children || []).forEach(child => {
+    if (child.type === 'text' || child.type === 'comment') {
+      if (child.type === 'text') inlineBuffer += inlineNode(child);
+      return;
+    }
+
+    const tag = child.tag;
+    if (SKIPPED_ELEMENTS.has(tag)) return;
+
+    if (classList(child).includes('notes')) {
+      flush();
+      return;
+    }
+
+    if (/^h[1-6]$/.test(tag)) {
+      flush();
+      out.push(`${'#'.repeat(Number(tag[1]))} ${inline(child).trim()}`);
+    } else if (tag === 'p') {
+      flush();
+      const text = inline(child).trim();
+      if (text) out.push(escapeLineStart(text));
+    } else if (tag === 'ul' || tag === 'ol') {
+      flush();
+      out.push(list(child));
+    } else if (tag === 'pre') {
+      flush();
+      out.push(codeBlock(child));
+    } else if (tag === 'blockquote') {
+      flush();
+      const quote = blocks(child).join('\n\n');
+      out.push(quote.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+    } else if (tag === 'table') {
+      flush();
+      out.push(table(child));
+    } else if (tag === 'hr') {
+      flush();
+      out.push('***');
+    } else if (tag === 'img' || tag === 'figure') {
+      flush();
+      const img = tag === 'img' ? child : findFirst(child, el => el.tag === 'img');
+      if (img) out.push(image(img));
+    } else if (['strong', 'b', 'em', 'i', 'a', 'code', 'span', 'del', 's', 'br', 'small', 'sup', 'sub', 'mark'].includes(tag)) {
+      inlineBuffer += inlineNode(child);
+    } else {
+      // Containers (div.wrap, prsm-grid, section content, ...) are unwrapped
+      flush();
+      out.push(...blocks(child));
+    }
+  });
+
+  flush();
+  return out;
+}
+
+/**
+ * Per-slide frontmatter derived from section attributes
+ */
+function sectionFrontmatter(section) {
+  const frontmatter = {};
+  const classes = classList(section).filter(cls => !['present', 'past', 'future', 'stack'].includes(cls));
+  const background = section.attrs['data-background-image'] || section.attrs['data-background'] ||
+    section.attrs['data-background-color'];
+
+  if (classes.length) frontmatter.class = classes.join(' ');
+  if (background) frontmatter.background = background;
+  if (section.attrs['data-transition']) frontmatter.transition = section.attrs['data-transition'];
+
+  return frontmatter;
+}
+
+/**
+ * Serialize a flat frontmatter object as YAML lines
+ */
+function yaml(frontmatter) {
+  return Object.entries(frontmatter)
+    .map(([key, value]) => {
+      if (typeof value !== 'string') return `${key}: ${value}`;
+
+      // Quote strings YAML would otherwise read as another type or syntax
+      const ambiguous = /^[\s#&*!|>'"%@`{[]|:\s|\s$|^$/.test(value) ||
+        /^(true|false|null|yes|no|~|-?\d+(\.\d+)?)$/i.test(value);
+      return `${key}: ${ambiguous ? JSON.stringify(value) : value}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Convert deck HTML into Slidev Markdown
+ *
+ * Vertical Reveal stacks are flattened into consecutive slides. Section
+ * classes, `data-background*` and `data-transition` become per-slide
+ * frontmatter, and notes (`<aside class="notes">`, `data-notes`) become a
+ * trailing comment (Slidev's presenter notes syntax). The Markdown of
+ * `data-markdown` sections is kept as written, with its `Note:` part
+ * moved to the notes.
+ *
+ * @param {string} html - Reveal.js or WebSlides HTML
+ * @param {Object} options - Conversion options
+ * @param {Object} options.headmatter - Extra deck-level frontmatter
+ * @returns {{ markdown: string, slideCount: number }}
+ */
+export function htmlStringToMarkdown(html, options = {}) {
+  const { headmatter = {} } = options;
+  const root = parseHTML(html);
+
+  const titleNode = findFirst(root, el => el.tag === 'title');
+  const deckTitle = titleNode ? textContent(titleNode).trim() : '';
+
+  const slides = findSlideSections(root);
+
+  const rendered = slides.map(section => {
+    const template = markdownTemplate(section);
+    const extracted = template === null ? null : extractNotes(template, { separator: true });
+    const body = extracted ? extracted.markdown.replace(/\n{3,}/g, '\n\n').trim() : blocks(section).join('\n\n');
+    const notes = [sectionNotes(section), extracted?.notes].filter(Boolean).join('\n\n');
+    // `-->` inside the notes would close the comment early
+    const noteBlock = notes ? `\n\n<!--\n${notes.replace(/-->/g, '--&gt;')}\n-->` : '';
+    return { frontmatter: sectionFrontmatter(section), body: `${body}${noteBlock}` };
+  });
+
+  const deckFrontmatter = {
+    ...(deckTitle ? { title: deckTitle } : {}),
+    ...headmatter,
+    ...(rendered[0]?.frontmatter || {})
+  };
+
+  const parts = rendered.map(({ frontmatter, body }, index) => {
+    const data = index === 0 ? deckFrontmatter : frontmatter;
+    const header = Object.keys(data).length ? `---\n${yaml(data)}\n---\n\n` : (index === 0 ? '' : '---\n\n');
+    return `${header}${body}`;
+  });
+
+  return {
+    markdown: `${parts.join('\n\n').trim()}\n`,
+    slideCount: slides.length
+  };
+}
+
+/**
+ * Convert a Reveal.js or WebSlides HTML deck file into Slidev Markdown
+ *
+ * @param {string} filePath - Path to the HTML deck
+ * @param {Object} options - Conversion options
+ * @param {string} options.outDir - Write `<name>.md` here (optional)
+ * @param {Object} options.headmatter - Extra deck-level frontmatter
+ * @returns {{ markdown: string, outputPath: string|null, slideCount: number }}
+ */
+export function htmlToMarkdown(filePath, options = {}) {
+  if (!existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const ext = extname(filePath).toLowerCase();
+  if (ext !== '.html' && ext !== '.htm') {
+    throw new Error(`htmlToMarkdown expects an HTML deck, got ${ext || 'no extension'}: ${filePath}`);
+  }
+
+  const { outDir = null } = options;
+  const { markdown, slideCount } = htmlStringToMarkdown(readFileSync(filePath, 'utf-8'), options);
+  const outputPath = outDir ? writeOutput(outDir, `${basename(filePath, extname(filePath))}.md`, markdown) : null;
+
+  return { markdown, outputPath, slideCount };
+}
+
+export default {
+  htmlStringToMarkdown,
+  htmlToMarkdown
+};
@@ -0,0 +1,81 @@
+/**
+ * PRSMTECH Presentation Logic - Converter Utilities
+ *
+ * Helpers shared by the HTML converters: theme linking, colour modes,
+ * per-slide attribute comments and output writing.
+ *
+ * @module @prsmtech/presentation-logic/converters/utils
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { dirname, join, relative, sep } from 'path';
+import { getThemePath } from '../index.js';
+import { escapeHtml } from '../markdown.js';
+
+const SLIDE_ATTRIBUTES = /^\.slide:\s*([\s\S]*)$/;
+
+/**
+ * Resolve the href used to link a compiled theme stylesheet
+ *
+ * @param {string} framework - Framework identifier (theme file name)
+ * @param {string} fromDir - Directory the HTML file will be written to
+ * @param {string} theme - Theme name (default: prsmtech)
+ * @returns {string|null} Relative POSIX path to the CSS, or null if not built
+ */
+export function resolveThemeHref(framework, fromDir, theme) {
+  const cssPath = getThemePath(framework, theme);
+  if (!cssPath) return null;
+
+  return relative(fromDir, cssPath).split(sep).join('/');
+}
+
+/**
+ * Attributes of the `<html>` element that pick a deck's colour mode
+ *
+ * `options.mode` or frontmatter `mode:` sets `data-mode` (see the colour
+ * modes in base.css); `dark: true` / `colorSchema: dark` keep the
+ * `.dark` class. Without either the page follows the theme's default
+ * mode and the reader's `prefers-color-scheme` / `prefers-contrast`.
+ *
+ * @param {Object} frontmatter - Deck frontmatter
+ * @param {Object} options - Converter options (`mode`, `dark`)
+ * @returns {string} Attribute string with a leading space, or ''
+ */
+export function modeAttributes(frontmatter, options = {}) {
+  const mode = options.mode ?? frontmatter.mode;
+  if (mode) return ` data-mode="${escapeHtml(String(mode))}"`;
+
+  const dark = options.dark ?? (frontmatter.dark === true || frontmatter.colorSchema === 'dark');
+  return dark ? ' class="dark" data-theme="dark"' : '';
+}
+
+/**
+ * Pull a Reveal-style `<!-- .slide: ... -->` attribute comment out of a slide
+ *
+ * @param {Object[]} blocks - Slide blocks from parseBlocks()
+ * @returns {{ blocks: Object[], attributes: string }} Remaining blocks and raw attribute string
+ */
+export function extractSlideAttributes(blocks) {
+  const index = blocks.findIndex(block => block.type === 'comment' && SLIDE_ATTRIBUTES.test(block.text));
+  if (index === -1) return { blocks, attributes: '' };
+
+  return {
+    blocks: blocks.filter((_, i) => i !== index),
+    attributes: blocks[index].text.match(SLIDE_ATTRIBUTES)[1].trim()
+  };
+}
+
+/**
+ * Write a generated document to `<outDir>/<fileName>`
+ *
+ * @param {string} outDir - Output directory (created if missing)
+ * @param {string} fileName - File name
+ * @param {string|Buffer} content - File content
+ * @returns {string} Path of the written file
+ */
+export function writeOutput(outDir, fileName, content) {
+  const outputPath = join(outDir, fileName);
+  mkdirSync(dirname(outputPath), { recursive: true });
+  writeFileSync(outputPath, content);
+  return outputPath;
+}
@@ -0,0 +1,255 @@
+/**
+ * PRSMTECH Presentation Logic - WebSlides Converter
+ *
+ * Turns a parsed Markdown deck into a WebSlides `index.html` using the
+ * PRSMTECH WebSlides theme utilities (`.bg-prsm-*`, `.prsm-grid-*`,
+ * `.prsm-card`).
+ *
+ * @module @prsmtech/presentation-logic/converters/webslides
+ */
+
+import { dirname, resolve } from 'path';
+import { parseContent, FRAMEWORKS } from '../index.js';
+import { renderMarkdown, renderBlocks, parseBlocks, escapeHtml } from '../markdown.js';
+import { splitVerticalBlocks } from '../slides.js';
+import { resolveThemeHref, modeAttributes, extractSlideAttributes, writeOutput } from './utils.js';
+
+/**
+ * Default WebSlides distribution (override with `options.webslidesUrl`)
+ */
+export const WEBSLIDES_CDN = 'https://cdn.jsdelivr.net/npm/webslides@1.5.0/static';
+
+/**
+ * Background shorthands accepted by the `<!-- bg: name -->` directive
+ */
+export const BACKGROUNDS = ['primary', 'secondary', 'gradient', 'dark'];
+
+/**
+ * Grid sizes styled by the theme (`.prsm-grid-2`, `.prsm-grid-3`)
+ */
+const GRID_SIZES = [2, 3];
+
+const BG_DIRECTIVE = /^bg:\s*([\w-]+)$/;
+const GRID_DIRECTIVE = /^grid:\s*(\d+)(\s+cards?)?$/;
+const CELL_SEPARATOR = /^cell$/;
+const GRID_END = /^\/grid$/;
+
+/**
+ * Render a `<!-- grid: N [cards] -->` block as a PRSMTECH grid
+ */
+function renderGrid({ size, cards, cells }) {
+  const columns = parseInt(size, 10);
+  if (!GRID_SIZES.includes(columns)) {
+    console.warn(`WebSlides grid of ${columns} columns has no theme class (supported: ${GRID_SIZES.join(', ')}).`);
+  }
+
+  const cellClass = cards ? ' class="prsm-card"' : '';
+  const html = cells
+    .filter(cell => cell.length)
+    .map(cell => `<div${cellClass}>\n${renderBlocks(cell)}\n</div>`)
+    .join('\n');
+
+  return `<div class="prsm-grid-${columns}">\n${html}\n</div>`;
+}
+
+/**
+ * Render a single slide's Markdown as a WebSlides `<section>`
+ *
+ * Directives (HTML comments, invisible in other renderers):
+ * - `<!-- bg: gradient -->` → `bg-prsm-gradient` (any other name is used as a raw class)
+ * - `<!-- grid: 3 cards -->` … `<!-- cell -->` … `<!-- /grid -->` → `.prsm-grid-3` of `.prsm-card`s
+ * - `<!-- .slide: class="..." -->` → extra section attributes
+ *
+ * Slide frontmatter `class` adds section classes; `background` takes a
+ * background shorthand or any CSS background value.
+ *
+ * @param {string|Object[]} content - Slide Markdown, or its blocks from parseBlocks()
+ * @param {Object} frontmatter - Slide frontmatter
+ * @param {string} notes - Presenter notes, kept as a hidden `<aside class="notes">`
+ * @returns {string} Section HTML
+ */
+export function renderWebSlidesSection(content, frontmatter = {}, notes = '') {
+  const blocks = typeof content === 'string' ? parseBlocks(content) : content;
+  const { blocks: withoutAttrs, attributes } = extractSlideAttributes(blocks);
+  const classes = frontmatter.class ? String(frontmatter.class).split(/\s+/).filter(Boolean) : [];
+  let style = '';
+
+  if (frontmatter.background) {
+    const background = String(frontmatter.background);
+    if (BACKGROUNDS.includes(background)) {
+      classes.push(`bg-prsm-${background}`);
+    } else {
+      const value = /^(https?:|\.{0,2}\/)|\.(png|jpe?g|gif|svg|webp)$/i.test(background)
+        ? `url('${background}') center / cover`
+        : background;
+      style = ` style="background: ${escapeHtml(value)}"`;
+    }
+  }
+
+  const extraAttrs = attributes.replace(/\bclass\s*=\s*"([^"]*)"/, (_, cls) => {
+    classes.push(...cls.split(/\s+/).filter(Boolean));
+    return '';
+  }).trim();
+
+  // Render blocks around grids separately so grid cells become their own blocks
+  const parts = [];
+  let run = [];
+  let grid = null;
+  const flush = () => {
+    if (grid) parts.push(renderGrid(grid));
+    else if (run.length) parts.push(renderBlocks(run));
+    run = [];
+    grid = null;
+  };
+
+  withoutAttrs.forEach(block => {
+    const directive = block.type === 'comment' ? block.text : null;
+    const bg = directive?.match(BG_DIRECTIVE);
+    const gridStart = directive?.match(GRID_DIRECTIVE);
+
+    if (bg) {
+      classes.push(BACKGROUNDS.includes(bg[1]) ? `bg-prsm-${bg[1]}` : bg[1]);
+    } else if (gridStart) {
+      flush();
+      grid = { size: gridStart[1], cards: Boolean(gridStart[2]), cells: [[]] };
+    } else if (grid && CELL_SEPARATOR.test(directive)) {
+      grid.cells.push([]);
+    } else if (grid && GRID_END.test(directive)) {
+      flush();
+    } else {
+      (grid ? grid.cells[grid.cells.length - 1] : run).push(block);
+    }
+  });
+  flush();
+
+  const classAttr = classes.length ? ` class="${classes.join(' ')}"` : '';
+  const attrs = `${classAttr}${style}${extraAttrs ? ` ${extraAttrs}` : ''}`;
+
+  const aside = notes ? `\n<aside class="notes" hidden>\n${renderMarkdown(notes)}\n</aside>` : '';
+
+  return `      <section${attrs}>\n<div class="wrap">\n${parts.filter(Boolean).join('\n')}\n</div>${aside}\n      </section>`;
+}
+
+/**
+ * Flatten vertical stacks into consecutive slides
+ *
+ * WebSlides has no vertical navigation, so each `--` child becomes its
+ * own section with the slide's frontmatter; the stack's notes go with
+ * its last child.
+ *
+ * @param {Object[]} slides - Slides from parseContent()
+ * @returns {Array<{ blocks: Object[], frontmatter: Object, notes: string }>}
+ */
+function flattenStacks(slides) {
+  return slides.flatMap(slide => {
+    const children = splitVerticalBlocks(slide.blocks);
+    if (!children.length) children.push([]);
+
+    return children.map((blocks, i) => ({
+      blocks,
+      frontmatter: slide.frontmatter,
+      notes: i === children.length - 1 ? slide.notes : ''
+    }));
+  });
+}
+
+/**
+ * Render the full WebSlides HTML document for a parsed deck
+ *
+ * @param {Object} deck - Result of parseContent() for a Markdown file
+ * @param {Object} options - Render options (see convertToWebSlides)
+ * @returns {string} HTML document
+ */
+export function renderWebSlides(deck, options = {}) {
+  const {
+    webslidesUrl = WEBSLIDES_CDN,
+    themeHref = null,
+    webslides = {}
+  } = options;
+
+  const frontmatter = deck.frontmatter || {};
+  const title = options.title || frontmatter.title || deck.name;
+
+  const settings = {
+    loop: false,
+    navigateOnScroll: true,
+    showIndex: true,
+    ...(frontmatter.webslides && typeof frontmatter.webslides === 'object' ? frontmatter.webslides : {}),
+    ...webslides
+  };
+
+  const sections = flattenStacks(deck.slides)
+    .map(slide => renderWebSlidesSection(slide.blocks, slide.frontmatter, slide.notes))
+    .join('\n');
+  const settingsJSON = JSON.stringify(settings, null, 2).replace(/\n/g, '\n    ');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(frontmatter.lang || 'en')}"${modeAttributes(frontmatter, options)}>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="generator" content="@prsmtech/presentation-logic">
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="${webslidesUrl}/css/webslides.css">
+${themeHref ? `  <link rel="stylesheet" href="${themeHref}">\n` : ''}</head>
+<body>
+  <main role="main">
+    <article id="webslides">
+${sections}
+    </article>
+  </main>
+
+  <script src="${webslidesUrl}/js/webslides.min.js"></script>
+  <script>
+    // WebSlides renders #navigation (with #counter) into #webslides
+    window.ws = new WebSlides(${settingsJSON});
+  </script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Convert a Markdown deck into a WebSlides presentation
+ *
+ * Frontmatter `title`, `mode`, `dark` / `colorSchema: dark` and a `webslides: {}`
+ * block (passed to the WebSlides constructor) are honoured. See
+ * renderWebSlidesSection() for the per-slide directives. Vertical stacks
+ * (`--`) become consecutive slides, counted in `slideCount`.
+ *
+ * @param {string} filePath - Path to Markdown deck
+ * @param {Object} options - Conversion options
+ * @param {string} options.outDir - Write `index.html` here (optional)
+ * @param {string} options.title - Override document title
+ * @param {string} options.mode - Colour mode (`dark`, `highContrast`, `print`, ...)
+ * @param {boolean} options.dark - Force dark mode on/off
+ * @param {string} options.webslidesUrl - Base URL of the WebSlides `static/` folder
+ * @param {string} options.theme - Theme to link (folder under themes/, default: prsmtech)
+ * @param {string} options.themeHref - Override the theme stylesheet href
+ * @param {Object} options.webslides - Extra WebSlides constructor options
+ * @returns {{ html: string, outputPath: string|null, slideCount: number }}
+ */
+export function convertToWebSlides(filePath, options = {}) {
+  const deck = parseContent(filePath);
+
+  if (deck.type !== 'markdown') {
+    throw new Error(`convertToWebSlides expects a Markdown deck, got ${deck.type}: ${filePath}`);
+  }
+
+  const { outDir = null } = options;
+  const targetDir = resolve(outDir || dirname(filePath));
+  const themeHref = options.themeHref ?? resolveThemeHref(FRAMEWORKS.WEBSLIDES, targetDir, options.theme);
+
+  const html = renderWebSlides(deck, { ...options, themeHref });
+  const outputPath = outDir ? writeOutput(targetDir, 'index.html', html) : null;
+
+  return { html, outputPath, slideCount: flattenStacks(deck.slides).length };
+}
+
+export default {
+  WEBSLIDES_CDN,
+  BACKGROUNDS,
+  renderWebSlidesSection,
+  renderWebSlides,
+  convertToWebSlides
+};
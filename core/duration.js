@@ -0,0 +1,199 @@
+/**
+ * PRSMTECH Presentation Logic - Talk Duration
+ *
+ * Estimates speaking time per slide from slide text, speaker notes,
+ * code, diagrams and media, honouring explicit `duration:` frontmatter.
+ *
+ * @module @prsmtech/presentation-logic/duration
+ */
+
+import { plainText } from './slides.js';
+
+/**
+ * Default timing assumptions (all overridable via estimateDuration options)
+ */
+export const DURATION_DEFAULTS = {
+  wordsPerMinute: 130,        // Speaking rate
+  textExpansion: 2,           // Spoken words per slide word when a slide has no notes
+  codeLineSeconds: 3,         // Walking through one line of code
+  liveCodeMultiplier: 2,      // `{monaco}` blocks are typed/run live
+  diagramSeconds: 45,         // Mermaid / PlantUML diagrams
+  imageSeconds: 10,
+  mathSeconds: 20,
+  tableRowSeconds: 4,
+  componentSeconds: 15,       // Vue components / interactive embeds
+  minSlideSeconds: 10
+};
+
+const DIAGRAM_LANGUAGES = ['mermaid', 'plantuml', 'dot', 'graphviz'];
+
+/**
+ * Parse a duration value into seconds
+ *
+ * Numbers are minutes. Strings accept `90s`, `2m`, `2min`, `1h30m`,
+ * `1:30` (m:ss) and bare numbers (minutes).
+ *
+ * @param {number|string} value - Duration
+ * @returns {number|null} Seconds, or null if unparseable
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value * 60 : null;
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim().toLowerCase();
+
+  const clock = text.match(/^(\d+):([0-5]\d)$/);
+  if (clock) return Number(clock[1]) * 60 + Number(clock[2]);
+
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text) * 60;
+
+  const units = { h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600, m: 60, min: 60, mins: 60, minute: 60, minutes: 60, s: 1, sec: 1, secs: 1, second: 1, seconds: 1 };
+  const parts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)/g)];
+  if (!parts.length || parts.map(part => part[0]).join('').replace(/\s/g, '') !== text.replace(/\s/g, '')) return null;
+  if (parts.some(([, , unit]) => !(unit in units))) return null;
+
+  return parts.reduce((sum, [, amount, unit]) => sum + Number(amount) * units[unit], 0);
+}
+
+/**
+ * Count words in plain text
+ */
+function countWords(text) {
+  return (String(text).match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
+}
+
+/**
+ * Walk blocks (including list items and blockquotes), tallying what takes time to present
+ */
+function tallyBlocks(blocks, tally) {
+  blocks.forEach(block => {
+    switch (block.type) {
+      case 'heading':
+      case 'paragraph':
+        tally.words += countWords(plainText(block.text));
+        break;
+      case 'list':
+        block.items.forEach(item => {
+          tally.words += countWords(plainText(item.text));
+          tallyBlocks(item.blocks, tally);
+        });
+        break;
+      case 'blockquote':
+        tallyBlocks(block.blocks, tally);
+        break;
+      case 'table':
+        tally.words += [block.header, ...block.rows].flat().reduce((sum, cell) => sum + countWords(plainText(cell)), 0);
+        tally.tableRows += block.rows.length;
+        break;
+      case 'code':
+        if (DIAGRAM_LANGUAGES.includes(block.lang)) {
+          tally.diagrams++;
+        } else {
+          const lines = block.code.split('\n').filter(line => line.trim()).length;
+          if (/\bmonaco\b/.test(block.attrs || '')) tally.liveCodeLines += lines;
+          else tally.codeLines += lines;
+        }
+        break;
+      case 'image':
+        tally.images++;
+        break;
+      case 'math':
+        tally.math++;
+        break;
+      case 'component':
+        tally.components++;
+        break;
+      default:
+        break;
+    }
+  });
+
+  return tally;
+}
+
+/**
+ * Estimate the speaking time of one structured slide
+ *
+ * @param {Object} slide - Slide from parseContent()
+ * @param {Object} options - Timing assumptions (see DURATION_DEFAULTS)
+ * @returns {{ seconds: number, source: 'frontmatter'|'estimate', breakdown: Object }}
+ */
+export function estimateSlideDuration(slide, options = {}) {
+  const settings = { ...DURATION_DEFAULTS, ...options };
+  const explicit = slide.frontmatter?.duration !== undefined ? parseDuration(slide.frontmatter.duration) : null;
+
+  if (slide.frontmatter?.duration !== undefined && explicit === null) {
+    console.warn(`Slide ${slide.index + 1}: ignoring unreadable duration "${slide.frontmatter.duration}"`);
+  }
+
+  const tally = tallyBlocks(slide.blocks || [], {
+    words: 0, codeLines: 0, liveCodeLines: 0, diagrams: 0, images: 0, math: 0, tableRows: 0, components: 0
+  });
+  const noteWords = countWords(slide.notes || '');
+  const secondsPerWord = 60 / settings.wordsPerMinute;
+
+  // Notes are the script (the slide text is at least read out); without
+  // them the speaker talks around the slide text
+  const speech = noteWords
+    ? Math.max(noteWords, tally.words) * secondsPerWord
+    : tally.words * settings.textExpansion * secondsPerWord;
+
+  const breakdown = {
+    speech: Math.round(speech),
+    code: Math.round((tally.codeLines + tally.liveCodeLines * settings.liveCodeMultiplier) * settings.codeLineSeconds),
+    diagrams: tally.diagrams * settings.diagramSeconds,
+    media: tally.images * settings.imageSeconds + tally.math * settings.mathSeconds +
+      tally.tableRows * settings.tableRowSeconds + tally.components * settings.componentSeconds
+  };
+
+  if (explicit !== null) {
+    return { seconds: Math.round(explicit), source: 'frontmatter', breakdown };
+  }
+
+  const total = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
+  return { seconds: Math.max(total, settings.minSlideSeconds), source: 'estimate', breakdown };
+}
+
+/**
+ * Estimate how long a deck takes to present
+ *
+ * Slides with `duration:` frontmatter use it as-is. The target slot is
+ * `options.target` or the deck's headmatter `duration`.
+ *
+ * @param {Object} deck - Result of parseContent() for a Markdown file
+ * @param {Object} options - Timing assumptions (see DURATION_DEFAULTS)
+ * @param {number|string} options.target - Time slot (minutes, or a duration string)
+ * @returns {{ totalSeconds: number, totalMinutes: number, targetSeconds: number|null, fits: boolean|null, slides: Object[] }}
+ */
+export function estimateDuration(deck, options = {}) {
+  const { target = deck.frontmatter?.duration, ...settings } = options;
+
+  if (!Array.isArray(deck.slides)) {
+    throw new Error(`estimateDuration expects a parsed deck with slides, got ${deck.type}`);
+  }
+
+  let elapsed = 0;
+  const slides = deck.slides.map(slide => {
+    const estimate = estimateSlideDuration(slide, settings);
+    const startsAt = elapsed;
+    elapsed += estimate.seconds;
+    return { index: slide.index, title: slide.title, ...estimate, startsAt };
+  });
+
+  const targetSeconds = target !== undefined ? parseDuration(target) : null;
+
+  return {
+    totalSeconds: elapsed,
+    totalMinutes: Math.round(elapsed / 6) / 10,
+    targetSeconds,
+    fits: targetSeconds === null ? null : elapsed <= targetSeconds,
+    slides
+  };
+}
+
+export default {
+  DURATION_DEFAULTS,
+  parseDuration,
+  estimateSlideDuration,
+  estimateDuration
+};
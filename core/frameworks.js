@@ -0,0 +1,244 @@
+/**
+ * PRSMTECH Presentation Logic - Framework Registry
+ *
+ * Framework identifiers, the capabilities matrix and selection criteria,
+ * plus registerFramework() for adding presentation targets (with their
+ * theme generator, content detector and selection rules) from outside
+ * the package.
+ *
+ * @module @prsmtech/presentation-logic/frameworks
+ */
+
+/**
+ * Supported presentation frameworks
+ */
+export const FRAMEWORKS = {
+  SLIDEV: 'slidev',
+  REVEAL: 'reveal',
+  WEBSLIDES: 'webslides',
+  MARP: 'marp'
+};
+
+/**
+ * Framework capabilities matrix
+ */
+export const FRAMEWORK_CAPABILITIES = {
+  [FRAMEWORKS.SLIDEV]: {
+    name: 'Slidev',
+    fileExtensions: ['.md'],
+    liveCode: true,
+    vueComponents: true,
+    animations: true,
+    pdfExport: true,
+    pptxExport: true,
+    mermaidDiagrams: true,
+    latexMath: true,
+    responsive: false,
+    codeHighlight: 'shiki',
+    dimensions: { width: 980, height: 552 },
+    strengths: ['liveCode', 'vueComponents', 'mermaid', 'technical', 'training']
+  },
+  [FRAMEWORKS.REVEAL]: {
+    name: 'Reveal.js',
+    fileExtensions: ['.html', '.md'],
+    liveCode: false,
+    vueComponents: false,
+    animations: true,
+    pdfExport: true,
+    pptxExport: false,
+    mermaidDiagrams: false,
+    latexMath: true,
+    responsive: false,
+    codeHighlight: 'highlight.js',
+    dimensions: { width: 960, height: 700 },
+    strengths: ['pdf', 'corporate']
+  },
+  [FRAMEWORKS.WEBSLIDES]: {
+    name: 'WebSlides',
+    fileExtensions: ['.html'],
+    liveCode: false,
+    vueComponents: false,
+    animations: true,
+    pdfExport: false,
+    pptxExport: false,
+    mermaidDiagrams: false,
+    latexMath: false,
+    responsive: true,
+    codeHighlight: 'prism',
+    dimensions: { width: '100vw', height: '100vh' },
+    strengths: ['responsive', 'marketing', 'portfolio']
+  },
+  [FRAMEWORKS.MARP]: {
+    name: 'Marp',
+    fileExtensions: ['.md'],
+    liveCode: false,
+    vueComponents: false,
+    animations: false,
+    pdfExport: true,
+    pptxExport: true,
+    mermaidDiagrams: false,
+    latexMath: true,
+    responsive: false,
+    codeHighlight: 'highlight.js',
+    dimensions: { width: 1280, height: 720 },
+    strengths: ['pptx']
+  }
+};
+
+/**
+ * Selection criteria: the option that raises each requirement, the
+ * capability that satisfies it, and its default weight
+ */
+export const SELECTION_CRITERIA = {
+  liveCode: { option: 'hasLiveCode', capability: 'liveCode', label: 'live code demos', weight: 5 },
+  vueComponents: { option: 'needsVueComponents', capability: 'vueComponents', label: 'Vue components', weight: 4 },
+  mermaid: { option: 'hasMermaid', capability: 'mermaidDiagrams', label: 'Mermaid diagrams', weight: 3 },
+  pdf: { option: 'exportFormat', value: 'pdf', capability: 'pdfExport', label: 'PDF export', weight: 3 },
+  pptx: { option: 'exportFormat', value: 'pptx', capability: 'pptxExport', label: 'PowerPoint export', weight: 3 },
+  latex: { option: 'hasLatex', capability: 'latexMath', label: 'LaTeX math', weight: 2 },
+  responsive: { option: 'responsive', capability: 'responsive', label: 'responsive layout', weight: 2 },
+  contentType: { label: 'content type', weight: 1 }
+};
+
+// Hooks of registered frameworks, in registration order
+const registry = new Map();
+
+/**
+ * Identifiers of the built-in frameworks, theme compiler outputs and
+ * `presentrus convert` targets, which a registered framework cannot take
+ */
+const RESERVED_IDS = [
+  'slidev', 'reveal', 'webslides', 'marp',
+  'base', 'tailwind', 'dtcg', 'beamer', 'scss', 'less', 'esm', 'types',
+  'pptx', 'pdf'
+];
+
+/**
+ * Register a presentation framework
+ *
+ * The framework joins FRAMEWORKS (as `id` upper-cased) and
+ * FRAMEWORK_CAPABILITIES, so rankFrameworks() scores it alongside the
+ * built-in targets.
+ *
+ * @param {Object} definition - Framework definition
+ * @param {string} definition.id - Identifier, e.g. `impress` (lowercase letters, digits, dashes; not a built-in output such as `base` or `tailwind`)
+ * @param {string} definition.name - Display name
+ * @param {Object} definition.capabilities - Capabilities matrix entry (`liveCode`, `pdfExport`, `dimensions`, `strengths`, ...)
+ * @param {Function} definition.theme - `(variables) => css`; the theme compiler writes it to `dist/<id>.css`
+ * @param {Function} definition.detect - `({ ext, name, content, frontmatter, body }) => boolean`; claims decks in parseContent()
+ * @param {Object} definition.criteria - Extra SELECTION_CRITERIA entries (`{ option, value?, capability, label, weight }`)
+ * @param {Function} definition.convert - `(deckPath, { outDir }) => { outputPath, slideCount }`; enables `presentrus convert --to <id>`
+ * @returns {string} The framework identifier
+ */
+export function registerFramework(definition = {}) {
+  const { id, name, capabilities = {}, theme, detect, criteria = {}, convert } = definition;
+
+  if (typeof id !== 'string' || !/^[a-z][a-z0-9-]*$/.test(id)) {
+    throw new Error(`Invalid framework id: ${id} (use lowercase letters, digits and dashes)`);
+  }
+  if (RESERVED_IDS.includes(id)) {
+    throw new Error(`Framework id is reserved: ${id} (used by a built-in framework or theme output)`);
+  }
+  if (id in FRAMEWORK_CAPABILITIES) {
+    throw new Error(`Framework already registered: ${id}`);
+  }
+  if (!name) {
+    throw new Error(`Framework ${id} needs a name`);
+  }
+  [['theme', theme], ['detect', detect], ['convert', convert]].forEach(([hook, fn]) => {
+    if (fn !== undefined && typeof fn !== 'function') {
+      throw new Error(`Framework ${id}: ${hook} must be a function`);
+    }
+  });
+  Object.entries(criteria).forEach(([key, criterion]) => {
+    if (key in SELECTION_CRITERIA) {
+      throw new Error(`Framework ${id}: selection criterion already defined: ${key}`);
+    }
+    if (!criterion.option || !criterion.capability || !Number.isFinite(criterion.weight)) {
+      throw new Error(`Framework ${id}: criterion ${key} needs an option, a capability and a numeric weight`);
+    }
+  });
+
+  FRAMEWORKS[id.toUpperCase().replace(/-/g, '_')] = id;
+  FRAMEWORK_CAPABILITIES[id] = {
+    name,
+    fileExtensions: [],
+    dimensions: { width: 1280, height: 720 },
+    strengths: [],
+    ...capabilities
+  };
+  Object.entries(criteria).forEach(([key, criterion]) => {
+    SELECTION_CRITERIA[key] = { label: key, ...criterion };
+  });
+  registry.set(id, { theme, detect, convert, criteria: Object.keys(criteria) });
+
+  return id;
+}
+
+/**
+ * Remove a framework added with registerFramework()
+ *
+ * @param {string} id - Framework identifier
+ * @returns {boolean} Whether the framework was registered
+ */
+export function unregisterFramework(id) {
+  const entry = registry.get(id);
+  if (!entry) return false;
+
+  Object.keys(FRAMEWORKS).filter(key => FRAMEWORKS[key] === id).forEach(key => delete FRAMEWORKS[key]);
+  delete FRAMEWORK_CAPABILITIES[id];
+  entry.criteria.forEach(key => delete SELECTION_CRITERIA[key]);
+  registry.delete(id);
+
+  return true;
+}
+
+/**
+ * Theme generators of registered frameworks, for the theme compiler
+ *
+ * @returns {Object} `{ [id]: (variables) => css }`
+ */
+export function getThemeGenerators() {
+  return Object.fromEntries([...registry].filter(([, { theme }]) => theme).map(([id, { theme }]) => [id, theme]));
+}
+
+/**
+ * Converters of registered frameworks, for `presentrus convert`
+ *
+ * @returns {Object} `{ [id]: (deckPath, { outDir }) => result }`
+ */
+export function getConverters() {
+  return Object.fromEntries([...registry].filter(([, { convert }]) => convert).map(([id, { convert }]) => [id, convert]));
+}
+
+/**
+ * Ask registered frameworks' detectors whether they own a deck
+ *
+ * Detectors run in registration order; the first to claim the deck wins.
+ * A detector that throws is skipped with a warning.
+ *
+ * @param {Object} context - `{ ext, name, content, frontmatter, body }`
+ * @returns {string|null} Framework identifier, or null if none claims it
+ */
+export function detectFramework(context) {
+  for (const [id, { detect }] of registry) {
+    if (!detect) continue;
+    try {
+      if (detect(context)) return id;
+    } catch (error) {
+      console.warn(`Framework ${id}: detector failed: ${error.message}`);
+    }
+  }
+  return null;
+}
+
+export default {
+  FRAMEWORKS,
+  FRAMEWORK_CAPABILITIES,
+  SELECTION_CRITERIA,
+  registerFramework,
+  unregisterFramework,
+  getThemeGenerators,
+  getConverters,
+  detectFramework
+};
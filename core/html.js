@@ -0,0 +1,264 @@
+/**
+ * PRSMTECH Presentation Logic - HTML Parser
+ *
+ * Small, tolerant HTML tokenizer that builds a plain object tree. It is
+ * meant for reading slide markup (Reveal.js / WebSlides decks), not for
+ * general-purpose, spec-compliant parsing.
+ *
+ * @module @prsmtech/presentation-logic/html
+ */
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+  'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea']);
+
+/**
+ * Elements closed implicitly when a sibling of the same kind opens
+ */
+const AUTO_CLOSE = {
+  p: new Set(['p', 'div', 'ul', 'ol', 'pre', 'blockquote', 'table', 'section', 'aside', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']),
+  li: new Set(['li']),
+  tr: new Set(['tr']),
+  td: new Set(['td', 'th', 'tr']),
+  th: new Set(['td', 'th', 'tr'])
+};
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  copy: '©',
+  reg: '®',
+  trade: '™',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  bull: '•',
+  rarr: '→',
+  larr: '←'
+};
+
+/**
+ * Decode HTML character references
+ *
+ * Numeric references to NUL, surrogates or beyond U+10FFFF decode to
+ * U+FFFD, as in browsers.
+ *
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[\da-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      const valid = code > 0 && code <= 0x10ffff && !(code >= 0xd800 && code <= 0xdfff);
+      return String.fromCodePoint(valid ? code : 0xfffd);
+    }
+    return NAMED_ENTITIES[ref] ?? match;
+  });
+}
+
+/**
+ * Parse an attribute string into an object
+ */
+function parseAttributes(source) {
+  const attrs = {};
+  const pattern = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4];
+    attrs[match[1].toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+  }
+
+  return attrs;
+}
+
+/**
+ * Parse HTML into a node tree
+ *
+ * Nodes are `{ type: 'element', tag, attrs, children }`,
+ * `{ type: 'text', value }` or `{ type: 'comment', value }`.
+ *
+ * @param {string} html - HTML source
+ * @returns {Object} Root node (`type: 'root'`)
+ */
+export function parseHTML(html) {
+  const root = { type: 'root', tag: null, attrs: {}, children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const tokenPattern = /<!--([\s\S]*?)-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*?)(\/?)>/g;
+  let lastIndex = 0;
+  let match;
+
+  const pushText = text => {
+    if (text) current().children.push({ type: 'text', value: decodeEntities(text) });
+  };
+
+  while ((match = tokenPattern.exec(html)) !== null) {
+    pushText(html.slice(lastIndex, match.index));
+    lastIndex = tokenPattern.lastIndex;
+
+    const [, comment, cdata, closeTag, openTag, attrSource, selfClosing] = match;
+
+    if (comment !== undefined) {
+      current().children.push({ type: 'comment', value: comment });
+    } else if (cdata !== undefined) {
+      pushText(cdata);
+    } else if (closeTag) {
+      const tag = closeTag.toLowerCase();
+      const index = stack.map(node => node.tag).lastIndexOf(tag);
+      // Ignore stray closing tags that were never opened
+      if (index > 0) stack.length = index;
+    } else if (openTag) {
+      const tag = openTag.toLowerCase();
+
+      while (AUTO_CLOSE[current().tag]?.has(tag)) {
+        stack.pop();
+      }
+
+      const node = { type: 'element', tag, attrs: parseAttributes(attrSource), children: [] };
+      current().children.push(node);
+
+      if (RAW_TEXT_ELEMENTS.has(tag)) {
+        const end = html.toLowerCase().indexOf(`</${tag}`, lastIndex);
+        const stop = end === -1 ? html.length : end;
+        if (stop > lastIndex) node.children.push({ type: 'text', value: html.slice(lastIndex, stop) });
+        const close = html.indexOf('>', stop);
+        lastIndex = close === -1 ? html.length : close + 1;
+        tokenPattern.lastIndex = lastIndex;
+      } else if (!selfClosing && !VOID_ELEMENTS.has(tag)) {
+        stack.push(node);
+      }
+    }
+  }
+
+  pushText(html.slice(lastIndex));
+  return root;
+}
+
+/**
+ * Get the class list of an element
+ *
+ * @param {Object} node - Element node
+ * @returns {string[]} Class names
+ */
+export function classList(node) {
+  return (node.attrs?.class || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Concatenate the text content of a node
+ *
+ * @param {Object} node - Any node
+ * @returns {string} Text content
+ */
+export function textContent(node) {
+  if (node.type === 'text') return node.value;
+  if (node.type === 'comment') return '';
+  return (node.children || []).map(textContent).join('');
+}
+
+/**
+ * Find the outermost descendants matching a predicate (does not descend into matches)
+ *
+ * @param {Object} node - Root node
+ * @param {Function} predicate - `(element) => boolean`
+ * @returns {Object[]} Matching elements in document order
+ */
+export function findOutermost(node, predicate) {
+  const found = [];
+
+  (node.children || []).forEach(child => {
+    if (child.type !== 'element') return;
+    if (predicate(child)) {
+      found.push(child);
+    } else {
+      found.push(...findOutermost(child, predicate));
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Find the first descendant matching a predicate
+ *
+ * @param {Object} node - Root node
+ * @param {Function} predicate - `(element) => boolean`
+ * @returns {Object|null} First matching element
+ */
+export function findFirst(node, predicate) {
+  for (const child of node.children || []) {
+    if (child.type !== 'element') continue;
+    if (predicate(child)) return child;
+    const nested = findFirst(child, predicate);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+/**
+ * Locate the slide sections of a deck, flattening vertical stacks
+ *
+ * Sections are looked up inside Reveal's `.slides` or WebSlides'
+ * `#webslides` container (or anywhere if neither exists); a section
+ * that contains sections is a stack and yields its children.
+ *
+ * @param {Object} root - Document root from parseHTML()
+ * @returns {Object[]} Slide sections in order
+ */
+export function findSlideSections(root) {
+  const container = findFirst(root, el => classList(el).includes('slides') || el.attrs.id === 'webslides') || root;
+
+  return findOutermost(container, el => el.tag === 'section').flatMap(section => {
+    const nested = findOutermost(section, el => el.tag === 'section');
+    return nested.length ? nested : [section];
+  });
+}
+
+/**
+ * Read the Markdown of a Reveal `data-markdown` section
+ *
+ * The Markdown sits in a `<textarea>` (decoded like the browser decodes
+ * it) or `<script>` template. As in Reveal, the indentation of the first
+ * line is removed from every line.
+ *
+ * @param {Object} section - Section element
+ * @returns {string|null} Markdown, or null when the section has no inline template
+ */
+export function markdownTemplate(section) {
+  if (!('data-markdown' in (section.attrs || {}))) return null;
+
+  const template = findFirst(section, el => el.tag === 'textarea' || el.tag === 'script');
+  if (!template) return null;
+
+  const text = template.tag === 'textarea' ? decodeEntities(textContent(template)) : textContent(template);
+  const indent = text.match(/^\n*([ \t]*)/)[1];
+  return text
+    .split('\n')
+    .map(line => (line.startsWith(indent) ? line.slice(indent.length) : line.trimStart()))
+    .join('\n')
+    .trim();
+}
+
+export default {
+  parseHTML,
+  decodeEntities,
+  classList,
+  textContent,
+  findOutermost,
+  findFirst,
+  findSlideSections,
+  markdownTemplate
+};
@@ -0,0 +1,83 @@
+/**
+ * PRSMTECH Presentation Logic - Image Utilities
+ *
+ * Reads raster image headers (PNG, JPEG, GIF) so exporters can size and
+ * embed slide images without decoding them.
+ *
+ * @module @prsmtech/presentation-logic/images
+ */
+
+import { readFileSync, existsSync, statSync } from 'fs';
+import { resolve } from 'path';
+
+/**
+ * Detect image type and pixel dimensions from the file header
+ *
+ * @param {Buffer} buffer - Image bytes
+ * @returns {{ type: 'png'|'jpeg'|'gif', width: number, height: number }|null} Image info, or null if unsupported
+ */
+export function readImageInfo(buffer) {
+  if (buffer.length > 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { type: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  if (buffer.length > 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { type: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) return null;
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+
+      // SOF0–SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return {
+          type: 'jpeg',
+          height: buffer.readUInt16BE(offset + 5),
+          width: buffer.readUInt16BE(offset + 7),
+          components: buffer[offset + 9]
+        };
+      }
+      offset += 2 + length;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load a local slide image relative to the deck
+ *
+ * Remote URLs, directories and unsupported formats return null so
+ * callers can fall back to alt text.
+ *
+ * @param {string} src - Image source from the slide
+ * @param {string} baseDir - Directory of the deck file
+ * @returns {{ path: string, data: Buffer, type: string, width: number, height: number }|null}
+ */
+export function loadImage(src, baseDir) {
+  if (!src || /^[a-z]+:\/\//i.test(src) || src.startsWith('data:')) return null;
+
+  const file = src.split(/[?#]/)[0];
+  let decoded = file;
+  try {
+    decoded = decodeURI(file);
+  } catch {
+    // Not percent-encoded (`100%.png`): use the path as written
+  }
+
+  const path = resolve(baseDir, decoded);
+  if (!existsSync(path) || !statSync(path).isFile()) return null;
+
+  const data = readFileSync(path);
+  const info = readImageInfo(data);
+  return info ? { path, data, ...info } : null;
+}
+
+export default {
+  readImageInfo,
+  loadImage
+};
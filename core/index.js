@@ -8,67 +8,39 @@
  */
 
 import { readFileSync, existsSync } from 'fs';
-import { dirname, join, resolve, extname, basename } from 'path';
-import { fileURLToPath } from 'url';
+import { join, extname, basename } from 'path';
 import matter from 'gray-matter';
+import { parseSlides, parseHtmlSlides, isMarpDeck } from './slides.js';
+import { estimateDuration } from './duration.js';
+import { convertToReveal } from './converters/reveal.js';
+import { convertToWebSlides } from './converters/webslides.js';
+import { htmlToMarkdown } from './converters/slidev.js';
+import { exportPptx } from './converters/pptx.js';
+import { exportPdf } from './converters/pdf.js';
+import { exportNotes } from './notes.js';
+import { resolveTokens } from './tokens/references.js';
+import { validateTokens, formatTokenErrors } from './tokens/validate.js';
+import { DEFAULT_THEME, listThemes, hasTheme, getThemeDir, loadThemeTokens, createTheme, exportTheme, importTheme, syncTheme, diffTokens, scanDeprecations } from './themes.js';
+import { toDTCG, fromDTCG, isDTCG } from './tokens/dtcg.js';
+import { parseDesignSystem, formatSyncReport } from './tokens/sync.js';
+import { compareTokens, formatTokenDiff } from './tokens/diff.js';
+import { getDeprecations } from './tokens/deprecations.js';
+import { toCSSVariables } from './tokens/css.js';
+import { checkCSSVariables, formatCSSVariableReport } from './tokens/usage.js';
+import { generatePalette, generateScale } from './tokens/palette.js';
+import { CONTRAST_PAIRS, getContrastPairs, contrastRatio, apcaContrast, auditContrast, formatContrastReport } from './tokens/contrast.js';
+import { MODE_ROLES, getModes, getDefaultMode, getModeColors } from './tokens/modes.js';
+import {
+  FRAMEWORKS,
+  FRAMEWORK_CAPABILITIES,
+  SELECTION_CRITERIA,
+  registerFramework,
+  unregisterFramework,
+  detectFramework
+} from './frameworks.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Load design tokens
-const variablesPath = join(__dirname, '../themes/prsmtech/variables.json');
-let designTokens = null;
-
-/**
- * Supported presentation frameworks
- */
-export const FRAMEWORKS = {
-  SLIDEV: 'slidev',
-  REVEAL: 'reveal',
-  WEBSLIDES: 'webslides'
-};
-
-/**
- * Framework capabilities matrix
- */
-export const FRAMEWORK_CAPABILITIES = {
-  [FRAMEWORKS.SLIDEV]: {
-    name: 'Slidev',
-    fileExtensions: ['.md'],
-    liveCode: true,
-    vueComponents: true,
-    animations: true,
-    pdfExport: true,
-    mermaidDiagrams: true,
-    latexMath: true,
-    codeHighlight: 'shiki',
-    dimensions: { width: 980, height: 552 }
-  },
-  [FRAMEWORKS.REVEAL]: {
-    name: 'Reveal.js',
-    fileExtensions: ['.html', '.md'],
-    liveCode: false,
-    vueComponents: false,
-    animations: true,
-    pdfExport: true,
-    mermaidDiagrams: false,
-    latexMath: true,
-    codeHighlight: 'highlight.js',
-    dimensions: { width: 960, height: 700 }
-  },
-  [FRAMEWORKS.WEBSLIDES]: {
-    name: 'WebSlides',
-    fileExtensions: ['.html'],
-    liveCode: false,
-    vueComponents: false,
-    animations: true,
-    pdfExport: false,
-    mermaidDiagrams: false,
-    latexMath: false,
-    codeHighlight: 'prism',
-    dimensions: { width: '100vw', height: '100vh' }
-  }
-};
+// Design tokens, cached per theme
+const designTokens = new Map();
 
 /**
  * Content type definitions for routing decisions
@@ -83,25 +55,107 @@ export const CONTENT_TYPES = {
 
 /**
  * Load and cache design tokens
- * @returns {Object} Design tokens from variables.json
+ *
+ * The theme's variables.json is merged over the themes it `$extends`,
+ * validated against tokens.schema.json, and `{colors.primary.500}`
+ * references are resolved to their values.
+ *
+ * @param {string} theme - Theme name (folder under themes/)
+ * @returns {Object|null} Design tokens, or null if the theme does not exist
+ * @throws {Error} With a per-token report when variables.json is invalid
  */
-export function getDesignTokens() {
-  if (!designTokens && existsSync(variablesPath)) {
-    designTokens = JSON.parse(readFileSync(variablesPath, 'utf-8'));
+export function getDesignTokens(theme = DEFAULT_THEME) {
+  if (!designTokens.has(theme)) {
+    if (!hasTheme(theme)) {
+      console.warn(`Theme not found: ${theme}. Available: ${listThemes().join(', ') || 'none'}`);
+      return null;
+    }
+    const raw = loadThemeTokens(theme);
+    const { valid, errors } = validateTokens(raw);
+    if (!valid) throw new Error(formatTokenErrors(errors, `${theme}/variables.json`));
+    designTokens.set(theme, resolveTokens(raw));
   }
-  return designTokens;
+  return designTokens.get(theme);
+}
+
+/**
+ * Share of a criterion's weight added when it is one of a framework's `strengths`
+ */
+const STRENGTH_BONUS = 0.5;
+
+/**
+ * Framework Ranking - Score every framework against content requirements
+ *
+ * Each requirement raised by the options adds its weight to frameworks
+ * whose capabilities meet it (plus a bonus when it is one of the
+ * framework's `strengths`) and subtracts it from those that do not.
+ * A matching content type adds its weight to frameworks listing it as a
+ * strength. Ties keep capability-matrix order (Slidev first).
+ *
+ * @param {Object} options - Content characteristics (see selectFramework)
+ * @param {Object} options.priorities - Weight overrides by criterion, e.g. `{ pdf: 10 }`
+ * @returns {Array<{ framework: string, name: string, score: number, eligible: boolean, criteria: Object[], unmet: string[] }>}
+ *   Frameworks ordered best first; `criteria` explain every point awarded
+ */
+export function rankFrameworks(options = {}) {
+  const { contentType = CONTENT_TYPES.TECHNICAL, priorities = {} } = options;
+  const weightOf = key => priorities[key] ?? SELECTION_CRITERIA[key].weight;
+
+  const required = Object.entries(SELECTION_CRITERIA)
+    .filter(([, criterion]) => criterion.option)
+    .filter(([, criterion]) => ('value' in criterion
+      ? options[criterion.option] === criterion.value
+      : Boolean(options[criterion.option])));
+
+  const ranking = Object.entries(FRAMEWORK_CAPABILITIES).map(([framework, capabilities], order) => {
+    const strengths = capabilities.strengths || [];
+    const criteria = required.map(([key, criterion]) => {
+      const weight = weightOf(key);
+      const met = Boolean(capabilities[criterion.capability]);
+      const strong = met && strengths.includes(key);
+      return {
+        criterion: key,
+        weight,
+        met,
+        points: met ? weight * (strong ? 1 + STRENGTH_BONUS : 1) : -weight,
+        reason: met
+          ? `${capabilities.name} ${strong ? 'excels at' : 'supports'} ${criterion.label}`
+          : `${capabilities.name} does not support ${criterion.label}`
+      };
+    });
+
+    if (strengths.includes(contentType)) {
+      criteria.push({
+        criterion: 'contentType',
+        weight: weightOf('contentType'),
+        met: true,
+        points: weightOf('contentType'),
+        reason: `${capabilities.name} is suited to ${contentType} content`
+      });
+    }
+
+    const unmet = criteria.filter(criterion => !criterion.met).map(criterion => criterion.criterion);
+
+    return {
+      framework,
+      name: capabilities.name,
+      score: criteria.reduce((sum, criterion) => sum + criterion.points, 0),
+      eligible: unmet.length === 0,
+      criteria,
+      unmet,
+      order
+    };
+  });
+
+  return ranking
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(({ order, ...entry }) => entry);
 }
 
 /**
  * Framework Router - Select optimal framework based on content characteristics
  *
- * Decision logic:
- * - Live code demonstrations → Slidev (Monaco editor support)
- * - Marketing/landing → WebSlides (CSS-first, responsive)
- * - PDF export priority → Reveal.js (best PDF support)
- * - Vue components needed → Slidev
- * - Technical documentation → Slidev (Mermaid, LaTeX)
- * - Default → Slidev
+ * Returns the top entry of rankFrameworks(); use that directly to see why.
  *
  * @param {Object} options - Content characteristics
  * @param {string} options.contentType - Type of content
@@ -111,61 +165,33 @@ export function getDesignTokens() {
  * @param {string} options.exportFormat - Desired export format
  * @param {boolean} options.needsVueComponents - Requires Vue components
  * @param {boolean} options.responsive - Needs responsive design
+ * @param {Object} options.priorities - Criterion weight overrides
  * @returns {string} Recommended framework identifier
  */
 export function selectFramework(options = {}) {
-  const {
-    contentType = CONTENT_TYPES.TECHNICAL,
-    hasLiveCode = false,
-    hasMermaid = false,
-    hasLatex = false,
-    exportFormat = null,
-    needsVueComponents = false,
-    responsive = false
-  } = options;
-
-  // Live code demos → Slidev (Monaco editor)
-  if (hasLiveCode) {
-    return FRAMEWORKS.SLIDEV;
-  }
-
-  // Vue components required → Slidev
-  if (needsVueComponents) {
-    return FRAMEWORKS.SLIDEV;
-  }
-
-  // Mermaid diagrams → Slidev
-  if (hasMermaid) {
-    return FRAMEWORKS.SLIDEV;
-  }
-
-  // Marketing content → WebSlides (CSS-first, beautiful)
-  if (contentType === CONTENT_TYPES.MARKETING && responsive) {
-    return FRAMEWORKS.WEBSLIDES;
-  }
-
-  // PDF export priority → Reveal.js (best PDF support)
-  if (exportFormat === 'pdf') {
-    return FRAMEWORKS.REVEAL;
-  }
-
-  // Technical with LaTeX → Slidev or Reveal
-  if (hasLatex) {
-    return FRAMEWORKS.SLIDEV;
-  }
-
-  // Corporate presentations → Reveal.js (professional)
-  if (contentType === CONTENT_TYPES.CORPORATE) {
-    return FRAMEWORKS.REVEAL;
-  }
-
-  // Default: Slidev (most versatile)
-  return FRAMEWORKS.SLIDEV;
+  return rankFrameworks(options)[0].framework;
 }
 
 /**
  * Parse presentation content file
  *
+ * For Markdown decks, `slides` is an array of structured slides:
+ * `{ index, frontmatter, title, content, blocks, notes, directives, range }` where
+ * `blocks` are typed content blocks (`heading`, `paragraph`, `list`,
+ * `code` with `lang`/`attrs`, `table`, `image`, `component`, ...) and
+ * `range` is the `{ start, end }` line span in the file. `directives` are
+ * the Marp local directives (`class`, `paginate`, ...) in effect. A Reveal-style
+ * `Note:` line starts a slide's notes only when the headmatter sets
+ * `notesSeparator: true`.
+ *
+ * For HTML decks, `slides` is the number of `<section>` slides and
+ * `sections` lists them as `{ index, title, notes }`.
+ *
+ * Marp decks (`marp: true`, or directive comments in a deck without Slidev
+ * or Reveal.js syntax) are recommended for Marp.
+ * A deck claimed by a registered framework's detector is recommended for
+ * that framework (`characteristics.detectedFramework`).
+ *
  * @param {string} filePath - Path to presentation file
  * @returns {Object} Parsed content with metadata and slides
  */
@@ -182,15 +208,32 @@ export function parseContent(filePath) {
   if (ext === '.md') {
     const { data: frontmatter, content: body } = matter(content);
 
-    // Split into slides (Slidev uses ---, Reveal uses <section>)
-    const slidesSeparator = /^---$/gm;
-    const slides = body.split(slidesSeparator).filter(s => s.trim());
+    // Line of the file where the body starts (after the headmatter)
+    const bodyOffset = content.endsWith(body) ? content.length - body.length : 0;
+    const firstLine = content.slice(0, bodyOffset).split('\n').length;
+
+    // Marp decks: `marp: true` headmatter or `<!-- _class: lead -->` style directives
+    const isMarp = isMarpDeck(frontmatter, body);
+
+    // Split into structured slides (Slidev uses ---, Reveal uses <section>)
+    const slides = parseSlides(body, {
+      firstLine,
+      directives: isMarp ? frontmatter : {},
+      notesSeparator: frontmatter.notesSeparator === true
+    });
 
     // Detect content characteristics
     const hasLiveCode = /{monaco}/i.test(body) || /```[\w]+\s*\{.*monaco.*\}/i.test(body);
     const hasMermaid = /```mermaid/i.test(body);
     const hasLatex = /\$\$[\s\S]*?\$\$/g.test(body) || /\\\[[\s\S]*?\\\]/g.test(body);
     const hasVueComponents = /<[A-Z][a-zA-Z]*.*\/?>/.test(body);
+    const frameworkRanking = rankFrameworks({
+      hasLiveCode,
+      hasMermaid,
+      hasLatex,
+      needsVueComponents: hasVueComponents
+    });
+    const detectedFramework = detectFramework({ ext, name, content, frontmatter, body });
 
     return {
       name,
@@ -204,40 +247,44 @@ export function parseContent(filePath) {
         hasMermaid,
         hasLatex,
         hasVueComponents,
-        estimatedDuration: Math.ceil(slides.length * 2) // ~2 min per slide
+        isMarp,
+        estimatedDuration: Math.ceil(estimateDuration({ frontmatter, slides }).totalSeconds / 60), // minutes
+        ...(detectedFramework && { detectedFramework })
       },
-      recommendedFramework: selectFramework({
-        hasLiveCode,
-        hasMermaid,
-        hasLatex,
-        needsVueComponents: hasVueComponents
-      })
+      recommendedFramework: detectedFramework || (isMarp ? FRAMEWORKS.MARP : frameworkRanking[0].framework),
+      frameworkRanking
     };
   }
 
   // HTML content
   if (ext === '.html') {
-    const slideMatches = content.match(/<section[^>]*>[\s\S]*?<\/section>/gi) || [];
-    const isWebSlides = /<div[^>]*id=["']webslides["'][^>]*>/i.test(content);
+    const sections = parseHtmlSlides(content);
+    const isWebSlides = /<(div|article)[^>]*id=["']webslides["'][^>]*>/i.test(content);
+    const detectedFramework = detectFramework({ ext, name, content });
 
     return {
       name,
       type: 'html',
-      slides: slideMatches.length,
-      slideCount: slideMatches.length,
+      slides: sections.length,
+      slideCount: sections.length,
+      sections,
       raw: content,
       characteristics: {
         isWebSlides,
-        isReveal: !isWebSlides && slideMatches.length > 0
+        isReveal: !isWebSlides && sections.length > 0,
+        ...(detectedFramework && { detectedFramework })
       },
-      recommendedFramework: isWebSlides ? FRAMEWORKS.WEBSLIDES : FRAMEWORKS.REVEAL
+      recommendedFramework: detectedFramework || (isWebSlides ? FRAMEWORKS.WEBSLIDES : FRAMEWORKS.REVEAL)
     };
   }
 
+  const detectedFramework = detectFramework({ ext, name, content });
+
   return {
     name,
     type: 'unknown',
-    raw: content
+    raw: content,
+    ...(detectedFramework && { recommendedFramework: detectedFramework })
   };
 }
 
@@ -245,11 +292,12 @@ export function parseContent(filePath) {
  * Get theme CSS path for a specific framework
  *
  * @param {string} framework - Framework identifier
+ * @param {string} theme - Theme name
  * @returns {string} Path to compiled CSS
  */
-export function getThemePath(framework = FRAMEWORKS.SLIDEV) {
+export function getThemePath(framework = FRAMEWORKS.SLIDEV, theme = DEFAULT_THEME) {
   const frameworkKey = framework.toLowerCase();
-  const cssPath = join(__dirname, `../themes/prsmtech/dist/${frameworkKey}.css`);
+  const cssPath = join(getThemeDir(theme), 'dist', `${frameworkKey}.css`);
 
   if (!existsSync(cssPath)) {
     console.warn(`Theme CSS not found: ${cssPath}. Run 'npm run theme:build' first.`);
@@ -263,10 +311,11 @@ export function getThemePath(framework = FRAMEWORKS.SLIDEV) {
  * Get CSS content for a specific framework
  *
  * @param {string} framework - Framework identifier
+ * @param {string} theme - Theme name
  * @returns {string|null} CSS content or null if not found
  */
-export function getThemeCSS(framework = FRAMEWORKS.SLIDEV) {
-  const themePath = getThemePath(framework);
+export function getThemeCSS(framework = FRAMEWORKS.SLIDEV, theme = DEFAULT_THEME) {
+  const themePath = getThemePath(framework, theme);
   if (!themePath) return null;
 
   return readFileSync(themePath, 'utf-8');
@@ -275,58 +324,45 @@ export function getThemeCSS(framework = FRAMEWORKS.SLIDEV) {
 /**
  * Get all available CSS variables from the theme
  *
+ * @param {string} theme - Theme name
  * @returns {Object} Key-value pairs of CSS custom properties
  */
-export function getCSSVariables() {
-  const tokens = getDesignTokens();
+export function getCSSVariables(theme = DEFAULT_THEME) {
+  const tokens = getDesignTokens(theme);
   if (!tokens) return {};
 
-  const variables = {};
-
-  function flatten(obj, prefix = 'prsm') {
-    Object.entries(obj).forEach(([key, value]) => {
-      if (key.startsWith('$')) return; // Skip metadata
-
-      const varName = `--${prefix}-${key}`;
-
-      if (typeof value === 'object' && value !== null) {
-        if ('DEFAULT' in value) {
-          variables[varName] = value.DEFAULT;
-        }
-        if ('value' in value) {
-          variables[varName] = value.value;
-        }
-        flatten(value, `${prefix}-${key}`);
-      } else if (typeof value === 'string' || typeof value === 'number') {
-        variables[varName] = value;
-      }
-    });
-  }
-
-  flatten(tokens);
-  return variables;
+  return toCSSVariables(tokens);
 }
 
 /**
  * Generate inline style object from design tokens
  *
  * @param {Object} options - Styling options
+ * @param {string} options.mode - Colour mode (`light`, `dark`, `highContrast`, `print`, ...; default: the theme's first mode)
+ * @param {boolean} options.dark - Shorthand for `mode: 'dark'`
+ * @param {string} options.theme - Theme name
  * @returns {Object} React-compatible style object
  */
 export function getInlineStyles(options = {}) {
-  const tokens = getDesignTokens();
-  if (!tokens) return {};
+  const { dark = false, theme = DEFAULT_THEME } = options;
 
-  const { dark = false } = options;
+  const tokens = getDesignTokens(theme);
+  if (!tokens) return {};
 
-  const colorScheme = dark ? tokens.colors.dark : tokens.colors.slide;
+  const mode = options.mode ?? (dark ? 'dark' : getDefaultMode(tokens));
+  let colorScheme = getModeColors(tokens, mode);
+  if (!colorScheme) {
+    console.warn(`Unknown colour mode "${mode}" (available: ${getModes(tokens).map(({ name }) => name).join(', ')})`);
+    colorScheme = getModeColors(tokens);
+  }
 
   return {
     fontFamily: tokens.typography.fontFamily.sans.join(', '),
     backgroundColor: colorScheme.background,
     color: colorScheme.text,
     '--heading-color': colorScheme.heading,
-    '--link-color': colorScheme.link
+    '--link-color': colorScheme.link,
+    '--accent-color': colorScheme.accent
   };
 }
 
@@ -343,10 +379,11 @@ export function createPresentationConfig(options = {}) {
     theme = 'prsmtech',
     framework = FRAMEWORKS.SLIDEV,
     dark = false,
+    mode = dark ? 'dark' : undefined,
     exportable = true
   } = options;
 
-  const tokens = getDesignTokens();
+  const tokens = getDesignTokens(theme);
   const capabilities = FRAMEWORK_CAPABILITIES[framework];
 
   return {
@@ -360,6 +397,7 @@ export function createPresentationConfig(options = {}) {
     theme: {
       name: theme,
       dark,
+      mode: mode ?? (tokens ? getDefaultMode(tokens) : null),
       tokens: tokens || {}
     },
     dimensions: capabilities.dimensions,
@@ -371,23 +409,62 @@ export function createPresentationConfig(options = {}) {
       pdfExport: capabilities.pdfExport && exportable
     },
     paths: {
-      themeCSS: getThemePath(framework),
-      baseCSS: getThemePath('base')
+      themeCSS: getThemePath(framework, theme),
+      baseCSS: getThemePath('base', theme)
     }
   };
 }
 
+export { FRAMEWORKS, FRAMEWORK_CAPABILITIES, SELECTION_CRITERIA, registerFramework, unregisterFramework };
+export { DEFAULT_THEME, listThemes, createTheme, exportTheme, importTheme, syncTheme, diffTokens, scanDeprecations };
+export { toDTCG, fromDTCG, isDTCG };
+export { parseDesignSystem, formatSyncReport };
+export { compareTokens, formatTokenDiff };
+export { getDeprecations };
+export { generatePalette, generateScale };
+export { resolveTokens, validateTokens, formatTokenErrors };
+export { CONTRAST_PAIRS, getContrastPairs, contrastRatio, apcaContrast, auditContrast, formatContrastReport };
+export { MODE_ROLES, getModes, getDefaultMode, getModeColors };
+export { checkCSSVariables, formatCSSVariableReport };
+export { convertToReveal, convertToWebSlides, htmlToMarkdown, exportPptx, exportPdf, exportNotes, estimateDuration };
+
 // Default export
 export default {
   FRAMEWORKS,
   FRAMEWORK_CAPABILITIES,
   CONTENT_TYPES,
+  SELECTION_CRITERIA,
   selectFramework,
+  rankFrameworks,
+  registerFramework,
+  unregisterFramework,
   parseContent,
   getDesignTokens,
+  listThemes,
+  createTheme,
+  exportTheme,
+  importTheme,
+  syncTheme,
+  diffTokens,
+  scanDeprecations,
+  generatePalette,
+  resolveTokens,
+  validateTokens,
+  formatTokenErrors,
+  auditContrast,
+  formatContrastReport,
+  checkCSSVariables,
+  getModes,
   getThemePath,
   getThemeCSS,
   getCSSVariables,
   getInlineStyles,
-  createPresentationConfig
+  createPresentationConfig,
+  convertToReveal,
+  convertToWebSlides,
+  htmlToMarkdown,
+  exportPptx,
+  exportPdf,
+  exportNotes,
+  estimateDuration
 };
@@ -0,0 +1,486 @@
+/**
+ * PRSMTECH Presentation Logic - Markdown Parser and Renderer
+ *
+ * Dependency-free block parser and HTML renderer for the subset of
+ * Markdown used in slide decks: headings, paragraphs, lists, fenced code,
+ * blockquotes, tables, images, display math, links, inline formatting
+ * and raw HTML / Vue component passthrough. The slide parser and every
+ * converter share this one grammar.
+ *
+ * @module @prsmtech/presentation-logic/markdown
+ */
+
+const FENCE = /^(\s*)(`{3,}|~{3,})\s*([^\s{`]*)\s*(\{[^}]*\})?.*$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR = /^\s*(\*\s*){3,}$|^\s*(_\s*){3,}$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const HTML_BLOCK = /^\s*<(\/?[a-zA-Z][\w-]*|!--)/;
+const COMPONENT_TAG = /^\s*<([A-Z][\w-]*|[a-z]+(?:-[a-z]+)+)[\s/>]/;
+const IMAGE = /!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/g;
+const ESCAPE = /\\([!-/:-@[-`{-~])/g;
+
+/**
+ * A line holding only `--`: the break between Reveal-style vertical slides
+ */
+export const VERTICAL_SEPARATOR = /^--\s*$/;
+
+/**
+ * Escape text for safe inclusion in HTML
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * `<img>` for a Markdown image (backslash escapes in the alt text resolved)
+ */
+function imageTag(src, alt, title) {
+  return `<img src="${src}" alt="${escapeHtml(alt.replace(ESCAPE, '$1'))}"${title ? ` title="${escapeHtml(title)}"` : ''}>`;
+}
+
+/**
+ * Render inline Markdown (code spans, images, links, emphasis)
+ *
+ * Inline HTML tags are passed through untouched; a backslash before
+ * ASCII punctuation outside code spans keeps the character literal.
+ *
+ * @param {string} text - Inline Markdown
+ * @returns {string} HTML
+ */
+export function renderInline(text) {
+  const codeSpans = [];
+
+  let html = text.replace(/(?<!\\)(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => {
+    codeSpans.push(`<code>${escapeHtml(code.trim())}</code>`);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  const escapes = [];
+  html = html.replace(ESCAPE, (_, char) => {
+    escapes.push(escapeHtml(char));
+    return `\u0001${escapes.length - 1}\u0001`;
+  });
+
+  html = html
+    .replace(/&(?![a-zA-Z]+;|#\d+;|#x[\da-fA-F]+;)/g, '&amp;')
+    .replace(/<(?![a-zA-Z/!])/g, '&lt;');
+
+  // Images become placeholders too, so emphasis never reaches their attributes
+  const images = [];
+  html = html.replace(IMAGE, (_, alt, src, title) => {
+    images.push(imageTag(src, alt, title));
+    return `\u0002${images.length - 1}\u0002`;
+  });
+
+  html = html
+    .replace(/\[([^\]]+)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/g, (_, label, href, title) =>
+      `<a href="${href}"${title ? ` title="${escapeHtml(title)}"` : ''}>${label}</a>`)
+    .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, (_, a, b) => `<strong>${a ?? b}</strong>`)
+    .replace(/\*([^*\s][^*]*)\*|\b_([^_\s][^_]*)_\b/g, (_, a, b) => `<em>${a ?? b}</em>`)
+    .replace(/~~([^~]+)~~/g, '<del>$1</del>');
+
+  return html
+    .replace(/\u0002(\d+)\u0002/g, (_, i) => images[Number(i)])
+    .replace(/\u0001(\d+)\u0001/g, (_, i) => escapes[Number(i)])
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => codeSpans[Number(i)]);
+}
+
+/**
+ * Parse fenced code info string (e.g. "ts {monaco}" or "js {2,3}")
+ *
+ * @param {string} lang - Language identifier
+ * @param {string} [attrs] - Brace-wrapped attribute string
+ * @returns {Object} Language and attribute string
+ */
+export function parseFenceInfo(lang, attrs) {
+  return {
+    lang: lang || null,
+    attrs: attrs ? attrs.slice(1, -1).trim() : null
+  };
+}
+
+/**
+ * Whether a line closes a fence opened with `marker`
+ */
+function closesFence(line, marker) {
+  return new RegExp(`^\\s*\\${marker[0]}{${marker.length},}\\s*$`).test(line);
+}
+
+/**
+ * Track fenced code state line by line
+ *
+ * @returns {Function} `(line) => boolean` that reports whether the line is inside (or delimits) a fence
+ */
+export function fenceTracker() {
+  let marker = null;
+
+  return line => {
+    if (marker) {
+      if (closesFence(line, marker)) marker = null;
+      return true;
+    }
+
+    const open = line.match(FENCE);
+    if (open) {
+      marker = open[2];
+      return true;
+    }
+    return false;
+  };
+}
+
+/**
+ * Split a table row into trimmed cells (`\|` stays in its cell)
+ */
+function splitRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(c => c.trim());
+}
+
+/**
+ * Count leading indentation, treating tabs as four spaces
+ */
+function indentOf(line) {
+  return line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+}
+
+/**
+ * Parse a list starting at `start`, nesting indented content as child blocks
+ */
+function parseList(lines, start, firstLine) {
+  const first = lines[start].match(LIST_ITEM);
+  const baseIndent = indentOf(first[1]);
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const match = line.match(LIST_ITEM);
+
+    if (match && indentOf(match[1]) === baseIndent && /\d/.test(match[2]) === ordered) {
+      items.push({ text: match[3], line: firstLine + i, children: [] });
+      i++;
+      continue;
+    }
+
+    const nextLine = lines[i + 1];
+    const continues = line.trim() === ''
+      ? nextLine !== undefined && nextLine.trim() !== '' && indentOf(nextLine) > baseIndent
+      : indentOf(line) > baseIndent;
+    if (!continues) break;
+
+    items[items.length - 1].children.push(line.trim() === '' ? '' : line.slice(Math.min(indentOf(line), baseIndent + 2)));
+    i++;
+  }
+
+  return {
+    block: {
+      type: 'list',
+      ordered,
+      start: ordered ? parseInt(first[2], 10) : 1,
+      items: items.map(({ text, line, children }) => ({
+        text,
+        blocks: children.length ? parseBlocks(children.join('\n'), line + 1) : []
+      })),
+      range: { start: firstLine + start, end: firstLine + i - 1 }
+    },
+    next: i
+  };
+}
+
+/**
+ * Parse Markdown into typed blocks
+ *
+ * Block types: `heading`, `paragraph`, `list`, `code`, `table`, `image`,
+ * `blockquote`, `math`, `component`, `html`, `comment`, `hr` and
+ * `vertical` (a `--` break between Reveal vertical slides). Every
+ * block carries its source `range` (`{ start, end }` file line numbers).
+ * An HTML comment on its own line interrupts a paragraph, so converter
+ * directives such as `<!-- cell -->` are always blocks of their own.
+ *
+ * @param {string} markdown - Markdown source
+ * @param {number} firstLine - File line number of the first line
+ * @returns {Object[]} Blocks in document order
+ */
+export function parseBlocks(markdown, firstLine = 1) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = null;
+  let i = 0;
+
+  const push = (block, start, end) => blocks.push({ ...block, range: { start: firstLine + start, end: firstLine + end } });
+
+  const flushParagraph = () => {
+    if (!paragraph) return;
+    const text = paragraph.lines.join('\n').trim();
+    const images = [...text.matchAll(IMAGE)];
+
+    // A paragraph made only of images becomes image blocks
+    if (images.length && !text.replace(IMAGE, '').trim()) {
+      images.forEach(([, alt, src, title]) =>
+        push({ type: 'image', src, alt, ...(title ? { title } : {}) }, paragraph.start, paragraph.end));
+    } else {
+      push({ type: 'paragraph', text }, paragraph.start, paragraph.end);
+    }
+    paragraph = null;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (line.trim() === '') {
+      flushParagraph();
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      flushParagraph();
+      const start = i;
+      const marker = fence[2];
+      const code = [];
+      i++;
+      while (i < lines.length && !closesFence(lines[i], marker)) {
+        code.push(lines[i]);
+        i++;
+      }
+      push({ type: 'code', ...parseFenceInfo(fence[3], fence[4]), code: code.join('\n') }, start, Math.min(i, lines.length - 1));
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      flushParagraph();
+      push({ type: 'heading', level: heading[1].length, text: heading[2] }, i, i);
+      i++;
+      continue;
+    }
+
+    // Reveal-style vertical slide break
+    if (VERTICAL_SEPARATOR.test(line)) {
+      flushParagraph();
+      push({ type: 'vertical' }, i, i);
+      i++;
+      continue;
+    }
+
+    if (HR.test(line)) {
+      flushParagraph();
+      push({ type: 'hr' }, i, i);
+      i++;
+      continue;
+    }
+
+    // Display math
+    if (/^\s*\$\$/.test(line)) {
+      flushParagraph();
+      const start = i;
+      const tex = [line.trim().slice(2)];
+      if (!/\$\$\s*$/.test(tex[0]) || tex[0].trim() === '') {
+        i++;
+        while (i < lines.length && !/\$\$\s*$/.test(lines[i])) {
+          tex.push(lines[i]);
+          i++;
+        }
+        if (i < lines.length) tex.push(lines[i]);
+      }
+      push({ type: 'math', tex: tex.join('\n').replace(/\$\$\s*$/, '').trim() }, start, Math.min(i, lines.length - 1));
+      i++;
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      flushParagraph();
+      const start = i;
+      const quote = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) {
+        quote.push(lines[i].replace(/^\s*>\s?/, ''));
+        i++;
+      }
+      push({ type: 'blockquote', blocks: parseBlocks(quote.join('\n'), firstLine + start) }, start, i - 1);
+      continue;
+    }
+
+    if (LIST_ITEM.test(line) && !paragraph) {
+      const { block, next } = parseList(lines, i, firstLine);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    if (line.includes('|') && TABLE_DIVIDER.test(lines[i + 1] || '') && lines[i + 1].includes('-')) {
+      flushParagraph();
+      const start = i;
+      const header = splitRow(line);
+      const align = splitRow(lines[i + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+      });
+      i += 2;
+
+      const rows = [];
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim() !== '') {
+        rows.push(splitRow(lines[i]));
+        i++;
+      }
+      push({ type: 'table', header, align, rows }, start, i - 1);
+      continue;
+    }
+
+    // A comment that ends its last line (text after `-->` makes it inline HTML)
+    if (line.trim().startsWith('<!--')) {
+      let end = i;
+      while (end < lines.length - 1 && !lines[end].includes('-->')) end++;
+      const closed = lines[end].includes('-->');
+      if (!closed || !lines[end].slice(lines[end].indexOf('-->') + 3).trim()) {
+        flushParagraph();
+        const text = lines.slice(i, end + 1).join('\n').replace(/^\s*<!--/, '').replace(/-->\s*$/, '').trim();
+        push({ type: 'comment', text }, i, end);
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (HTML_BLOCK.test(line) && !paragraph) {
+      const start = i;
+      const raw = [];
+      while (i < lines.length && lines[i].trim() !== '') {
+        raw.push(lines[i]);
+        i++;
+      }
+      const component = line.match(COMPONENT_TAG);
+      push(component
+        ? { type: 'component', name: component[1], raw: raw.join('\n') }
+        : { type: 'html', raw: raw.join('\n') }, start, i - 1);
+      continue;
+    }
+
+    if (!paragraph) paragraph = { lines: [], start: i };
+    paragraph.lines.push(line);
+    paragraph.end = i;
+    i++;
+  }
+
+  flushParagraph();
+  return blocks;
+}
+
+/**
+ * Render blocks from parseBlocks() to HTML
+ *
+ * Image blocks of one paragraph share a `<p>`, display math keeps its
+ * `$$` delimiters for KaTeX, comments, raw HTML and components pass
+ * through and `vertical` breaks render nothing.
+ *
+ * @param {Object[]} blocks - Blocks
+ * @param {Object} options - Rendering options
+ * @param {Function} options.renderCode - Custom code block renderer `(code, info) => html`
+ * @returns {string} HTML
+ */
+export function renderBlocks(blocks, options = {}) {
+  const { renderCode = null } = options;
+  const out = [];
+
+  blocks.forEach((block, index) => {
+    switch (block.type) {
+      case 'heading':
+        out.push(`<h${block.level}>${renderInline(block.text)}</h${block.level}>`);
+        break;
+      case 'paragraph':
+        out.push(`<p>${renderInline(block.text)}</p>`);
+        break;
+      case 'image': {
+        const previous = blocks[index - 1];
+        const img = imageTag(block.src, block.alt, block.title);
+        if (previous?.type === 'image' && previous.range?.start === block.range?.start) {
+          out[out.length - 1] = out[out.length - 1].replace(/<\/p>$/, ` ${img}</p>`);
+        } else {
+          out.push(`<p>${img}</p>`);
+        }
+        break;
+      }
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const startAttr = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+        const items = block.items.map(({ text, blocks: children }) => {
+          const nested = children.length ? renderBlocks(children, options) : '';
+          return `<li>${renderInline(text)}${nested ? `\n${nested}` : ''}</li>`;
+        }).join('\n');
+        out.push(`<${tag}${startAttr}>\n${items}\n</${tag}>`);
+        break;
+      }
+      case 'code':
+        if (renderCode) {
+          out.push(renderCode(block.code, { lang: block.lang, attrs: block.attrs }));
+        } else {
+          const cls = block.lang ? ` class="language-${block.lang}"` : '';
+          out.push(`<pre><code${cls}>${escapeHtml(block.code)}</code></pre>`);
+        }
+        break;
+      case 'blockquote':
+        out.push(`<blockquote>\n${renderBlocks(block.blocks, options)}\n</blockquote>`);
+        break;
+      case 'table': {
+        const alignAttr = idx => (block.align[idx] ? ` style="text-align: ${block.align[idx]}"` : '');
+        const thead = block.header.map((cell, idx) => `<th${alignAttr(idx)}>${renderInline(cell)}</th>`).join('');
+        const tbody = block.rows
+          .map(row => `<tr>${row.map((cell, idx) => `<td${alignAttr(idx)}>${renderInline(cell)}</td>`).join('')}</tr>`)
+          .join('\n');
+        out.push(`<table>\n<thead><tr>${thead}</tr></thead>\n<tbody>\n${tbody}\n</tbody>\n</table>`);
+        break;
+      }
+      case 'math':
+        out.push(`<p>$$\n${escapeHtml(block.tex)}\n$$</p>`);
+        break;
+      case 'comment':
+        out.push(`<!-- ${block.text} -->`);
+        break;
+      case 'html':
+      case 'component':
+        out.push(block.raw);
+        break;
+      case 'hr':
+        out.push('<hr>');
+        break;
+      default:
+        // `vertical` breaks are handled by the converters
+        break;
+    }
+  });
+
+  return out.join('\n');
+}
+
+/**
+ * Render Markdown to HTML
+ *
+ * @param {string} markdown - Markdown source
+ * @param {Object} options - Rendering options (see renderBlocks)
+ * @returns {string} HTML
+ */
+export function renderMarkdown(markdown, options = {}) {
+  return renderBlocks(parseBlocks(markdown), options);
+}
+
+export default {
+  escapeHtml,
+  renderInline,
+  renderMarkdown,
+  parseFenceInfo,
+  VERTICAL_SEPARATOR,
+  fenceTracker,
+  parseBlocks,
+  renderBlocks
+};
@@ -0,0 +1,97 @@
+/**
+ * PRSMTECH Presentation Logic - Speaker Notes
+ *
+ * Reads presenter notes from HTML slide markup and exports a deck's
+ * notes as a printable script (Markdown, plain text or JSON).
+ *
+ * @module @prsmtech/presentation-logic/notes
+ */
+
+import { parseContent } from './index.js';
+import { classList, textContent, findOutermost } from './html.js';
+
+/**
+ * Supported `exportNotes()` formats
+ */
+export const NOTES_FORMATS = ['md', 'txt', 'json'];
+
+/**
+ * Plain text of a notes element, one trimmed line per source line
+ *
+ * @param {Object} node - Notes element
+ * @returns {string} Notes text
+ */
+export function noteText(node) {
+  return textContent(node).split('\n').map(line => line.trim()).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Collect presenter notes from an HTML slide section
+ *
+ * Recognises Reveal.js `<aside class="notes">` (any element with the
+ * `notes` class, which is also how WebSlides decks carry notes) and the
+ * `data-notes` attribute.
+ *
+ * @param {Object} section - Section element from parseHTML()
+ * @returns {string} Notes text (empty if none)
+ */
+export function sectionNotes(section) {
+  const notes = [];
+
+  if (section.attrs?.['data-notes']) notes.push(section.attrs['data-notes'].trim());
+  findOutermost(section, el => classList(el).includes('notes')).forEach(node => notes.push(noteText(node)));
+
+  return notes.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Export a deck's speaker notes as a presenter script
+ *
+ * Every slide is listed (with its number and title) so the script lines
+ * up with the deck, including slides without notes.
+ *
+ * @param {Object|string} deck - Result of parseContent(), or a deck file path
+ * @param {string} format - `md`, `txt` or `json`
+ * @returns {string} Script contents
+ */
+export function exportNotes(deck, format = 'md') {
+  if (!NOTES_FORMATS.includes(format)) {
+    throw new Error(`Unknown notes format: ${format} (expected ${NOTES_FORMATS.join(', ')})`);
+  }
+
+  const parsed = typeof deck === 'string' ? parseContent(deck) : deck;
+  const deckSlides = parsed?.type === 'html' ? parsed.sections : parsed?.slides;
+  if (!Array.isArray(deckSlides)) {
+    throw new Error(`exportNotes expects a parsed Markdown or HTML deck`);
+  }
+
+  const title = parsed.frontmatter?.title || parsed.name || 'Presentation';
+  const slides = deckSlides.map((slide, i) => ({
+    number: i + 1,
+    title: slide.title || null,
+    notes: slide.notes || ''
+  }));
+
+  if (format === 'json') {
+    return `${JSON.stringify({ title, slideCount: slides.length, slides }, null, 2)}\n`;
+  }
+
+  if (format === 'txt') {
+    const sections = slides.map(({ number, title: slideTitle, notes }) => {
+      const heading = `[${number}] ${slideTitle || 'Untitled'}`;
+      return `${heading}\n${'-'.repeat(heading.length)}\n${notes || '(no notes)'}`;
+    });
+    return `${title}\nSpeaker notes\n${'='.repeat(Math.max(title.length, 13))}\n\n${sections.join('\n\n')}\n`;
+  }
+
+  const sections = slides.map(({ number, title: slideTitle, notes }) =>
+    `## ${number}. ${slideTitle || 'Untitled'}\n\n${notes || '_No notes._'}`);
+  return `# ${title} — Speaker Notes\n\n${sections.join('\n\n')}\n`;
+}
+
+export default {
+  NOTES_FORMATS,
+  noteText,
+  sectionNotes,
+  exportNotes
+};
@@ -0,0 +1,510 @@
+/**
+ * PRSMTECH Presentation Logic - PDF Primitives
+ *
+ * Dependency-free building blocks for writing PDF 1.4 files: an object
+ * and cross-reference writer, WinAnsi text encoding with standard font
+ * metrics, TrueType font embedding and PNG/JPEG image XObjects.
+ *
+ * @module @prsmtech/presentation-logic/pdf
+ */
+
+import { deflateSync, inflateSync } from 'zlib';
+
+/* ----------------------------------------------------------------------------
+ * Document writer
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Format a number for a PDF content stream or dictionary
+ *
+ * @param {number} value - Number
+ * @returns {string} Compact decimal representation
+ */
+export function num(value) {
+  return Number.isInteger(value) ? String(value) : String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Encode a JavaScript string as a PDF literal string (WinAnsi bytes)
+ *
+ * @param {string} text - Text
+ * @returns {string} `(…)` literal, as a latin1 string
+ */
+export function pdfString(text) {
+  const bytes = encodeWinAnsi(text);
+  let out = '';
+  for (const byte of bytes) {
+    if (byte === 0x28 || byte === 0x29 || byte === 0x5c) out += `\\${String.fromCharCode(byte)}`;
+    else if (byte < 32 || byte > 126) out += `\\${byte.toString(8).padStart(3, '0')}`;
+    else out += String.fromCharCode(byte);
+  }
+  return `(${out})`;
+}
+
+/**
+ * Create an in-memory PDF document
+ *
+ * Objects are numbered in insertion order; `reserve()` hands out a
+ * number for objects that must be referenced before they are written.
+ *
+ * @returns {Object} Writer with `reserve`, `add`, `set` and `toBuffer`
+ */
+export function createPdfDocument() {
+  const objects = [];
+
+  const body = (dict, stream, compress) => {
+    if (!stream) return Buffer.from(dict, 'latin1');
+
+    const raw = Buffer.isBuffer(stream) ? stream : Buffer.from(stream, 'latin1');
+    const data = compress ? deflateSync(raw) : raw;
+    const filter = compress ? ' /Filter /FlateDecode' : '';
+    const head = dict.replace(/>>\s*$/, `/Length ${data.length}${filter} >>`);
+    return Buffer.concat([Buffer.from(`${head}\nstream\n`, 'latin1'), data, Buffer.from('\nendstream', 'latin1')]);
+  };
+
+  return {
+    /** Reserve an object number for later `set()` */
+    reserve() {
+      objects.push(null);
+      return objects.length;
+    },
+
+    /**
+     * Add an object; `stream` (string or Buffer) makes it a stream object
+     * @returns {number} Object number
+     */
+    add(dict, stream = null, { compress = true } = {}) {
+      objects.push(body(dict, stream, compress));
+      return objects.length;
+    },
+
+    /** Fill a reserved object */
+    set(ref, dict, stream = null, { compress = true } = {}) {
+      objects[ref - 1] = body(dict, stream, compress);
+    },
+
+    /**
+     * Serialize the document
+     * @param {number} rootRef - Catalog object number
+     * @param {number} infoRef - Info dictionary object number
+     * @returns {Buffer} PDF file
+     */
+    toBuffer(rootRef, infoRef) {
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      const offsets = [];
+      let offset = chunks[0].length;
+
+      objects.forEach((content, i) => {
+        if (!content) throw new Error(`PDF object ${i + 1} was reserved but never written`);
+        const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), content, Buffer.from('\nendobj\n', 'latin1')]);
+        offsets.push(offset);
+        chunks.push(chunk);
+        offset += chunk.length;
+      });
+
+      const xref = [`xref\n0 ${objects.length + 1}\n`, '0000000000 65535 f \n',
+        ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`)].join('');
+      const trailer = `trailer\n<< /Size ${objects.length + 1} /Root ${rootRef} 0 R${infoRef ? ` /Info ${infoRef} 0 R` : ''} >>\nstartxref\n${offset}\n%%EOF\n`;
+
+      chunks.push(Buffer.from(xref + trailer, 'latin1'));
+      return Buffer.concat(chunks);
+    }
+  };
+}
+
+/* ----------------------------------------------------------------------------
+ * Text encoding and font metrics
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Unicode code points of WinAnsiEncoding bytes 0x80–0x9F
+ */
+const WINANSI_EXTRA = {
+  0x20ac: 0x80, 0x201a: 0x82, 0x0192: 0x83, 0x201e: 0x84, 0x2026: 0x85, 0x2020: 0x86,
+  0x2021: 0x87, 0x02c6: 0x88, 0x2030: 0x89, 0x0160: 0x8a, 0x2039: 0x8b, 0x0152: 0x8c,
+  0x017d: 0x8e, 0x2018: 0x91, 0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2022: 0x95,
+  0x2013: 0x96, 0x2014: 0x97, 0x02dc: 0x98, 0x2122: 0x99, 0x0161: 0x9a, 0x203a: 0x9b,
+  0x0153: 0x9c, 0x017e: 0x9e, 0x0178: 0x9f
+};
+
+const WINANSI_TO_UNICODE = Object.fromEntries(Object.entries(WINANSI_EXTRA).map(([u, b]) => [b, Number(u)]));
+
+/**
+ * Encode text as WinAnsi bytes; unsupported characters become `?`
+ *
+ * @param {string} text - Text
+ * @returns {number[]} Byte values
+ */
+export function encodeWinAnsi(text) {
+  const bytes = [];
+  for (const char of String(text).replace(/\t/g, '  ')) {
+    const code = char.codePointAt(0);
+    if ((code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff)) bytes.push(code);
+    else if (WINANSI_EXTRA[code]) bytes.push(WINANSI_EXTRA[code]);
+    else if (code === 0x2192) bytes.push(0x2d, 0x3e); // → as ->
+    else bytes.push(0x3f);
+  }
+  return bytes;
+}
+
+/**
+ * Widths (1/1000 em) of printable ASCII 32–126 in the standard fonts
+ */
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+/**
+ * Build a 256-entry width table from an ASCII table (other bytes get `fallback`)
+ */
+function widthTable(ascii, fallback) {
+  const table = new Array(256).fill(fallback);
+  ascii.forEach((width, i) => { table[32 + i] = width; });
+  table[0x95] = 350; // bullet
+  return table;
+}
+
+/**
+ * The PDF standard 14 fonts used when no font file is supplied
+ */
+export const STANDARD_FONTS = {
+  Helvetica: widthTable(HELVETICA_WIDTHS, 556),
+  'Helvetica-Bold': widthTable(HELVETICA_BOLD_WIDTHS, 556),
+  'Helvetica-Oblique': widthTable(HELVETICA_WIDTHS, 556),
+  'Helvetica-BoldOblique': widthTable(HELVETICA_BOLD_WIDTHS, 556),
+  Courier: new Array(256).fill(600)
+};
+
+/**
+ * Measure text in a font at a size
+ *
+ * @param {string} text - Text
+ * @param {number[]} widths - 256-entry width table (1/1000 em)
+ * @param {number} size - Font size in points
+ * @returns {number} Width in points
+ */
+export function measureText(text, widths, size) {
+  return encodeWinAnsi(text).reduce((sum, byte) => sum + widths[byte], 0) * size / 1000;
+}
+
+/* ----------------------------------------------------------------------------
+ * TrueType fonts
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Read the metrics needed to embed a TrueType font with WinAnsiEncoding
+ *
+ * Only glyf-based TrueType (`.ttf`) files are supported; CFF-flavoured
+ * OpenType (`OTTO`) fonts are rejected.
+ *
+ * @param {Buffer} data - Font file contents
+ * @param {string} fallbackName - Name used if the font has no PostScript name
+ * @returns {Object} Font name, metrics and 256-entry width table
+ */
+export function parseTrueType(data, fallbackName = 'EmbeddedFont') {
+  const signature = data.readUInt32BE(0);
+  if (signature === 0x4f54544f) {
+    throw new Error(`${fallbackName}: CFF-based OpenType fonts cannot be embedded; supply a TrueType (.ttf) file`);
+  }
+  if (signature !== 0x00010000 && signature !== 0x74727565) {
+    throw new Error(`${fallbackName}: not a TrueType font file`);
+  }
+
+  const tables = {};
+  const numTables = data.readUInt16BE(4);
+  for (let i = 0; i < numTables; i++) {
+    const entry = 12 + i * 16;
+    tables[data.toString('ascii', entry, entry + 4)] = data.readUInt32BE(entry + 8);
+  }
+
+  ['head', 'hhea', 'hmtx', 'cmap'].forEach(tag => {
+    if (tables[tag] === undefined) throw new Error(`${fallbackName}: missing required '${tag}' table`);
+  });
+
+  const head = tables.head;
+  const unitsPerEm = data.readUInt16BE(head + 18);
+  const scale = value => Math.round(value * 1000 / unitsPerEm);
+  const bbox = [
+    data.readInt16BE(head + 36), data.readInt16BE(head + 38),
+    data.readInt16BE(head + 40), data.readInt16BE(head + 42)
+  ].map(scale);
+
+  const hhea = tables.hhea;
+  const ascent = scale(data.readInt16BE(hhea + 4));
+  const descent = scale(data.readInt16BE(hhea + 6));
+  const numberOfHMetrics = data.readUInt16BE(hhea + 34);
+
+  const advance = glyph => {
+    const index = Math.min(glyph, numberOfHMetrics - 1);
+    return data.readUInt16BE(tables.hmtx + index * 4);
+  };
+
+  const capHeight = tables['OS/2'] !== undefined && data.readUInt16BE(tables['OS/2']) >= 2
+    ? scale(data.readInt16BE(tables['OS/2'] + 88))
+    : ascent;
+  const italicAngle = tables.post !== undefined ? data.readInt32BE(tables.post + 4) / 65536 : 0;
+
+  const glyphFor = readCmap(data, tables.cmap, fallbackName);
+  const widths = new Array(256).fill(0);
+  for (let byte = 32; byte < 256; byte++) {
+    const code = WINANSI_TO_UNICODE[byte] ?? byte;
+    widths[byte] = scale(advance(glyphFor(code)));
+  }
+
+  return {
+    name: readPostScriptName(data, tables.name) || fallbackName.replace(/[^\w-]/g, ''),
+    bbox,
+    ascent,
+    descent,
+    capHeight,
+    italicAngle,
+    widths,
+    data
+  };
+}
+
+/**
+ * Build a code point → glyph lookup from a Windows Unicode (format 4) cmap
+ */
+function readCmap(data, cmap, fontName) {
+  const count = data.readUInt16BE(cmap + 2);
+  let subtable = null;
+
+  for (let i = 0; i < count; i++) {
+    const record = cmap + 4 + i * 8;
+    const platform = data.readUInt16BE(record);
+    const encoding = data.readUInt16BE(record + 2);
+    const offset = cmap + data.readUInt32BE(record + 4);
+    if (data.readUInt16BE(offset) === 4 && (platform === 3 && (encoding === 1 || encoding === 0) || platform === 0)) {
+      subtable = offset;
+      if (platform === 3) break;
+    }
+  }
+
+  if (subtable === null) throw new Error(`${fontName}: no Unicode (format 4) cmap subtable`);
+
+  const segCount = data.readUInt16BE(subtable + 6) / 2;
+  const endCodes = subtable + 14;
+  const startCodes = endCodes + segCount * 2 + 2;
+  const deltas = startCodes + segCount * 2;
+  const rangeOffsets = deltas + segCount * 2;
+
+  return code => {
+    for (let i = 0; i < segCount; i++) {
+      if (code > data.readUInt16BE(endCodes + i * 2)) continue;
+      const start = data.readUInt16BE(startCodes + i * 2);
+      if (code < start) return 0;
+
+      const delta = data.readInt16BE(deltas + i * 2);
+      const rangeOffset = data.readUInt16BE(rangeOffsets + i * 2);
+      if (rangeOffset === 0) return (code + delta) & 0xffff;
+
+      const glyph = data.readUInt16BE(rangeOffsets + i * 2 + rangeOffset + (code - start) * 2);
+      return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+    }
+    return 0;
+  };
+}
+
+/**
+ * Read name ID 6 (PostScript name) from the `name` table
+ */
+function readPostScriptName(data, nameTable) {
+  if (nameTable === undefined) return null;
+
+  const count = data.readUInt16BE(nameTable + 2);
+  const strings = nameTable + data.readUInt16BE(nameTable + 4);
+
+  for (let i = 0; i < count; i++) {
+    const record = nameTable + 6 + i * 12;
+    if (data.readUInt16BE(record + 6) !== 6) continue;
+
+    const platform = data.readUInt16BE(record);
+    const length = data.readUInt16BE(record + 8);
+    const start = strings + data.readUInt16BE(record + 10);
+    const raw = data.subarray(start, start + length);
+
+    // Windows and Unicode platform names are UTF-16BE; copy before swapping to leave the font intact
+    const name = platform === 3 || platform === 0
+      ? Buffer.from(raw.subarray(0, length - (length % 2))).swap16().toString('utf16le')
+      : raw.toString('latin1');
+    const cleaned = name.replace(/[^\x21-\x7e]/g, '').replace(/[()<>[\]{}/%]/g, '');
+    if (cleaned) return cleaned;
+  }
+
+  return null;
+}
+
+/**
+ * Write a TrueType font (program, descriptor and font dictionary)
+ *
+ * @param {Object} doc - Document from createPdfDocument()
+ * @param {Object} font - Result of parseTrueType()
+ * @returns {number} Font dictionary object number
+ */
+export function embedTrueType(doc, font) {
+  const file = doc.add(`<< /Length1 ${font.data.length} >>`, font.data);
+  const flags = 32 | (font.italicAngle !== 0 ? 64 : 0);
+  const descriptor = doc.add(`<< /Type /FontDescriptor /FontName /${font.name} /Flags ${flags} ` +
+    `/FontBBox [${font.bbox.join(' ')}] /ItalicAngle ${num(font.italicAngle)} /Ascent ${font.ascent} ` +
+    `/Descent ${font.descent} /CapHeight ${font.capHeight} /StemV 80 /FontFile2 ${file} 0 R >>`);
+
+  return doc.add(`<< /Type /Font /Subtype /TrueType /BaseFont /${font.name} /FirstChar 32 /LastChar 255 ` +
+    `/Widths [${font.widths.slice(32).join(' ')}] /FontDescriptor ${descriptor} 0 R /Encoding /WinAnsiEncoding >>`);
+}
+
+/**
+ * Write a standard 14 font dictionary
+ *
+ * @param {Object} doc - Document from createPdfDocument()
+ * @param {string} name - Standard font name (e.g. `Helvetica-Bold`)
+ * @returns {number} Font dictionary object number
+ */
+export function embedStandardFont(doc, name) {
+  return doc.add(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`);
+}
+
+/* ----------------------------------------------------------------------------
+ * Images
+ * ------------------------------------------------------------------------- */
+
+/**
+ * Reverse PNG scanline filters
+ */
+function unfilterPng(data, width, height, bytesPerPixel) {
+  const stride = width * bytesPerPixel;
+  const out = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const line = y * (stride + 1) + 1;
+    for (let x = 0; x < stride; x++) {
+      const raw = data[line + x];
+      const left = x >= bytesPerPixel ? out[y * stride + x - bytesPerPixel] : 0;
+      const up = y > 0 ? out[(y - 1) * stride + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? out[(y - 1) * stride + x - bytesPerPixel] : 0;
+      let value;
+      switch (filter) {
+        case 1: value = raw + left; break;
+        case 2: value = raw + up; break;
+        case 3: value = raw + ((left + up) >> 1); break;
+        case 4: {
+          const p = left + up - upLeft;
+          const pa = Math.abs(p - left);
+          const pb = Math.abs(p - up);
+          const pc = Math.abs(p - upLeft);
+          value = raw + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+          break;
+        }
+        default: value = raw;
+      }
+      out[y * stride + x] = value & 0xff;
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Write an image XObject for a PNG or JPEG loaded with loadImage()
+ *
+ * PNGs with an alpha channel get a soft mask; interlaced or 16-bit PNGs
+ * and other formats are not supported.
+ *
+ * @param {Object} doc - Document from createPdfDocument()
+ * @param {{ type: string, data: Buffer, width: number, height: number }} image - Image
+ * @returns {number|null} XObject number, or null if the image cannot be embedded
+ */
+export function embedImage(doc, image) {
+  const { type, data, width, height } = image;
+
+  if (type === 'jpeg') {
+    const colorSpace = image.components === 1 ? '/DeviceGray' : image.components === 4 ? '/DeviceCMYK' : '/DeviceRGB';
+    const decode = image.components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : '';
+    return doc.add(`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace ${colorSpace} ` +
+      `/BitsPerComponent 8${decode} /Filter /DCTDecode >>`, data, { compress: false });
+  }
+
+  if (type !== 'png') return null;
+
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  const idat = [];
+
+  while (offset < data.length) {
+    const length = data.readUInt32BE(offset);
+    const chunk = data.toString('ascii', offset + 4, offset + 8);
+    const content = data.subarray(offset + 8, offset + 8 + length);
+    if (chunk === 'IHDR') {
+      header = { bitDepth: content[8], colorType: content[9], interlace: content[12] };
+    } else if (chunk === 'PLTE') {
+      palette = content;
+    } else if (chunk === 'IDAT') {
+      idat.push(content);
+    }
+    offset += 12 + length;
+  }
+
+  if (!header || header.interlace || header.bitDepth !== 8) return null;
+
+  const { colorType } = header;
+  const compressed = Buffer.concat(idat);
+
+  if (colorType === 0 || colorType === 2 || colorType === 3) {
+    const colors = colorType === 2 ? 3 : 1;
+    const colorSpace = colorType === 3
+      ? `[/Indexed /DeviceRGB ${palette.length / 3 - 1} <${palette.toString('hex')}>]`
+      : colorType === 2 ? '/DeviceRGB' : '/DeviceGray';
+    return doc.add(`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace ${colorSpace} ` +
+      `/BitsPerComponent 8 /Filter /FlateDecode /DecodeParms << /Predictor 15 /Colors ${colors} ` +
+      `/BitsPerComponent 8 /Columns ${width} >> >>`, compressed, { compress: false });
+  }
+
+  if (colorType === 4 || colorType === 6) {
+    const channels = colorType === 6 ? 4 : 2;
+    const pixels = unfilterPng(inflateSync(compressed), width, height, channels);
+    const colorChannels = channels - 1;
+    const color = Buffer.alloc(width * height * colorChannels);
+    const alpha = Buffer.alloc(width * height);
+
+    for (let i = 0; i < width * height; i++) {
+      pixels.copy(color, i * colorChannels, i * channels, i * channels + colorChannels);
+      alpha[i] = pixels[i * channels + colorChannels];
+    }
+
+    const colorSpace = colorChannels === 3 ? '/DeviceRGB' : '/DeviceGray';
+    const mask = doc.add(`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceGray /BitsPerComponent 8 >>`, alpha);
+    return doc.add(`<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace ${colorSpace} ` +
+      `/BitsPerComponent 8 /SMask ${mask} 0 R >>`, color);
+  }
+
+  return null;
+}
+
+export default {
+  num,
+  pdfString,
+  createPdfDocument,
+  encodeWinAnsi,
+  STANDARD_FONTS,
+  measureText,
+  parseTrueType,
+  embedTrueType,
+  embedStandardFont,
+  embedImage
+};
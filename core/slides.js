@@ -0,0 +1,423 @@
+/**
+ * PRSMTECH Presentation Logic - Slide Parser
+ *
+ * Splits a Markdown deck body into structured slides: per-slide
+ * frontmatter, title, typed content blocks, presenter notes and the
+ * source line range of each slide. Separators inside fenced code are
+ * ignored.
+ *
+ * @module @prsmtech/presentation-logic/slides
+ */
+
+import matter from 'gray-matter';
+import { parseBlocks, fenceTracker, VERTICAL_SEPARATOR } from './markdown.js';
+import { parseHTML, findSlideSections, findFirst, textContent, markdownTemplate } from './html.js';
+import { noteText, sectionNotes } from './notes.js';
+
+const SEPARATOR = /^---\s*$/;
+const YAML_LINE = /^([\w$-]+\s*:(\s|$)|\s+\S|\s*-\s|\s*#)/;
+const TRAILING_COMMENT = /<!--((?:(?!-->)[\s\S])*)-->\s*$/;
+const NOTES_ASIDE = /<aside\b[^>]*\bclass\s*=\s*["'][^"']*\bnotes\b[^"']*["'][^>]*>([\s\S]*?)<\/aside>/gi;
+const NOTES_SEPARATOR = /^\s*notes?:/i;
+
+/**
+ * Converter directives written as HTML comments (never presenter notes)
+ */
+const DIRECTIVE_COMMENT = /^\s*(\.slide:|(bg|grid):|cell\s*$|\/grid\s*$)/;
+
+/**
+ * Marp directives: global ones configure the whole deck, local ones apply
+ * to the slide they appear on and every slide after it (or, prefixed with
+ * `_`, to that slide only)
+ */
+export const MARP_DIRECTIVES = {
+  global: ['marp', 'theme', 'style', 'headingDivider', 'size', 'math', 'title', 'author', 'description', 'image', 'keywords', 'url', 'lang'],
+  local: ['paginate', 'header', 'footer', 'class', 'color', 'backgroundColor', 'backgroundImage', 'backgroundPosition', 'backgroundRepeat', 'backgroundSize', 'transition']
+};
+
+const HTML_COMMENT = /<!--([\s\S]*?)-->/g;
+const DIRECTIVE_LINE = /^\s*(_?[a-zA-Z]+)\s*:(\s.*)?$/;
+
+/**
+ * Parse an HTML comment's text as Marp directives
+ *
+ * @param {string} text - Comment text (without `<!--` / `-->`)
+ * @returns {Object|null} Directives by key (scoped keys keep their `_`), or null if the comment is not made of directives
+ */
+function parseMarpDirectives(text) {
+  const lines = text.split('\n').filter(line => line.trim());
+  const known = [...MARP_DIRECTIVES.global, ...MARP_DIRECTIVES.local];
+  const isDirective = line => {
+    const match = line.match(DIRECTIVE_LINE);
+    if (!match) return false;
+    const key = match[1].replace(/^_/, '');
+    return match[1].startsWith('_') ? MARP_DIRECTIVES.local.includes(key) : known.includes(key);
+  };
+
+  if (!lines.length || !lines.every(isDirective)) return null;
+
+  try {
+    const { data } = matter(`---\n${lines.map(line => line.trim()).join('\n')}\n---\n`);
+    return data && typeof data === 'object' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Collect the Marp directive comments in Markdown, skipping fenced code
+ *
+ * @param {string} markdown - Slide or deck Markdown
+ * @returns {{ global: Object, local: Object, scoped: Object }} Directives by kind (`scoped` keys without the `_`)
+ */
+export function extractDirectives(markdown) {
+  const inFence = fenceTracker();
+  const fenced = markdown.split('\n').map(line => inFence(line));
+  const directives = { global: {}, local: {}, scoped: {} };
+
+  for (const match of markdown.matchAll(HTML_COMMENT)) {
+    const line = markdown.slice(0, match.index).split('\n').length - 1;
+    const parsed = !fenced[line] && parseMarpDirectives(match[1]);
+    if (!parsed) continue;
+
+    Object.entries(parsed).forEach(([key, value]) => {
+      if (key.startsWith('_')) directives.scoped[key.slice(1)] = value;
+      else if (MARP_DIRECTIVES.local.includes(key)) directives.local[key] = value;
+      else directives.global[key] = value;
+    });
+  }
+
+  return directives;
+}
+
+/**
+ * Headmatter keys only Slidev reads
+ */
+const SLIDEV_HEADMATTER = ['layout', 'highlighter', 'drawings', 'mdc', 'colorSchema', 'fonts', 'aspectRatio', 'canvasWidth', 'addons', 'routerMode'];
+
+/**
+ * Slidev (Vue components, `v-click`) and Reveal.js (`<!-- .slide: -->`,
+ * `<section>`, notes asides) syntax on a Markdown line
+ */
+const SLIDEV_OR_REVEAL_LINE = /<[A-Z][A-Za-z]*[\s/>]|\bv-(click|clicks|after|motion|mark)\b|<!--\s*\.slide:|<section\b|<aside\b[^>]*\bnotes\b/;
+
+/**
+ * Whether a deck uses Slidev or Reveal.js syntax: Slidev headmatter keys,
+ * per-slide frontmatter or a Slidev/Reveal construct outside fenced code
+ */
+function hasSlidevOrRevealSyntax(frontmatter, body) {
+  if (Object.keys(frontmatter || {}).some(key => SLIDEV_HEADMATTER.includes(key))) return true;
+  if (splitSlides(body).some(slide => Object.keys(slide.frontmatter).length)) return true;
+
+  const inFence = fenceTracker();
+  return body.split('\n').some(line => !inFence(line) && SLIDEV_OR_REVEAL_LINE.test(line));
+}
+
+/**
+ * Whether a Markdown deck is written for Marp
+ *
+ * True for `marp: true` headmatter, or for a Marp directive comment such
+ * as `<!-- _class: lead -->` or `<!-- paginate: true -->` in a deck with
+ * no Slidev or Reveal.js syntax (where a comment like `<!-- footer: ... -->`
+ * is more likely a presenter note).
+ *
+ * @param {Object} frontmatter - Deck headmatter
+ * @param {string} body - Deck Markdown without the headmatter
+ * @returns {boolean}
+ */
+export function isMarpDeck(frontmatter, body) {
+  if (frontmatter?.marp === true) return true;
+  if (hasSlidevOrRevealSyntax(frontmatter, body)) return false;
+  const { global, local, scoped } = extractDirectives(body);
+  return [global, local, scoped].some(directives => Object.keys(directives).length > 0);
+}
+
+/**
+ * Blank out text but keep its line breaks, so block line numbers stay accurate
+ */
+function blankOut(text) {
+  return text.replace(/[^\n]/g, '');
+}
+
+/**
+ * Extract presenter notes from one slide's Markdown
+ *
+ * Recognises Slidev's trailing `<!-- -->` comment (directive comments such
+ * as `<!-- .slide: -->`, `<!-- bg: -->` or Marp's `<!-- _class: lead -->`
+ * are left alone) and Reveal.js `<aside class="notes">` elements. With
+ * `separator`, the Reveal Markdown `Note:` separator (everything after it,
+ * outside fenced code) starts the notes too; elsewhere a "Note:" paragraph
+ * is slide content. Removed notes are replaced by blank lines.
+ *
+ * @param {string} markdown - Slide Markdown (a single slide, no `--` children)
+ * @param {Object} options - Extraction options
+ * @param {boolean} options.separator - Treat a `Note:` line as the start of the notes (Reveal Markdown)
+ * @returns {{ markdown: string, notes: string }} Slide content and notes text
+ */
+export function extractNotes(markdown, options = {}) {
+  const { separator: useSeparator = false } = options;
+  const notes = [];
+
+  let content = markdown.replace(NOTES_ASIDE, (match, inner, offset) => {
+    notes.push({ offset, text: noteText(parseHTML(inner)) });
+    return blankOut(match);
+  });
+
+  const comment = content.match(TRAILING_COMMENT);
+  if (comment && !DIRECTIVE_COMMENT.test(comment[1]) && !parseMarpDirectives(comment[1])) {
+    notes.push({ offset: comment.index, text: comment[1].trim() });
+    content = content.slice(0, comment.index) + blankOut(comment[0]);
+  }
+
+  const lines = content.split('\n');
+  const inFence = fenceTracker();
+  const separator = useSeparator ? lines.findIndex(line => !inFence(line) && NOTES_SEPARATOR.test(line)) : -1;
+  if (separator !== -1) {
+    const before = lines.slice(0, separator).join('\n');
+    const after = lines.slice(separator).join('\n');
+    notes.push({ offset: before.length, text: after.replace(NOTES_SEPARATOR, '').trim() });
+    content = [...lines.slice(0, separator), ...lines.slice(separator).map(() => '')].join('\n');
+  }
+
+  return {
+    markdown: content,
+    notes: notes.sort((x, y) => x.offset - y.offset).map(note => note.text).filter(Boolean).join('\n\n')
+  };
+}
+
+/**
+ * Parse a per-slide frontmatter block, or return null if it is not YAML
+ */
+function parseSlideFrontmatter(lines) {
+  const content = lines.filter(line => line.trim());
+  if (!content.length || !/^[\w$-]+\s*:(\s|$)/.test(content[0]) || !content.every(line => YAML_LINE.test(line))) {
+    return null;
+  }
+
+  try {
+    const { data } = matter(`---\n${lines.join('\n')}\n---\n`);
+    return data && typeof data === 'object' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split a deck body into raw slide chunks on `---`, skipping fenced code
+ *
+ * A `---` separator directly followed by YAML and a closing `---` opens a
+ * Slidev per-slide frontmatter block rather than an empty slide.
+ *
+ * @param {string} body - Deck Markdown without the headmatter
+ * @param {number} firstLine - File line number of the first body line
+ * @returns {Array<{ frontmatter: Object, lines: string[], start: number, end: number, contentStart: number }>}
+ */
+export function splitSlides(body, firstLine = 1) {
+  const lines = body.replace(/\r\n?/g, '\n').split('\n');
+  const inFence = fenceTracker();
+  const chunks = [];
+  let current = { frontmatter: {}, lines: [], start: firstLine, contentStart: firstLine };
+
+  const close = end => {
+    current.end = end;
+    if (current.lines.some(line => line.trim()) || Object.keys(current.frontmatter).length) {
+      chunks.push(current);
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (inFence(line) || !SEPARATOR.test(line)) {
+      current.lines.push(line);
+      continue;
+    }
+
+    close(firstLine + i - 1);
+    current = { frontmatter: {}, lines: [], start: firstLine + i + 1, contentStart: firstLine + i + 1 };
+
+    // Per-slide frontmatter: `---` / yaml / `---`
+    const closing = lines.findIndex((candidate, j) => j > i && SEPARATOR.test(candidate));
+    if (closing > i + 1) {
+      const frontmatter = parseSlideFrontmatter(lines.slice(i + 1, closing));
+      if (frontmatter) {
+        current.frontmatter = frontmatter;
+        current.contentStart = firstLine + closing + 1;
+        i = closing;
+      }
+    }
+  }
+
+  close(firstLine + lines.length - 1);
+  return chunks;
+}
+
+/**
+ * Split a slide into Reveal-style vertical children on `--`, skipping fenced code
+ *
+ * @param {string} markdown - Slide Markdown
+ * @returns {string[]} Non-empty child slides (the slide itself if there is no `--`)
+ */
+export function splitVertical(markdown) {
+  const inFence = fenceTracker();
+  const parts = [[]];
+
+  markdown.split('\n').forEach(line => {
+    if (!inFence(line) && VERTICAL_SEPARATOR.test(line)) {
+      parts.push([]);
+    } else {
+      parts[parts.length - 1].push(line);
+    }
+  });
+
+  return parts.map(part => part.join('\n')).filter(part => part.trim());
+}
+
+/**
+ * Split a slide's blocks into Reveal-style vertical children at `vertical` blocks
+ *
+ * @param {Object[]} blocks - Blocks from parseBlocks()
+ * @returns {Object[][]} Non-empty children (all blocks if there is no `--`)
+ */
+export function splitVerticalBlocks(blocks) {
+  const children = [[]];
+
+  blocks.forEach(block => {
+    if (block.type === 'vertical') children.push([]);
+    else children[children.length - 1].push(block);
+  });
+
+  return children.filter(child => child.length);
+}
+
+/**
+ * Extract notes from each vertical child of a slide
+ *
+ * @param {string} markdown - Slide Markdown
+ * @param {Object} options - Options for extractNotes()
+ * @returns {{ markdown: string, notes: string }} Content with notes blanked out, and all notes joined
+ */
+function extractStackNotes(markdown, options) {
+  const inFence = fenceTracker();
+  const children = [[]];
+
+  markdown.split('\n').forEach(line => {
+    if (!inFence(line) && VERTICAL_SEPARATOR.test(line)) {
+      children.push([line]);
+    } else {
+      children[children.length - 1].push(line);
+    }
+  });
+
+  const extracted = children.map(lines => extractNotes(lines.join('\n'), options));
+  return {
+    markdown: extracted.map(child => child.markdown).join('\n'),
+    notes: extracted.map(child => child.notes).filter(Boolean).join('\n\n')
+  };
+}
+
+/**
+ * Strip inline Markdown formatting, leaving plain text
+ *
+ * @param {string} text - Inline Markdown
+ * @returns {string} Plain text
+ */
+export function plainText(text) {
+  return String(text)
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/(\*\*|__|~~|`+)(.*?)\1/g, '$2')
+    .replace(/(\*|\b_)([^*_]+)\1/g, '$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse a deck body into structured slides
+ *
+ * Each slide has its own `frontmatter` (Slidev `---` YAML blocks such as
+ * `layout:` or `class:`), a plain-text `title` (frontmatter `title` or the
+ * first heading), `content` (Markdown without frontmatter and notes),
+ * `blocks`, `notes` (the trailing HTML comment, or from a `Note:` line
+ * with `notesSeparator`), `directives` (the Marp
+ * local directives in effect, inherited from earlier slides) and `range`,
+ * the 1-based file lines the slide spans.
+ *
+ * @param {string} body - Deck Markdown without the headmatter
+ * @param {Object} options - Parse options
+ * @param {number} options.firstLine - File line number of the first body line
+ * @param {Object} options.directives - Local directives set before the first slide (a Marp deck's headmatter)
+ * @param {boolean} options.notesSeparator - Start notes at a Reveal-style `Note:` line
+ * @returns {Object[]} Slides
+ */
+export function parseSlides(body, options = {}) {
+  const { firstLine = 1, directives = {}, notesSeparator = false } = options;
+  let inherited = Object.fromEntries(Object.entries(directives).filter(([key]) => MARP_DIRECTIVES.local.includes(key)));
+
+  return splitSlides(body, firstLine).map(({ frontmatter, lines, start, end, contentStart }, index) => {
+    const { markdown: content, notes } = extractStackNotes(lines.join('\n'), { separator: notesSeparator });
+    const blocks = parseBlocks(content, contentStart);
+    const heading = blocks.find(block => block.type === 'heading');
+    const { local, scoped } = extractDirectives(content);
+    inherited = { ...inherited, ...local };
+
+    return {
+      index,
+      frontmatter,
+      title: frontmatter.title ? String(frontmatter.title) : heading ? plainText(heading.text) : null,
+      content,
+      blocks,
+      notes,
+      directives: { ...inherited, ...scoped },
+      range: { start, end }
+    };
+  });
+}
+
+/**
+ * Parse an HTML deck (Reveal.js or WebSlides) into slides
+ *
+ * Vertical stacks are flattened. Notes come from `.notes` elements,
+ * `data-notes`, and `Note:` / trailing comments inside Reveal
+ * `data-markdown` sections.
+ *
+ * @param {string} html - Deck HTML
+ * @returns {Array<{ index: number, title: string|null, notes: string }>} Slides
+ */
+export function parseHtmlSlides(html) {
+  return findSlideSections(parseHTML(html)).map((section, index) => {
+    const heading = findFirst(section, el => /^h[1-6]$/.test(el.tag));
+    const notes = [sectionNotes(section)];
+    let title = heading ? textContent(heading).replace(/\s+/g, ' ').trim() : null;
+
+    const markdown = markdownTemplate(section);
+    if (markdown !== null) {
+      const markdownHeading = markdown.match(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/m);
+      notes.push(extractNotes(markdown, { separator: true }).notes);
+      title = title || (markdownHeading ? plainText(markdownHeading[1]) : null);
+    }
+
+    return {
+      index,
+      title,
+      notes: notes.filter(Boolean).join('\n\n')
+    };
+  });
+}
+
+export { parseBlocks };
+
+export default {
+  MARP_DIRECTIVES,
+  extractDirectives,
+  isMarpDeck,
+  extractNotes,
+  splitSlides,
+  splitVertical,
+  splitVerticalBlocks,
+  plainText,
+  parseBlocks,
+  parseSlides,
+  parseHtmlSlides
+};
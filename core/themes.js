@@ -0,0 +1,455 @@
+/**
+ * PRSMTECH Presentation Logic - Themes
+ *
+ * Discovers brand themes (`themes/<name>/variables.json`) and loads
+ * their tokens, following `"$extends": "<theme>"` so a sub-brand or
+ * client theme only lists what differs from its parent. A variables.json
+ * in DTCG or Tokens Studio format is converted as it is read.
+ *
+ * @module @prsmtech/presentation-logic/themes
+ */
+
+import { readFileSync, readdirSync, existsSync, writeFileSync, mkdirSync, statSync } from 'fs';
+import { dirname, extname, join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { resolveTokens, isGroup } from './tokens/references.js';
+import { validateTokens, formatTokenErrors } from './tokens/validate.js';
+import { auditContrast } from './tokens/contrast.js';
+import { generatePalette } from './tokens/palette.js';
+import { isDTCG, toDTCG, fromDTCG } from './tokens/dtcg.js';
+import { parseDesignSystem, mapDesignSystem, mapSkipped, syncTokens } from './tokens/sync.js';
+import { compareTokens } from './tokens/diff.js';
+import { getDeprecations, findDeprecatedUses } from './tokens/deprecations.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Directory holding one folder per built-in theme
+ */
+export const THEMES_DIR = join(__dirname, '../themes');
+
+/**
+ * Directories searched for themes, in order
+ *
+ * `PRESENTRUS_THEMES_DIR` names an extra directory, searched before the
+ * built-in THEMES_DIR; new themes are created there.
+ *
+ * @returns {string[]} Absolute paths
+ */
+export function getThemeDirs() {
+  const custom = process.env.PRESENTRUS_THEMES_DIR;
+  return custom ? [resolve(custom), THEMES_DIR] : [THEMES_DIR];
+}
+
+/**
+ * Theme used when none is named
+ */
+export const DEFAULT_THEME = 'prsmtech';
+
+const THEME_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Folder of a theme (its `variables.json` and compiled `dist/`)
+ *
+ * The theme's folder in the first directory of getThemeDirs() that has
+ * it; for a theme that does not exist yet, its folder in the first one.
+ *
+ * @param {string} theme - Theme name
+ * @returns {string} Absolute path
+ * @throws {Error} If the name is not a plain folder name
+ */
+export function getThemeDir(theme = DEFAULT_THEME) {
+  if (typeof theme !== 'string' || !THEME_NAME.test(theme)) {
+    throw new Error(`Invalid theme name "${theme}"`);
+  }
+  const dirs = getThemeDirs();
+  const found = dirs.find(dir => existsSync(join(dir, theme, 'variables.json')));
+  return join(found || dirs[0], theme);
+}
+
+/**
+ * Names of the themes in the theme directories (folders with a variables.json)
+ *
+ * @returns {string[]} Theme names, sorted
+ */
+export function listThemes() {
+  const names = getThemeDirs().filter(dir => existsSync(dir)).flatMap(dir => readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && THEME_NAME.test(entry.name))
+    .filter(entry => existsSync(join(dir, entry.name, 'variables.json')))
+    .map(entry => entry.name));
+
+  return [...new Set(names)].sort();
+}
+
+/**
+ * Whether a theme exists
+ *
+ * @param {string} theme - Theme name
+ * @returns {boolean}
+ */
+export function hasTheme(theme) {
+  return typeof theme === 'string' && THEME_NAME.test(theme) && existsSync(join(getThemeDir(theme), 'variables.json'));
+}
+
+/**
+ * Read a theme's own variables.json, without its parents
+ */
+function readThemeFile(theme) {
+  const path = join(getThemeDir(theme), 'variables.json');
+  let json;
+  try {
+    json = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new Error(`${theme}/variables.json: ${error.message}`);
+  }
+  return isDTCG(json) ? fromDTCG(json) : json;
+}
+
+/**
+ * Themes a theme inherits from, starting with itself
+ *
+ * @param {string} theme - Theme name
+ * @returns {string[]} e.g. `['acme', 'prsmtech']`
+ * @throws {Error} On unknown themes and `$extends` cycles
+ */
+export function getThemeChain(theme = DEFAULT_THEME) {
+  const chain = [];
+
+  for (let current = theme; current; current = readThemeFile(current).$extends) {
+    if (chain.includes(current)) {
+      throw new Error(`Theme inheritance cycle: ${[...chain, current].join(' → ')}`);
+    }
+    if (!hasTheme(current)) {
+      throw new Error(chain.length
+        ? `Theme "${chain[chain.length - 1]}" extends unknown theme "${current}"`
+        : `Unknown theme "${current}" (available: ${listThemes().join(', ') || 'none'})`);
+    }
+    chain.push(current);
+  }
+
+  return chain;
+}
+
+/**
+ * Deep-merge token trees; objects merge key by key, anything else
+ * (values, arrays such as font stacks) is replaced
+ *
+ * @param {Object} base - Parent tokens
+ * @param {Object} override - Child tokens
+ * @returns {Object} Merged tokens
+ */
+export function mergeTokens(base, override) {
+  return Object.entries(override).reduce((merged, [key, value]) => {
+    merged[key] = isGroup(value) && isGroup(base[key]) ? mergeTokens(base[key], value) : value;
+    return merged;
+  }, { ...base });
+}
+
+/**
+ * Load a theme's tokens with everything it inherits merged in
+ *
+ * References are left as they are, so `{colors.primary.500}` in a
+ * parent picks up the child's primary colour once resolved.
+ *
+ * @param {string} theme - Theme name
+ * @returns {Object} Raw design tokens (without `$extends`)
+ * @throws {Error} On unknown themes, `$extends` cycles and unreadable files
+ */
+export function loadThemeTokens(theme = DEFAULT_THEME) {
+  const { $extends, ...tokens } = getThemeChain(theme)
+    .reverse()
+    .reduce((merged, name) => mergeTokens(merged, readThemeFile(name)), {});
+
+  return tokens;
+}
+
+/**
+ * Create a theme from a brand colour
+ *
+ * Writes `themes/<name>/variables.json` with generated colour scales,
+ * slide/dark roles, mode accents and gradients, extending a parent theme for
+ * everything else. The contrast audit of the result is returned so
+ * the palette can be tweaked before it is committed.
+ *
+ * @param {string} name - New theme name
+ * @param {Object} options - Theme options
+ * @param {string} options.color - Brand colour (required)
+ * @param {string} options.secondary - Secondary colour (default: derived from the brand colour)
+ * @param {string} options.neutral - Colour whose hue tints the neutrals
+ * @param {string} options.brand - Brand name (default: the theme name)
+ * @param {string} options.tagline - Brand tagline
+ * @param {string} options.extends - Parent theme (default: prsmtech)
+ * @param {Object} options.contrast - auditContrast() options
+ * @param {boolean} options.write - Write the file (default: true)
+ * @param {boolean} options.force - Overwrite an existing theme
+ * @returns {{ theme: string, path: string, tokens: Object, audit: Object, written: boolean }}
+ * @throws {Error} If the theme exists, the colour is invalid or the result does not validate
+ */
+export function createTheme(name, options = {}) {
+  const { color, brand = name, tagline = '', extends: parent = DEFAULT_THEME, contrast = {}, write = true, force = false } = options;
+
+  if (!color) throw new Error('createTheme needs a brand colour (options.color)');
+
+  const path = join(getThemeDir(name), 'variables.json');
+  if (write && existsSync(path) && !force) {
+    throw new Error(`Theme "${name}" already exists: ${path}`);
+  }
+
+  const tokens = {
+    $extends: parent,
+    $description: `${brand} design tokens, generated from ${color}`,
+    brand: { name: brand, tagline },
+    ...generatePalette(color, { secondary: options.secondary, neutral: options.neutral })
+  };
+
+  const { $extends, ...merged } = mergeTokens(loadThemeTokens(parent), tokens);
+  const { valid, errors } = validateTokens(merged);
+  if (!valid) throw new Error(formatTokenErrors(errors, `${name}/variables.json`));
+
+  const audit = auditContrast(resolveTokens(merged), contrast);
+
+  if (write) {
+    mkdirSync(getThemeDir(name), { recursive: true });
+    writeFileSync(path, `${JSON.stringify(tokens, null, 2)}\n`, 'utf-8');
+  }
+
+  return { theme: name, path, tokens, audit, written: write };
+}
+
+/**
+ * A theme's tokens in W3C Design Tokens (DTCG) format, with everything
+ * it inherits merged in
+ *
+ * @param {string} theme - Theme name
+ * @returns {Object} DTCG token tree
+ */
+export function exportTheme(theme = DEFAULT_THEME) {
+  return toDTCG(loadThemeTokens(theme));
+}
+
+/**
+ * Create or replace a theme from a DTCG (or Tokens Studio / Figma) file
+ *
+ * The file is converted to our variables.json shape and validated,
+ * merged over its `$extends` parent when it names one, before it is
+ * written to `themes/<name>/variables.json`.
+ *
+ * @param {string} name - Theme name
+ * @param {Object|string} source - Parsed DTCG tokens, or the path of a DTCG JSON file
+ * @param {Object} options - Import options
+ * @param {Object} options.contrast - auditContrast() options
+ * @param {boolean} options.write - Write the file (default: true)
+ * @param {boolean} options.force - Overwrite an existing theme
+ * @returns {{ theme: string, path: string, tokens: Object, audit: Object, written: boolean }}
+ * @throws {Error} If the theme exists, the file is unreadable or the result does not validate
+ */
+export function importTheme(name, source, options = {}) {
+  const { contrast = {}, write = true, force = false } = options;
+
+  const path = join(getThemeDir(name), 'variables.json');
+  if (write && existsSync(path) && !force) {
+    throw new Error(`Theme "${name}" already exists: ${path}`);
+  }
+
+  let json = source;
+  if (typeof source === 'string') {
+    try {
+      json = JSON.parse(readFileSync(source, 'utf-8'));
+    } catch (error) {
+      throw new Error(`${source}: ${error.message}`);
+    }
+  }
+  const tokens = isDTCG(json) ? fromDTCG(json) : json;
+
+  if (tokens.$extends === name) {
+    throw new Error(`Theme inheritance cycle: ${name} → ${name}`);
+  }
+  const { $extends, ...merged } = tokens.$extends ? mergeTokens(loadThemeTokens(tokens.$extends), tokens) : tokens;
+  const { valid, errors } = validateTokens(merged);
+  if (!valid) throw new Error(formatTokenErrors(errors, `${name}/variables.json`));
+
+  const audit = auditContrast(resolveTokens(merged), contrast);
+
+  if (write) {
+    mkdirSync(getThemeDir(name), { recursive: true });
+    writeFileSync(path, `${JSON.stringify(tokens, null, 2)}\n`, 'utf-8');
+  }
+
+  return { theme: name, path, tokens, audit, written: write };
+}
+
+/**
+ * JSON of a token file laid out like the hand-edited original: a blank
+ * line between top-level groups, and arrays and the small records the
+ * original wrote on one line (`{ "value": "1rem", "px": "16px" }`) kept on one line
+ */
+function formatTokenFile(tokens, original) {
+  const oneLine = value => `{ ${Object.entries(value).map(([key, child]) => `${JSON.stringify(key)}: ${JSON.stringify(child)}`).join(', ')} }`;
+  const isRecord = value => isGroup(value) && Object.values(value).every(child => !isGroup(child) && !Array.isArray(child));
+
+  const format = (value, indent) => {
+    if (Array.isArray(value)) return `[${value.map(item => JSON.stringify(item)).join(', ')}]`;
+    if (!isGroup(value)) return JSON.stringify(value);
+
+    const records = Object.values(value).filter(isRecord);
+    const inline = records.some(record => original.includes(oneLine(record)));
+    const entries = Object.entries(value).map(([key, child], i, all) => {
+      const text = inline && isRecord(child) ? oneLine(child) : format(child, `${indent}  `);
+      const gap = indent === '' && i > 0 && isGroup(all[i - 1][1]) ? '\n' : '';
+      return `${gap}${indent}  ${JSON.stringify(key)}: ${text}`;
+    });
+    return `{\n${entries.join(',\n')}\n${indent}}`;
+  };
+
+  return `${format(tokens, '')}\n`;
+}
+
+/**
+ * Update a theme from the website's design-system module
+ *
+ * The module (`lib/design-system.ts` or any TS/JS file of object
+ * literals) is read statically and its colours, fonts, spacing, ... are
+ * compared with the theme's tokens, including those it inherits. Changes
+ * are written to the theme's own variables.json. `"$sync": { "map": {
+ * "brand.blue": "colors.primary" } }` in variables.json maps exports
+ * the default names (see SOURCE_GROUPS) do not cover.
+ *
+ * @param {string} theme - Theme name
+ * @param {string} source - Path of the design-system module
+ * @param {Object} options - Sync options
+ * @param {boolean} options.prune - Delete tokens the design system no longer declares
+ * @param {Object} options.map - `{ sourcePath: tokenPath }` (default: `$sync.map`)
+ * @param {boolean} options.write - Write the file when something changed (default: true)
+ * @returns {{ theme: string, path: string, tokens: Object, added: Object[], changed: Object[], removed: Object[],
+ *   conflicts: Object[], skipped: string[], drift: boolean, written: boolean }}
+ * @throws {Error} If the module is unreadable, declares no token groups or the result does not validate
+ */
+export function syncTheme(theme = DEFAULT_THEME, source, options = {}) {
+  const { prune = false, write = true } = options;
+
+  let code;
+  try {
+    code = readFileSync(source, 'utf-8');
+  } catch (error) {
+    throw new Error(`${source}: ${error.message}`);
+  }
+
+  const path = join(getThemeDir(theme), 'variables.json');
+  const original = readFileSync(path, 'utf-8');
+  const own = JSON.parse(original);
+  if (isDTCG(own)) {
+    throw new Error(`${theme}/variables.json is in DTCG format; sync it in the design tool, or convert it with 'presentrus theme import'`);
+  }
+
+  const inherited = loadThemeTokens(theme);
+  const { values, skipped } = parseDesignSystem(code);
+  const map = options.map ?? inherited.$sync?.map;
+  const groups = mapDesignSystem(values, map);
+  if (!Object.keys(groups).length) {
+    throw new Error(`${source}: no colours, fonts, spacing or other token groups found (exports: ${Object.keys(values).join(', ') || 'none'})`);
+  }
+
+  const { tokens, added, changed, removed, conflicts } = syncTokens(inherited, groups, { prune, into: own, skipped: mapSkipped(skipped, map) });
+  const drift = added.length + changed.length + removed.length + conflicts.length > 0;
+
+  const { $extends, ...merged } = mergeTokens(own.$extends ? loadThemeTokens(own.$extends) : {}, tokens);
+  const { valid, errors } = validateTokens(merged);
+  if (!valid) throw new Error(formatTokenErrors(errors, `${theme}/variables.json`));
+
+  const changedFile = added.length + changed.length + (prune ? removed.length : 0) > 0;
+  if (changedFile && typeof tokens.$lastUpdated === 'string') {
+    tokens.$lastUpdated = new Date().toISOString().slice(0, 10);
+  }
+  if (write && changedFile) {
+    writeFileSync(path, formatTokenFile(tokens, original), 'utf-8');
+  }
+
+  return { theme, path, tokens, added, changed, removed, conflicts, skipped, drift, written: write && changedFile };
+}
+
+/**
+ * Tokens of a variables.json file (any format), merged over its
+ * `$extends` parent from the themes folder
+ */
+function readTokenSource(source) {
+  if (typeof source !== 'string') return source;
+
+  let json;
+  try {
+    json = JSON.parse(readFileSync(source, 'utf-8'));
+  } catch (error) {
+    throw new Error(`${source}: ${error.message}`);
+  }
+  const tokens = isDTCG(json) ? fromDTCG(json) : json;
+  return tokens.$extends ? mergeTokens(loadThemeTokens(tokens.$extends), tokens) : tokens;
+}
+
+/**
+ * Compare two versions of a theme's tokens before releasing it
+ *
+ * Lists the tokens added, removed, renamed and changed with the
+ * `--prsm-*` custom properties and Tailwind keys each one affects, and
+ * classifies the release as major, minor or patch against `$version`.
+ *
+ * @param {Object|string} oldSource - Previous variables.json (path or parsed tokens)
+ * @param {Object|string} newSource - New variables.json (default: the current default theme)
+ * @returns {Object} compareTokens() result
+ * @throws {Error} If a file is unreadable
+ */
+export function diffTokens(oldSource, newSource = join(getThemeDir(DEFAULT_THEME), 'variables.json')) {
+  return compareTokens(readTokenSource(oldSource), readTokenSource(newSource));
+}
+
+/**
+ * Files the deprecation scanner reads: decks, stylesheets, markup and scripts
+ */
+const SCANNED_EXTENSIONS = ['.md', '.markdown', '.html', '.htm', '.css', '.scss', '.sass', '.less', '.vue', '.svelte', '.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx'];
+
+/**
+ * Files under a path, skipping dot-folders and node_modules
+ */
+function listFiles(path) {
+  if (!statSync(path).isDirectory()) return [path];
+  return readdirSync(path, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.') && entry.name !== 'node_modules')
+    .flatMap(entry => (entry.isDirectory() ? listFiles(join(path, entry.name)) : [join(path, entry.name)]))
+    .filter(file => SCANNED_EXTENSIONS.includes(extname(file).toLowerCase()));
+}
+
+/**
+ * Find uses of a theme's deprecated `--prsm-*` names in a deck or folder
+ *
+ * @param {string} path - Deck, stylesheet or folder to scan
+ * @param {Object} options - Scan options
+ * @param {string} options.theme - Theme whose `$renamedFrom` / `$deprecated` apply (default: prsmtech)
+ * @returns {{ deprecations: Object[], files: number, uses: Array<{ file: string, line: number, column: number, name: string, replacement: string|null, message: string }> }}
+ * @throws {Error} If the path does not exist
+ */
+export function scanDeprecations(path, options = {}) {
+  const { theme = DEFAULT_THEME } = options;
+  if (!existsSync(path)) throw new Error(`Not found: ${path}`);
+
+  const deprecations = getDeprecations(resolveTokens(loadThemeTokens(theme), { onError: () => {} }));
+  const files = listFiles(path);
+  const uses = files.flatMap(file => findDeprecatedUses(readFileSync(file, 'utf-8'), deprecations).map(use => ({ file, ...use })));
+
+  return { deprecations, files: files.length, uses };
+}
+
+export default {
+  THEMES_DIR,
+  DEFAULT_THEME,
+  getThemeDirs,
+  getThemeDir,
+  listThemes,
+  hasTheme,
+  getThemeChain,
+  mergeTokens,
+  loadThemeTokens,
+  createTheme,
+  exportTheme,
+  importTheme,
+  syncTheme,
+  diffTokens,
+  scanDeprecations
+};
@@ -0,0 +1,306 @@
+/**
+ * PRSMTECH Presentation Logic - Contrast Audit
+ *
+ * Checks the text/background colour pairs used by the generated theme
+ * CSS against WCAG 2.x contrast ratios, with APCA lightness contrast
+ * (Lc) reported alongside.
+ *
+ * @module @prsmtech/presentation-logic/tokens/contrast
+ */
+
+import { getToken } from './references.js';
+import { getModes } from './modes.js';
+
+/**
+ * Minimum WCAG 2.x contrast ratios by level and kind of content
+ *
+ * `large` is heading-sized text (24px, or 18.5px bold); `ui` is non-text
+ * content such as list markers and progress bars (SC 1.4.11).
+ */
+export const WCAG_MINIMUMS = {
+  AA: { text: 4.5, large: 3, ui: 3 },
+  AAA: { text: 7, large: 4.5, ui: 3 }
+};
+
+/**
+ * Minimum APCA Lc by level and kind of content (absolute values)
+ */
+export const APCA_MINIMUMS = {
+  AA: { text: 60, large: 45, ui: 30 },
+  AAA: { text: 75, large: 60, ui: 45 }
+};
+
+/**
+ * Colour roles as used by every theme, checked in each colour mode
+ */
+const ROLE_PAIRS = [
+  { foreground: 'text', background: 'background', kind: 'text', usage: 'body text' },
+  { foreground: 'heading', background: 'background', kind: 'large', usage: 'headings' },
+  { foreground: 'link', background: 'background', kind: 'text', usage: 'links' },
+  { foreground: 'linkHover', background: 'background', kind: 'text', usage: 'hovered links' },
+  { foreground: 'textMuted', background: 'background', kind: 'text', usage: 'slide numbers, footers' },
+  { foreground: 'text', background: 'backgroundAlt', kind: 'text', usage: 'table headers' },
+  { foreground: 'textMuted', background: 'backgroundAlt', kind: 'text', usage: 'muted text on alternate backgrounds' },
+  { foreground: 'codeText', background: 'codeBg', kind: 'text', usage: 'code' },
+  { foreground: 'text', background: 'accentSoft', kind: 'text', usage: 'blockquotes' },
+  { foreground: 'accent', background: 'background', kind: 'text', usage: 'brand text, pagination, navigation hover' }
+];
+
+/**
+ * Text/background pairs used by the generated CSS outside the colour modes
+ *
+ * Each pair names the token paths of its colours, the kind of content
+ * (`text`, `large` or `ui`) and where the themes use it.
+ */
+export const CONTRAST_PAIRS = [
+  { foreground: 'colors.secondary.500', background: 'colors.slide.background', kind: 'text', usage: 'WebSlides .text-prsm-secondary' },
+  { foreground: 'components.list.bulletColor', background: 'colors.slide.background', kind: 'ui', usage: 'list markers' },
+  { foreground: 'colors.neutral.50', background: 'gradients.primary', kind: 'large', usage: 'Slidev .cover, Reveal title slide, Marp lead' },
+  { foreground: 'colors.neutral.50', background: 'colors.primary.500', kind: 'text', usage: 'WebSlides .bg-prsm-primary' },
+  { foreground: 'colors.neutral.50', background: 'colors.secondary.500', kind: 'text', usage: 'WebSlides .bg-prsm-secondary' }
+];
+
+/**
+ * Every pair to audit for a token set: the role pairs of each colour
+ * mode followed by CONTRAST_PAIRS
+ *
+ * @param {Object} tokens - Design tokens
+ * @returns {Object[]} Pairs as in CONTRAST_PAIRS
+ */
+export function getContrastPairs(tokens) {
+  const modes = getModes(tokens);
+
+  return [
+    ...modes.flatMap(({ name, path }, index) => ROLE_PAIRS.map(pair => ({
+      ...pair,
+      foreground: `${path}.${pair.foreground}`,
+      background: `${path}.${pair.background}`,
+      usage: index === 0 ? pair.usage : `${name} mode ${pair.usage}`
+    }))),
+    ...CONTRAST_PAIRS
+  ];
+}
+
+const NAMED_COLORS = {
+  white: [255, 255, 255, 1],
+  black: [0, 0, 0, 1],
+  transparent: [0, 0, 0, 0]
+};
+
+/**
+ * Parse a CSS colour (`#rgb`, `#rrggbb(aa)`, `rgb()`, `hsl()`, `white`, `black`)
+ *
+ * The one colour parser of the package: the token tools and the PDF and
+ * PPTX exporters all read colours through it.
+ *
+ * @param {string} value - CSS colour
+ * @returns {number[]|null} `[r, g, b, alpha]` with channels 0-255, or null if unsupported
+ */
+export function parseColor(value) {
+  const text = String(value).trim().toLowerCase();
+  if (NAMED_COLORS[text]) return [...NAMED_COLORS[text]];
+
+  const hex = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? [...hex[1]].map(d => d + d).join('') : hex[1];
+    const [r, g, b, a = 255] = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return [r, g, b, a / 255];
+  }
+
+  const fn = text.match(/^(rgba?|hsla?)\(([^()]*)\)$/);
+  if (!fn) return null;
+
+  const parts = fn[2].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+  const alpha = parts[3] === undefined ? 1 : parts[3].endsWith('%') ? parseFloat(parts[3]) / 100 : parseFloat(parts[3]);
+
+  if (fn[1].startsWith('rgb')) {
+    const [r, g, b] = parts.slice(0, 3).map(part => (part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part)));
+    return [r, g, b, alpha];
+  }
+
+  const h = ((parseFloat(parts[0]) % 360) + 360) % 360;
+  const s = parseFloat(parts[1]) / 100;
+  const l = parseFloat(parts[2]) / 100;
+  const k = n => (n + h / 30) % 12;
+  const f = n => l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return [f(0) * 255, f(8) * 255, f(4) * 255, alpha];
+}
+
+/**
+ * Colour stops of a CSS gradient
+ *
+ * @param {string} value - e.g. `linear-gradient(135deg, #0057e6 0%, #5c00e6 100%)`
+ * @returns {string[]} Stop colours
+ */
+function gradientStops(value) {
+  const colors = String(value).match(/#[0-9a-fA-F]{3,8}\b|(?:rgba?|hsla?)\([^()]*\)|\b(?:white|black|transparent)\b/g);
+  return colors || [];
+}
+
+/**
+ * Paint a colour with alpha over an opaque one
+ */
+function composite([r, g, b, a], [br, bg, bb]) {
+  return [r * a + br * (1 - a), g * a + bg * (1 - a), b * a + bb * (1 - a), 1];
+}
+
+/**
+ * WCAG 2.x relative luminance of an opaque colour
+ */
+function relativeLuminance([r, g, b]) {
+  const linear = channel => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+/**
+ * WCAG 2.x contrast ratio of two colours
+ *
+ * @param {string} foreground - CSS colour (alpha is painted over the background)
+ * @param {string} background - CSS colour
+ * @returns {number} Ratio from 1 to 21
+ */
+export function contrastRatio(foreground, background) {
+  const bg = parseColor(background);
+  const fg = parseColor(foreground);
+  if (!fg || !bg) throw new Error(`Cannot compute contrast of ${foreground} on ${background}`);
+
+  const lighter = relativeLuminance(composite(fg, bg));
+  const darker = relativeLuminance(bg);
+  return (Math.max(lighter, darker) + 0.05) / (Math.min(lighter, darker) + 0.05);
+}
+
+/**
+ * APCA lightness contrast (APCA-W3 0.0.98G)
+ *
+ * @param {string} foreground - Text colour
+ * @param {string} background - Background colour
+ * @returns {number} Lc, positive for dark text on light backgrounds and negative for light text on dark ones
+ */
+export function apcaContrast(foreground, background) {
+  const bg = parseColor(background);
+  const fg = parseColor(foreground);
+  if (!fg || !bg) throw new Error(`Cannot compute contrast of ${foreground} on ${background}`);
+
+  const luminance = ([r, g, b]) => {
+    const y = 0.2126729 * (r / 255) ** 2.4 + 0.7151522 * (g / 255) ** 2.4 + 0.0721750 * (b / 255) ** 2.4;
+    return y < 0.022 ? y + (0.022 - y) ** 1.414 : y;
+  };
+
+  const text = luminance(composite(fg, bg));
+  const back = luminance(bg);
+  if (Math.abs(back - text) < 0.0005) return 0;
+
+  if (back > text) {
+    const sapc = (back ** 0.56 - text ** 0.57) * 1.14;
+    return sapc < 0.1 ? 0 : (sapc - 0.027) * 100;
+  }
+  const sapc = (back ** 0.65 - text ** 0.62) * 1.14;
+  return sapc > -0.1 ? 0 : (sapc + 0.027) * 100;
+}
+
+/**
+ * Audit the contrast of every text/background pair in the themes
+ *
+ * Every colour mode is checked. Gradient backgrounds are checked at each colour stop and report the
+ * weakest one; translucent backgrounds are painted over
+ * `colors.slide.background`.
+ *
+ * @param {Object} tokens - Design tokens with references resolved
+ * @param {Object} options - Audit options
+ * @param {string} options.level - `AA` (default) or `AAA`
+ * @param {string} options.algorithm - `wcag` (default) or `apca`, the measure that decides pass/fail
+ * @param {Object[]} options.pairs - Pairs to check instead of getContrastPairs(tokens)
+ * @returns {{ passed: boolean, level: string, algorithm: string, results: Object[], failures: Object[] }}
+ */
+export function auditContrast(tokens, options = {}) {
+  const { level = 'AA', algorithm = 'wcag', pairs = getContrastPairs(tokens) } = options;
+
+  if (!WCAG_MINIMUMS[level]) {
+    throw new Error(`Unknown contrast level "${level}" (expected ${Object.keys(WCAG_MINIMUMS).join(' or ')})`);
+  }
+  if (!['wcag', 'apca'].includes(algorithm)) {
+    throw new Error(`Unknown contrast algorithm "${algorithm}" (expected wcag or apca)`);
+  }
+
+  const canvas = parseColor(getToken(tokens, 'colors.slide.background') ?? '#ffffff') || NAMED_COLORS.white;
+  const opaque = color => {
+    const parsed = parseColor(color);
+    return parsed && `rgba(${composite(parsed, canvas).slice(0, 3).join(', ')}, 1)`;
+  };
+
+  const results = [];
+
+  pairs.forEach(pair => {
+    const foreground = getToken(tokens, pair.foreground);
+    const background = getToken(tokens, pair.background);
+    if (typeof foreground !== 'string' || typeof background !== 'string') return;
+
+    const stops = /gradient\(/.test(background) ? gradientStops(background) : [background];
+    const measured = stops.map(opaque).filter(Boolean).map(stop => ({
+      background: stop,
+      ratio: parseColor(foreground) ? contrastRatio(foreground, stop) : null,
+      lc: parseColor(foreground) ? apcaContrast(foreground, stop) : null
+    }));
+
+    if (!measured.length || measured[0].ratio === null) {
+      console.warn(`Contrast: cannot parse ${pair.foreground} (${foreground}) on ${pair.background} (${background}), skipped`);
+      return;
+    }
+
+    const worst = measured.reduce((a, b) => (
+      algorithm === 'apca' ? (Math.abs(b.lc) < Math.abs(a.lc) ? b : a) : (b.ratio < a.ratio ? b : a)
+    ));
+    const kind = pair.kind || 'text';
+    const required = algorithm === 'apca' ? APCA_MINIMUMS[level][kind] : WCAG_MINIMUMS[level][kind];
+    const score = algorithm === 'apca' ? Math.abs(worst.lc) : worst.ratio;
+
+    results.push({
+      ...pair,
+      kind,
+      colors: { foreground, background },
+      ratio: Math.round(worst.ratio * 100) / 100,
+      lc: Math.round(worst.lc * 10) / 10,
+      required,
+      pass: score >= required
+    });
+  });
+
+  const failures = results.filter(result => !result.pass);
+  return { passed: failures.length === 0, level, algorithm, results, failures };
+}
+
+/**
+ * Format a contrast audit as a readable report, one failing pair per line
+ *
+ * @param {Object} audit - Result of auditContrast()
+ * @param {Object} options - Report options
+ * @param {boolean} options.all - List passing pairs too
+ * @returns {string} Report
+ */
+export function formatContrastReport({ level, algorithm, results, failures }, options = {}) {
+  const measure = algorithm === 'apca' ? 'APCA' : 'WCAG';
+  const heading = `Contrast (${measure} ${level}): ${results.length - failures.length}/${results.length} pairs pass`;
+  const lines = (options.all ? results : failures).map(({ foreground, background, usage, ratio, lc, required, pass }) => {
+    const score = algorithm === 'apca'
+      ? `Lc ${Math.abs(lc)}${pass ? '' : `, needs ${required}`}`
+      : `${ratio}:1${pass ? '' : `, needs ${required}:1`}`;
+    return `  ${pass ? '✓' : '✗'} ${foreground} on ${background} (${usage}): ${score}`;
+  });
+  return [heading, ...lines].join('\n');
+}
+
+export default {
+  WCAG_MINIMUMS,
+  APCA_MINIMUMS,
+  CONTRAST_PAIRS,
+  getContrastPairs,
+  parseColor,
+  contrastRatio,
+  apcaContrast,
+  auditContrast,
+  formatContrastReport
+};
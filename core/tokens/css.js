@@ -0,0 +1,64 @@
+/**
+ * PRSMTECH Presentation Logic - CSS Variables
+ *
+ * Names design tokens as `--prsm-*` custom properties, the shape
+ * getCSSVariables() returns and the generated `tokens.d.ts` describes.
+ *
+ * @module @prsmtech/presentation-logic/tokens/css
+ */
+
+/**
+ * CSS custom properties of a token tree
+ *
+ * Groups with a `DEFAULT` (or a `value`, as in `{ value, px }` font sizes)
+ * also get a property of their own, and every nested key one with its
+ * path appended: `--prsm-colors-primary`, `--prsm-colors-primary-500`, ...
+ *
+ * @param {Object} tokens - Design tokens (references resolved)
+ * @param {string} prefix - Name prefix (default: `prsm`)
+ * @returns {Object} `{ '--prsm-colors-primary-500': '#0057e6', ... }`
+ */
+export function toCSSVariables(tokens, prefix = 'prsm') {
+  const variables = {};
+
+  function flatten(obj, path) {
+    Object.entries(obj).forEach(([key, value]) => {
+      if (key.startsWith('$')) return; // Skip metadata
+
+      const varName = `--${path}-${key}`;
+
+      if (typeof value === 'object' && value !== null) {
+        if ('DEFAULT' in value) {
+          variables[varName] = value.DEFAULT;
+        }
+        if ('value' in value) {
+          variables[varName] = value.value;
+        }
+        flatten(value, `${path}-${key}`);
+      } else if (typeof value === 'string' || typeof value === 'number') {
+        variables[varName] = value;
+      }
+    });
+  }
+
+  flatten(tokens, prefix);
+  return variables;
+}
+
+/**
+ * `--prsm-*` custom properties base.css defines for one token (a
+ * `DEFAULT` also defines its group's)
+ *
+ * @param {string} path - Dotted token path
+ * @returns {string[]} e.g. `['--prsm-colors-primary', '--prsm-colors-primary-DEFAULT']`
+ */
+export function tokenCSSVariables(path) {
+  const keys = path.split('.');
+  const name = `--prsm-${keys.join('-')}`;
+  return keys[keys.length - 1] === 'DEFAULT' ? [`--prsm-${keys.slice(0, -1).join('-')}`, name] : [name];
+}
+
+export default {
+  toCSSVariables,
+  tokenCSSVariables
+};
@@ -0,0 +1,136 @@
+/**
+ * PRSMTECH Presentation Logic - Deprecated Tokens
+ *
+ * Reads the `$renamedFrom` and `$deprecated` annotations of a token set.
+ * The compiler keeps a renamed token's old `--prsm-*` name as an alias of
+ * the new one, and the scanner finds decks and stylesheets still using
+ * deprecated names, so a rename gets a migration window.
+ *
+ *   "$renamedFrom": { "spacing.medium": "spacing.md" }
+ *   "$deprecated": { "colors.semantic.info": "Use colors.primary" }
+ *
+ * @module @prsmtech/presentation-logic/tokens/deprecations
+ */
+
+import { getToken, isGroup, isSizeToken } from './references.js';
+import { tokenCSSVariables } from './css.js';
+
+/**
+ * Paths of the leaf tokens at and under `path`, relative to it (`''` for the token itself)
+ */
+function leafSuffixes(node, suffix = '') {
+  if (!isGroup(node) || isSizeToken(node)) return [suffix];
+  return Object.entries(node)
+    .filter(([key]) => !key.startsWith('$'))
+    .flatMap(([key, child]) => leafSuffixes(child, `${suffix}.${key}`));
+}
+
+/**
+ * Deprecated tokens of a token set
+ *
+ * `$renamedFrom` maps a token (or group) to the path, or paths, it had
+ * before; every old path becomes a deprecated alias of the new one.
+ * `$deprecated` maps a token (or group) that still exists, or an old
+ * path, to a message (`true` for none). Groups expand to one entry per
+ * token.
+ *
+ * @param {Object} tokens - Design tokens
+ * @returns {Array<{ path: string, replacement: string|null, message: string, variables: string[], replacements: string[] }>}
+ *   `variables[i]` is the deprecated `--prsm-*` name `replacements[i]` replaces (none without a replacement)
+ */
+export function getDeprecations(tokens) {
+  const renamedFrom = isGroup(tokens.$renamedFrom) ? tokens.$renamedFrom : {};
+  const deprecated = isGroup(tokens.$deprecated) ? tokens.$deprecated : {};
+  const messageFor = path => (typeof deprecated[path] === 'string' ? deprecated[path] : null);
+  const entries = [];
+
+  Object.entries(renamedFrom).forEach(([newPath, oldPaths]) => {
+    const node = getToken(tokens, newPath);
+    if (node === undefined) {
+      console.warn(`$renamedFrom: no token "${newPath}"`);
+      return;
+    }
+
+    [oldPaths].flat().forEach(oldPath => {
+      if (getToken(tokens, oldPath) !== undefined) {
+        console.warn(`$renamedFrom: "${oldPath}" still exists, so it cannot be an alias of "${newPath}"`);
+        return;
+      }
+      leafSuffixes(node).forEach(suffix => {
+        const path = `${oldPath}${suffix}`;
+        const replacement = `${newPath}${suffix}`;
+        entries.push({
+          path,
+          replacement,
+          message: messageFor(path) ?? messageFor(oldPath) ?? `renamed to ${replacement}`,
+          variables: tokenCSSVariables(path),
+          replacements: tokenCSSVariables(replacement)
+        });
+      });
+    });
+  });
+
+  Object.keys(deprecated).forEach(deprecatedPath => {
+    const node = getToken(tokens, deprecatedPath);
+    if (node === undefined) {
+      if (!entries.some(({ path }) => path === deprecatedPath || path.startsWith(`${deprecatedPath}.`))) {
+        console.warn(`$deprecated: no token "${deprecatedPath}"`);
+      }
+      return;
+    }
+    leafSuffixes(node).forEach(suffix => {
+      const path = `${deprecatedPath}${suffix}`;
+      entries.push({
+        path,
+        replacement: null,
+        message: messageFor(path) ?? messageFor(deprecatedPath) ?? 'deprecated',
+        variables: tokenCSSVariables(path),
+        replacements: []
+      });
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Uses of deprecated names in a deck or stylesheet
+ *
+ * Finds `--prsm-*` custom properties along with the `$prsm-*` (Sass) and
+ * `@prsm-*` (Less) variables of the generated token files; definitions
+ * (`--prsm-x: ...`) are not uses.
+ *
+ * @param {string} text - File contents
+ * @param {Object[]} deprecations - getDeprecations() output
+ * @returns {Array<{ line: number, column: number, name: string, replacement: string|null, message: string }>}
+ */
+export function findDeprecatedUses(text, deprecations) {
+  const names = new Map();
+  deprecations.forEach(({ variables, replacements, message }) => {
+    variables.forEach((variable, i) => {
+      const bare = variable.slice(2);
+      ['--', '$', '@'].forEach(prefix => {
+        names.set(`${prefix}${bare}`, { replacement: replacements[i] ? `${prefix}${replacements[i].slice(2)}` : null, message });
+      });
+    });
+  });
+  if (!names.size) return [];
+
+  const uses = [];
+  const pattern = /(?:--|\$|@)prsm-[\w-]+/g;
+  text.split('\n').forEach((line, index) => {
+    for (const match of line.matchAll(pattern)) {
+      const [name] = match;
+      const rest = line.slice(match.index + name.length);
+      if (names.has(name) && !/^\s*:/.test(rest)) {
+        uses.push({ line: index + 1, column: match.index + 1, name, ...names.get(name) });
+      }
+    }
+  });
+  return uses;
+}
+
+export default {
+  getDeprecations,
+  findDeprecatedUses
+};
@@ -0,0 +1,227 @@
+/**
+ * PRSMTECH Presentation Logic - Token Diff
+ *
+ * Compares two versions of a token set: which tokens were added,
+ * removed, renamed or changed, which `--prsm-*` custom properties and
+ * Tailwind keys that touches, and whether that makes a major, minor or
+ * patch release of the theme.
+ *
+ * @module @prsmtech/presentation-logic/tokens/diff
+ */
+
+import { resolveTokens, isGroup, isSizeToken } from './references.js';
+import { tokenCSSVariables } from './css.js';
+import { getDeprecations } from './deprecations.js';
+
+/**
+ * Where tokens end up in the generated tailwind.config.js (`theme.extend.*`)
+ */
+export const TAILWIND_KEYS = [
+  ['colors.primary', 'colors.prsm.primary'],
+  ['colors.secondary', 'colors.prsm.secondary'],
+  ['colors.neutral', 'colors.prsm.neutral'],
+  ['colors.semantic', 'colors.prsm'],
+  ['typography.fontFamily', 'fontFamily'],
+  ['typography.fontSize', 'fontSize'],
+  ['borderRadius', 'borderRadius'],
+  ['shadows', 'boxShadow']
+];
+
+/**
+ * Release levels, least to most disruptive
+ */
+export const CHANGE_LEVELS = ['none', 'patch', 'minor', 'major'];
+
+const sameValue = (a, b) => JSON.stringify(a).toLowerCase() === JSON.stringify(b).toLowerCase();
+
+/**
+ * Leaf tokens by dotted path (`$` metadata left out)
+ */
+function leaves(tokens, path = [], result = {}) {
+  Object.entries(tokens).forEach(([key, value]) => {
+    if (key.startsWith('$')) return;
+    if (isGroup(value) && !isSizeToken(value)) leaves(value, [...path, key], result);
+    else result[[...path, key].join('.')] = value;
+  });
+  return result;
+}
+
+/**
+ * tailwind.config.js key generated from one token, if any
+ *
+ * @param {string} path - Dotted token path
+ * @returns {string|null} e.g. `colors.prsm.primary.500`
+ */
+export function tokenTailwindKey(path) {
+  const match = TAILWIND_KEYS.find(([prefix]) => path.startsWith(`${prefix}.`));
+  return match ? `${match[1]}${path.slice(match[0].length)}` : null;
+}
+
+/**
+ * Leaf tokens plus the old paths `$renamedFrom` keeps as aliases, which
+ * decks can still use; `aliases` maps each old path to its replacement
+ */
+function surface(tokens) {
+  const resolved = resolveTokens(tokens, { onError: () => {} });
+  const tokenLeaves = leaves(resolved);
+  const aliases = Object.fromEntries(getDeprecations(resolved)
+    .filter(({ replacement }) => replacement && replacement in tokenLeaves)
+    .map(({ path, replacement }) => [path, replacement]));
+
+  return {
+    leaves: { ...tokenLeaves, ...Object.fromEntries(Object.entries(aliases).map(([path, replacement]) => [path, tokenLeaves[replacement]])) },
+    aliases
+  };
+}
+
+/**
+ * Next version for a change level (`1.2.3` + minor → `1.3.0`)
+ */
+function bumpVersion(version, level) {
+  const [major = 0, minor = 0, patch = 0] = String(version).split('.').map(part => parseInt(part, 10) || 0);
+  if (level === 'major') return `${major + 1}.0.0`;
+  if (level === 'minor') return `${major}.${minor + 1}.0`;
+  if (level === 'patch') return `${major}.${minor}.${patch + 1}`;
+  return `${major}.${minor}.${patch}`;
+}
+
+/**
+ * Compare semantic versions
+ */
+function compareVersions(a, b) {
+  const [left, right] = [a, b].map(version => String(version).split('.').map(part => parseInt(part, 10) || 0));
+  for (let i = 0; i < 3; i++) {
+    if ((left[i] ?? 0) !== (right[i] ?? 0)) return (left[i] ?? 0) - (right[i] ?? 0);
+  }
+  return 0;
+}
+
+/**
+ * Compare two versions of a token set
+ *
+ * Values are compared resolved, so re-pointing a reference at a token
+ * with the same value is no change. A removed token whose value appears
+ * under exactly one new path (preferring the same group or key) is
+ * reported as renamed. Removing or renaming a token is major (decks
+ * using its CSS variable or Tailwind class break), adding one minor and
+ * changing a value patch. Renaming a token with `$renamedFrom` keeps the
+ * old name as an alias, so it is reported as deprecated (minor) until the
+ * alias is dropped (major).
+ *
+ * @param {Object} oldTokens - Previous design tokens (unresolved or resolved)
+ * @param {Object} newTokens - New design tokens
+ * @returns {{ level: string, version: Object, added: Object[], removed: Object[], renamed: Object[], deprecated: Object[], changed: Object[] }}
+ *   Every entry lists the `cssVariables` and `tailwind` key it affects;
+ *   `version` is `{ from, to, suggested, sufficient }` from `$version`
+ */
+export function compareTokens(oldTokens, newTokens) {
+  const [{ leaves: before, aliases: oldAliases }, { leaves: after, aliases: newAliases }] = [oldTokens, newTokens].map(surface);
+  const describe = path => ({ path, cssVariables: tokenCSSVariables(path), tailwind: tokenTailwindKey(path) });
+
+  const removedPaths = Object.keys(before).filter(path => !(path in after));
+  const addedPaths = Object.keys(after).filter(path => !(path in before));
+
+  const renamed = [];
+  removedPaths.forEach(path => {
+    const candidates = addedPaths.filter(added => sameValue(after[added], before[path]) && !renamed.some(({ to }) => to === added));
+    const parent = path.slice(0, path.lastIndexOf('.'));
+    const key = path.slice(path.lastIndexOf('.') + 1);
+    const preferred = [
+      candidates,
+      candidates.filter(added => added.startsWith(`${parent}.`)),
+      candidates.filter(added => added.endsWith(`.${key}`))
+    ].find(list => list.length === 1);
+
+    if (preferred) {
+      const [to] = preferred;
+      renamed.push({
+        ...describe(path),
+        to,
+        value: before[path],
+        replacement: { cssVariables: tokenCSSVariables(to), tailwind: tokenTailwindKey(to) }
+      });
+    }
+  });
+
+  const deprecated = Object.keys(newAliases)
+    .filter(path => path in before && !(path in oldAliases))
+    .map(path => ({ ...describe(path), to: newAliases[path], value: before[path] }));
+
+  const removed = removedPaths
+    .filter(path => !renamed.some(entry => entry.path === path))
+    .map(path => ({ ...describe(path), value: before[path] }));
+  const added = addedPaths
+    .filter(path => !renamed.some(({ to }) => to === path) && !deprecated.some(({ to }) => to === path) && !(path in newAliases))
+    .map(path => ({ ...describe(path), value: after[path] }));
+  const changed = Object.keys(before)
+    .filter(path => path in after && !sameValue(before[path], after[path]))
+    .map(path => ({ ...describe(path), from: before[path], to: after[path] }));
+
+  const level = removed.length || renamed.length ? 'major' : added.length || deprecated.length ? 'minor' : changed.length ? 'patch' : 'none';
+
+  const from = oldTokens.$version ?? null;
+  const to = newTokens.$version ?? null;
+  const suggested = from ? bumpVersion(from, level) : null;
+
+  return {
+    level,
+    version: {
+      from,
+      to,
+      suggested,
+      sufficient: !suggested || !to || compareVersions(to, suggested) >= 0
+    },
+    added,
+    removed,
+    renamed,
+    deprecated,
+    changed
+  };
+}
+
+/**
+ * Human-readable token diff, breaking changes first
+ *
+ * @param {Object} diff - compareTokens() result
+ * @returns {string} Report
+ */
+export function formatTokenDiff({ level, version, added, removed, renamed, deprecated = [], changed }) {
+  const show = value => (typeof value === 'string' ? value : JSON.stringify(value));
+  const targets = ({ cssVariables, tailwind }) => [cssVariables.join(', '), tailwind && `Tailwind ${tailwind}`].filter(Boolean).join('; ');
+  const versions = version.from ? ` ${version.from} → ${version.to ?? '?'}` : '';
+
+  if (level === 'none') return `Tokens${versions}: no changes`;
+
+  const lines = [`Tokens${versions}: ${level} change${version.suggested ? ` (version ${version.suggested})` : ''}`];
+
+  if (removed.length || renamed.length) {
+    lines.push('', 'Breaking (decks using these break):');
+    removed.forEach(entry => lines.push(`  - ${entry.path} removed (${targets(entry)})`));
+    renamed.forEach(entry => lines.push(`  → ${entry.path} renamed to ${entry.to} (${targets(entry)} → ${targets(entry.replacement)})`));
+  }
+  if (deprecated.length) {
+    lines.push('', 'Deprecated (old names kept as aliases):');
+    deprecated.forEach(entry => lines.push(`  ↷ ${entry.path} renamed to ${entry.to} (${targets(entry)})`));
+  }
+  if (added.length) {
+    lines.push('', 'Added:');
+    added.forEach(entry => lines.push(`  + ${entry.path}: ${show(entry.value)} (${targets(entry)})`));
+  }
+  if (changed.length) {
+    lines.push('', 'Changed:');
+    changed.forEach(entry => lines.push(`  ~ ${entry.path}: ${show(entry.from)} → ${show(entry.to)} (${targets(entry)})`));
+  }
+  if (!version.sufficient) {
+    lines.push('', `$version ${version.to} is too low for a ${level} change; release it as ${version.suggested}`);
+  }
+
+  return lines.join('\n');
+}
+
+export default {
+  TAILWIND_KEYS,
+  CHANGE_LEVELS,
+  tokenTailwindKey,
+  compareTokens,
+  formatTokenDiff
+};
@@ -0,0 +1,379 @@
+/**
+ * PRSMTECH Presentation Logic - DTCG Interchange
+ *
+ * Converts design tokens to and from the W3C Design Tokens Community
+ * Group format (`$value`, `$type`), the format design tools such as
+ * Figma and Tokens Studio exchange. Values the format cannot express
+ * (`{ value, px }` font sizes, `"300"` font weights, gradients, ...) keep
+ * their original under `$extensions`, so an export imports back
+ * unchanged unless a designer edited the value.
+ *
+ * @module @prsmtech/presentation-logic/tokens/dtcg
+ */
+
+import { resolveTokens, getToken, isGroup, isSizeToken } from './references.js';
+import { parseColor } from './contrast.js';
+
+/**
+ * `$extensions` namespace holding what DTCG has no place for
+ */
+export const DTCG_EXTENSION = 'com.prsmtech.presentation';
+
+/**
+ * CSS timing keywords as cubic Bézier control points
+ */
+const TIMING_CURVES = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+/**
+ * Tokens Studio (legacy `value`/`type` format) types and their DTCG names
+ */
+const TOKENS_STUDIO_TYPES = {
+  fontFamilies: 'fontFamily',
+  fontWeights: 'fontWeight',
+  lineHeights: 'number',
+  letterSpacing: 'dimension',
+  paragraphSpacing: 'dimension',
+  fontSizes: 'dimension',
+  spacing: 'dimension',
+  sizing: 'dimension',
+  borderRadius: 'dimension',
+  borderWidth: 'dimension',
+  opacity: 'number',
+  boxShadow: 'shadow'
+};
+
+const LENGTH = /^(-?(?:\d+|\d*\.\d+))(px|rem)$/;
+const TIME = /^(\d+|\d*\.\d+)(ms|s)$/;
+const NUMBER = /^-?(\d+|\d*\.\d+)$/;
+const ALIAS = /^\{[^{}]+\}$/;
+
+const round = (n, digits = 4) => Math.round(n * 10 ** digits) / 10 ** digits;
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Split a CSS list on top-level commas (not those inside `rgba(...)`)
+ */
+function splitList(value) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  return [...parts, current.trim()].filter(Boolean);
+}
+
+/**
+ * Parse a CSS box-shadow into DTCG shadow objects
+ */
+function parseShadow(value) {
+  if (typeof value !== 'string' || value === 'none') return null;
+
+  const layers = splitList(value).map(layer => {
+    const color = layer.match(/(?:rgba?|hsla?)\([^()]*\)|#[0-9a-fA-F]{3,8}\b/)?.[0];
+    const rest = layer.replace(color || '', '').trim().split(/\s+/);
+    const inset = rest[0] === 'inset';
+    const lengths = rest.filter(part => part !== 'inset');
+    if (!color || !parseColor(color) || lengths.length < 2 || lengths.length > 4) return null;
+    if (!lengths.every(length => length === '0' || LENGTH.test(length))) return null;
+
+    const [offsetX, offsetY, blur = '0', spread = '0'] = lengths.map(dimension);
+    return { color: colorValue(color), offsetX, offsetY, blur, spread, ...(inset && { inset: true }) };
+  });
+
+  if (layers.some(layer => !layer)) return null;
+  return layers.length === 1 ? layers[0] : layers;
+}
+
+/**
+ * DTCG dimension (`{ value, unit }`) from a CSS length
+ */
+function dimension(length) {
+  if (length === '0') return { value: 0, unit: 'px' };
+  const [, value, unit] = String(length).match(LENGTH);
+  return { value: Number(value), unit };
+}
+
+/**
+ * DTCG colour (sRGB components with a hex fallback)
+ */
+function colorValue(color) {
+  const [r, g, b, alpha] = parseColor(color);
+  const hex = `#${[r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+  return { colorSpace: 'srgb', components: [r, g, b].map(channel => round(channel / 255)), ...(alpha < 1 && { alpha: round(alpha) }), hex };
+}
+
+/**
+ * DTCG type of a (resolved) token value, or null if it has none
+ */
+function inferType(path, value) {
+  if (Array.isArray(value)) return value.every(item => typeof item === 'string') ? 'fontFamily' : null;
+  if (path.split('.').includes('fontWeight')) return 'fontWeight';
+  if (typeof value === 'number') return 'number';
+  if (typeof value !== 'string') return null;
+
+  if (parseColor(value)) return 'color';
+  if (TIME.test(value)) return 'duration';
+  if (TIMING_CURVES[value] || /^cubic-bezier\(/.test(value)) return 'cubicBezier';
+  if (value === '0' || LENGTH.test(value)) return 'dimension';
+  if (NUMBER.test(value)) return 'number';
+  if (parseShadow(value)) return 'shadow';
+  return null;
+}
+
+/**
+ * Convert one of our values to its DTCG form
+ */
+function toDTCGValue(type, value) {
+  switch (type) {
+    case 'color': return colorValue(value);
+    case 'dimension': return dimension(value);
+    case 'duration': {
+      const [, amount, unit] = value.match(TIME);
+      return { value: Number(amount), unit };
+    }
+    case 'cubicBezier': return TIMING_CURVES[value] || value.match(/\(([^()]*)\)/)[1].split(',').map(Number);
+    case 'fontWeight':
+    case 'number': return NUMBER.test(String(value)) ? Number(value) : value;
+    case 'shadow': return parseShadow(value);
+    default: return value;
+  }
+}
+
+/**
+ * DTCG `$value` of one of our values; references (`{path}`, also inside
+ * gradients) are kept as they are
+ */
+function exportValue(type, value) {
+  return !type || (typeof value === 'string' && value.includes('{')) ? value : toDTCGValue(type, value);
+}
+
+/**
+ * CSS text of a DTCG (or Tokens Studio) dimension
+ */
+function cssLength(value) {
+  if (isGroup(value)) return value.value === 0 ? '0' : `${value.value}${value.unit}`;
+  if (typeof value === 'number' || NUMBER.test(String(value))) return Number(value) === 0 ? '0' : `${value}px`;
+  return String(value);
+}
+
+/**
+ * CSS text of a DTCG colour
+ */
+function cssColor(value) {
+  if (!isGroup(value)) return String(value);
+
+  const alpha = value.alpha ?? 1;
+  if (value.hex && alpha >= 1) return value.hex;
+  if (value.colorSpace === 'srgb' && Array.isArray(value.components)) {
+    const [r, g, b] = value.components.map(channel => Math.round(channel * 255));
+    return alpha >= 1 ? `#${[r, g, b].map(c => c.toString(16).padStart(2, '0')).join('')}` : `rgba(${r}, ${g}, ${b}, ${alpha})`;
+  }
+  return `color(${value.colorSpace} ${value.components.join(' ')}${alpha < 1 ? ` / ${alpha}` : ''})`;
+}
+
+/**
+ * Convert a DTCG value back to our form
+ */
+function fromDTCGValue(type, value) {
+  if (typeof value === 'string' && ALIAS.test(value)) return value;
+  if (isGroup(value) && typeof value.$ref === 'string') {
+    return `{${value.$ref.replace(/^#\//, '').split('/').join('.')}}`;
+  }
+
+  switch (type) {
+    case 'color': return cssColor(value);
+    case 'dimension': return cssLength(value);
+    case 'duration': return isGroup(value) ? `${value.value}${value.unit}` : value;
+    case 'cubicBezier': {
+      if (!Array.isArray(value)) return value;
+      const keyword = Object.keys(TIMING_CURVES).find(name => sameValue(TIMING_CURVES[name], value));
+      return keyword || `cubic-bezier(${value.join(', ')})`;
+    }
+    case 'fontFamily': return typeof value === 'string' ? value.split(',').map(font => font.trim().replace(/^["']|["']$/g, '')) : value;
+    case 'shadow': {
+      if (typeof value === 'string') return value;
+      return (Array.isArray(value) ? value : [value]).map(layer => [
+        layer.inset || layer.type === 'innerShadow' ? 'inset' : '',
+        ...[layer.offsetX ?? layer.x, layer.offsetY ?? layer.y, layer.blur, layer.spread].map(part => cssLength(part ?? 0)),
+        cssColor(layer.color)
+      ].filter(Boolean).join(' ')).join(', ');
+    }
+    case 'gradient': {
+      if (!Array.isArray(value)) return value;
+      return `linear-gradient(${value.map(stop => `${cssColor(stop.color)} ${round(stop.position * 100, 2)}%`).join(', ')})`;
+    }
+    default: return value;
+  }
+}
+
+/**
+ * Convert design tokens to the DTCG format
+ *
+ * References stay `{path}` aliases and take the `$type` of what they
+ * point at. `$`-metadata other than `$description` (`$extends`,
+ * `$contrast`, `$media`, ...) moves under `$extensions`.
+ *
+ * @param {Object} tokens - Design tokens as in variables.json (unresolved)
+ * @returns {Object} DTCG token tree
+ */
+export function toDTCG(tokens) {
+  const resolved = resolveTokens(tokens, { onError: () => {} });
+
+  const token = (raw, path) => {
+    const value = isSizeToken(raw) ? raw.value : raw;
+    let resolvedValue = getToken(resolved, path);
+    if (isSizeToken(resolvedValue)) resolvedValue = resolvedValue.value;
+
+    const type = inferType(path, resolvedValue);
+    const $value = exportValue(type, value);
+
+    const result = { $value, ...(type && { $type: type }) };
+    if (!sameValue(fromDTCGValue(type, $value), raw)) {
+      result.$extensions = { [DTCG_EXTENSION]: { value: raw } };
+    }
+    return result;
+  };
+
+  const walk = (node, path) => {
+    const result = {};
+    const extensions = {};
+
+    Object.entries(node).forEach(([key, value]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (key === '$description') result.$description = value;
+      else if (key.startsWith('$')) extensions[key] = value;
+      else if (isGroup(value) && !isSizeToken(value)) result[key] = walk(value, childPath);
+      else result[key] = token(value, childPath);
+    });
+
+    if (Object.keys(extensions).length) result.$extensions = { [DTCG_EXTENSION]: extensions };
+    return result;
+  };
+
+  return walk(tokens, '');
+}
+
+/**
+ * Whether a parsed JSON file is in DTCG or Tokens Studio format
+ * (rather than our own variables.json shape)
+ *
+ * @param {Object} json - Parsed file
+ * @returns {boolean}
+ */
+export function isDTCG(json) {
+  if (!isGroup(json)) return false;
+  if ('$value' in json || (typeof json.type === 'string' && 'value' in json)) return true;
+  return Object.entries(json).some(([key, value]) => key !== '$extensions' && isGroup(value) && isDTCG(value));
+}
+
+/**
+ * Merge Tokens Studio token sets in `$metadata.tokenSetOrder`
+ */
+function mergeSets(json) {
+  const order = json.$metadata?.tokenSetOrder;
+  if (!Array.isArray(order)) return json;
+
+  const merge = (base, override) => Object.entries(override).reduce((merged, [key, value]) => {
+    merged[key] = isGroup(value) && isGroup(base[key]) && !('$value' in value) && !('value' in value) ? merge(base[key], value) : value;
+    return merged;
+  }, { ...base });
+
+  return order.filter(set => isGroup(json[set])).reduce((merged, set) => merge(merged, json[set]), {});
+}
+
+/**
+ * Convert a DTCG (or Tokens Studio / Figma export) file to design tokens
+ *
+ * Group `$type`s are inherited, `$root` tokens become `DEFAULT`, and
+ * values kept under `$extensions` by toDTCG() are restored when the
+ * `$value` next to them is unchanged. Composite types the themes have no
+ * use for (`typography`, `border`, ...) are skipped with a warning.
+ *
+ * @param {Object} json - Parsed DTCG file
+ * @returns {Object} Design tokens as in variables.json
+ */
+export function fromDTCG(json) {
+  const skipped = [];
+
+  const token = (node, type, path) => {
+    const $value = '$value' in node ? node.$value : node.value;
+    const $type = node.$type || TOKENS_STUDIO_TYPES[node.type] || node.type || type;
+    const original = node.$extensions?.[DTCG_EXTENSION]?.value;
+
+    if (original !== undefined) {
+      let exported;
+      try {
+        exported = exportValue($type, isSizeToken(original) ? original.value : original);
+      } catch {
+        exported = undefined;
+      }
+      if (sameValue(exported, $value)) return original;
+    }
+
+    if (['typography', 'border', 'transition', 'strokeStyle', 'composition'].includes($type)) {
+      skipped.push(path);
+      return undefined;
+    }
+
+    const value = fromDTCGValue($type, $value);
+    if (isSizeToken(original) && typeof value === 'string') {
+      const rem = value.match(/^(\d*\.?\d+)rem$/);
+      return { value, px: rem ? `${round(Number(rem[1]) * 16, 2)}px` : value };
+    }
+    return value;
+  };
+
+  const walk = (node, type, path) => {
+    const result = {};
+    const groupType = node.$type || type;
+
+    Object.entries(node).forEach(([key, value]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (key === '$description') {
+        result.$description = value;
+      } else if (key === '$extensions') {
+        Object.assign(result, value?.[DTCG_EXTENSION]);
+      } else if (key === '$root' && isGroup(value)) {
+        const converted = token(value, groupType, `${path}.DEFAULT`);
+        if (converted !== undefined) result.DEFAULT = converted;
+      } else if (key.startsWith('$') || !isGroup(value)) {
+        // $type, $metadata, $themes, stray scalars
+      } else if ('$value' in value || (typeof value.type === 'string' && 'value' in value)) {
+        const converted = token(value, groupType, childPath);
+        if (converted !== undefined) result[key] = converted;
+      } else {
+        result[key] = walk(value, groupType, childPath);
+      }
+    });
+
+    // Restored metadata ($extends, $schema, ...) first, as in variables.json
+    return Object.fromEntries(Object.entries(result).sort(([a], [b]) => Number(!a.startsWith('$')) - Number(!b.startsWith('$'))));
+  };
+
+  const tokens = walk(mergeSets(json), null, '');
+  if (skipped.length) {
+    console.warn(`DTCG import: skipped composite tokens the themes do not use: ${skipped.join(', ')}`);
+  }
+  return tokens;
+}
+
+export default {
+  DTCG_EXTENSION,
+  toDTCG,
+  isDTCG,
+  fromDTCG
+};
@@ -0,0 +1,148 @@
+/**
+ * PRSMTECH Presentation Logic - Colour Modes
+ *
+ * Reads the colour modes declared under `modes` in variables.json
+ * (light, dark, high-contrast, print, ...) and generates the CSS that
+ * maps the active mode onto the `--prsm-slide-*` variables the themes use.
+ *
+ * @module @prsmtech/presentation-logic/tokens/modes
+ */
+
+/**
+ * Roles every mode defines; the framework CSS reads them as `--prsm-slide-<role>`
+ */
+export const MODE_ROLES = [
+  'background',
+  'backgroundAlt',
+  'text',
+  'textMuted',
+  'heading',
+  'link',
+  'linkHover',
+  'border',
+  'codeBg',
+  'codeText',
+  'accent',
+  'accentSoft'
+];
+
+/**
+ * The modes of a token set, in declaration order
+ *
+ * Token files without a `modes` group fall back to `colors.slide` as
+ * `light` and `colors.dark` as `dark`.
+ *
+ * @param {Object} tokens - Design tokens
+ * @returns {Object[]} `{ name, path, media, selector, roles }` per mode; the first is the default
+ */
+export function getModes(tokens) {
+  const declared = tokens.modes
+    ? Object.keys(tokens.modes).filter(name => !name.startsWith('$')).map(name => [name, `modes.${name}`, tokens.modes[name]])
+    : [
+        ['light', 'colors.slide', tokens.colors?.slide],
+        ['dark', 'colors.dark', tokens.colors?.dark && { $selector: '[data-theme="dark"], .dark', ...tokens.colors.dark }]
+      ];
+
+  return declared
+    .filter(([, , mode]) => mode)
+    .map(([name, path, mode]) => ({
+      name,
+      path,
+      media: mode.$media || null,
+      selector: mode.$selector || null,
+      roles: Object.fromEntries(Object.entries(mode).filter(([role]) => !role.startsWith('$')))
+    }));
+}
+
+/**
+ * Name of the default mode (the first one declared)
+ *
+ * @param {Object} tokens - Design tokens
+ * @returns {string|null}
+ */
+export function getDefaultMode(tokens) {
+  return getModes(tokens)[0]?.name ?? null;
+}
+
+/**
+ * Colour roles of one mode
+ *
+ * @param {Object} tokens - Design tokens
+ * @param {string} mode - Mode name (default: the first mode)
+ * @returns {Object|null} `{ background, text, ... }`, or null if there is no such mode
+ */
+export function getModeColors(tokens, mode = getDefaultMode(tokens)) {
+  return getModes(tokens).find(entry => entry.name === mode)?.roles ?? null;
+}
+
+/**
+ * Whether a media query is a user preference (`prefers-color-scheme`,
+ * `prefers-contrast`, ...) rather than an output medium such as `print`
+ */
+const isPreference = media => /prefers-/.test(media);
+
+/**
+ * Selectors from a mode's `$selector` list
+ */
+const extraSelectors = mode => (mode.selector ? mode.selector.split(',').map(selector => selector.trim()) : []);
+
+/**
+ * Generate the CSS that switches `--prsm-slide-*` between modes
+ *
+ * The default mode is set on `scope`. Every mode can be picked with
+ * `data-mode="<name>"` (and its `$selector`, e.g. `.dark`). Modes with a
+ * `$media` query also apply under it: preference queries only when the
+ * page has not picked a mode itself, media types such as `print` over
+ * any picked mode.
+ *
+ * @param {Object} tokens - Design tokens (resolved, or with var() references)
+ * @param {Object} options - Output options
+ * @param {string} options.scope - Selector holding the default mode (default: `:root`)
+ * @param {Function} options.selectors - `(mode) => string[]` selectors that pick a mode
+ * @param {boolean} options.media - Emit the `$media` variants (default: true)
+ * @param {boolean} options.references - Point at `--prsm-modes-*` rather than inline the values
+ *   (default: true when the tokens declare `modes`, which base.css defines)
+ * @returns {string} CSS
+ */
+export function generateModeCSS(tokens, options = {}) {
+  const modes = getModes(tokens);
+  if (!modes.length) return '';
+
+  const {
+    scope = ':root',
+    selectors = mode => [`[data-mode="${mode.name}"]`, ...extraSelectors(mode)],
+    media = true,
+    references = Boolean(tokens.modes)
+  } = options;
+
+  const block = (selectorList, mode, indent = '') => {
+    const properties = Object.entries(mode.roles).map(([role, value]) =>
+      `${indent}  --prsm-slide-${role}: ${references ? `var(--prsm-${mode.path.replace(/\./g, '-')}-${role})` : value};`);
+    return `${indent}${selectorList.join(`,\n${indent}`)} {\n${properties.join('\n')}\n${indent}}`;
+  };
+
+  const [defaultMode] = modes;
+  const blocks = [block([scope], defaultMode), ...modes.map(mode => block(selectors(mode), mode))];
+
+  if (media) {
+    const withMedia = modes.filter(mode => mode.media);
+    const picked = [...new Set(modes.flatMap(selectors))];
+    const unpicked = `${scope}:not(${['[data-mode]', ...modes.flatMap(extraSelectors)].join(', ')})`;
+    const ordered = [...withMedia.filter(mode => isPreference(mode.media)), ...withMedia.filter(mode => !isPreference(mode.media))];
+
+    ordered.forEach(mode => {
+      const targets = isPreference(mode.media) ? [unpicked] : [unpicked, ...picked];
+      blocks.push(`@media ${mode.media} {\n${block(targets, mode, '  ')}\n}`);
+    });
+  }
+
+  return `/* Colour modes (default: ${defaultMode.name}) */\n${blocks.join('\n\n')}\n`;
+}
+
+export default {
+  MODE_ROLES,
+  getModes,
+  getDefaultMode,
+  getModeColors,
+  generateModeCSS
+};
@@ -0,0 +1,228 @@
+/**
+ * PRSMTECH Presentation Logic - Palette Generation
+ *
+ * Builds 50–900 colour scales from one brand colour in OKLCH, so the
+ * steps are evenly spaced in perceived lightness, plus the `slide` and
+ * `dark` roles and gradients that reference them.
+ *
+ * @module @prsmtech/presentation-logic/tokens/palette
+ */
+
+import { parseColor, contrastRatio } from './contrast.js';
+
+/**
+ * Scale steps lighter and darker than the brand colour (which becomes 500)
+ */
+const LIGHTER_STEPS = ['400', '300', '200', '100', '50'];
+const DARKER_STEPS = ['600', '700', '800', '900'];
+
+/**
+ * OKLCH lightness of the ends of a scale, and the chroma kept at each end
+ */
+const SCALE_RANGE = { lightest: 0.97, darkest: 0.22, lightChroma: 0.12, darkChroma: 0.55 };
+
+/**
+ * Defaults for generatePalette()
+ */
+export const PALETTE_DEFAULTS = {
+  secondaryHueShift: 30,
+  neutralChroma: 0.012,
+  neutralLightness: 0.62
+};
+
+const toLinear = c => (c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4);
+const toGamma = c => (c <= 0.0031308 ? c * 12.92 : 1.055 * c ** (1 / 2.4) - 0.055);
+
+/**
+ * Convert a CSS colour to OKLCH
+ *
+ * @param {string} color - CSS colour (`#rrggbb`, `rgb()`, `hsl()`, ...)
+ * @returns {{ l: number, c: number, h: number }} Lightness 0–1, chroma, hue in degrees
+ * @throws {Error} If the colour cannot be parsed
+ */
+export function toOklch(color) {
+  const parsed = parseColor(color);
+  if (!parsed) throw new Error(`Unsupported colour: ${color}`);
+
+  const [r, g, b] = parsed.slice(0, 3).map(channel => toLinear(channel / 255));
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+  const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  const A = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  const B = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+
+  return { l: L, c: Math.hypot(A, B), h: ((Math.atan2(B, A) * 180) / Math.PI + 360) % 360 };
+}
+
+/**
+ * Linear sRGB channels of an OKLCH colour (may fall outside 0–1)
+ */
+function oklchToLinear({ l: L, c, h }) {
+  const A = c * Math.cos((h * Math.PI) / 180);
+  const B = c * Math.sin((h * Math.PI) / 180);
+
+  const l = (L + 0.3963377774 * A + 0.2158037573 * B) ** 3;
+  const m = (L - 0.1055613458 * A - 0.0638541728 * B) ** 3;
+  const s = (L - 0.0894841775 * A - 1.2914855480 * B) ** 3;
+
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ];
+}
+
+/**
+ * Convert OKLCH to a hex colour, lowering chroma until it fits in sRGB
+ *
+ * @param {{ l: number, c: number, h: number }} color - OKLCH colour
+ * @returns {string} `#rrggbb`
+ */
+export function oklchToHex({ l, c, h }) {
+  const inGamut = channels => channels.every(channel => channel >= -1e-4 && channel <= 1 + 1e-4);
+
+  let chroma = c;
+  if (!inGamut(oklchToLinear({ l, c, h }))) {
+    let low = 0;
+    let high = c;
+    for (let i = 0; i < 24; i++) {
+      chroma = (low + high) / 2;
+      if (inGamut(oklchToLinear({ l, c: chroma, h }))) low = chroma;
+      else high = chroma;
+    }
+    chroma = low;
+  }
+
+  return `#${oklchToLinear({ l, c: chroma, h })
+    .map(channel => Math.round(toGamma(Math.min(1, Math.max(0, channel))) * 255).toString(16).padStart(2, '0'))
+    .join('')}`;
+}
+
+/**
+ * Generate a 50–900 scale around a colour
+ *
+ * The colour itself is step 500. Lighter steps are spread evenly in
+ * OKLCH lightness up to near-white and darker ones down to near-black,
+ * with chroma easing off towards both ends.
+ *
+ * @param {string} color - Base colour
+ * @returns {Object} `{ 50: '#…', …, 900: '#…' }`
+ */
+export function generateScale(color) {
+  const base = toOklch(color);
+  const { lightest, darkest, lightChroma, darkChroma } = SCALE_RANGE;
+  const scale = {};
+
+  LIGHTER_STEPS.slice().reverse().forEach((step, i) => {
+    const t = (LIGHTER_STEPS.length - i) / LIGHTER_STEPS.length;
+    scale[step] = oklchToHex({ l: base.l + (lightest - base.l) * t, c: base.c * (1 - (1 - lightChroma) * t), h: base.h });
+  });
+  scale['500'] = oklchToHex(base);
+  DARKER_STEPS.forEach((step, i) => {
+    const t = (i + 1) / DARKER_STEPS.length;
+    scale[step] = oklchToHex({ l: base.l + (darkest - base.l) * t, c: base.c * (1 - (1 - darkChroma) * t), h: base.h });
+  });
+
+  return scale;
+}
+
+/**
+ * First step of a scale whose colour reaches a contrast ratio on a background
+ */
+function firstReadable(scale, steps, background, ratio) {
+  return steps.find(step => contrastRatio(scale[step], background) >= ratio) || steps[steps.length - 1];
+}
+
+/**
+ * Generate colour tokens from a brand colour
+ *
+ * Produces `colors.primary`, `colors.secondary` and `colors.neutral`
+ * scales, `colors.slide` and `colors.dark` roles as references into them
+ * (links and headings take the first step readable at WCAG AA), the
+ * light and dark mode accents, and the gradients. The other mode roles
+ * are inherited from the parent theme's `modes`.
+ *
+ * @param {string} primary - Brand colour
+ * @param {Object} options - Palette options
+ * @param {string} options.secondary - Secondary colour (default: primary rotated by `secondaryHueShift` degrees)
+ * @param {string} options.neutral - Colour whose hue tints the neutrals (default: primary)
+ * @param {number} options.secondaryHueShift - Hue rotation for the default secondary
+ * @param {number} options.neutralChroma - OKLCH chroma of the neutrals
+ * @param {number} options.neutralLightness - OKLCH lightness of neutral 500
+ * @returns {{ colors: Object, modes: Object, gradients: Object }} Tokens to merge into variables.json
+ */
+export function generatePalette(primary, options = {}) {
+  const settings = { ...PALETTE_DEFAULTS, ...options };
+  const base = toOklch(primary);
+  const secondary = settings.secondary || oklchToHex({ ...base, h: (base.h + settings.secondaryHueShift) % 360 });
+  const tint = toOklch(settings.neutral || primary);
+
+  const scales = {
+    primary: generateScale(primary),
+    secondary: generateScale(secondary),
+    neutral: generateScale(oklchToHex({ l: settings.neutralLightness, c: settings.neutralChroma, h: tint.h }))
+  };
+
+  const white = '#ffffff';
+  const darkBackground = scales.neutral['900'];
+  const link = firstReadable(scales.primary, ['500', '600', '700', '800', '900'], white, 4.5);
+  const heading = firstReadable(scales.primary, ['500', '600', '700', '800', '900'], white, 3);
+  const darkLink = firstReadable(scales.primary, ['300', '200', '100', '50'], darkBackground, 4.5);
+  const darkHeading = firstReadable(scales.primary, ['300', '200', '100', '50'], darkBackground, 3);
+  const darker = step => DARKER_STEPS[DARKER_STEPS.indexOf(step) + 1] || step;
+  const lighter = step => ({ 300: '200', 200: '100', 100: '50' })[step] || step;
+
+  const ref = path => `{colors.${path}}`;
+  const withDefault = (name, step = '500') => ({ ...scales[name], DEFAULT: ref(`${name}.${step}`) });
+
+  return {
+    colors: {
+      primary: withDefault('primary'),
+      secondary: withDefault('secondary'),
+      neutral: withDefault('neutral', '600'),
+      slide: {
+        background: white,
+        backgroundAlt: ref('neutral.50'),
+        text: ref('neutral.900'),
+        textMuted: ref('neutral.600'),
+        heading: ref(`primary.${heading}`),
+        link: ref(`primary.${link}`),
+        linkHover: ref(`primary.${link === '500' ? '600' : darker(link)}`),
+        border: ref('neutral.300'),
+        codeBg: ref('neutral.100'),
+        codeText: ref('neutral.900')
+      },
+      dark: {
+        background: ref('neutral.900'),
+        backgroundAlt: ref('neutral.800'),
+        text: ref('neutral.50'),
+        textMuted: ref('neutral.400'),
+        heading: ref(`primary.${darkHeading}`),
+        link: ref(`primary.${darkLink}`),
+        linkHover: ref(`primary.${lighter(darkLink)}`),
+        border: ref('neutral.700'),
+        codeBg: ref('neutral.800'),
+        codeText: ref('neutral.50')
+      }
+    },
+    modes: {
+      light: { accent: ref(`primary.${link}`) },
+      dark: { accent: ref(`primary.${darkLink}`) }
+    },
+    gradients: {
+      primary: `linear-gradient(135deg, ${ref('primary.500')} 0%, ${ref('secondary.500')} 100%)`,
+      primarySoft: `linear-gradient(135deg, ${ref('primary.50')} 0%, ${ref('secondary.50')} 100%)`,
+      dark: `linear-gradient(135deg, ${ref('neutral.900')} 0%, ${ref('neutral.800')} 100%)`
+    }
+  };
+}
+
+export default {
+  PALETTE_DEFAULTS,
+  toOklch,
+  oklchToHex,
+  generateScale,
+  generatePalette
+};
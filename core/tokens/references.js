@@ -0,0 +1,204 @@
+/**
+ * PRSMTECH Presentation Logic - Token References
+ *
+ * Resolves `{colors.primary.500}` references inside design tokens, either
+ * to the referenced value or to the matching `var(--prsm-…)` custom
+ * property.
+ *
+ * @module @prsmtech/presentation-logic/tokens/references
+ */
+
+const PATH = '[\\w-]+(?:\\.[\\w-]+)*';
+const REFERENCE = new RegExp(`\\{(${PATH})\\}`, 'g');
+const WHOLE_REFERENCE = new RegExp(`^\\{(${PATH})\\}$`);
+
+/**
+ * Whether a value is a group of tokens (a plain object, not an array)
+ *
+ * @param {*} value - Token value
+ * @returns {boolean}
+ */
+export function isGroup(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a value is our `{ value, px }` shape (font sizes): a token, not a group
+ *
+ * @param {*} value - Token value
+ * @returns {boolean}
+ */
+export function isSizeToken(value) {
+  return isGroup(value) && typeof value.value === 'string' && Object.keys(value).every(key => ['value', 'px'].includes(key));
+}
+
+/**
+ * Whether a token value contains a `{path}` reference
+ *
+ * @param {*} value - Token value
+ * @returns {boolean}
+ */
+export function isReference(value) {
+  return typeof value === 'string' && new RegExp(REFERENCE.source).test(value);
+}
+
+/**
+ * Look up a token by dotted path
+ *
+ * @param {Object} tokens - Design tokens
+ * @param {string} path - Dotted path, e.g. `colors.primary.500`
+ * @returns {*} Token value, or undefined if the path does not exist
+ */
+export function getToken(tokens, path) {
+  return path.split('.').reduce((node, key) =>
+    (node !== null && typeof node === 'object' && Object.hasOwn(node, key) ? node[key] : undefined), tokens);
+}
+
+/**
+ * CSS custom property name of a token path (`DEFAULT` and `value` keys collapse)
+ *
+ * @param {string} path - Dotted path
+ * @returns {string} e.g. `--prsm-colors-primary-500`
+ */
+export function tokenVariable(path) {
+  const keys = path.split('.');
+  if (keys[keys.length - 1] === 'value') keys.pop();
+  return `--prsm-${keys.filter(key => key !== 'DEFAULT').join('-')}`;
+}
+
+/**
+ * Path of the scalar a reference stands for inside a longer string
+ * (`DEFAULT` or `value` of a token object)
+ */
+function scalarPath(tokens, path) {
+  const target = getToken(tokens, path);
+  if (target !== null && typeof target === 'object' && !Array.isArray(target)) {
+    if ('DEFAULT' in target) return scalarPath(tokens, `${path}.DEFAULT`);
+    if ('value' in target) return scalarPath(tokens, `${path}.value`);
+  }
+  return path;
+}
+
+/**
+ * Scalar used when a token is embedded in a longer string
+ */
+function scalar(value) {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    if ('DEFAULT' in value) return scalar(value.DEFAULT);
+    if ('value' in value) return scalar(value.value);
+    return undefined;
+  }
+  return Array.isArray(value) ? value.join(', ') : value;
+}
+
+/**
+ * Resolve every reference in a token tree
+ *
+ * A value that is exactly `{path}` takes the referenced token as-is
+ * (including objects and arrays); references inside a longer string,
+ * such as a gradient, are replaced by the referenced scalar (`DEFAULT`
+ * or `value` for token objects). `$`-prefixed metadata is left alone.
+ *
+ * @param {Object} tokens - Design tokens with references
+ * @param {Object} options - Resolve options
+ * @param {string} options.format - `value` (default) or `css-var` to emit `var(--prsm-…)` instead of values
+ * @param {Function} options.onError - Collect errors instead of throwing (once per token); the token keeps its unresolved value
+ * @returns {Object} A new token tree without references
+ * @throws {Error} On unknown references and reference cycles, naming the token that holds them (`error.path`)
+ */
+export function resolveTokens(tokens, options = {}) {
+  const { format = 'value', onError } = options;
+
+  // Errors carry the `path` of the token holding the bad reference
+  const fail = (message, from) => Object.assign(new Error(message), { path: from });
+  const reported = new Set();
+
+  const lookup = (path, from, chain) => {
+    if (chain.includes(path)) {
+      throw fail(`Token reference cycle: ${[...chain.slice(chain.indexOf(path)), path].join(' → ')}`, from);
+    }
+    const target = getToken(tokens, path);
+    if (target === undefined) {
+      throw fail(`Unknown token reference {${path}} in ${from}`, from);
+    }
+    return resolve(target, path, [...chain, path]);
+  };
+
+  const resolveString = (value, path, chain) => {
+    const whole = value.match(WHOLE_REFERENCE);
+    if (whole) {
+      const target = lookup(whole[1], path, chain);
+      const group = isGroup(target) && scalar(target) === undefined;
+      return format === 'css-var' && !group ? `var(${tokenVariable(whole[1])})` : target;
+    }
+
+    return value.replace(REFERENCE, (match, reference) => {
+      const target = scalar(lookup(scalarPath(tokens, reference), path, chain));
+      if (target === undefined) {
+        throw fail(`Token reference {${reference}} in ${path} is a group, not a value`, path);
+      }
+      return format === 'css-var' ? `var(${tokenVariable(reference)})` : String(target);
+    });
+  };
+
+  const resolve = (value, path, chain) => {
+    if (typeof value === 'string' && onError) {
+      try {
+        return resolveString(value, path, chain);
+      } catch (error) {
+        // Aliases resolve a broken token again; report it once
+        if (error.path === path && !reported.has(path)) {
+          reported.add(path);
+          onError(error);
+        }
+        return value;
+      }
+    }
+    if (typeof value === 'string') return resolveString(value, path, chain);
+    if (Array.isArray(value)) return value.map((item, i) => resolve(item, `${path}.${i}`, chain));
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, child]) => {
+        if (key.startsWith('$')) return [key, child];
+        const childPath = path ? `${path}.${key}` : key;
+        return [key, resolve(child, childPath, [...chain, childPath])];
+      }));
+    }
+    return value;
+  };
+
+  return resolve(tokens, '', []);
+}
+
+/**
+ * List the references in a token tree
+ *
+ * @param {Object} tokens - Design tokens
+ * @returns {Array<{ path: string, references: string[] }>} Tokens holding references, in document order
+ */
+export function findReferences(tokens) {
+  const found = [];
+
+  const walk = (value, path) => {
+    if (typeof value === 'string') {
+      const references = [...value.matchAll(REFERENCE)].map(match => match[1]);
+      if (references.length) found.push({ path, references });
+    } else if (value !== null && typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => {
+        if (!key.startsWith('$')) walk(child, path ? `${path}.${key}` : key);
+      });
+    }
+  };
+
+  walk(tokens, '');
+  return found;
+}
+
+export default {
+  isGroup,
+  isSizeToken,
+  isReference,
+  getToken,
+  tokenVariable,
+  resolveTokens,
+  findReferences
+};
@@ -0,0 +1,613 @@
+/**
+ * PRSMTECH Presentation Logic - Design System Sync
+ *
+ * Reads the website's design-system module (`lib/design-system.ts`)
+ * statically, without running or compiling it, and compares the colours,
+ * fonts, spacing and other object literals it declares with the design
+ * tokens, so drift between the site and the slides is caught.
+ *
+ * @module @prsmtech/presentation-logic/tokens/sync
+ */
+
+import { resolveTokens, getToken, isReference, isGroup, isSizeToken } from './references.js';
+import { parseColor } from './contrast.js';
+
+/**
+ * Token group of each design-system export or key (matched case-insensitively)
+ */
+export const SOURCE_GROUPS = {
+  colors: 'colors',
+  colours: 'colors',
+  palette: 'colors',
+  typography: 'typography',
+  fonts: 'typography.fontFamily',
+  fontFamily: 'typography.fontFamily',
+  fontFamilies: 'typography.fontFamily',
+  fontSize: 'typography.fontSize',
+  fontSizes: 'typography.fontSize',
+  fontWeight: 'typography.fontWeight',
+  fontWeights: 'typography.fontWeight',
+  lineHeight: 'typography.lineHeight',
+  lineHeights: 'typography.lineHeight',
+  spacing: 'spacing',
+  space: 'spacing',
+  borderRadius: 'borderRadius',
+  radius: 'borderRadius',
+  radii: 'borderRadius',
+  shadows: 'shadows',
+  boxShadow: 'shadows',
+  transitions: 'transitions',
+  gradients: 'gradients'
+};
+
+/**
+ * `typography` keys a design system may spell differently
+ */
+const TYPOGRAPHY_KEYS = {
+  fonts: 'fontFamily',
+  fontFamilies: 'fontFamily',
+  families: 'fontFamily',
+  sizes: 'fontSize',
+  fontSizes: 'fontSize',
+  weights: 'fontWeight',
+  fontWeights: 'fontWeight',
+  lineHeights: 'lineHeight'
+};
+
+/**
+ * Marker for values that cannot be read statically (calls, interpolations, ...)
+ */
+const UNREADABLE = Symbol('unreadable');
+
+/**
+ * Split JavaScript/TypeScript source into tokens, dropping comments
+ */
+function tokenize(code) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < code.length) {
+    const char = code[i];
+    const rest = code.slice(i);
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (rest.startsWith('//')) {
+      i = code.indexOf('\n', i) === -1 ? code.length : code.indexOf('\n', i);
+    } else if (rest.startsWith('/*')) {
+      i = code.indexOf('*/', i + 2) === -1 ? code.length : code.indexOf('*/', i + 2) + 2;
+    } else if (char === '"' || char === "'" || char === '`') {
+      let value = '';
+      let interpolated = false;
+      i++;
+      while (i < code.length && code[i] !== char) {
+        if (code[i] === '\\') {
+          const escaped = code[i + 1];
+          value += { n: '\n', t: '\t', r: '\r' }[escaped] ?? escaped;
+          i += 2;
+        } else {
+          if (char === '`' && code.startsWith('${', i)) interpolated = true;
+          value += code[i++];
+        }
+      }
+      i++;
+      tokens.push({ type: 'string', value, interpolated });
+    } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(code[i + 1]))) {
+      const [number] = rest.match(/^(?:0[xX][0-9a-fA-F_]+|[0-9_]*\.?[0-9_]+(?:[eE][+-]?[0-9]+)?)/);
+      tokens.push({ type: 'number', value: Number(number.replace(/_/g, '')) });
+      i += number.length;
+    } else if (/[A-Za-z_$]/.test(char)) {
+      const [word] = rest.match(/^[\w$]+/);
+      tokens.push({ type: 'word', value: word });
+      i += word.length;
+    } else {
+      const punctuation = rest.startsWith('...') ? '...' : char;
+      tokens.push({ type: 'punct', value: punctuation });
+      i += punctuation.length;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Read the object literals, arrays and constants a module declares
+ *
+ * Covers what design-system files are made of: `export const colors = {
+ * ... } as const`, nested objects and arrays, strings, numbers, spreads
+ * and references to earlier constants (`colors.primary[500]`), with type
+ * annotations and `as` / `satisfies` skipped. Anything computed (calls,
+ * interpolated template strings, ...) is left out and listed in `skipped`.
+ *
+ * @param {string} code - Module source
+ * @returns {{ values: Object, skipped: string[] }} Top-level constants by name, and the paths that could not be read
+ */
+export function parseDesignSystem(code) {
+  const tokens = tokenize(code);
+  const values = {};
+  const skipped = [];
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const is = (value, offset = 0) => peek(offset)?.value === value && peek(offset).type !== 'string';
+
+  // Skip to the end of the current expression (a `,`, `;` or closing bracket at depth 0)
+  const skipExpression = () => {
+    let depth = 0;
+    while (pos < tokens.length) {
+      const { type, value } = peek();
+      if (type === 'punct' && depth === 0 && [',', ';', '}', ']', ')'].includes(value)) return;
+      if (type === 'punct' && ['{', '[', '('].includes(value)) depth++;
+      if (type === 'punct' && ['}', ']', ')'].includes(value)) depth--;
+      pos++;
+    }
+  };
+
+  // `as const`, `as Type`, `satisfies Type`
+  const skipTypeSuffix = () => {
+    while (peek()?.type === 'word' && ['as', 'satisfies'].includes(peek().value)) {
+      pos++;
+      skipType();
+    }
+  };
+
+  // A type, up to the `=`, `,`, `;` or closing bracket that ends it
+  const skipType = () => {
+    let depth = 0;
+    while (pos < tokens.length) {
+      const { type, value } = peek();
+      if (type === 'punct' && depth === 0 && ['=', ',', ';', '}', ']', ')'].includes(value)) return;
+      if (type === 'punct' && ['{', '[', '(', '<'].includes(value)) depth++;
+      if (type === 'punct' && ['}', ']', ')', '>'].includes(value)) depth--;
+      pos++;
+    }
+  };
+
+  const expression = path => {
+    const value = primary(path);
+    skipTypeSuffix();
+    if (pos < tokens.length && !(peek().type === 'punct' && [',', ';', '}', ']', ')'].includes(peek().value))) {
+      skipExpression();
+      return UNREADABLE;
+    }
+    return value;
+  };
+
+  const primary = path => {
+    const token = peek();
+    if (!token) return UNREADABLE;
+
+    if (token.type === 'string') {
+      pos++;
+      return token.interpolated ? UNREADABLE : token.value;
+    }
+    if (token.type === 'number') {
+      pos++;
+      return token.value;
+    }
+    if (is('-') && peek(1)?.type === 'number') {
+      pos += 2;
+      return -tokens[pos - 1].value;
+    }
+    if (is('{')) return object(path);
+    if (is('[')) return array(path);
+    if (token.type === 'word') {
+      if (token.value === 'true' || token.value === 'false') {
+        pos++;
+        return token.value === 'true';
+      }
+      if (token.value === 'null') {
+        pos++;
+        return null;
+      }
+      return reference();
+    }
+
+    skipExpression();
+    return UNREADABLE;
+  };
+
+  // `name`, `name.key`, `name['key']`, `name[500]`
+  const reference = () => {
+    let value = values[peek().value];
+    pos++;
+    while (is('.') || is('[')) {
+      if (is('.') && peek(1)?.type === 'word') {
+        value = value?.[peek(1).value];
+        pos += 2;
+      } else if (is('[') && ['string', 'number'].includes(peek(1)?.type) && is(']', 2)) {
+        value = value?.[peek(1).value];
+        pos += 3;
+      } else {
+        return UNREADABLE;
+      }
+    }
+    if (is('(')) return UNREADABLE;
+    return value === undefined ? UNREADABLE : value;
+  };
+
+  const object = path => {
+    const result = {};
+    pos++;
+    while (pos < tokens.length && !is('}')) {
+      if (is('...')) {
+        pos++;
+        const spread = expression(`${path}...`);
+        if (isGroup(spread)) Object.assign(result, spread);
+        else skipped.push(`${path}...`);
+      } else {
+        const keyToken = peek();
+        let key;
+        if (['word', 'string', 'number'].includes(keyToken.type)) {
+          key = String(keyToken.value);
+          pos++;
+        } else {
+          skipExpression();
+          skipped.push(`${path}[computed]`);
+        }
+
+        if (key !== undefined) {
+          const childPath = path ? `${path}.${key}` : key;
+          if (is(':')) {
+            pos++;
+            const value = expression(childPath);
+            if (value === UNREADABLE) skipped.push(childPath);
+            else result[key] = value;
+          } else if (is(',') || is('}')) {
+            // Shorthand `{ colors }`
+            if (values[key] !== undefined) result[key] = values[key];
+            else skipped.push(childPath);
+          } else {
+            // Methods, getters, ...
+            skipExpression();
+            skipped.push(childPath);
+          }
+        }
+      }
+      if (is(',')) pos++;
+      else if (!is('}')) skipExpression();
+    }
+    pos++;
+    return result;
+  };
+
+  const array = path => {
+    const result = [];
+    pos++;
+    while (pos < tokens.length && !is(']')) {
+      const value = expression(`${path}[${result.length}]`);
+      if (value === UNREADABLE) {
+        skipped.push(`${path}[${result.length}]`);
+        return UNREADABLE;
+      }
+      result.push(value);
+      if (is(',')) pos++;
+    }
+    pos++;
+    return result;
+  };
+
+  // Top-level `const name[: Type] = value` and `export default value`
+  let depth = 0;
+  while (pos < tokens.length) {
+    const token = peek();
+
+    if (depth === 0 && token.type === 'word' && ['const', 'let', 'var'].includes(token.value) && peek(1)?.type === 'word') {
+      const name = peek(1).value;
+      pos += 2;
+      if (is(':')) {
+        pos++;
+        skipType();
+      }
+      if (is('=')) {
+        pos++;
+        const value = expression(name);
+        if (value !== UNREADABLE) values[name] = value;
+        else if (groupFor(name)) skipped.push(name);
+      }
+    } else if (depth === 0 && token.type === 'word' && token.value === 'export' && is('default', 1) && (is('{', 2) || is('[', 2))) {
+      pos += 2;
+      const value = expression('default');
+      if (value !== UNREADABLE) values.default = value;
+    } else {
+      if (token.type === 'punct' && ['{', '(', '['].includes(token.value)) depth++;
+      if (token.type === 'punct' && ['}', ')', ']'].includes(token.value)) depth--;
+      pos++;
+    }
+  }
+
+  return { values, skipped };
+}
+
+/**
+ * Token group a design-system name maps to
+ */
+function groupFor(name) {
+  const key = Object.keys(SOURCE_GROUPS).find(group => group.toLowerCase() === name.toLowerCase());
+  return key ? SOURCE_GROUPS[key] : null;
+}
+
+/**
+ * Design-system values keyed by the token path they map to
+ *
+ * Top-level constants named after a token group (`colors`, `fonts`,
+ * `spacing`, ... see SOURCE_GROUPS) map to that group, as do the keys of
+ * an object that bundles them (`export const designSystem = { colors,
+ * typography }`). `map` adds or overrides mappings by path, e.g.
+ * `{ "brand.blue": "colors.primary" }`.
+ *
+ * @param {Object} values - Constants from parseDesignSystem()
+ * @param {Object} map - `{ sourcePath: tokenPath }`
+ * @returns {Object} `{ tokenPath: value }`
+ */
+export function mapDesignSystem(values, map = {}) {
+  const groups = {};
+
+  const add = (target, value) => {
+    if (target === 'typography' && isGroup(value)) {
+      Object.entries(value).forEach(([key, child]) => {
+        groups[`typography.${TYPOGRAPHY_KEYS[key] ?? key}`] = child;
+      });
+    } else {
+      groups[target] = value;
+    }
+  };
+
+  Object.entries(values).forEach(([name, value]) => {
+    const group = groupFor(name);
+    if (group) {
+      add(group, value);
+    } else if (isGroup(value)) {
+      Object.entries(value).forEach(([key, child]) => {
+        const nested = groupFor(key);
+        if (nested && !Object.values(groups).includes(child)) add(nested, child);
+      });
+    }
+  });
+
+  Object.entries(map).forEach(([sourcePath, tokenPath]) => {
+    const value = getToken(values, sourcePath);
+    if (value === undefined) {
+      console.warn(`Design system has no "${sourcePath}" (mapped to ${tokenPath})`);
+    } else {
+      add(tokenPath, value);
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Whether two token values are the same (colours compared by RGBA, font
+ * stacks by family, numbers and numeric strings by value)
+ */
+function sameValue(a, b) {
+  const [left, right] = [a, b].map(value => (isSizeToken(value) ? value.value : value));
+  if (Array.isArray(left) || Array.isArray(right)) {
+    const list = value => (Array.isArray(value) ? value : String(value).split(',')).map(font => String(font).trim().replace(/^["']|["']$/g, ''));
+    return list(left).join(',') === list(right).join(',');
+  }
+  if (String(left) === String(right)) return true;
+
+  const [colorA, colorB] = [left, right].map(value => (typeof value === 'string' ? parseColor(value) : null));
+  return Boolean(colorA && colorB) && colorA.every((channel, i) => Math.abs(channel - colorB[i]) < 0.002);
+}
+
+/**
+ * A design-system value in the shape of the token it replaces
+ */
+function tokenValue(value, current) {
+  // Tailwind font sizes: `['0.75rem', { lineHeight: '1rem' }]`
+  if (Array.isArray(value) && value.length === 2 && typeof value[0] === 'string' && isGroup(value[1])) {
+    value = value[0];
+  }
+  if (typeof value === 'string' && /^#[0-9A-F]{3,8}$/i.test(value)) value = value.toLowerCase();
+
+  if (isSizeToken(current)) {
+    const text = String(value);
+    const rem = text.match(/^(-?[\d.]+)rem$/);
+    return { value: text, px: rem ? `${Number(rem[1]) * 16}px` : text };
+  }
+  if (Array.isArray(current) && typeof value === 'string') {
+    return value.split(',').map(font => font.trim().replace(/^["']|["']$/g, ''));
+  }
+  if (typeof current === 'string' && Array.isArray(value)) return value.join(', ');
+  if (typeof current === 'string' && typeof value === 'number') return String(value);
+  return value;
+}
+
+/**
+ * Leaves of a design-system value: `[[relativePath, value], ...]`
+ */
+function leaves(value, path = []) {
+  if (!isGroup(value)) return [[path, value]];
+  return Object.entries(value).flatMap(([key, child]) => leaves(child, [...path, key]));
+}
+
+/**
+ * Token paths of the values parseDesignSystem() could not read
+ *
+ * Each skipped source path is mapped like mapDesignSystem() maps values.
+ * An unreadable spread or computed key (`colors...`, `colors[computed]`)
+ * stands for its whole group, since it may declare any key in it.
+ *
+ * @param {string[]} skipped - `skipped` from parseDesignSystem()
+ * @param {Object} map - `{ sourcePath: tokenPath }`, as for mapDesignSystem()
+ * @returns {string[]} Token paths; each covers the tokens under it
+ */
+export function mapSkipped(skipped, map = {}) {
+  const sources = [...new Set(skipped.map(path => path.replace(/(\.\.\.|\[[^\]]*\])$/, '')).filter(Boolean))];
+  const skeleton = {};
+  sources.forEach(path => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((node, key) => {
+      if (!isGroup(node[key])) node[key] = {};
+      return node[key];
+    }, skeleton);
+    parent[keys[keys.length - 1]] = UNREADABLE;
+  });
+
+  // Mappings from inside an unreadable value cover their whole target
+  const inside = ([sourcePath]) => sources.some(path => sourcePath.startsWith(`${path}.`));
+  const mapped = Object.entries(map).filter(entry => !inside(entry) && getToken(skeleton, entry[0]) !== undefined);
+  const groups = mapDesignSystem(skeleton, Object.fromEntries(mapped));
+
+  return [...new Set([
+    ...Object.entries(groups).flatMap(([target, value]) => leaves(value)
+      .filter(([, leaf]) => leaf === UNREADABLE)
+      .map(([relative]) => [target, ...relative].join('.'))),
+    ...Object.entries(map).filter(inside).map(([, tokenPath]) => tokenPath)
+  ])];
+}
+
+/**
+ * Compare design tokens with a design system and apply its values
+ *
+ * Every value the design system declares is added to the tokens or
+ * replaces a different one (a `{reference}` that resolves to the same
+ * value is kept). Tokens missing from a group the design system also
+ * declares are reported as removed, and deleted with `prune`; groups it
+ * does not declare at all (slide colours, modes, components, ...) belong
+ * to the slides and are left alone, as are `DEFAULT` tokens and the
+ * `skipped` ones the design system computes.
+ *
+ * @param {Object} tokens - Design tokens (unresolved, as in variables.json)
+ * @param {Object} groups - mapDesignSystem() output
+ * @param {Object} options - Sync options
+ * @param {boolean} options.prune - Delete the removed tokens
+ * @param {string[]} options.skipped - Token paths the design system declares but could not be read (mapSkipped()); never removed
+ * @param {Object} options.into - Tokens to apply the changes to instead of
+ *   a copy of `tokens`, e.g. a theme's own file when `tokens` includes what it inherits
+ * @returns {{ tokens: Object, added: Object[], changed: Object[], removed: Object[], conflicts: Object[] }}
+ *   Updated tokens, and `{ path, from, to }` per difference
+ */
+export function syncTokens(tokens, groups, options = {}) {
+  const { prune = false, skipped = [] } = options;
+  const updated = structuredClone(options.into ?? tokens);
+  const resolved = resolveTokens(tokens, { onError: () => {} });
+  const added = [];
+  const changed = [];
+  const removed = [];
+  const conflicts = [];
+
+  // The full tree is kept alongside to resolve references against the new values
+  const full = structuredClone(tokens);
+  const set = (path, value) => {
+    const keys = path.split('.');
+    [updated, full].forEach(root => {
+      const parent = keys.slice(0, -1).reduce((node, key) => {
+        if (!isGroup(node[key])) node[key] = {};
+        return node[key];
+      }, root);
+      parent[keys[keys.length - 1]] = value;
+    });
+  };
+
+  const sync = (target, value) => {
+    leaves(value).forEach(([relative, sourceValue]) => {
+      let path = [target, ...relative].join('.');
+      let current = getToken(resolved, path);
+
+      // `primary: '#0057e6'` against a `primary` scale sets its DEFAULT
+      if (isGroup(current) && !isSizeToken(current) && 'DEFAULT' in current) {
+        path = `${path}.DEFAULT`;
+        current = current.DEFAULT;
+      }
+
+      if (current === undefined) {
+        const keys = path.split('.');
+        const leaf = keys.slice(1, -1).map((_, i) => getToken(resolved, keys.slice(0, i + 2).join('.'))).find(node => node !== undefined && (!isGroup(node) || isSizeToken(node)));
+        if (leaf !== undefined) {
+          conflicts.push({ path, from: leaf, to: sourceValue });
+          return;
+        }
+        const parent = getToken(resolved, keys.slice(0, -1).join('.'));
+        const example = isGroup(parent) ? Object.values(parent).find(sibling => !isGroup(sibling) || isSizeToken(sibling)) : undefined;
+        const next = tokenValue(sourceValue, example);
+        set(path, next);
+        added.push({ path, to: next });
+      } else if (isGroup(current) && !isSizeToken(current)) {
+        conflicts.push({ path, from: current, to: sourceValue });
+      } else {
+        const next = tokenValue(sourceValue, current);
+        if (!sameValue(current, next)) {
+          set(path, next);
+          changed.push({ path, from: getToken(tokens, path), to: next });
+        }
+      }
+    });
+  };
+
+  const findRemoved = (target, value) => {
+    const group = getToken(resolved, target);
+    if (!isGroup(group) || !isGroup(value) || isSizeToken(group)) return;
+
+    Object.entries(group).forEach(([key, child]) => {
+      if (key.startsWith('$') || key === 'DEFAULT') return;
+      const path = `${target}.${key}`;
+      if (skipped.some(unread => path === unread || path.startsWith(`${unread}.`))) return;
+      if (!(key in value)) {
+        // Whole groups the design system lacks are the slides' own
+        if (!isGroup(child) || isSizeToken(child)) removed.push({ path, from: getToken(tokens, path) });
+      } else {
+        findRemoved(path, value[key]);
+      }
+    });
+  };
+
+  Object.entries(groups).forEach(([target, value]) => {
+    sync(target, value);
+    findRemoved(target, value);
+  });
+
+  // A reference that resolves to the new value once the others are in (`DEFAULT: {colors.primary.500}`) stays
+  const references = changed.filter(({ from }) => isReference(from));
+  references.forEach(({ path, from }) => set(path, from));
+  const resolvedAfter = resolveTokens(full, { onError: () => {} });
+  references.forEach(change => {
+    if (sameValue(getToken(resolvedAfter, change.path), change.to)) changed.splice(changed.indexOf(change), 1);
+    else set(change.path, change.to);
+  });
+
+  if (prune) {
+    removed.forEach(({ path }) => {
+      const keys = path.split('.');
+      const parent = getToken(updated, keys.slice(0, -1).join('.'));
+      if (isGroup(parent)) delete parent[keys[keys.length - 1]];
+    });
+  }
+
+  return { tokens: updated, added, changed, removed, conflicts };
+}
+
+/**
+ * Human-readable summary of a sync
+ *
+ * @param {Object} result - syncTokens() result
+ * @param {Object} options - Report options
+ * @param {boolean} options.pruned - Whether removed tokens were deleted
+ * @returns {string} One line per difference
+ */
+export function formatSyncReport({ added, changed, removed, conflicts }, options = {}) {
+  const show = value => (typeof value === 'string' ? value : JSON.stringify(value));
+  const heading = added.length + changed.length + removed.length + conflicts.length === 0
+    ? 'Design system and tokens match'
+    : `Design system sync: ${added.length} added, ${changed.length} changed, ${removed.length} removed${conflicts.length ? `, ${conflicts.length} conflicting` : ''}`;
+
+  return [
+    heading,
+    ...added.map(({ path, to }) => `  + ${path}: ${show(to)}`),
+    ...changed.map(({ path, from, to }) => `  ~ ${path}: ${show(from)} → ${show(to)}`),
+    ...removed.map(({ path, from }) => `  - ${path}: ${show(from)}${options.pruned ? '' : ' (kept; --prune deletes it)'}`),
+    ...conflicts.map(({ path, from, to }) => `  ! ${path}: ${show(from)} cannot take ${show(to)}`)
+  ].join('\n');
+}
+
+export default {
+  SOURCE_GROUPS,
+  parseDesignSystem,
+  mapDesignSystem,
+  mapSkipped,
+  syncTokens,
+  formatSyncReport
+};
@@ -0,0 +1,151 @@
+/**
+ * PRSMTECH Presentation Logic - CSS Variable Usage
+ *
+ * Cross-checks the `var(--prsm-*)` references of generated framework CSS
+ * against the custom properties base.css defines. A misspelt name is no
+ * error in a browser, the declaration just falls back, so the compiler
+ * catches it here instead. Also finds the tokens no framework CSS uses.
+ *
+ * @module @prsmtech/presentation-logic/tokens/usage
+ */
+
+import { tokenCSSVariables } from './css.js';
+import { findReferences, isGroup, isSizeToken } from './references.js';
+
+/**
+ * Blank out comments, keeping line numbers
+ */
+const stripComments = css => css.replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '));
+
+/**
+ * Dotted paths of the leaf tokens (`$` metadata left out)
+ */
+function leafPaths(tokens, path = []) {
+  return Object.entries(tokens)
+    .filter(([key]) => !key.startsWith('$'))
+    .flatMap(([key, value]) => (isGroup(value) && !isSizeToken(value) ? leafPaths(value, [...path, key]) : [[...path, key].join('.')]));
+}
+
+/**
+ * Leaf tokens reached from `start` through `{path}` references, directly or transitively
+ *
+ * @param {Object} tokens - Design tokens, references unresolved
+ * @param {string[]} leaves - leafPaths() of the tokens
+ * @param {string[]} start - Leaf paths to start from
+ * @returns {Set<string>} The start paths and every leaf they reference
+ */
+function referencedLeaves(tokens, leaves, start) {
+  // A reference may name a leaf, a group (all of its leaves) or a part of a leaf (`fontSize.base.value`)
+  const leavesAt = path => leaves.filter(leaf => leaf === path || leaf.startsWith(`${path}.`) || path.startsWith(`${leaf}.`));
+  const edges = new Map();
+  findReferences(tokens).forEach(({ path, references }) => {
+    leavesAt(path).forEach(holder => edges.set(holder, [...(edges.get(holder) ?? []), ...references.flatMap(leavesAt)]));
+  });
+
+  const reached = new Set(start);
+  const queue = [...start];
+  while (queue.length) {
+    (edges.get(queue.shift()) ?? []).forEach(leaf => {
+      if (!reached.has(leaf)) {
+        reached.add(leaf);
+        queue.push(leaf);
+      }
+    });
+  }
+  return reached;
+}
+
+/**
+ * `--prsm-*` custom properties a stylesheet declares
+ *
+ * @param {string} css - Stylesheet
+ * @returns {Set<string>} Names
+ */
+export function findCSSVariableDefinitions(css) {
+  return new Set([...stripComments(css).matchAll(/(--prsm-[\w-]+)\s*:/g)].map(([, name]) => name));
+}
+
+/**
+ * `var(--prsm-*)` references of a stylesheet
+ *
+ * @param {string} css - Stylesheet
+ * @returns {Array<{ name: string, line: number }>}
+ */
+export function findCSSVariableReferences(css) {
+  return stripComments(css).split('\n').flatMap((text, index) =>
+    [...text.matchAll(/var\(\s*(--prsm-[\w-]+)/g)].map(([, name]) => ({ name, line: index + 1 })));
+}
+
+/**
+ * Check the generated stylesheets of a theme
+ *
+ * Every `var(--prsm-*)` must name a property base.css, or the stylesheet
+ * itself, declares. A token counts as used when some stylesheet,
+ * base.css included (its colour modes map tokens to `--prsm-slide-*`),
+ * references one of its properties, or when a used token references it
+ * (`{colors.slide.text}`), directly or through other tokens.
+ *
+ * @param {Object} stylesheets - `{ 'base.css': css, 'slidev.css': css, ... }`
+ * @param {Object} options - Check options
+ * @param {string} options.base - Stylesheet every other one imports (default: `base.css`)
+ * @param {Object} options.tokens - Design tokens with their references unresolved, to report the unused ones
+ * @param {string[]} options.ignore - Tokens (or groups) not to report as unused, such as deprecated ones
+ * @returns {{ defined: number, references: number, unresolved: Object[], unused: string[] }}
+ *   `unresolved` is `[{ file, line, name }]`, `unused` dotted token paths
+ */
+export function checkCSSVariables(stylesheets, { base = 'base.css', tokens = {}, ignore = [] } = {}) {
+  const defined = findCSSVariableDefinitions(stylesheets[base] ?? '');
+  const used = new Set();
+  const unresolved = [];
+  let references = 0;
+
+  Object.entries(stylesheets).forEach(([file, css]) => {
+    const own = file === base ? defined : findCSSVariableDefinitions(css);
+    findCSSVariableReferences(css).forEach(({ name, line }) => {
+      references++;
+      used.add(name);
+      if (!defined.has(name) && !own.has(name)) unresolved.push({ file, line, name });
+    });
+  });
+
+  const leaves = leafPaths(tokens);
+  const reached = referencedLeaves(tokens, leaves, leaves.filter(path => tokenCSSVariables(path).some(name => used.has(name))));
+  const unused = leaves.filter(path => {
+    const variables = tokenCSSVariables(path).filter(name => defined.has(name));
+    return variables.length && !ignore.some(prefix => path === prefix || path.startsWith(`${prefix}.`)) && !reached.has(path);
+  });
+
+  return { defined: defined.size, references, unresolved, unused };
+}
+
+/**
+ * Human-readable result of checkCSSVariables(), unused tokens grouped by parent
+ *
+ * @param {Object} check - checkCSSVariables() result
+ * @returns {string} Report
+ */
+export function formatCSSVariableReport({ references, unresolved, unused }) {
+  const lines = unresolved.length
+    ? [`${unresolved.length} unresolved var(--prsm-…) reference${unresolved.length === 1 ? '' : 's'} (not defined in base.css):`,
+      ...unresolved.map(({ file, line, name }) => `  ✗ ${file}:${line}  ${name}`)]
+    : [`All ${references} var(--prsm-…) references resolve`];
+
+  if (unused.length) {
+    const groups = new Map();
+    unused.forEach(path => {
+      const parent = path.includes('.') ? path.slice(0, path.lastIndexOf('.')) : '';
+      groups.set(parent, [...(groups.get(parent) ?? []), path.slice(parent ? parent.length + 1 : 0)]);
+    });
+    lines.push(`${unused.length} token${unused.length === 1 ? '' : 's'} no framework CSS uses:`);
+    groups.forEach((keys, parent) => lines.push(parent ? `  ${parent}: ${keys.join(', ')}` : `  ${keys.join(', ')}`));
+  }
+
+  return lines.join('\n');
+}
+
+export default {
+  findCSSVariableDefinitions,
+  findCSSVariableReferences,
+  checkCSSVariables,
+  formatCSSVariableReport
+};
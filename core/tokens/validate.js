@@ -0,0 +1,232 @@
+/**
+ * PRSMTECH Presentation Logic - Token Validation
+ *
+ * Checks design tokens against themes/prsmtech/tokens.schema.json and
+ * reports every problem with its token path, the expected type and the
+ * offending value.
+ *
+ * @module @prsmtech/presentation-logic/tokens/validate
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { resolveTokens, findReferences } from './references.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Path of the design token JSON Schema
+ */
+export const TOKEN_SCHEMA_PATH = join(__dirname, '../../themes/prsmtech/tokens.schema.json');
+
+let tokenSchema = null;
+
+/**
+ * Load and cache the design token JSON Schema
+ *
+ * @returns {Object} JSON Schema (draft 2020-12)
+ */
+export function getTokenSchema() {
+  if (!tokenSchema) {
+    tokenSchema = JSON.parse(readFileSync(TOKEN_SCHEMA_PATH, 'utf-8'));
+  }
+  return tokenSchema;
+}
+
+/**
+ * JSON type name of a value, as used by the `type` keyword
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Append a key to a token path (`colors.slide`, `typography.fontFamily.sans[0]`)
+ */
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Short rendering of a value for error messages
+ */
+function show(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 60 ? `${text.slice(0, 57)}...` : String(text);
+}
+
+/**
+ * Validate a value against a schema (the keywords tokens.schema.json uses)
+ *
+ * @param {Object} root - Root schema, for `$ref` lookups
+ * @returns {Object[]} Errors
+ */
+function check(value, schema, path, root) {
+  const deref = node => {
+    if (!node?.$ref) return node;
+    const target = node.$ref.replace(/^#\//, '').split('/').reduce((current, key) => current?.[key], root);
+    if (!target) throw new Error(`Token schema: unresolvable $ref ${node.$ref}`);
+    return deref(target);
+  };
+  const expected = node => {
+    const resolved = deref(node);
+    return resolved.title || (resolved.anyOf ? resolved.anyOf.map(expected).join(' or ') : [resolved.type || 'value'].flat().join(' or '));
+  };
+  const fail = (message, node) => [{ path: path || '(root)', message, expected: expected(node), value }];
+
+  const node = deref(schema);
+  if (!node || Object.keys(node).length === 0) return [];
+
+  if (node.anyOf) {
+    const branches = node.anyOf.map(branch => check(value, branch, path, root));
+    if (!branches.some(errors => errors.length === 0)) {
+      return fail(`expected ${expected(node)}, got ${show(value)}`, node);
+    }
+  }
+
+  if (node.type) {
+    const types = [node.type].flat();
+    const actual = jsonType(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      return fail(`expected ${expected(node)}, got ${actual === 'string' ? show(value) : actual}`, node);
+    }
+  }
+
+  if (node.enum && !node.enum.includes(value)) {
+    return fail(`expected one of ${node.enum.map(show).join(', ')}, got ${show(value)}`, node);
+  }
+
+  if (typeof value === 'string') {
+    if (node.minLength !== undefined && value.length < node.minLength) {
+      return fail(`expected ${expected(node)}, got an empty string`, node);
+    }
+    if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      return fail(`invalid ${expected(node)}: ${show(value)}`, node);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (node.exclusiveMinimum !== undefined && !(value > node.exclusiveMinimum)) {
+      return fail(`expected ${expected(node)} above ${node.exclusiveMinimum}, got ${value}`, node);
+    }
+    if (node.minimum !== undefined && value < node.minimum) {
+      return fail(`expected ${expected(node)} of at least ${node.minimum}, got ${value}`, node);
+    }
+  }
+
+  const errors = [];
+
+  if (Array.isArray(value)) {
+    if (node.minItems !== undefined && value.length < node.minItems) {
+      errors.push(...fail(`expected ${expected(node)} with at least ${node.minItems} item(s)`, node));
+    }
+    if (node.items) {
+      value.forEach((item, i) => errors.push(...check(item, node.items, childPath(path, i), root)));
+    }
+  } else if (value !== null && typeof value === 'object') {
+    (node.required || []).filter(key => !(key in value)).forEach(key => {
+      const propertySchema = node.properties?.[key] || node.additionalProperties || {};
+      errors.push({ path: childPath(path, key), message: 'missing required token', expected: expected(propertySchema), value: undefined });
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const keyPath = childPath(path, key);
+
+      if (node.propertyNames?.pattern && !new RegExp(node.propertyNames.pattern).test(key)) {
+        errors.push({ path: keyPath, message: `unexpected key in ${expected(node)}`, expected: `key matching ${node.propertyNames.pattern}`, value: key });
+        return;
+      }
+
+      if (node.properties && key in node.properties) {
+        errors.push(...check(child, node.properties[key], keyPath, root));
+        return;
+      }
+
+      const patterns = Object.entries(node.patternProperties || {}).filter(([pattern]) => new RegExp(pattern).test(key));
+      if (patterns.length) {
+        patterns.forEach(([, patternSchema]) => errors.push(...check(child, patternSchema, keyPath, root)));
+        return;
+      }
+
+      if (node.additionalProperties === false) {
+        errors.push({ path: keyPath, message: 'unknown token', expected: 'no such key', value: child });
+      } else if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+        errors.push(...check(child, node.additionalProperties, keyPath, root));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Whether a dotted path is `prefix` or lies inside it
+ */
+const within = (path, prefix) => path === prefix || path.startsWith(`${prefix}.`);
+
+/**
+ * Validate design tokens
+ *
+ * References (`{colors.primary.500}`) are resolved first, so an unknown
+ * or circular reference is reported as well, and the schema checks the
+ * values the compiler would write. Each problem is reported once, at
+ * the token that defines it: a token whose value comes through a
+ * broken reference or an invalid token is not reported again.
+ *
+ * @param {Object} tokens - Design tokens (as read from variables.json)
+ * @param {Object} options - Validation options
+ * @param {Object} options.schema - JSON Schema to use instead of tokens.schema.json
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string, expected: string, value: * }> }}
+ */
+export function validateTokens(tokens, options = {}) {
+  const schema = options.schema || getTokenSchema();
+
+  if (tokens === null || typeof tokens !== 'object' || Array.isArray(tokens)) {
+    return { valid: false, errors: [{ path: '(root)', message: `expected an object, got ${jsonType(tokens)}`, expected: 'object', value: tokens }] };
+  }
+
+  const referenceErrors = new Map();
+  const resolved = resolveTokens(tokens, {
+    onError: error => referenceErrors.set(error.path, { path: error.path, message: error.message, expected: 'resolvable reference', value: undefined })
+  });
+
+  // A token with a broken reference, or an alias of a token that has an error, is not reported again
+  const schemaErrors = check(resolved, schema, '', schema);
+  const failed = [...referenceErrors.keys(), ...schemaErrors.map(error => error.path.replace(/\[(\d+)\]/g, '.$1'))];
+  const inherited = [
+    ...referenceErrors.keys(),
+    ...findReferences(tokens)
+      .filter(alias => alias.references.some(reference => failed.some(path => within(path, reference) || within(reference, path))))
+      .map(alias => alias.path)
+  ];
+
+  const errors = [
+    ...referenceErrors.values(),
+    ...schemaErrors.filter(error => !inherited.some(path => within(error.path.replace(/\[(\d+)\]/g, '.$1'), path)))
+  ];
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors as a readable report, one problem per line
+ *
+ * @param {Object[]} errors - Errors from validateTokens()
+ * @param {string} source - File name for the heading
+ * @returns {string} Report
+ */
+export function formatTokenErrors(errors, source = 'variables.json') {
+  const lines = errors.map(({ path, message }) => `  ✗ ${path}: ${message}`);
+  return `${source}: ${errors.length} invalid token${errors.length === 1 ? '' : 's'}\n${lines.join('\n')}`;
+}
+
+export default {
+  TOKEN_SCHEMA_PATH,
+  getTokenSchema,
+  validateTokens,
+  formatTokenErrors
+};
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync } from 'fs';
+import { join } from 'path';
+import { buildTestTheme } from './helpers/themes.js';
+
+test('writes a Beamer theme package named after the theme', t => {
+  const { name, result, read } = buildTestTheme(t);
+
+  assert.deepEqual(readdirSync(join(result.outputDir, 'beamer')).sort(), ['color', 'font', 'inner', 'outer', '']
+    .map(part => `beamer${part}theme${name}.sty`).sort());
+  assert.match(read(`beamer/beamertheme${name}.sty`), new RegExp(`\\\\ProvidesPackage\\{beamertheme${name}\\}[\\s\\S]*\\\\usecolortheme\\{${name}\\}`));
+});
+
+test('defines the palette as LaTeX colours and skips values that are not hex', t => {
+  const { name, read } = buildTestTheme(t, {
+    $extends: 'prsmtech',
+    colors: { slide: { codeBg: '#abc', backgroundAlt: 'rgba(0, 0, 0, 0.1)' } }
+  });
+  const sty = read(`beamer/beamercolortheme${name}.sty`);
+
+  assert.match(sty, /\\definecolor\{prsmPrimary\}\{HTML\}\{0057E6\}/);
+  assert.match(sty, /\\definecolor\{prsmPrimary500\}\{HTML\}\{0057E6\}/);
+  assert.match(sty, /\\definecolor\{prsmSuccess\}\{HTML\}\{[0-9A-F]{6}\}/);
+  assert.match(sty, /\\definecolor\{prsmSlideCodeBg\}\{HTML\}\{AABBCC\}/);
+  assert.doesNotMatch(sty, /prsmSlideBackgroundAlt\}\{HTML/);
+  assert.match(sty, /\\setbeamercolor\{normal text\}\{fg=prsmSlideText,bg=prsmSlideBackground\}/);
+});
+
+test('tries each brand font in turn and escapes the brand name', t => {
+  const { name, read } = buildTestTheme(t, {
+    $extends: 'prsmtech',
+    brand: { name: 'R&D #1_x' },
+    typography: { fontFamily: { sans: ['Inter', 'system-ui', 'sans-serif'] } }
+  });
+
+  assert.match(read(`beamer/beamerfonttheme${name}.sty`), /\\IfFontExistsTF\{Inter\}\{\\setsansfont\{Inter\}\}\{\}\n/);
+  assert.match(read(`beamer/beameroutertheme${name}.sty`), /\\textbf\{R\\&D \\#1\\_x\}/);
+});
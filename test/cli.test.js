@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { writeDeck, writeFiles, tempDir } from './helpers/fixtures.js';
+
+const CLI = fileURLToPath(new URL('../bin/presentrus.js', import.meta.url));
+
+/**
+ * Run the CLI and return its exit code and output
+ */
+function presentrus(...args) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf-8', timeout: 30000 });
+  return { status, stdout, stderr };
+}
+
+const DECK = '---\ntitle: Talk\n---\n\n# One\n\nSome words here.\n\n<!-- Say hello -->\n\n---\n\n# Two\n\n```js\nconsole.log(1);\n```\n';
+
+test('prints the version and the usage', () => {
+  const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+
+  assert.equal(presentrus('--version').stdout.trim(), version);
+  assert.match(presentrus('--help').stdout, /^Usage: presentrus <command>/);
+  assert.equal(presentrus().status, 2);
+});
+
+test('reports usage errors with exit code 2, as JSON under --json', () => {
+  const unknown = presentrus('frobnicate');
+  const json = presentrus('select', '--priority', 'bogus=1', '--json');
+
+  assert.equal(unknown.status, 2);
+  assert.match(unknown.stderr, /presentrus: Unknown command: frobnicate\nRun 'presentrus --help' for usage\./);
+  assert.equal(json.status, 2);
+  assert.match(JSON.parse(json.stderr).error, /Invalid priority "bogus=1"/);
+  assert.equal(presentrus('convert', 'deck.md', '--to').status, 2);
+});
+
+test('rejects options the command does not take', () => {
+  const pdf = presentrus('select', '--pdf');
+
+  assert.equal(pdf.status, 2);
+  assert.match(pdf.stderr, /presentrus: Unknown option --pdf for select\n/);
+  assert.equal(presentrus('select', '--bogus').status, 2);
+  assert.equal(presentrus('notes', 'deck.md', '--to', 'reveal').status, 2);
+  assert.match(presentrus('theme', 'diff', 'old.json', '--prune').stderr, /Unknown option --prune for theme diff/);
+  assert.match(presentrus('--bogus').stderr, /Unknown option --bogus\n/);
+});
+
+test('analyze summarises a deck', () => {
+  const { status, stdout } = presentrus('analyze', writeDeck(DECK, 'talk.md'), '--json');
+  const summary = JSON.parse(stdout);
+
+  assert.equal(status, 0);
+  assert.deepEqual([summary.name, summary.type, summary.slideCount], ['talk', 'markdown', 2]);
+  assert.equal(summary.characteristics.hasLiveCode, false);
+});
+
+test('select ranks frameworks from flags and explains the choice', () => {
+  const { stdout } = presentrus('select', '--export', 'pdf', '--live-code', '--json');
+  const { framework, options, ranking } = JSON.parse(stdout);
+
+  assert.equal(framework, 'slidev');
+  assert.deepEqual(options, { exportFormat: 'pdf', hasLiveCode: true });
+  assert.equal(ranking[0].framework, framework);
+  assert.match(presentrus('select', '--responsive', '--explain').stdout, /^1\. \w+ \(score \d+/);
+});
+
+test('convert writes the requested format to --out', () => {
+  const outDir = tempDir();
+  const { status, stdout } = presentrus('convert', writeDeck(DECK), '--to', 'reveal', '--out', outDir, '--json');
+  const result = JSON.parse(stdout);
+
+  assert.equal(status, 0);
+  assert.deepEqual([result.format, result.outputPath, result.slideCount], ['reveal', join(outDir, 'index.html'), 2]);
+  assert.ok(existsSync(result.outputPath));
+});
+
+test('convert rejects unknown formats, themes and modes', () => {
+  const deck = writeDeck(DECK);
+
+  assert.match(presentrus('convert', deck, '--to', 'keynote').stderr, /convert --to must be one of: reveal, webslides, pptx, pdf, slidev/);
+  assert.match(presentrus('convert', deck, '--to', 'reveal', '--theme', 'nope').stderr, /Unknown theme "nope"/);
+  assert.match(presentrus('convert', deck, '--to', 'reveal', '--mode', 'sepia').stderr, /Unknown colour mode "sepia"/);
+});
+
+test('--plugin registers frameworks whose converters convert can use', () => {
+  const dir = writeFiles({
+    'plugin.mjs': "export default { id: 'echo', name: 'Echo', convert: (deck, { outDir }) => ({ outputPath: `${outDir}/echo`, slideCount: 7 }) };"
+  });
+  const { status, stdout } = presentrus('convert', writeDeck(DECK), '--to', 'echo', '--out', dir, '--plugin', join(dir, 'plugin.mjs'));
+
+  assert.equal(status, 0);
+  assert.equal(stdout.trim(), `${join(dir, 'echo')} (7 slides)`);
+});
+
+test('notes prints the speaker script or writes it to --out', () => {
+  const deck = writeDeck(DECK, 'talk.md');
+  const outDir = tempDir();
+
+  assert.match(presentrus('notes', deck, '--format', 'txt').stdout, /\[1\] One\n-+\nSay hello/);
+  assert.equal(presentrus('notes', deck, '--out', outDir).stdout.trim(), join(outDir, 'talk.notes.md'));
+  assert.equal(presentrus('notes', deck, '--format', 'pdf').status, 2);
+});
+
+test('duration exits 1 when the deck runs over --target', () => {
+  const deck = writeDeck(DECK);
+  const plan = JSON.parse(presentrus('duration', deck, '--json').stdout);
+
+  assert.equal(plan.slides.length, 2);
+  assert.equal(presentrus('duration', deck, '--target', '1h').status, 0);
+  assert.equal(presentrus('duration', deck, '--target', '1s').status, 1);
+  assert.match(presentrus('duration', deck, '--target', 'soon').stderr, /Unreadable --target: soon/);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseColor, contrastRatio, apcaContrast, auditContrast, formatContrastReport } from '../core/tokens/contrast.js';
+import { resolveTokens } from '../core/tokens/references.js';
+import { loadThemeTokens } from '../core/themes.js';
+import { buildTestTheme } from './helpers/themes.js';
+
+test('parseColor reads hex, rgb(), hsl() and named colours', () => {
+  assert.deepEqual(parseColor('#fff'), [255, 255, 255, 1]);
+  assert.deepEqual(parseColor('#0057E6'), [0, 87, 230, 1]);
+  assert.deepEqual(parseColor('#00000080'), [0, 0, 0, 128 / 255]);
+  assert.deepEqual(parseColor('rgba(10, 20, 30, 50%)'), [10, 20, 30, 0.5]);
+  assert.deepEqual(parseColor('rgb(10 20 30 / 0.25)'), [10, 20, 30, 0.25]);
+  assert.deepEqual(parseColor('hsl(0, 100%, 50%)').map(Math.round), [255, 0, 0, 1]);
+  assert.deepEqual(parseColor('transparent'), [0, 0, 0, 0]);
+  assert.equal(parseColor('tomato'), null);
+  assert.equal(parseColor('linear-gradient(#000, #fff)'), null);
+});
+
+test('contrastRatio matches the WCAG extremes', () => {
+  assert.equal(Math.round(contrastRatio('#000', '#fff')), 21);
+  assert.equal(contrastRatio('#777', '#777'), 1);
+  assert.equal(Math.round(contrastRatio('#767676', '#ffffff') * 100) / 100, 4.54);
+});
+
+test('contrastRatio paints translucent text over the background', () => {
+  assert.ok(contrastRatio('rgba(0, 0, 0, 0.5)', '#fff') < contrastRatio('#000', '#fff'));
+});
+
+test('apcaContrast is positive for dark on light and negative for light on dark', () => {
+  assert.ok(apcaContrast('#000', '#fff') > 100);
+  assert.ok(apcaContrast('#fff', '#000') < -100);
+  assert.equal(apcaContrast('#888', '#888'), 0);
+});
+
+const tokens = {
+  colors: { slide: { background: '#ffffff', text: '#111111', muted: '#bbbbbb', hero: 'linear-gradient(90deg, #000000 0%, #eeeeee 100%)' } }
+};
+const pairs = [
+  { foreground: 'colors.slide.text', background: 'colors.slide.background', kind: 'text', usage: 'body' },
+  { foreground: 'colors.slide.muted', background: 'colors.slide.background', kind: 'text', usage: 'muted' },
+  { foreground: 'colors.slide.text', background: 'colors.slide.hero', kind: 'large', usage: 'hero' }
+];
+
+test('auditContrast fails pairs below the level and judges gradients by their weakest stop', () => {
+  const audit = auditContrast(tokens, { pairs });
+
+  assert.equal(audit.passed, false);
+  assert.deepEqual(audit.failures.map(({ usage }) => usage), ['muted', 'hero']);
+  assert.equal(audit.failures[1].ratio, Math.round(contrastRatio('#111111', '#000000') * 100) / 100);
+});
+
+test('auditContrast can judge by APCA and rejects unknown levels', () => {
+  assert.equal(auditContrast(tokens, { pairs: pairs.slice(0, 1), algorithm: 'apca' }).passed, true);
+  assert.throws(() => auditContrast(tokens, { level: 'AAAA' }), /Unknown contrast level/);
+});
+
+test('formatContrastReport lists the failing pairs', () => {
+  const report = formatContrastReport(auditContrast(tokens, { pairs }));
+
+  assert.match(report, /^Contrast \(WCAG AA\): 1\/3 pairs pass/);
+  assert.match(report, /✗ colors\.slide\.muted on colors\.slide\.background \(muted\): [\d.]+:1, needs 4\.5:1/);
+});
+
+test('the stock theme audits every mode and reports its one AA shortfall', () => {
+  const audit = auditContrast(resolveTokens(loadThemeTokens('prsmtech')), { level: 'AA' });
+
+  assert.deepEqual(audit.failures.map(({ foreground, background }) => [foreground, background]), [
+    ['modes.light.textMuted', 'modes.light.backgroundAlt']
+  ]);
+  assert.ok(audit.results.some(({ foreground }) => foreground === 'modes.dark.textMuted'));
+});
+
+test('a theme under the stock $contrast warns about failing pairs and still builds', t => {
+  const { result } = buildTestTheme(t);
+
+  assert.equal(result.success, true);
+  assert.equal(result.contrast.passed, false);
+  assert.equal(result.contrast.failures.length, 1);
+});
@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { getDeprecations, findDeprecatedUses } from '../core/tokens/deprecations.js';
+import { scanDeprecations } from '../core/themes.js';
+import { writeFiles } from './helpers/fixtures.js';
+import { writeTheme, buildTestTheme } from './helpers/themes.js';
+
+const TOKENS = {
+  $extends: 'prsmtech',
+  $renamedFrom: { 'spacing.md': 'spacing.medium', 'colors.secondary': ['colors.accent'] },
+  $deprecated: { 'colors.semantic.info': 'Use colors.primary', 'spacing.medium': 'Use spacing.md (removed in 2.0)' }
+};
+
+const SPACING = {
+  spacing: { md: '1.5rem' },
+  $renamedFrom: { 'spacing.md': 'spacing.medium' },
+  $deprecated: { 'spacing.medium': 'Use spacing.md' }
+};
+
+test('a renamed token deprecates its old path, and a renamed group each of its tokens', () => {
+  const [medium, ...accent] = getDeprecations({
+    colors: { secondary: { 500: '#5c00e6', DEFAULT: '{colors.secondary.500}' } },
+    spacing: { md: '1.5rem' },
+    $renamedFrom: TOKENS.$renamedFrom
+  });
+
+  assert.deepEqual(medium, {
+    path: 'spacing.medium',
+    replacement: 'spacing.md',
+    message: 'renamed to spacing.md',
+    variables: ['--prsm-spacing-medium'],
+    replacements: ['--prsm-spacing-md']
+  });
+  assert.deepEqual(accent.map(({ path, variables, replacements }) => [path, variables, replacements]), [
+    ['colors.accent.500', ['--prsm-colors-accent-500'], ['--prsm-colors-secondary-500']],
+    ['colors.accent.DEFAULT', ['--prsm-colors-accent', '--prsm-colors-accent-DEFAULT'], ['--prsm-colors-secondary', '--prsm-colors-secondary-DEFAULT']]
+  ]);
+});
+
+test('$deprecated sets the message of a rename or deprecates a token outright', () => {
+  const deprecations = getDeprecations({ ...SPACING, colors: { semantic: { info: { light: '#d1ecf1', DEFAULT: '#17a2b8' } } }, $deprecated: TOKENS.$deprecated });
+
+  assert.deepEqual(deprecations.map(({ path, replacement, message }) => [path, replacement, message]), [
+    ['spacing.medium', 'spacing.md', 'Use spacing.md (removed in 2.0)'],
+    ['colors.semantic.info.light', null, 'Use colors.primary'],
+    ['colors.semantic.info.DEFAULT', null, 'Use colors.primary']
+  ]);
+  assert.deepEqual(getDeprecations({ spacing: { sm: '1rem' }, $deprecated: { 'spacing.sm': true } })[0].message, 'deprecated');
+});
+
+test('warns about annotations that name no token', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  assert.deepEqual(getDeprecations({
+    spacing: { md: '1rem' },
+    $renamedFrom: { 'spacing.lg': 'spacing.large', 'spacing.md': 'spacing.md' },
+    $deprecated: { 'x.y': true }
+  }), []);
+  assert.deepEqual(warn.mock.calls.map(call => call.arguments[0]), [
+    '$renamedFrom: no token "spacing.lg"',
+    '$renamedFrom: "spacing.md" still exists, so it cannot be an alias of "spacing.md"',
+    '$deprecated: no token "x.y"'
+  ]);
+});
+
+test('finds deprecated CSS, Sass and Less names but not their definitions', () => {
+  const uses = findDeprecatedUses([
+    'a { gap: var(--prsm-spacing-medium); }',
+    '  --prsm-spacing-medium: 1px;',
+    '$x: $prsm-spacing-medium; @y: @prsm-spacing-medium-x @prsm-spacing-medium;'
+  ].join('\n'), getDeprecations(SPACING));
+
+  assert.deepEqual(uses.map(({ line, column, name, replacement }) => [line, column, name, replacement]), [
+    [1, 14, '--prsm-spacing-medium', '--prsm-spacing-md'],
+    [3, 5, '$prsm-spacing-medium', '$prsm-spacing-md'],
+    [3, 54, '@prsm-spacing-medium', '@prsm-spacing-md']
+  ]);
+  assert.equal(uses[0].message, 'Use spacing.md');
+  assert.deepEqual(findDeprecatedUses('var(--prsm-spacing-medium)', []), []);
+});
+
+test('compiled themes keep renamed names as aliases of the new ones', t => {
+  const { read } = buildTestTheme(t, TOKENS);
+
+  assert.match(read('base.css'), /^ {2}--prsm-spacing-medium: var\(--prsm-spacing-md\); \/\* deprecated: Use spacing\.md \(removed in 2\.0\) \*\/$/m);
+  assert.match(read('base.css'), /^ {2}--prsm-colors-accent-500: var\(--prsm-colors-secondary-500\); \/\* deprecated: renamed to colors\.secondary\.500 \*\/$/m);
+  assert.match(read('base.css'), /^ {2}--prsm-colors-semantic-info: #17a2b8; \/\* deprecated: Use colors\.primary \*\/$/m);
+  assert.match(read('_tokens.scss'), /^\$prsm-spacing-medium: \$prsm-spacing-md; \/\/ deprecated: Use spacing\.md \(removed in 2\.0\)$/m);
+  assert.match(read('tokens.less'), /^@prsm-spacing-medium: @prsm-spacing-md; \/\/ deprecated: /m);
+});
+
+test('scanDeprecations reads decks and stylesheets in a folder', t => {
+  const theme = writeTheme(t, TOKENS);
+  const dir = writeFiles({
+    'deck.md': '# Title\n\n<div style="padding: var(--prsm-spacing-medium)"></div>\n',
+    'styles/theme.scss': '.x { color: $prsm-colors-accent-500; }\n',
+    'notes.txt': 'var(--prsm-spacing-medium)\n',
+    'node_modules/pkg/index.css': 'a { gap: var(--prsm-spacing-medium); }\n',
+    '.cache/old.css': 'a { gap: var(--prsm-spacing-medium); }\n'
+  });
+
+  const { deprecations, files, uses } = scanDeprecations(dir, { theme });
+
+  assert.ok(deprecations.some(({ path }) => path === 'spacing.medium'));
+  assert.equal(files, 2);
+  assert.deepEqual(uses.map(({ file, line, name, replacement }) => [file, line, name, replacement]), [
+    [join(dir, 'deck.md'), 3, '--prsm-spacing-medium', '--prsm-spacing-md'],
+    [join(dir, 'styles/theme.scss'), 1, '$prsm-colors-accent-500', '$prsm-colors-secondary-500']
+  ]);
+  assert.deepEqual(scanDeprecations(dir).uses, []);
+  assert.throws(() => scanDeprecations(join(dir, 'missing')), /Not found: .*missing$/);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { compareTokens, formatTokenDiff, tokenTailwindKey } from '../core/tokens/diff.js';
+import { diffTokens, getThemeDir } from '../core/themes.js';
+import { writeFiles } from './helpers/fixtures.js';
+
+const BASE = {
+  $version: '1.2.3',
+  colors: { primary: { 500: '#0057e6', DEFAULT: '{colors.primary.500}' }, semantic: { info: '#0ea5e9' } },
+  spacing: { medium: '1.5rem', sm: '1rem' }
+};
+
+const RENAMED = { ...BASE, $version: '2.0.0', spacing: { md: '1.5rem', sm: '1rem' } };
+
+test('maps tokens to the Tailwind keys they generate', () => {
+  assert.equal(tokenTailwindKey('colors.primary.500'), 'colors.prsm.primary.500');
+  assert.equal(tokenTailwindKey('colors.semantic.info'), 'colors.prsm.info');
+  assert.equal(tokenTailwindKey('shadows.lg'), 'boxShadow.lg');
+  assert.equal(tokenTailwindKey('spacing.md'), null);
+});
+
+test('identical token sets are no change', () => {
+  const diff = compareTokens(BASE, { ...BASE });
+
+  assert.equal(diff.level, 'none');
+  assert.deepEqual(diff.version, { from: '1.2.3', to: '1.2.3', suggested: '1.2.3', sufficient: true });
+  assert.equal(formatTokenDiff(diff), 'Tokens 1.2.3 → 1.2.3: no changes');
+});
+
+test('a changed value is a patch and lists every variable it reaches through references', () => {
+  const diff = compareTokens(BASE, { ...BASE, $version: '1.2.4', colors: { ...BASE.colors, primary: { 500: '#c2410c', DEFAULT: '{colors.primary.500}' } } });
+
+  assert.equal(diff.level, 'patch');
+  assert.equal(diff.version.sufficient, true);
+  assert.deepEqual(diff.changed.map(({ path, cssVariables, from, to }) => [path, cssVariables, from, to]), [
+    ['colors.primary.500', ['--prsm-colors-primary-500'], '#0057e6', '#c2410c'],
+    ['colors.primary.DEFAULT', ['--prsm-colors-primary', '--prsm-colors-primary-DEFAULT'], '#0057e6', '#c2410c']
+  ]);
+});
+
+test('re-pointing a reference at the same value is no change', () => {
+  const tokens = { ...BASE, colors: { ...BASE.colors, primary: { 500: '#0057e6', DEFAULT: '#0057E6' } } };
+
+  assert.equal(compareTokens(BASE, tokens).level, 'none');
+});
+
+test('an added token is minor, and a patch version is too low for it', () => {
+  const diff = compareTokens(BASE, { ...BASE, $version: '1.2.4', spacing: { ...BASE.spacing, lg: '2rem' } });
+
+  assert.equal(diff.level, 'minor');
+  assert.deepEqual(diff.added, [{ path: 'spacing.lg', cssVariables: ['--prsm-spacing-lg'], tailwind: null, value: '2rem' }]);
+  assert.deepEqual(diff.version, { from: '1.2.3', to: '1.2.4', suggested: '1.3.0', sufficient: false });
+  assert.match(formatTokenDiff(diff), /\$version 1\.2\.4 is too low for a minor change; release it as 1\.3\.0$/);
+});
+
+test('a token moved to a new path is a breaking rename', () => {
+  const diff = compareTokens(BASE, RENAMED);
+
+  assert.equal(diff.level, 'major');
+  assert.deepEqual(diff.renamed.map(({ path, to, replacement }) => [path, to, replacement.cssVariables]), [
+    ['spacing.medium', 'spacing.md', ['--prsm-spacing-md']]
+  ]);
+  assert.deepEqual([diff.added, diff.removed], [[], []]);
+  assert.equal(diff.version.sufficient, true);
+});
+
+test('$renamedFrom turns a rename into a deprecation until the alias is dropped', () => {
+  const aliased = { ...RENAMED, $version: '1.3.0', $renamedFrom: { 'spacing.md': 'spacing.medium' } };
+  const deprecation = compareTokens(BASE, aliased);
+  const removal = compareTokens(aliased, { ...RENAMED });
+
+  assert.equal(deprecation.level, 'minor');
+  assert.deepEqual(deprecation.deprecated.map(({ path, to }) => [path, to]), [['spacing.medium', 'spacing.md']]);
+  assert.deepEqual([deprecation.renamed, deprecation.added], [[], []]);
+  assert.equal(removal.level, 'major');
+  assert.deepEqual(removal.removed.map(({ path }) => path), ['spacing.medium']);
+});
+
+test('formats breaking changes first', () => {
+  const diff = compareTokens(BASE, { $version: '1.2.4', colors: { primary: { 500: '#0057e6' } }, spacing: { md: '1.5rem', sm: '1.125rem', lg: '2rem' } });
+
+  assert.equal(formatTokenDiff(diff), [
+    'Tokens 1.2.3 → 1.2.4: major change (version 2.0.0)',
+    '',
+    'Breaking (decks using these break):',
+    '  - colors.primary.DEFAULT removed (--prsm-colors-primary, --prsm-colors-primary-DEFAULT; Tailwind colors.prsm.primary.DEFAULT)',
+    '  - colors.semantic.info removed (--prsm-colors-semantic-info; Tailwind colors.prsm.info)',
+    '  → spacing.medium renamed to spacing.md (--prsm-spacing-medium → --prsm-spacing-md)',
+    '',
+    'Added:',
+    '  + spacing.lg: 2rem (--prsm-spacing-lg)',
+    '',
+    'Changed:',
+    '  ~ spacing.sm: 1rem → 1.125rem (--prsm-spacing-sm)',
+    '',
+    '$version 1.2.4 is too low for a major change; release it as 2.0.0'
+  ].join('\n'));
+});
+
+test('diffTokens reads variables.json files merged over their parent', () => {
+  const current = JSON.parse(readFileSync(join(getThemeDir('prsmtech'), 'variables.json'), 'utf-8'));
+  const dir = writeFiles({
+    'old.json': JSON.stringify({ $extends: 'prsmtech', $version: '1.0.0' }),
+    'new.json': JSON.stringify({ $extends: 'prsmtech', $version: '1.0.1', colors: { primary: { 500: '#c2410c' } } })
+  });
+
+  assert.equal(diffTokens(join(dir, 'old.json'), join(dir, 'new.json')).level, 'patch');
+  assert.equal(diffTokens(current).level, 'none');
+  assert.throws(() => diffTokens(join(dir, 'missing.json')), /missing\.json: ENOENT/);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { DTCG_EXTENSION, toDTCG, fromDTCG, isDTCG } from '../core/tokens/dtcg.js';
+import { exportTheme, importTheme, getThemeDir, loadThemeTokens } from '../core/themes.js';
+import { writeFiles } from './helpers/fixtures.js';
+import { themeName } from './helpers/themes.js';
+
+const variables = () => JSON.parse(readFileSync(join(getThemeDir('prsmtech'), 'variables.json'), 'utf-8'));
+
+test('exports typed tokens and keeps references as aliases', () => {
+  const dtcg = toDTCG(variables());
+
+  assert.deepEqual(dtcg.colors.primary['500'], { $value: { colorSpace: 'srgb', components: [0, 0.3412, 0.902], hex: '#0057e6' }, $type: 'color' });
+  assert.deepEqual(dtcg.colors.primary.DEFAULT, { $value: '{colors.primary.500}', $type: 'color' });
+  assert.deepEqual(dtcg.transitions.duration.fast, { $value: { value: 150, unit: 'ms' }, $type: 'duration' });
+  assert.deepEqual(dtcg.transitions.timing.easeIn, { $value: [0.42, 0, 1, 1], $type: 'cubicBezier' });
+  assert.equal(dtcg.shadows.inner.$type, 'shadow');
+  assert.equal(dtcg.shadows.inner.$value.inset, true);
+  assert.deepEqual(dtcg.modes.dark.$extensions, { [DTCG_EXTENSION]: { $media: '(prefers-color-scheme: dark)', $selector: '[data-theme="dark"], .dark' } });
+});
+
+test('keeps what DTCG cannot express under $extensions', () => {
+  const dtcg = toDTCG(variables());
+
+  assert.deepEqual(dtcg.typography.fontSize.base, {
+    $value: { value: 1, unit: 'rem' },
+    $type: 'dimension',
+    $extensions: { [DTCG_EXTENSION]: { value: { value: '1rem', px: '16px' } } }
+  });
+  assert.equal(dtcg.typography.fontWeight.bold.$value, 700);
+  assert.equal(dtcg.typography.fontWeight.bold.$extensions[DTCG_EXTENSION].value, '700');
+  assert.equal(dtcg.$extensions[DTCG_EXTENSION].$version, '1.0.0');
+});
+
+test('an export imports back unchanged', () => {
+  assert.deepEqual(fromDTCG(toDTCG(variables())), variables());
+});
+
+test('an edited value wins over the kept original', () => {
+  const dtcg = toDTCG(variables());
+  dtcg.typography.fontSize.base.$value = { value: 1.25, unit: 'rem' };
+  dtcg.typography.fontWeight.bold.$value = 650;
+
+  const tokens = fromDTCG(dtcg);
+
+  assert.deepEqual(tokens.typography.fontSize.base, { value: '1.25rem', px: '20px' });
+  assert.equal(tokens.typography.fontWeight.bold, 650);
+});
+
+test('recognises DTCG and Tokens Studio files', () => {
+  assert.equal(isDTCG(variables()), false);
+  assert.equal(isDTCG(toDTCG(variables())), true);
+  assert.equal(isDTCG({ colors: { primary: { type: 'color', value: '#fff' } } }), true);
+  assert.equal(isDTCG([]), false);
+});
+
+test('imports Tokens Studio sets, $root tokens and inherited group types', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  assert.deepEqual(fromDTCG({
+    $metadata: { tokenSetOrder: ['core', 'brand'] },
+    core: { colors: { primary: { value: '#000', type: 'color' }, gap: { value: '8', type: 'spacing' } } },
+    brand: { colors: { primary: { value: '#c2410c', type: 'color' } } }
+  }), { colors: { primary: '#c2410c', gap: '8px' } });
+
+  assert.deepEqual(fromDTCG({
+    colors: {
+      $type: 'color',
+      brand: { $root: { $value: { colorSpace: 'srgb', components: [1, 0, 0], alpha: 0.5 } }, link: { $value: '{colors.brand}' } }
+    },
+    heading: { $type: 'typography', $value: {} }
+  }), { colors: { brand: { DEFAULT: 'rgba(255, 0, 0, 0.5)', link: '{colors.brand}' } } });
+  assert.match(warn.mock.calls[0].arguments[0], /skipped composite tokens the themes do not use: heading$/);
+});
+
+test('exportTheme includes inherited tokens', () => {
+  assert.deepEqual(fromDTCG(exportTheme('prsmtech')), loadThemeTokens('prsmtech'));
+});
+
+test('importTheme validates a file against its parent and writes it', t => {
+  const name = themeName(t);
+  const file = join(writeFiles({
+    'tokens.json': JSON.stringify({
+      $extensions: { [DTCG_EXTENSION]: { $extends: 'prsmtech' } },
+      colors: { primary: { 500: { $type: 'color', $value: '#c2410c' } } }
+    })
+  }), 'tokens.json');
+
+  const dryRun = importTheme(name, file, { write: false });
+  assert.deepEqual(dryRun.tokens, { $extends: 'prsmtech', colors: { primary: { 500: '#c2410c' } } });
+  assert.equal(dryRun.written, false);
+  assert.deepEqual(dryRun.audit.failures.map(({ foreground }) => foreground), ['modes.light.textMuted']);
+
+  importTheme(name, file);
+  assert.equal(loadThemeTokens(name).colors.primary['500'], '#c2410c');
+  assert.throws(() => importTheme(name, file), new RegExp(`Theme "${name}" already exists`));
+});
+
+test('importTheme reports unreadable files, invalid tokens and self-inheritance', () => {
+  const invalid = { $extensions: { [DTCG_EXTENSION]: { $extends: 'prsmtech' } }, colors: { primary: { 500: { $type: 'color', $value: 'nah' } } } };
+
+  assert.throws(() => importTheme('acme', '/no/such/tokens.json', { write: false }), /\/no\/such\/tokens\.json: ENOENT/);
+  assert.throws(() => importTheme('acme', invalid, { write: false }), /acme\/variables\.json: 1 invalid token\n {2}✗ colors\.primary\.500: invalid colour/);
+  assert.throws(() => importTheme('acme', { $extends: 'acme' }, { write: false }), /Theme inheritance cycle: acme → acme/);
+});
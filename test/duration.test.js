@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration, estimateSlideDuration, estimateDuration } from '../core/duration.js';
+import { parseSlides } from '../core/slides.js';
+
+// One word per second keeps the arithmetic readable
+const options = { wordsPerMinute: 60 };
+const slide = markdown => parseSlides(markdown)[0];
+
+test('parseDuration reads minutes, units and m:ss', () => {
+  assert.equal(parseDuration(20), 1200);
+  assert.equal(parseDuration('1.5'), 90);
+  assert.equal(parseDuration('90s'), 90);
+  assert.equal(parseDuration('2 min'), 120);
+  assert.equal(parseDuration('1h30m'), 5400);
+  assert.equal(parseDuration('1:30'), 90);
+  assert.equal(parseDuration('soon'), null);
+  assert.equal(parseDuration('5 parsecs'), null);
+  assert.equal(parseDuration(-1), null);
+  assert.equal(parseDuration(null), null);
+});
+
+test('without notes the speaker talks around the slide text', () => {
+  const { seconds, source, breakdown } = estimateSlideDuration(slide('# Hello world\n\none two three four five six\n'), options);
+
+  assert.equal(source, 'estimate');
+  assert.equal(breakdown.speech, 16);
+  assert.equal(seconds, 16);
+});
+
+test('notes are the script, but the slide text is at least read out', () => {
+  assert.equal(estimateSlideDuration(slide('# Hello world\n\n<!-- a b c d e f g h i j -->\n'), options).breakdown.speech, 10);
+  assert.equal(estimateSlideDuration(slide('# One two three four\n\n<!-- Short -->\n'), options).breakdown.speech, 4);
+});
+
+test('adds time for code, live code, diagrams and media', () => {
+  const { breakdown } = estimateSlideDuration(slide([
+    '```js', 'a();', '', 'b();', 'c();', '```',
+    '',
+    '```ts {monaco}', 'x();', 'y();', '```',
+    '',
+    '```mermaid', 'graph LR', '```',
+    '',
+    '![Chart](a.png)',
+    '',
+    '$$', 'x^2', '$$',
+    '',
+    '| a |', '|---|', '| 1 |', '| 2 |',
+    '',
+    '<Counter />'
+  ].join('\n')), options);
+
+  assert.deepEqual(breakdown, { speech: 6, code: 9 + 12, diagrams: 45, media: 10 + 20 + 8 + 15 });
+});
+
+test('frontmatter duration wins and short slides get the minimum', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  const { seconds, source } = estimateSlideDuration(slide('---\nduration: 90s\n---\n\n# Long talk here\n'), options);
+
+  assert.deepEqual([seconds, source], [90, 'frontmatter']);
+  assert.equal(estimateSlideDuration(slide('# Hi\n'), options).seconds, 10);
+  assert.equal(estimateSlideDuration(slide('---\nduration: whenever\n---\n\n# Hi\n'), options).source, 'estimate');
+  assert.match(warn.mock.calls[0].arguments[0], /Slide 1: ignoring unreadable duration "whenever"/);
+});
+
+test('estimateDuration builds a timing plan against the target slot', () => {
+  const deck = { frontmatter: { duration: '1min' }, slides: parseSlides('# A\n\n---\nduration: 45s\n---\n\n# B\n\n---\n\n# C\n') };
+  const plan = estimateDuration(deck, options);
+
+  assert.deepEqual(plan.slides.map(({ index, title, seconds, startsAt }) => [index, title, seconds, startsAt]), [
+    [0, 'A', 10, 0],
+    [1, 'B', 45, 10],
+    [2, 'C', 10, 55]
+  ]);
+  assert.deepEqual([plan.totalSeconds, plan.totalMinutes, plan.targetSeconds, plan.fits], [65, 1.1, 60, false]);
+  assert.equal(estimateDuration(deck, { ...options, target: 2 }).fits, true);
+  assert.equal(estimateDuration({ slides: [] }).fits, null);
+  assert.throws(() => estimateDuration({ type: 'unknown' }), /expects a parsed deck with slides, got unknown/);
+});
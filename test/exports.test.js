@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import { getDesignTokens, getCSSVariables } from '../core/index.js';
+import { buildTestTheme } from './helpers/themes.js';
+
+const TOKENS = {
+  $extends: 'prsmtech',
+  brand: { name: 'R&D Labs', tagline: 'Fast: and cheap' },
+  colors: { primary: { 500: '#c2410c' } }
+};
+
+test('writes Sass variables and maps', t => {
+  const { read } = buildTestTheme(t, TOKENS);
+  const scss = read('_tokens.scss');
+
+  assert.match(scss, /^\$prsm-colors-primary-500: #c2410c;$/m);
+  assert.match(scss, /^\$prsm-colors-slide-heading: #c2410c;$/m);
+  assert.match(scss, /^\$prsm-typography-fontSize-base: 1rem;$/m);
+  assert.match(scss, /^\$prsm-typography-fontFamily-heading: "Space Grotesk", Geist, system-ui, sans-serif;$/m);
+  assert.match(scss, /^\$prsm-brand-name: "R&D Labs";$/m);
+  assert.match(scss, /^\$prsm-brand-tagline: "Fast: and cheap";$/m);
+  assert.match(scss, /^\$prsm-colors: \(\n {2}"primary": \(\n {4}"50": #[0-9a-f]{6},/m);
+  assert.match(scss, /^ {4}"sans": \(Inter, Geist, system-ui, sans-serif\),$/m);
+});
+
+test('writes Less variables, escaping values Less would parse', t => {
+  const { read } = buildTestTheme(t, TOKENS);
+  const less = read('tokens.less');
+
+  assert.match(less, /^@prsm-colors-primary-500: #c2410c;$/m);
+  assert.match(less, /^@prsm-shadows-sm: 0 1px 2px 0 rgba\(0, 0, 0, 0\.05\);$/m);
+  assert.match(less, /^@prsm-brand-name: ~"R&D Labs";$/m);
+  assert.match(less, /^@prsm-brand-tagline: ~"Fast: and cheap";$/m);
+});
+
+test('writes an ES module of the resolved tokens and their custom properties', async t => {
+  const { name, result } = buildTestTheme(t, TOKENS);
+  const module = await import(pathToFileURL(join(result.outputDir, 'tokens.js')));
+
+  assert.deepEqual(module.tokens, getDesignTokens(name));
+  assert.deepEqual(module.cssVariables, getCSSVariables(name));
+  assert.equal(module.default, module.tokens);
+  assert.equal(module.tokens.colors.slide.link, '#c2410c');
+});
+
+test('writes TypeScript declarations typed by kind with exact keys', t => {
+  const { name, read } = buildTestTheme(t, TOKENS);
+  const types = read('tokens.d.ts');
+
+  assert.match(types, new RegExp(`getDesignTokens\\('${name}'\\) as DesignTokens`));
+  assert.match(types, /export interface DesignTokens \{\n {2}readonly \$schema: string;/);
+  assert.match(types, /readonly primary: \{\n {6}readonly '50': string;/);
+  assert.match(types, /readonly sans: readonly string\[\];/);
+  assert.match(types, /export type CSSVariableName =\n {2}\| '--prsm-brand-name'\n/);
+  assert.match(types, /\| '--prsm-colors-primary-500'\n/);
+  assert.match(types, /export declare const tokens: DesignTokens;/);
+});
+
+test('reports each export file in the build results', t => {
+  const { result } = buildTestTheme(t, TOKENS);
+  const files = Object.fromEntries(result.results.map(({ framework, path }) => [framework, path]));
+
+  assert.ok(result.results.every(({ success }) => success));
+  assert.equal(files.scss, join(result.outputDir, '_tokens.scss'));
+  assert.equal(files.less, join(result.outputDir, 'tokens.less'));
+  assert.equal(files.esm, join(result.outputDir, 'tokens.js'));
+  assert.equal(files.types, join(result.outputDir, 'tokens.d.ts'));
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FRAMEWORKS, FRAMEWORK_CAPABILITIES, SELECTION_CRITERIA, registerFramework, unregisterFramework,
+  getThemeGenerators, getConverters, detectFramework
+} from '../core/frameworks.js';
+
+const impress = {
+  id: 'impress',
+  name: 'impress.js',
+  capabilities: { fileExtensions: ['.html'], canvas3d: true },
+  criteria: { spatial: { option: 'needs3d', capability: 'canvas3d', weight: 4 } },
+  theme: () => '.impress {}',
+  detect: ({ content }) => /id="impress"/.test(content),
+  convert: () => ({ outputPath: 'out.html', slideCount: 1 })
+};
+
+test('registers a framework with its capabilities, criteria and hooks', t => {
+  t.after(() => unregisterFramework('impress'));
+
+  assert.equal(registerFramework(impress), 'impress');
+  assert.equal(FRAMEWORKS.IMPRESS, 'impress');
+  assert.deepEqual(FRAMEWORK_CAPABILITIES.impress.dimensions, { width: 1280, height: 720 });
+  assert.equal(SELECTION_CRITERIA.spatial.label, 'spatial');
+  assert.equal(getThemeGenerators().impress, impress.theme);
+  assert.equal(getConverters().impress, impress.convert);
+  assert.equal(detectFramework({ content: '<div id="impress">' }), 'impress');
+  assert.equal(detectFramework({ content: '<div>' }), null);
+});
+
+test('unregisters a framework and everything it added', () => {
+  registerFramework(impress);
+
+  assert.equal(unregisterFramework('impress'), true);
+  assert.equal(unregisterFramework('impress'), false);
+  assert.equal(FRAMEWORKS.IMPRESS, undefined);
+  assert.equal('impress' in FRAMEWORK_CAPABILITIES, false);
+  assert.equal('spatial' in SELECTION_CRITERIA, false);
+  assert.deepEqual(getThemeGenerators(), {});
+});
+
+test('rejects ids of built-in frameworks, theme outputs and converters', () => {
+  ['slidev', 'reveal', 'webslides', 'marp', 'base', 'tailwind', 'dtcg', 'beamer', 'scss', 'less', 'esm', 'types', 'pptx', 'pdf']
+    .forEach(id => assert.throws(() => registerFramework({ ...impress, id }), new RegExp(`Framework id is reserved: ${id}\\b`)));
+
+  assert.deepEqual(getThemeGenerators(), {});
+  assert.deepEqual(getConverters(), {});
+});
+
+test('rejects invalid definitions', t => {
+  t.after(() => unregisterFramework('impress'));
+
+  assert.throws(() => registerFramework({ name: 'x' }), /Invalid framework id: undefined/);
+  assert.throws(() => registerFramework({ id: 'Impress', name: 'x' }), /Invalid framework id: Impress/);
+  assert.throws(() => registerFramework({ id: 'impress' }), /needs a name/);
+  assert.throws(() => registerFramework({ ...impress, detect: 'yes' }), /detect must be a function/);
+  assert.throws(() => registerFramework({ ...impress, criteria: { pdf: impress.criteria.spatial } }), /criterion already defined: pdf/);
+  assert.throws(() => registerFramework({ ...impress, criteria: { spatial: { option: 'needs3d' } } }), /needs an option, a capability and a numeric weight/);
+
+  registerFramework(impress);
+  assert.throws(() => registerFramework(impress), /already registered: impress/);
+});
+
+test('a throwing detector is skipped with a warning', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  t.after(() => unregisterFramework('broken'));
+  registerFramework({ id: 'broken', name: 'Broken', detect: () => { throw new Error('boom'); } });
+
+  assert.equal(detectFramework({ content: '' }), null);
+  assert.match(warn.mock.calls[0].arguments[0], /Framework broken: detector failed: boom/);
+});
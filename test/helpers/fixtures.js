@@ -0,0 +1,66 @@
+/**
+ * Test fixtures: decks and images written to a fresh temporary directory
+ */
+
+import { mkdtempSync, writeFileSync, mkdirSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { deflateSync } from 'zlib';
+import { crc32 } from '../../core/zip.js';
+
+/**
+ * New empty temporary directory
+ */
+export function tempDir() {
+  return mkdtempSync(join(tmpdir(), 'presentrus-'));
+}
+
+/**
+ * Write files (`{ 'deck.md': '...', 'img/a.png': buffer }`) into a temporary directory
+ *
+ * @returns {string} The directory
+ */
+export function writeFiles(files) {
+  const dir = tempDir();
+  Object.entries(files).forEach(([name, content]) => {
+    mkdirSync(dirname(join(dir, name)), { recursive: true });
+    writeFileSync(join(dir, name), content);
+  });
+  return dir;
+}
+
+/**
+ * Write a Markdown deck and return its path
+ */
+export function writeDeck(markdown, name = 'deck.md') {
+  return join(writeFiles({ [name]: markdown }), name);
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, checksum]);
+}
+
+/**
+ * A valid solid-colour PNG: RGB, or RGBA when the colour has an alpha byte
+ */
+export function png(width = 2, height = 2, color = [255, 0, 0]) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = color.length === 4 ? 6 : 2; // truecolour (with alpha)
+  const row = [0, ...Array.from({ length: width }, () => color).flat()];
+  const pixels = Buffer.from(Array.from({ length: height }, () => row).flat());
+
+  return Buffer.concat([
+    Buffer.from('89504e470d0a1a0a', 'hex'),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(pixels)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
@@ -0,0 +1,54 @@
+/**
+ * Test themes: throwaway folders in a temporary themes directory
+ * (PRESENTRUS_THEMES_DIR), removed when the test ends and, with the
+ * directory, when the test process exits
+ */
+
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { getThemeDir } from '../../core/themes.js';
+import { buildTheme } from '../../themes/prsmtech/build.js';
+import { tempDir } from './fixtures.js';
+
+export const TEST_THEMES_DIR = tempDir();
+process.env.PRESENTRUS_THEMES_DIR = TEST_THEMES_DIR;
+process.on('exit', () => rmSync(TEST_THEMES_DIR, { recursive: true, force: true }));
+
+let count = 0;
+
+/**
+ * Unique name for a theme the test creates, removed when the test ends
+ *
+ * @param {Object} t - Test context
+ * @returns {string} Theme name
+ */
+export function themeName(t) {
+  const name = `test-${process.pid}-${++count}`;
+  t.after(() => rmSync(getThemeDir(name), { recursive: true, force: true }));
+  return name;
+}
+
+/**
+ * Write `<name>/variables.json` for the duration of a test
+ *
+ * @param {Object} t - Test context (the folder is removed in `t.after`)
+ * @param {Object} tokens - variables.json contents
+ * @returns {string} Theme name
+ */
+export function writeTheme(t, tokens = { $extends: 'prsmtech' }) {
+  const name = themeName(t);
+  mkdirSync(getThemeDir(name), { recursive: true });
+  writeFileSync(join(getThemeDir(name), 'variables.json'), JSON.stringify(tokens, null, 2));
+  return name;
+}
+
+/**
+ * Write and compile a test theme
+ *
+ * @returns {{ name: string, result: Object, read: Function }} `read(file)` returns a dist file
+ */
+export function buildTestTheme(t, tokens, options = {}) {
+  const name = writeTheme(t, tokens);
+  const result = buildTheme(name, { log: () => {}, ...options });
+  return { name, result, read: file => readFileSync(join(result.outputDir, file), 'utf-8') };
+}
@@ -0,0 +1,116 @@
+/**
+ * Synthetic TrueType font with just the tables parseTrueType() reads
+ */
+
+function table(size, fill) {
+  const buffer = Buffer.alloc(size);
+  fill(buffer);
+  return buffer;
+}
+
+/**
+ * Build a font mapping `A`, `B`, `C` to glyphs 1–3
+ *
+ * @param {Object} options - Font options
+ * @param {string} options.name - PostScript name (name ID 6)
+ * @param {number} options.unitsPerEm - Units per em
+ * @param {number[]} options.advances - Advance widths of glyphs 0–3
+ * @param {number} options.italicAngle - post table italic angle in degrees
+ * @param {string} options.signature - `true` (0x00010000) or `OTTO`
+ * @param {string[]} options.omit - Tables to leave out
+ * @returns {Buffer} Font file
+ */
+export function trueTypeFont(options = {}) {
+  const {
+    name = 'TestSans-Regular',
+    unitsPerEm = 2048,
+    advances = [1024, 1366, 1200, 1400],
+    italicAngle = 0,
+    signature = 'true',
+    omit = []
+  } = options;
+
+  const head = table(54, b => {
+    b.writeUInt32BE(0x00010000, 0);
+    b.writeUInt16BE(unitsPerEm, 18);
+    b.writeInt16BE(-200, 36);
+    b.writeInt16BE(-400, 38);
+    b.writeInt16BE(2000, 40);
+    b.writeInt16BE(1900, 42);
+  });
+
+  const hhea = table(36, b => {
+    b.writeUInt32BE(0x00010000, 0);
+    b.writeInt16BE(1638, 4);
+    b.writeInt16BE(-410, 6);
+    b.writeUInt16BE(advances.length, 34);
+  });
+
+  const hmtx = table(advances.length * 4, b => advances.forEach((advance, i) => b.writeUInt16BE(advance, i * 4)));
+
+  // Format 4: one segment A–C → glyphs 1–3 (idDelta), then the 0xFFFF terminator
+  const segments = [{ start: 0x41, end: 0x43, delta: 1 - 0x41 }, { start: 0xffff, end: 0xffff, delta: 1 }];
+  const segCount = segments.length;
+  const subtableLength = 16 + segCount * 8;
+  const cmap = table(12 + subtableLength, b => {
+    b.writeUInt16BE(0, 0);
+    b.writeUInt16BE(1, 2);
+    b.writeUInt16BE(3, 4); // Windows
+    b.writeUInt16BE(1, 6); // Unicode BMP
+    b.writeUInt32BE(12, 8);
+    const s = 12;
+    b.writeUInt16BE(4, s);
+    b.writeUInt16BE(subtableLength, s + 2);
+    b.writeUInt16BE(segCount * 2, s + 6);
+    segments.forEach(({ start, end, delta }, i) => {
+      b.writeUInt16BE(end, s + 14 + i * 2);
+      b.writeUInt16BE(start, s + 16 + segCount * 2 + i * 2);
+      b.writeInt16BE(delta, s + 16 + segCount * 4 + i * 2);
+      b.writeUInt16BE(0, s + 16 + segCount * 6 + i * 2);
+    });
+  });
+
+  const nameBytes = Buffer.from(name, 'utf16le').swap16();
+  const nameTable = table(18 + nameBytes.length, b => {
+    b.writeUInt16BE(0, 0);
+    b.writeUInt16BE(1, 2);
+    b.writeUInt16BE(18, 4);
+    b.writeUInt16BE(3, 6);
+    b.writeUInt16BE(1, 8);
+    b.writeUInt16BE(0x409, 10);
+    b.writeUInt16BE(6, 12);
+    b.writeUInt16BE(nameBytes.length, 14);
+    b.writeUInt16BE(0, 16);
+    nameBytes.copy(b, 18);
+  });
+
+  const os2 = table(96, b => {
+    b.writeUInt16BE(2, 0);
+    b.writeInt16BE(1434, 88);
+  });
+
+  const post = table(32, b => {
+    b.writeUInt32BE(0x00020000, 0);
+    b.writeInt32BE(Math.round(italicAngle * 65536), 4);
+  });
+
+  const tables = Object.entries({ head, hhea, hmtx, cmap, name: nameTable, 'OS/2': os2, post })
+    .filter(([tag]) => !omit.includes(tag));
+
+  const directory = Buffer.alloc(12 + tables.length * 16);
+  directory.writeUInt32BE(signature === 'OTTO' ? 0x4f54544f : 0x00010000, 0);
+  directory.writeUInt16BE(tables.length, 4);
+
+  let offset = directory.length;
+  const bodies = tables.map(([tag, data], i) => {
+    const entry = 12 + i * 16;
+    directory.write(tag.padEnd(4, ' '), entry, 'ascii');
+    directory.writeUInt32BE(offset, entry + 8);
+    directory.writeUInt32BE(data.length, entry + 12);
+    const padded = Buffer.concat([data, Buffer.alloc((4 - (data.length % 4)) % 4)]);
+    offset += padded.length;
+    return padded;
+  });
+
+  return Buffer.concat([directory, ...bodies]);
+}
@@ -0,0 +1,39 @@
+/**
+ * Minimal ZIP reader for checking generated packages (PPTX)
+ */
+
+import { inflateRawSync } from 'zlib';
+
+/**
+ * Entries of a ZIP archive, read through its central directory
+ *
+ * @param {Buffer} buffer - Archive
+ * @returns {Map<string, Buffer>} Uncompressed contents by entry name
+ */
+export function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (end === -1) throw new Error('No end of central directory record');
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error(`Bad central directory header at ${offset}`);
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(dataStart, dataStart + size);
+    entries.set(name, method === 8 ? inflateRawSync(data) : Buffer.from(data));
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
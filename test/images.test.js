@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readImageInfo, loadImage } from '../core/images.js';
+import { writeFiles, png } from './helpers/fixtures.js';
+
+test('readImageInfo reads PNG, GIF and JPEG dimensions', () => {
+  assert.deepEqual(readImageInfo(png(3, 2)), { type: 'png', width: 3, height: 2 });
+
+  const gif = Buffer.from('GIF89a\x05\x00\x04\x00\x00\x00\x00', 'latin1');
+  assert.deepEqual(readImageInfo(gif), { type: 'gif', width: 5, height: 4 });
+
+  // SOI, an APP0 segment, then SOF0 with 8-bit precision, 20×10, 3 components
+  const jpeg = Buffer.from([
+    0xff, 0xd8,
+    0xff, 0xe0, 0x00, 0x04, 0x00, 0x00,
+    0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x0a, 0x00, 0x14, 0x03, 0x00, 0x00
+  ]);
+  assert.deepEqual(readImageInfo(jpeg), { type: 'jpeg', width: 20, height: 10, components: 3 });
+
+  assert.equal(readImageInfo(Buffer.from('not an image')), null);
+});
+
+test('loadImage resolves images relative to the deck, decoding %-escapes', () => {
+  const dir = writeFiles({ 'img/my pic.png': png(4, 4) });
+
+  const image = loadImage('img/my%20pic.png?v=2#frag', dir);
+  assert.equal(image.type, 'png');
+  assert.equal(image.width, 4);
+  assert.ok(image.path.endsWith('my pic.png'));
+});
+
+test('loadImage keeps a literal % that is not an escape', () => {
+  const dir = writeFiles({ '100%.png': png() });
+
+  assert.equal(loadImage('100%.png', dir).type, 'png');
+  assert.equal(loadImage('missing 100%.png', dir), null);
+});
+
+test('loadImage returns null for remote, data, missing and directory sources', () => {
+  const dir = writeFiles({ 'sub/a.png': png() });
+
+  assert.equal(loadImage('https://example.com/a.png', dir), null);
+  assert.equal(loadImage('data:image/png;base64,AAAA', dir), null);
+  assert.equal(loadImage('nope.png', dir), null);
+  assert.equal(loadImage('sub', dir), null);
+  assert.equal(loadImage('', dir), null);
+});
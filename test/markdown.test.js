@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown, renderInline, renderBlocks, parseBlocks, parseFenceInfo, fenceTracker } from '../core/markdown.js';
+
+test('renders inline emphasis, links, images and code spans', () => {
+  assert.equal(
+    renderInline('**bold** *em* ~~gone~~ [link](https://e.com "Title") `a < b`'),
+    '<strong>bold</strong> <em>em</em> <del>gone</del> <a href="https://e.com" title="Title">link</a> <code>a &lt; b</code>'
+  );
+});
+
+test('backslash escapes keep punctuation literal', () => {
+  assert.equal(renderInline('\\*not em\\* \\`not code\\` a\\_b\\_'), '*not em* `not code` a_b_');
+  assert.equal(renderInline('`\\*kept*`'), '<code>\\*kept*</code>');
+});
+
+test('image alt text is escaped and never formatted', () => {
+  assert.equal(renderInline('![a *b* "c"](x.png "T")'), '<img src="x.png" alt="a *b* &quot;c&quot;" title="T">');
+  assert.equal(renderInline('[![*a*](x.png)](https://e.com)'), '<a href="https://e.com"><img src="x.png" alt="*a*"></a>');
+});
+
+test('renders nested lists and ordered starts', () => {
+  assert.equal(
+    renderMarkdown('3. three\n   - nested\n4. four'),
+    '<ol start="3">\n<li>three\n<ul>\n<li>nested</li>\n</ul></li>\n<li>four</li>\n</ol>'
+  );
+});
+
+test('renders tables with alignment and escaped pipes', () => {
+  assert.equal(renderMarkdown('| a | b\\|c |\n|:--|--:|\n| 1 | 2 |'), [
+    '<table>',
+    '<thead><tr><th style="text-align: left">a</th><th style="text-align: right">b|c</th></tr></thead>',
+    '<tbody>',
+    '<tr><td style="text-align: left">1</td><td style="text-align: right">2</td></tr>',
+    '</tbody>',
+    '</table>'
+  ].join('\n'));
+});
+
+test('a comment on its own line ends a paragraph', () => {
+  assert.equal(renderMarkdown('Text\n<!-- bg: dark -->\nMore'), '<p>Text</p>\n<!-- bg: dark -->\n<p>More</p>');
+  assert.equal(renderMarkdown('Text <!-- inline --> more'), '<p>Text <!-- inline --> more</p>');
+});
+
+test('a fence closes only on a bare run of at least its own length', () => {
+  assert.deepEqual(parseBlocks('````\n```\n``` js\n````').map(block => block.code), ['```\n``` js']);
+
+  const inFence = fenceTracker();
+  assert.deepEqual(['~~~', '```', '~~~~', 'after'].map(inFence), [true, true, true, false]);
+});
+
+test('renders code through options.renderCode', () => {
+  const renderCode = (code, { lang, attrs }) => `[${lang}|${attrs}|${code}]`;
+
+  assert.equal(renderMarkdown('```ts {monaco}\nlet x;\n```'), '<pre><code class="language-ts">let x;</code></pre>');
+  assert.equal(renderMarkdown('```ts {monaco}\nlet x;\n```', { renderCode }), '[ts|monaco|let x;]');
+  assert.deepEqual(parseFenceInfo('js', '{2,3}'), { lang: 'js', attrs: '2,3' });
+});
+
+test('renders math, components, raw HTML and rules', () => {
+  assert.equal(
+    renderMarkdown('$$\na < b\n$$\n\n<Counter :count="1" />\n\n<div class="x">\n\nhi\n\n</div>\n\n***'),
+    '<p>$$\na &lt; b\n$$</p>\n<Counter :count="1" />\n<div class="x">\n<p>hi</p>\n</div>\n<hr>'
+  );
+});
+
+test('renderBlocks renders parsed blocks and skips vertical separators', () => {
+  const blocks = parseBlocks('# Top\n\n--\n\n> quoted');
+
+  assert.deepEqual(blocks.map(block => block.type), ['heading', 'vertical', 'blockquote']);
+  assert.equal(renderBlocks(blocks), '<h1>Top</h1>\n<blockquote>\n<p>quoted</p>\n</blockquote>');
+  assert.equal(renderBlocks([]), '');
+});
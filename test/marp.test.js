@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseContent, FRAMEWORKS, FRAMEWORK_CAPABILITIES } from '../core/index.js';
+import { writeDeck } from './helpers/fixtures.js';
+import { buildTestTheme } from './helpers/themes.js';
+
+test('Marp is a built-in framework', () => {
+  assert.equal(FRAMEWORKS.MARP, 'marp');
+  assert.deepEqual(FRAMEWORK_CAPABILITIES.marp.dimensions, { width: 1280, height: 720 });
+});
+
+test('recommends Marp for marp: true decks and applies headmatter directives to every slide', () => {
+  const deck = parseContent(writeDeck('---\nmarp: true\ntheme: prsmtech\npaginate: true\n---\n\n# One\n\n---\n\n<!-- _paginate: false -->\n# Two\n'));
+
+  assert.equal(deck.characteristics.isMarp, true);
+  assert.equal(deck.recommendedFramework, 'marp');
+  assert.deepEqual(deck.slides.map(slide => slide.directives), [{ paginate: true }, { paginate: false }]);
+});
+
+test('recognises Marp decks by their directive comments alone', () => {
+  const marp = parseContent(writeDeck('<!-- _class: lead -->\n# Title\n'));
+  const slidev = parseContent(writeDeck('# Title\n\n<!-- A note -->\n'));
+
+  assert.equal(marp.recommendedFramework, 'marp');
+  assert.equal(slidev.characteristics.isMarp, false);
+  assert.notEqual(slidev.recommendedFramework, 'marp');
+});
+
+test('directive-like comments do not make Slidev or Reveal decks Marp', () => {
+  const decks = [
+    '---\nlayout: cover\n---\n\n# Title\n\n<!-- footer: remember the demo -->\n',
+    '# One\n\n---\nclass: text-center\n---\n\n# Two\n\n<!-- class: lead -->\n',
+    '# One\n\n<v-click>\n\nLater\n\n</v-click>\n\n<!-- header: draft -->\n',
+    '# One\n\n<Counter :count="1" />\n\n<!-- color: red -->\n',
+    '<!-- .slide: data-background="#000" -->\n# One\n\n<!-- paginate: true -->\n'
+  ];
+
+  decks.forEach(markdown => assert.equal(parseContent(writeDeck(markdown)).characteristics.isMarp, false, markdown));
+  assert.equal(parseContent(writeDeck('---\nmarp: true\nlayout: cover\n---\n\n# One\n')).characteristics.isMarp, true);
+  assert.equal(parseContent(writeDeck('# One\n\n```vue\n<Counter />\n```\n\n<!-- paginate: true -->\n')).characteristics.isMarp, true);
+});
+
+test('generates a Marp theme registered under the theme name', t => {
+  const { name, read } = buildTestTheme(t);
+  const css = read('marp.css');
+
+  assert.match(css, new RegExp(`^/\\* @theme ${name} \\*/`));
+  assert.match(css, /@import 'default';/);
+  assert.doesNotMatch(css, /@import '\.\/base\.css'/);
+  assert.match(css, /section \{\n {2}--prsm-brand-name: PRSMTECH;[\s\S]*--prsm-colors-primary-500: #0057e6;[\s\S]*width: 1280px;\n {2}height: 720px;/);
+  assert.match(css, /section\.lead \{/);
+  assert.match(css, /section\.dark,\s*section\.invert \{/);
+});
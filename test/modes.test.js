@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MODE_ROLES, getModes, getDefaultMode, getModeColors, generateModeCSS } from '../core/tokens/modes.js';
+import { getDesignTokens, getInlineStyles } from '../core/index.js';
+import { buildTestTheme } from './helpers/themes.js';
+
+const LEGACY = { colors: { slide: { background: '#fff', text: '#111' }, dark: { background: '#000', text: '#eee' } } };
+
+test('the stock theme declares every role in each of its modes', () => {
+  const tokens = getDesignTokens();
+  const modes = getModes(tokens);
+
+  assert.deepEqual(modes.map(({ name, media }) => [name, media]), [
+    ['light', null],
+    ['dark', '(prefers-color-scheme: dark)'],
+    ['highContrast', '(prefers-contrast: more)'],
+    ['print', 'print']
+  ]);
+  for (const { roles } of modes) assert.deepEqual(Object.keys(roles), MODE_ROLES);
+  assert.equal(getDefaultMode(tokens), 'light');
+  assert.equal(getModeColors(tokens, 'highContrast').text, '#000000');
+  assert.equal(getModeColors(tokens, 'sepia'), null);
+});
+
+test('token files without modes fall back to colors.slide and colors.dark', () => {
+  assert.deepEqual(getModes(LEGACY), [
+    { name: 'light', path: 'colors.slide', media: null, selector: null, roles: { background: '#fff', text: '#111' } },
+    { name: 'dark', path: 'colors.dark', media: null, selector: '[data-theme="dark"], .dark', roles: { background: '#000', text: '#eee' } }
+  ]);
+  assert.deepEqual(getModeColors(LEGACY), { background: '#fff', text: '#111' });
+  assert.deepEqual(getModes({}), []);
+  assert.equal(getDefaultMode({}), null);
+  assert.equal(generateModeCSS({}), '');
+});
+
+test('mode CSS sets the default on the scope and lets data-mode pick another', () => {
+  const css = generateModeCSS(LEGACY);
+
+  assert.match(css, /^\/\* Colour modes \(default: light\) \*\/\n:root \{\n {2}--prsm-slide-background: #fff;\n {2}--prsm-slide-text: #111;\n\}/);
+  assert.match(css, /\[data-mode="dark"\],\n\[data-theme="dark"\],\n\.dark \{\n {2}--prsm-slide-background: #000;/);
+});
+
+test('preference queries yield to a picked mode, media types do not', () => {
+  const css = generateModeCSS({
+    modes: {
+      light: { background: '#fff' },
+      contrast: { $media: '(prefers-contrast: more)', background: '#fff' },
+      print: { $media: 'print', background: '#fff' }
+    }
+  });
+
+  assert.match(css, /\[data-mode="contrast"\] \{\n {2}--prsm-slide-background: var\(--prsm-modes-contrast-background\);/);
+  assert.match(css, /@media \(prefers-contrast: more\) \{\n {2}:root:not\(\[data-mode\]\) \{\n/);
+  assert.match(css, /@media print \{\n {2}:root:not\(\[data-mode\]\),\n {2}\[data-mode="light"\],\n {2}\[data-mode="contrast"\],\n {2}\[data-mode="print"\] \{/);
+  assert.ok(css.indexOf('@media (prefers-contrast') < css.indexOf('@media print'));
+  assert.doesNotMatch(generateModeCSS({ modes: { print: { $media: 'print', background: '#fff' } } }, { media: false }), /@media/);
+});
+
+test('getInlineStyles picks a mode by name', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  assert.equal(getInlineStyles().backgroundColor, '#ffffff');
+  assert.equal(getInlineStyles({ dark: true }).backgroundColor, '#212529');
+  assert.deepEqual(getInlineStyles({ mode: 'highContrast' }), {
+    fontFamily: 'Inter, Geist, system-ui, sans-serif',
+    backgroundColor: '#ffffff',
+    color: '#000000',
+    '--heading-color': '#003580',
+    '--link-color': '#003580',
+    '--accent-color': '#003580'
+  });
+  assert.deepEqual(getInlineStyles({ mode: 'sepia' }), getInlineStyles());
+  assert.match(warn.mock.calls[0].arguments[0], /Unknown colour mode "sepia" \(available: light, dark, highContrast, print\)/);
+});
+
+test('compiled themes switch modes in base.css and by Marp slide class', t => {
+  const { read } = buildTestTheme(t);
+  const base = read('base.css');
+  const marp = read('marp.css');
+
+  assert.match(base, /--prsm-modes-dark-background: #212529;/);
+  assert.match(base, /@media \(prefers-color-scheme: dark\) \{\n {2}:root:not\(\[data-mode\], \[data-theme="dark"\], \.dark\) \{\n {4}--prsm-slide-background: var\(--prsm-modes-dark-background\);/);
+  assert.match(marp, /section\.dark,\nsection\.invert \{\n {2}--prsm-slide-background: var\(--prsm-modes-dark-background\);/);
+  assert.match(marp, /section\.highContrast \{/);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseContent } from '../core/index.js';
+import { exportNotes, sectionNotes, noteText } from '../core/notes.js';
+import { parseHTML, findSlideSections } from '../core/html.js';
+import { writeDeck } from './helpers/fixtures.js';
+
+const notesOf = (markdown, name) => {
+  const deck = parseContent(writeDeck(markdown, name));
+  return (deck.type === 'html' ? deck.sections : deck.slides).map(slide => slide.notes);
+};
+
+test('reads Slidev trailing comments, Reveal Note: separators and notes asides in Markdown', () => {
+  assert.deepEqual(notesOf([
+    '---', 'notesSeparator: true', '---',
+    '# Comment', '', '<!--', 'Slidev style', '-->',
+    '---',
+    '# Separator', '', 'Body', '', 'Note:', 'Reveal style',
+    '---',
+    '# Aside', '', '<aside class="notes">', '  <p>Aside <em>style</em></p>', '</aside>',
+    '---',
+    '# None', '', '<!-- bg: dark -->'
+  ].join('\n')), ['Slidev style', 'Reveal style', 'Aside style', '']);
+});
+
+test('a Note: paragraph is slide content unless the deck opts in to the separator', () => {
+  const markdown = '# API\n\nNote: this API is deprecated since v2.\n\nUse the new client.\n\n<!-- Mention the migration guide -->\n';
+  const [slide] = parseContent(writeDeck(markdown)).slides;
+
+  assert.equal(slide.notes, 'Mention the migration guide');
+  assert.match(slide.content, /Note: this API is deprecated since v2\.\n\nUse the new client\./);
+  assert.deepEqual(notesOf(`---\nnotesSeparator: true\n---\n${markdown}`), ['this API is deprecated since v2.\n\nUse the new client.\n\nMention the migration guide']);
+});
+
+test('a Note: line inside fenced code is not a separator', () => {
+  assert.deepEqual(notesOf('---\nnotesSeparator: true\n---\n# Code\n\n```yaml\nNote: value\n```\n'), ['']);
+});
+
+test('notes are removed from the slide content', () => {
+  const [slide] = parseContent(writeDeck('# One\n\nText\n\n<!-- Say it -->\n')).slides;
+
+  assert.doesNotMatch(slide.content, /Say it/);
+  assert.deepEqual(slide.blocks.map(block => block.type), ['heading', 'paragraph']);
+});
+
+test('reads notes elements and data-notes from Reveal and WebSlides HTML', () => {
+  const html = [
+    '<div class="reveal"><div class="slides">',
+    '<section><h1>A</h1><aside class="notes">\n  line one\n  line two\n</aside></section>',
+    '<section data-notes="Data notes"><h2>B</h2></section>',
+    '</div></div>'
+  ].join('');
+  const webslides = '<article id="webslides"><section><h1>W</h1><div class="notes" hidden><p>Hidden notes</p></div></section></article>';
+
+  assert.deepEqual(notesOf(html, 'deck.html'), ['line one\nline two', 'Data notes']);
+  assert.deepEqual(notesOf(webslides, 'deck.html'), ['Hidden notes']);
+  assert.equal(parseContent(writeDeck(html, 'deck.html')).slides, 2);
+  assert.match(exportNotes(writeDeck(html, 'deck.html')), /## 2\. B\n\nData notes\n$/);
+});
+
+test('sectionNotes joins data-notes and nested notes elements', () => {
+  const [section] = findSlideSections(parseHTML('<section data-notes=" First "><aside class="notes">Second</aside></section>'));
+
+  assert.equal(sectionNotes(section), 'First\n\nSecond');
+  assert.equal(noteText(parseHTML('<p>\n  a\n\n\n\n  b  </p>')), 'a\n\nb');
+});
+
+const deck = () => parseContent(writeDeck('---\ntitle: Talk\n---\n\n# One\n\n<!-- Hello -->\n\n---\n\nNo heading\n', 'talk.md'));
+
+test('exports a Markdown script listing every slide', () => {
+  assert.equal(exportNotes(deck()), '# Talk — Speaker Notes\n\n## 1. One\n\nHello\n\n## 2. Untitled\n\n_No notes._\n');
+});
+
+test('exports plain text and JSON scripts', () => {
+  assert.equal(exportNotes(deck(), 'txt'), 'Talk\nSpeaker notes\n=============\n\n[1] One\n-------\nHello\n\n[2] Untitled\n------------\n(no notes)\n');
+  assert.deepEqual(JSON.parse(exportNotes(deck(), 'json')), {
+    title: 'Talk',
+    slideCount: 2,
+    slides: [{ number: 1, title: 'One', notes: 'Hello' }, { number: 2, title: null, notes: '' }]
+  });
+});
+
+test('exportNotes accepts a path and rejects unknown formats and unparsed decks', () => {
+  assert.match(exportNotes(writeDeck('# Only\n', 'only.md'), 'txt'), /^only\n/);
+  assert.throws(() => exportNotes(deck(), 'pdf'), /Unknown notes format: pdf/);
+  assert.throws(() => exportNotes({ name: 'x' }), /expects a parsed Markdown or HTML deck/);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { toOklch, oklchToHex, generateScale, generatePalette } from '../core/tokens/palette.js';
+import { contrastRatio } from '../core/tokens/contrast.js';
+import { createTheme, loadThemeTokens } from '../core/themes.js';
+import { resolveTokens } from '../core/tokens/references.js';
+import { themeName } from './helpers/themes.js';
+
+const STEPS = ['50', '100', '200', '300', '400', '500', '600', '700', '800', '900'];
+
+test('converts to OKLCH and back', () => {
+  const { l, c, h } = toOklch('#c2410c');
+
+  assert.ok(Math.abs(l - 0.553) < 0.001 && Math.abs(c - 0.174) < 0.001 && Math.abs(h - 38.4) < 0.1);
+  assert.equal(oklchToHex({ l, c, h }), '#c2410c');
+  assert.match(oklchToHex({ l: 0.7, c: 0.4, h: 150 }), /^#[0-9a-f]{6}$/);
+  assert.throws(() => toOklch('nope'), /Unsupported colour: nope/);
+});
+
+test('a scale keeps the brand colour at 500 and darkens step by step', () => {
+  const scale = generateScale('#c2410c');
+  const lightness = STEPS.map(step => toOklch(scale[step]).l);
+
+  assert.deepEqual(Object.keys(scale), STEPS);
+  assert.equal(scale['500'], '#c2410c');
+  assert.ok(lightness.every((l, i) => i === 0 || l < lightness[i - 1]));
+});
+
+test('a palette references its own scales', () => {
+  const palette = generatePalette('#c2410c', { secondary: '#0057e6' });
+
+  assert.equal(palette.colors.primary.DEFAULT, '{colors.primary.500}');
+  assert.equal(palette.colors.secondary['500'], '#0057e6');
+  assert.equal(palette.colors.neutral.DEFAULT, '{colors.neutral.600}');
+  assert.equal(palette.colors.slide.link, '{colors.primary.500}');
+  assert.equal(palette.colors.dark.text, '{colors.neutral.50}');
+  assert.deepEqual(palette.modes, { light: { accent: '{colors.primary.500}' }, dark: { accent: '{colors.primary.300}' } });
+  assert.equal(palette.gradients.primary, 'linear-gradient(135deg, {colors.primary.500} 0%, {colors.secondary.500} 100%)');
+});
+
+test('links and headings use the first step that is readable on the background', () => {
+  const palette = generatePalette('#eab308');
+  const { slide, primary } = palette.colors;
+  const step = ref => primary[ref.match(/^\{colors\.primary\.(\d+)\}$/)[1]];
+
+  assert.equal(slide.link, '{colors.primary.700}');
+  assert.equal(slide.heading, '{colors.primary.600}');
+  assert.ok(contrastRatio(step(slide.link), '#ffffff') >= 4.5);
+  assert.ok(contrastRatio(primary['600'], '#ffffff') < 4.5);
+  assert.ok(contrastRatio(step(slide.heading), '#ffffff') >= 3);
+  assert.equal(palette.modes.light.accent, slide.link);
+});
+
+test('createTheme validates and audits without writing under write: false', () => {
+  const { theme, tokens, audit, written } = createTheme('acme-dry-run', { color: '#c2410c', brand: 'Acme', write: false });
+
+  assert.equal(theme, 'acme-dry-run');
+  assert.equal(written, false);
+  assert.equal(tokens.$extends, 'prsmtech');
+  assert.deepEqual(tokens.brand, { name: 'Acme', tagline: '' });
+  assert.equal(audit.passed, true);
+  assert.throws(() => loadThemeTokens('acme-dry-run'), /Unknown theme "acme-dry-run"/);
+  assert.throws(() => createTheme('acme-dry-run', { write: false }), /createTheme needs a brand colour/);
+});
+
+test('createTheme writes a theme that resolves and refuses to overwrite it', t => {
+  const name = themeName(t);
+
+  const { path } = createTheme(name, { color: '#c2410c' });
+  const tokens = resolveTokens(loadThemeTokens(name));
+
+  assert.equal(JSON.parse(readFileSync(path, 'utf-8')).colors.primary['500'], '#c2410c');
+  assert.equal(tokens.colors.slide.link, '#c2410c');
+  assert.throws(() => createTheme(name, { color: '#0057e6' }), new RegExp(`Theme "${name}" already exists`));
+  assert.doesNotThrow(() => createTheme(name, { color: '#0057e6', force: true }));
+});
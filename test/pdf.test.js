@@ -0,0 +1,181 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'fs';
+import { inflateSync } from 'zlib';
+import {
+  num, pdfString, createPdfDocument, encodeWinAnsi, measureText, STANDARD_FONTS,
+  parseTrueType, embedTrueType, embedImage
+} from '../core/pdf.js';
+import { exportPdf } from '../core/converters/pdf.js';
+import { loadImage } from '../core/images.js';
+import { writeFiles, writeDeck, tempDir, png } from './helpers/fixtures.js';
+import { trueTypeFont } from './helpers/truetype.js';
+
+/**
+ * Decompressed content of every FlateDecode stream in a PDF
+ */
+function inflateStreams(pdf) {
+  const text = pdf.toString('latin1');
+  return [...text.matchAll(/\/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g)].map(match => {
+    const start = match.index + match[0].length;
+    try {
+      return inflateSync(pdf.subarray(start, start + Number(match[1]))).toString('latin1');
+    } catch {
+      return '';
+    }
+  });
+}
+
+test('num prints integers as is and rounds fractions to three places', () => {
+  assert.equal(num(12), '12');
+  assert.equal(num(0.12345), '0.123');
+  assert.equal(num(-1.5), '-1.5');
+});
+
+test('pdfString escapes delimiters and writes non-ASCII bytes in octal', () => {
+  assert.equal(pdfString('a(b)c\\'), '(a\\(b\\)c\\\\)');
+  assert.equal(pdfString('café'), '(caf\\351)');
+  assert.equal(pdfString('€'), '(\\200)');
+});
+
+test('encodeWinAnsi maps Latin-1 and the 0x80–0x9F extras, replaces the rest', () => {
+  assert.deepEqual(encodeWinAnsi('Aé'), [0x41, 0xe9]);
+  assert.deepEqual(encodeWinAnsi('“€”'), [0x93, 0x80, 0x94]);
+  assert.deepEqual(encodeWinAnsi('a→b'), [0x61, 0x2d, 0x3e, 0x62]);
+  assert.deepEqual(encodeWinAnsi('日🙂'), [0x3f, 0x3f]);
+  assert.deepEqual(encodeWinAnsi('\t'), [0x20, 0x20]);
+});
+
+test('measureText sums font widths at a size', () => {
+  assert.equal(measureText('AB', STANDARD_FONTS.Helvetica, 10), (667 + 667) / 100);
+  assert.equal(measureText('iii', STANDARD_FONTS.Courier, 20), 36);
+});
+
+test('createPdfDocument writes a cross-reference table pointing at each object', () => {
+  const doc = createPdfDocument();
+  const pages = doc.reserve();
+  const catalog = doc.add(`<< /Type /Catalog /Pages ${pages} 0 R >>`);
+  doc.set(pages, '<< /Type /Pages /Kids [] /Count 0 >>');
+  doc.add('<< >>', 'BT ET', { compress: false });
+  const pdf = doc.toBuffer(catalog).toString('latin1');
+
+  assert.ok(pdf.startsWith('%PDF-1.4\n'));
+  assert.ok(pdf.endsWith('%%EOF\n'));
+  assert.match(pdf, /3 0 obj\n<< \/Length 5 >>\nstream\nBT ET\nendstream/);
+  assert.match(pdf, /trailer\n<< \/Size 4 \/Root 2 0 R >>/);
+
+  const startxref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+  assert.ok(pdf.startsWith('xref\n0 4\n', startxref));
+
+  const offsets = [...pdf.matchAll(/^(\d{10}) 00000 n $/gm)].map(([, offset]) => Number(offset));
+  assert.equal(offsets.length, 3);
+  offsets.forEach((offset, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj\n`, offset)));
+});
+
+test('createPdfDocument refuses to write reserved objects that were never set', () => {
+  const doc = createPdfDocument();
+  doc.reserve();
+  const catalog = doc.add('<< /Type /Catalog >>');
+
+  assert.throws(() => doc.toBuffer(catalog), /object 1 was reserved but never written/);
+});
+
+test('parseTrueType reads names, metrics and WinAnsi widths scaled to 1000 units', () => {
+  const font = parseTrueType(trueTypeFont({ italicAngle: -12 }));
+
+  assert.equal(font.name, 'TestSans-Regular');
+  assert.deepEqual(font.bbox, [-98, -195, 977, 928]);
+  assert.equal(font.ascent, 800);
+  assert.equal(font.descent, -200);
+  assert.equal(font.capHeight, 700);
+  assert.equal(font.italicAngle, -12);
+  assert.equal(font.widths[0x41], 667);
+  assert.equal(font.widths[0x43], 684);
+  // Unmapped characters use glyph 0
+  assert.equal(font.widths[0x5a], 500);
+});
+
+test('parseTrueType repeats the last advance width past numberOfHMetrics', () => {
+  const font = parseTrueType(trueTypeFont({ advances: [1000, 1500], unitsPerEm: 1000 }));
+
+  assert.equal(font.widths[0x41], 1500);
+  assert.equal(font.widths[0x43], 1500);
+});
+
+test('parseTrueType falls back to the given name without a name table', () => {
+  const font = parseTrueType(trueTypeFont({ omit: ['name', 'OS/2', 'post'] }), 'My Font');
+
+  assert.equal(font.name, 'MyFont');
+  assert.equal(font.capHeight, font.ascent);
+  assert.equal(font.italicAngle, 0);
+});
+
+test('parseTrueType rejects CFF fonts, other files and fonts missing tables', () => {
+  assert.throws(() => parseTrueType(trueTypeFont({ signature: 'OTTO' }), 'Inter'), /Inter: CFF-based OpenType/);
+  assert.throws(() => parseTrueType(Buffer.from('wOFF0000'), 'Inter'), /not a TrueType font file/);
+  assert.throws(() => parseTrueType(trueTypeFont({ omit: ['hmtx'] }), 'Inter'), /missing required 'hmtx' table/);
+});
+
+test('embedTrueType writes the font program, descriptor and widths', () => {
+  const doc = createPdfDocument();
+  const ref = embedTrueType(doc, parseTrueType(trueTypeFont({ italicAngle: -12 })));
+  const pdf = doc.toBuffer(ref).toString('latin1');
+
+  assert.equal(ref, 3);
+  assert.match(pdf, /\/FontName \/TestSans-Regular \/Flags 96 /);
+  assert.match(pdf, /\/ItalicAngle -12 /);
+  assert.match(pdf, /\/FontFile2 1 0 R/);
+  assert.match(pdf, /\/BaseFont \/TestSans-Regular \/FirstChar 32 \/LastChar 255 \/Widths \[500 /);
+});
+
+test('embedImage passes RGB PNG data through and splits alpha into a soft mask', () => {
+  const dir = writeFiles({ 'rgb.png': png(3, 2), 'rgba.png': png(2, 2, [0, 0, 255, 128]) });
+
+  const rgbDoc = createPdfDocument();
+  assert.equal(embedImage(rgbDoc, loadImage('rgb.png', dir)), 1);
+  const rgb = rgbDoc.toBuffer(1).toString('latin1');
+  assert.match(rgb, /\/Width 3 \/Height 2 \/ColorSpace \/DeviceRGB/);
+  assert.match(rgb, /\/Predictor 15 \/Colors 3/);
+
+  const rgbaDoc = createPdfDocument();
+  assert.equal(embedImage(rgbaDoc, loadImage('rgba.png', dir)), 2);
+  const rgba = rgbaDoc.toBuffer(2);
+  assert.match(rgba.toString('latin1'), /\/SMask 1 0 R/);
+  const [alpha, color] = inflateStreams(rgba);
+  assert.deepEqual([...Buffer.from(alpha, 'latin1')], [128, 128, 128, 128]);
+  assert.deepEqual([...Buffer.from(color, 'latin1')], [0, 0, 255, 0, 0, 255, 0, 0, 255, 0, 0, 255]);
+});
+
+test('embedImage skips unsupported images', () => {
+  const doc = createPdfDocument();
+
+  assert.equal(embedImage(doc, { type: 'gif', data: Buffer.alloc(0), width: 1, height: 1 }), null);
+});
+
+test('exportPdf writes one page per slide, vertical stacks included', () => {
+  const outDir = tempDir();
+  const deck = writeDeck('# One\n\n---\n\n# Two\n\n--\n\n# Two, below\n\n---\n\n# Three\n', 'talk.md');
+  const { buffer, outputPath, slideCount } = exportPdf(deck, { outDir });
+
+  assert.equal(slideCount, 4);
+  assert.match(buffer.toString('latin1'), /\/Type \/Pages \/Kids \[[^\]]+\] \/Count 4 >>/);
+  assert.ok(outputPath.endsWith('talk.pdf'));
+  assert.ok(existsSync(outputPath));
+});
+
+test('exportPdf paints slide backgrounds', () => {
+  const deck = writeDeck('<!-- bg: #ff0000 -->\n\n# Red\n\n---\n\n<!-- bg: gradient -->\n\n# Gradient\n');
+  const { buffer } = exportPdf(deck);
+  const streams = inflateStreams(buffer);
+
+  assert.ok(streams.some(stream => stream.includes('1 0 0 rg 0 0 ')));
+  assert.ok(streams.some(stream => /\/Sh\d+ sh/.test(stream)));
+  assert.match(buffer.toString('latin1'), /\/ShadingType 2/);
+});
+
+test('exportPdf embeds local images and rejects non-Markdown decks', () => {
+  const dir = writeFiles({ 'deck.md': '# Pic\n\n![logo](logo.png)\n', 'logo.png': png(), 'deck.html': '<html></html>' });
+
+  assert.match(exportPdf(`${dir}/deck.md`).buffer.toString('latin1'), /\/Subtype \/Image/);
+  assert.throws(() => exportPdf(`${dir}/deck.html`), /expects a Markdown deck/);
+});
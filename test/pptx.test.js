@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { exportPptx, buildPptxDesign } from '../core/converters/pptx.js';
+import { getDesignTokens } from '../core/index.js';
+import { writeDeck, writeFiles, png } from './helpers/fixtures.js';
+import { readZip } from './helpers/zip.js';
+
+const slideXML = (entries, n) => entries.get(`ppt/slides/slide${n}.xml`).toString('utf-8');
+
+test('writes a complete OOXML package with one part per slide', () => {
+  const { buffer, slideCount } = exportPptx(writeDeck('---\ntitle: Deck\n---\n\n# One\n\n- a\n- b\n\n---\n\n# Two\n'));
+  const entries = readZip(buffer);
+
+  assert.equal(slideCount, 2);
+  assert.equal([...entries.keys()][0], '[Content_Types].xml');
+  ['ppt/presentation.xml', 'ppt/slideMasters/slideMaster1.xml', 'ppt/theme/theme1.xml', 'docProps/core.xml'].forEach(name =>
+    assert.ok(entries.has(name), name));
+  assert.match(entries.get('docProps/core.xml').toString(), /<dc:title>Deck<\/dc:title>/);
+  assert.equal(entries.get('ppt/presentation.xml').toString().match(/<p:sldId /g).length, 2);
+  assert.match(slideXML(entries, 1), /<p:ph type="title"\/>.*<a:t>One<\/a:t>/);
+  assert.match(slideXML(entries, 1), /<a:buChar char="•"\/>.*<a:t>a<\/a:t>/);
+});
+
+test('counts vertical children as slides', () => {
+  const { buffer, slideCount } = exportPptx(writeDeck('# Top\n\n--\n\n# Down\n\n---\n\n# Next\n'));
+
+  assert.equal(slideCount, 3);
+  assert.ok(readZip(buffer).has('ppt/slides/slide3.xml'));
+});
+
+test('fills slide backgrounds from bg directives, attributes and frontmatter', () => {
+  const tokens = getDesignTokens();
+  const hex = color => color.slice(1).toUpperCase();
+  const { buffer } = exportPptx(writeDeck([
+    '# Plain',
+    '---\n\n<!-- bg: primary -->\n# Primary',
+    '---\n\n<!-- bg: gradient -->\n# Gradient',
+    '---\n\n<!-- bg: dark -->\n# Dark',
+    '---\n\n<!-- .slide: data-background="#ffee00" -->\n# Yellow',
+    '---\nbackground: "rgba(0, 0, 0, 0.5)"\n---\n\n# Frontmatter'
+  ].join('\n\n')));
+  const entries = readZip(buffer);
+
+  assert.doesNotMatch(slideXML(entries, 1), /<p:bg>/);
+  assert.match(slideXML(entries, 2), new RegExp(`<p:bg><p:bgPr><a:solidFill><a:srgbClr val="${hex(tokens.colors.primary['500'])}"/>`));
+  assert.match(slideXML(entries, 3), /<p:bg><p:bgPr><a:gradFill rotWithShape="1"><a:gsLst>(<a:gs pos="\d+"><a:srgbClr val="[\dA-F]{6}"\/><\/a:gs>){2,}<\/a:gsLst><a:lin ang="\d+"/);
+  assert.match(slideXML(entries, 4), new RegExp(`<p:bg><p:bgPr><a:solidFill><a:srgbClr val="${hex(tokens.colors.dark.background)}"/>`));
+  assert.match(slideXML(entries, 5), /<a:srgbClr val="FFEE00"\/>/);
+  assert.match(slideXML(entries, 6), /<a:srgbClr val="000000"><a:alpha val="50000"\/><\/a:srgbClr>/);
+});
+
+test('turns text light on brand backgrounds', () => {
+  const light = getDesignTokens().colors.neutral['50'].slice(1).toUpperCase();
+  const { buffer } = exportPptx(writeDeck('<!-- bg: primary -->\n# Title\n\nBody text\n'));
+  const xml = slideXML(readZip(buffer), 1);
+
+  assert.match(xml, new RegExp(`<a:solidFill><a:srgbClr val="${light}"/></a:solidFill>[^]*<a:t>Title</a:t>`));
+  assert.match(xml, new RegExp(`<a:srgbClr val="${light}"/>[^]*<a:t>Body text</a:t>`));
+});
+
+test('embeds local images and writes notes slides', () => {
+  const dir = writeFiles({ 'deck.md': '# Pic\n\n![logo](logo.png)\n\n<!-- Remember this -->\n', 'logo.png': png(8, 4) });
+  const entries = readZip(exportPptx(join(dir, 'deck.md')).buffer);
+
+  assert.ok(entries.get('ppt/media/image1.png').equals(png(8, 4)));
+  assert.match(slideXML(entries, 1), /<p:pic>.*descr="logo"/);
+  assert.match(entries.get('ppt/notesSlides/notesSlide1.xml').toString(), /<a:t>Remember this<\/a:t>/);
+});
+
+test('buildPptxDesign scales token sizes to the framework canvas', () => {
+  const design = buildPptxDesign({ typography: { fontSize: { '5xl': { value: '3rem', px: '48px' } } } }, 'slidev');
+
+  assert.equal(design.width, 12192000);
+  assert.ok(design.sizes.title > 4000 && design.sizes.title < 6000);
+});
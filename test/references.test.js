@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isGroup, isSizeToken, isReference, getToken, tokenVariable, resolveTokens, findReferences } from '../core/tokens/references.js';
+import { buildTestTheme } from './helpers/themes.js';
+
+test('resolveTokens reports a broken token once however many aliases reach it', () => {
+  const errors = [];
+  const resolved = resolveTokens({
+    colors: { brand: '{colors.missing}', heading: '{colors.brand}', link: '{colors.brand}' }
+  }, { onError: error => errors.push(error) });
+
+  assert.deepEqual(errors.map(error => error.path), ['colors.brand']);
+  assert.equal(resolved.colors.brand, '{colors.missing}');
+});
+
+const tokens = {
+  $description: 'See {colors.primary.500}',
+  colors: {
+    primary: { 500: '#0057e6', DEFAULT: '{colors.primary.500}' },
+    link: '{colors.primary}',
+    hero: 'linear-gradient(90deg, {colors.primary} 0%, {colors.white} 100%)',
+    white: '#fff'
+  },
+  fonts: { sans: ['Inter', 'sans-serif'], body: '{fonts.sans}', stack: '{fonts.sans}, serif' }
+};
+
+test('isReference, getToken and tokenVariable', () => {
+  assert.equal(isReference('{colors.primary.500}'), true);
+  assert.equal(isReference('calc({spacing.md} * 2)'), true);
+  assert.equal(isReference('#fff'), false);
+  assert.equal(isReference(42), false);
+  assert.equal(getToken(tokens, 'colors.primary.500'), '#0057e6');
+  assert.equal(getToken(tokens, 'colors.primary.500.x'), undefined);
+  assert.equal(getToken(tokens, 'toString'), undefined);
+  assert.equal(tokenVariable('colors.primary.DEFAULT'), '--prsm-colors-primary');
+  assert.equal(tokenVariable('components.code.value'), '--prsm-components-code');
+});
+
+test('isGroup and isSizeToken tell groups from tokens', () => {
+  assert.deepEqual([{}, { a: 1 }, [], null, '#fff'].map(isGroup), [true, true, false, false, false]);
+  assert.equal(isSizeToken({ value: '1rem', px: '16px' }), true);
+  assert.equal(isSizeToken({ value: '1rem' }), true);
+  assert.equal(isSizeToken({ value: '1rem', lineHeight: '1.5' }), false);
+  assert.equal(isSizeToken({ 500: '#fff' }), false);
+});
+
+test('resolves whole references as-is and embedded ones to their scalar', () => {
+  const resolved = resolveTokens(tokens);
+
+  assert.equal(resolved.colors.primary.DEFAULT, '#0057e6');
+  assert.deepEqual(resolved.colors.link, { 500: '#0057e6', DEFAULT: '#0057e6' });
+  assert.equal(resolved.colors.hero, 'linear-gradient(90deg, #0057e6 0%, #fff 100%)');
+  assert.deepEqual(resolved.fonts.body, ['Inter', 'sans-serif']);
+  assert.equal(resolved.fonts.stack, 'Inter, sans-serif, serif');
+  assert.equal(resolved.$description, 'See {colors.primary.500}');
+});
+
+test('css-var format emits custom properties instead of values', () => {
+  const resolved = resolveTokens(tokens, { format: 'css-var' });
+
+  assert.equal(resolved.colors.primary.DEFAULT, 'var(--prsm-colors-primary-500)');
+  assert.equal(resolved.colors.hero, 'linear-gradient(90deg, var(--prsm-colors-primary) 0%, var(--prsm-colors-white) 100%)');
+  assert.equal(resolved.fonts.body, 'var(--prsm-fonts-sans)');
+});
+
+test('throws on unknown references, cycles and embedded groups, naming the token', () => {
+  const fails = (tree, pattern, path) => assert.throws(() => resolveTokens(tree), error => pattern.test(error.message) && error.path === path);
+
+  fails({ a: '{b}' }, /^Unknown token reference \{b\} in a$/, 'a');
+  fails({ a: '{b}', b: '{c}', c: '{a}' }, /^Token reference cycle: a → b → c → a$/, 'c');
+  fails({ group: { x: 1 }, a: '1px {group}' }, /^Token reference \{group\} in a is a group, not a value$/, 'a');
+});
+
+test('findReferences lists every token holding references, in document order', () => {
+  assert.deepEqual(findReferences(tokens), [
+    { path: 'colors.primary.DEFAULT', references: ['colors.primary.500'] },
+    { path: 'colors.link', references: ['colors.primary'] },
+    { path: 'colors.hero', references: ['colors.primary', 'colors.white'] },
+    { path: 'fonts.body', references: ['fonts.sans'] },
+    { path: 'fonts.stack', references: ['fonts.sans'] }
+  ]);
+});
+
+test('the theme compiler can keep references as var() in the CSS', t => {
+  const { read } = buildTestTheme(t, { $extends: 'prsmtech' }, { references: 'var' });
+  const css = read('base.css');
+
+  assert.match(css, /--prsm-colors-primary: var\(--prsm-colors-primary-500\);/);
+  assert.match(css, /--prsm-colors-primary-500: #0057e6;/);
+});
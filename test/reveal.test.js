@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { convertToReveal, buildRevealConfig } from '../core/converters/reveal.js';
+import { writeDeck, tempDir } from './helpers/fixtures.js';
+
+test('renders one <section> per slide with the deck title', () => {
+  const { html, slideCount } = convertToReveal(writeDeck('---\ntitle: A & B\n---\n\n# One\n\n---\n\n# Two\n'));
+
+  assert.equal(slideCount, 2);
+  assert.match(html, /<title>A &amp; B<\/title>/);
+  assert.equal(html.match(/<section>/g).length, 2);
+  assert.match(html, /<h1[^>]*>One<\/h1>/);
+});
+
+test('nests vertical slides split on -- inside one stack', () => {
+  const { html } = convertToReveal(writeDeck('# Top\n\n--\n\n# Down\n'));
+
+  assert.match(html, /<section>\s*<section>[\s\S]*Top[\s\S]*<\/section>\s*<section>[\s\S]*Down[\s\S]*<\/section>\s*<\/section>/);
+});
+
+test('maps Slidev line highlights to data-line-numbers', () => {
+  const { html } = convertToReveal(writeDeck('```js {2,3}\nconst a = 1;\n```\n'));
+
+  assert.match(html, /<code class="language-js" data-trim data-line-numbers="2,3">/);
+});
+
+test('renders speaker notes as an aside', () => {
+  const { html } = convertToReveal(writeDeck('# Slide\n\n<!-- Say hello -->\n'));
+
+  assert.match(html, /<aside class="notes">\s*<p>Say hello<\/p>\s*<\/aside>/);
+});
+
+test('writes index.html to outDir', () => {
+  const outDir = tempDir();
+  const { outputPath, html } = convertToReveal(writeDeck('# Slide\n'), { outDir });
+
+  assert.equal(outputPath, join(outDir, 'index.html'));
+  assert.equal(readFileSync(outputPath, 'utf-8'), html);
+});
+
+test('buildRevealConfig maps Slidev transitions and adds the math plugin for LaTeX', () => {
+  const config = buildRevealConfig({ transition: 'slide-left', slideNumber: true }, { hash: false }, true);
+
+  assert.equal(config.transition, 'slide');
+  assert.equal(config.slideNumber, true);
+  assert.equal(config.hash, false);
+  assert.deepEqual(config.plugins, ['RevealHighlight', 'RevealNotes', 'RevealMath.KaTeX']);
+});
+
+test('buildRevealConfig ignores unknown transitions', () => {
+  assert.equal(buildRevealConfig({ transition: 'spin' }).transition, 'slide');
+});
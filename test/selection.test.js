@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rankFrameworks, selectFramework, registerFramework, unregisterFramework } from '../core/index.js';
+
+const order = ranking => ranking.map(({ framework }) => framework);
+
+test('ranks every framework and explains each point', () => {
+  const [slidev, reveal] = rankFrameworks({ exportFormat: 'pdf', hasLiveCode: true });
+
+  assert.deepEqual([slidev.framework, slidev.score, slidev.eligible, slidev.unmet], ['slidev', 11.5, true, []]);
+  assert.deepEqual(slidev.criteria.map(({ criterion, points, reason }) => [criterion, points, reason]), [
+    ['liveCode', 7.5, 'Slidev excels at live code demos'],
+    ['pdf', 3, 'Slidev supports PDF export'],
+    ['contentType', 1, 'Slidev is suited to technical content']
+  ]);
+  assert.deepEqual([reveal.framework, reveal.score, reveal.unmet], ['reveal', -0.5, ['liveCode']]);
+  assert.equal(reveal.criteria[0].reason, 'Reveal.js does not support live code demos');
+});
+
+test('picks the framework whose strengths match the requirements', () => {
+  assert.equal(selectFramework(), 'slidev');
+  assert.equal(selectFramework({ responsive: true }), 'webslides');
+  assert.equal(selectFramework({ exportFormat: 'pptx' }), 'marp');
+  assert.equal(selectFramework({ contentType: 'marketing' }), 'webslides');
+});
+
+test('ties keep capability-matrix order', () => {
+  assert.deepEqual(order(rankFrameworks({ contentType: 'none' })), ['slidev', 'reveal', 'webslides', 'marp']);
+});
+
+test('priorities override criterion weights', () => {
+  assert.equal(selectFramework({ exportFormat: 'pdf', responsive: true }), 'reveal');
+  assert.equal(selectFramework({ exportFormat: 'pdf', responsive: true, priorities: { responsive: 10 } }), 'webslides');
+  assert.equal(rankFrameworks({ hasLiveCode: true, priorities: { liveCode: 0 } })[0].score, 1);
+});
+
+test('registered frameworks and criteria are scored alongside the built-ins', t => {
+  t.after(() => unregisterFramework('impress'));
+  registerFramework({
+    id: 'impress',
+    name: 'impress.js',
+    capabilities: { canvas3d: true, strengths: ['spatial'] },
+    criteria: { spatial: { option: 'needs3d', capability: 'canvas3d', label: '3D canvas', weight: 4 } }
+  });
+
+  const [first, ...rest] = rankFrameworks({ needs3d: true });
+
+  assert.deepEqual([first.framework, first.score], ['impress', 6]);
+  assert.ok(rest.every(({ unmet }) => unmet.includes('spatial')));
+});
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseSlides, splitSlides, splitVertical, splitVerticalBlocks, extractNotes,
+  extractDirectives, isMarpDeck, parseHtmlSlides, plainText
+} from '../core/slides.js';
+
+const types = blocks => blocks.map(block => block.type);
+
+test('splits slides on ---, but not inside fenced code', () => {
+  const chunks = splitSlides('# One\n\n```md\n---\n```\n\n---\n\n# Two\n');
+
+  assert.equal(chunks.length, 2);
+  assert.deepEqual([chunks[0].start, chunks[0].end, chunks[1].start], [1, 6, 8]);
+  assert.deepEqual(chunks[0].lines, ['# One', '', '```md', '---', '```', '']);
+});
+
+test('reads per-slide frontmatter without creating an empty slide', () => {
+  const [one, two] = parseSlides('# One\n\n---\nclass: lead\nlayout: center\n---\n\n# Two\n');
+
+  assert.deepEqual(one.frontmatter, {});
+  assert.deepEqual(two.frontmatter, { class: 'lead', layout: 'center' });
+  assert.equal(two.title, 'Two');
+  assert.deepEqual(two.range, { start: 4, end: 9 });
+});
+
+test('a frontmatter title wins over the first heading', () => {
+  const [slide] = parseSlides('# **Bold** [heading](x.html)\n');
+  const [titled] = parseSlides('---\ntitle: Agenda\n---\n\n# Heading\n');
+
+  assert.equal(slide.title, 'Bold heading');
+  assert.equal(titled.title, 'Agenda');
+});
+
+test('parses typed blocks with their file line ranges', () => {
+  const [slide] = parseSlides([
+    '# Title',
+    '',
+    'Some *text*',
+    '<!-- bg: dark -->',
+    '',
+    '1. one',
+    '   - nested',
+    '2. two',
+    '',
+    '```js {2}',
+    'const a = 1;',
+    '```',
+    '',
+    '| a | b\\|c |',
+    '|:--|--:|',
+    '| 1 | 2 |',
+    '',
+    '> quoted',
+    '',
+    '$$',
+    'e^{i\\pi}',
+    '$$',
+    '',
+    '![Chart](img/a.png)'
+  ].join('\n'), { firstLine: 5 });
+
+  assert.deepEqual(types(slide.blocks), ['heading', 'paragraph', 'comment', 'list', 'code', 'table', 'blockquote', 'math', 'image']);
+
+  const [heading, paragraph, comment, list, code, table, quote, math, image] = slide.blocks;
+  assert.deepEqual(heading.range, { start: 5, end: 5 });
+  assert.equal(paragraph.text, 'Some *text*');
+  assert.deepEqual(comment, { type: 'comment', text: 'bg: dark', range: { start: 8, end: 8 } });
+  assert.equal(list.ordered, true);
+  assert.deepEqual(list.items.map(item => item.text), ['one', 'two']);
+  assert.equal(list.items[0].blocks[0].items[0].text, 'nested');
+  assert.deepEqual(list.range, { start: 10, end: 12 });
+  assert.deepEqual([code.lang, code.attrs, code.code], ['js', '2', 'const a = 1;']);
+  assert.deepEqual([table.header, table.align, table.rows], [['a', 'b\\|c'], ['left', 'right'], [['1', '2']]]);
+  assert.deepEqual(types(quote.blocks), ['paragraph']);
+  assert.equal(math.tex, 'e^{i\\pi}');
+  assert.deepEqual([image.src, image.alt], ['img/a.png', 'Chart']);
+});
+
+test('takes the trailing comment and Note: sections as presenter notes', () => {
+  const [slide] = parseSlides('# One\n\n<!-- bg: dark -->\n\nText\n\n<!--\nSay this\n-->\n');
+
+  assert.equal(slide.notes, 'Say this');
+  assert.deepEqual(types(slide.blocks), ['heading', 'comment', 'paragraph']);
+  assert.deepEqual(extractNotes('# A\n\nNote: first\nsecond\n', { separator: true }), { markdown: '# A\n\n\n\n', notes: 'first\nsecond' });
+  assert.deepEqual(extractNotes('# A\n\nNote: first\n'), { markdown: '# A\n\nNote: first\n', notes: '' });
+  assert.equal(extractNotes('# A\n\n<aside class="notes"><p>Aside</p></aside>').notes, 'Aside');
+});
+
+test('converter directives and Marp directives are not notes', () => {
+  assert.equal(extractNotes('# A\n\n<!-- bg: dark -->').notes, '');
+  assert.equal(extractNotes('# A\n\n<!-- .slide: class="x" -->').notes, '');
+  assert.equal(extractNotes('# A\n\n<!-- _class: lead -->').notes, '');
+});
+
+test('splits vertical stacks on --, outside fenced code', () => {
+  const markdown = '# Top\n\n```\n--\n```\n\n--\n\n# Below\n';
+  const [slide] = parseSlides(markdown);
+
+  assert.deepEqual(splitVertical(markdown), ['# Top\n\n```\n--\n```\n', '\n# Below\n']);
+  assert.deepEqual(splitVerticalBlocks(slide.blocks).map(types), [['heading', 'code'], ['heading']]);
+  assert.deepEqual(splitVerticalBlocks([]), []);
+});
+
+test('collects stack notes from every vertical child', () => {
+  const [slide] = parseSlides('# Top\n\n<!-- first -->\n\n--\n\n# Below\n\n<!-- second -->\n');
+
+  assert.equal(slide.notes, 'first\n\nsecond');
+  assert.deepEqual(types(slide.blocks), ['heading', 'vertical', 'heading']);
+});
+
+test('reads Marp directives and inherits local ones', () => {
+  const body = '<!-- paginate: true -->\n# One\n\n---\n\n<!-- _class: lead -->\n# Two\n\n---\n\n# Three\n';
+  const slides = parseSlides(body, { directives: { theme: 'gaia', header: 'Deck' } });
+
+  assert.deepEqual(extractDirectives('<!-- theme: gaia -->\n<!--\n_class: lead\npaginate: true\n-->'), {
+    global: { theme: 'gaia' },
+    local: { paginate: true },
+    scoped: { class: 'lead' }
+  });
+  assert.deepEqual(slides.map(slide => slide.directives), [
+    { header: 'Deck', paginate: true },
+    { header: 'Deck', paginate: true, class: 'lead' },
+    { header: 'Deck', paginate: true }
+  ]);
+});
+
+test('detects Marp decks from headmatter or directive comments', () => {
+  assert.equal(isMarpDeck({ marp: true }, '# A'), true);
+  assert.equal(isMarpDeck({}, '<!-- _paginate: false -->\n# A'), true);
+  assert.equal(isMarpDeck({}, '# A\n\n<!-- Just a note -->'), false);
+  assert.equal(isMarpDeck({}, '```\n<!-- paginate: true -->\n```'), false);
+});
+
+test('parses Reveal and WebSlides HTML decks', () => {
+  const reveal = parseHtmlSlides(`<div class="reveal"><div class="slides">
+    <section><h1>Intro</h1><aside class="notes">Welcome</aside></section>
+    <section><section><h2>Top</h2></section><section data-notes="Below notes"><h2>Below</h2></section></section>
+    <section data-markdown><textarea data-template>## From *Markdown*\nNote: spoken</textarea></section>
+  </div></div>`);
+
+  assert.deepEqual(reveal, [
+    { index: 0, title: 'Intro', notes: 'Welcome' },
+    { index: 1, title: 'Top', notes: '' },
+    { index: 2, title: 'Below', notes: 'Below notes' },
+    { index: 3, title: 'From Markdown', notes: 'spoken' }
+  ]);
+  assert.equal(parseHtmlSlides('<article id="webslides"><section><h2>One</h2></section></article>')[0].title, 'One');
+});
+
+test('plainText strips inline Markdown', () => {
+  assert.equal(plainText('**Bold**, _em_, `code` and ![alt](a.png) [link](b)'), 'Bold, em, code and alt link');
+});
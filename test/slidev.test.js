@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { htmlStringToMarkdown, htmlToMarkdown } from '../core/converters/slidev.js';
+import { decodeEntities, parseHTML, findSlideSections } from '../core/html.js';
+import { renderMarkdown } from '../core/markdown.js';
+import { writeFiles, tempDir } from './helpers/fixtures.js';
+
+test('converts Reveal sections to slides, flattening vertical stacks', () => {
+  const { markdown, slideCount } = htmlStringToMarkdown(`
+    <html><head><title>Legacy deck</title></head><body><div class="reveal"><div class="slides">
+      <section><h1>Intro</h1></section>
+      <section><section><h2>Top</h2></section><section><h2>Below</h2></section></section>
+    </div></div></body></html>`);
+
+  assert.equal(slideCount, 3);
+  assert.equal(markdown, '---\ntitle: Legacy deck\n---\n\n# Intro\n\n---\n\n## Top\n\n---\n\n## Below\n');
+});
+
+test('converts lists, code, images, tables and quotes', () => {
+  const { markdown } = htmlStringToMarkdown(`<section>
+    <ol start="3"><li>Three<ul><li><em>nested</em></li></ul></li><li>Four</li></ol>
+    <pre><code class="language-js" data-line-numbers="2">const a = 1;\n</code></pre>
+    <figure><img data-src="img/a.png" alt="Chart"></figure>
+    <table><tr><th>A</th><th>B</th></tr><tr><td>1</td></tr></table>
+    <blockquote><p>Quoted <a href="https://example.com">link</a></p></blockquote>
+  </section>`);
+
+  assert.equal(markdown, [
+    '3. Three\n   - *nested*\n4. Four',
+    '```js {2}\nconst a = 1;\n```',
+    '![Chart](img/a.png)',
+    '| A | B |\n| --- | --- |\n| 1 |  |',
+    '> Quoted [link](https://example.com)'
+  ].join('\n\n') + '\n');
+});
+
+test('turns section attributes into frontmatter and notes into a comment', () => {
+  const { markdown } = htmlStringToMarkdown(`
+    <section><h1>One</h1></section>
+    <section class="bg-primary" data-background="#000" data-transition="fade">
+      <p>Two</p><aside class="notes">Say two</aside>
+    </section>`);
+
+  assert.match(markdown, /---\nclass: bg-primary\nbackground: "#000"\ntransition: fade\n---\n\nTwo\n\n<!--\nSay two\n-->/);
+});
+
+test('keeps data-markdown sections as written, with Note: moved to the notes', () => {
+  const { markdown } = htmlStringToMarkdown(`<div class="slides">
+    <section data-markdown>
+      <textarea data-template>
+        ## MD slide - x
+
+        Some *emphasis* &amp; \`code\`
+
+        Note: md note
+      </textarea>
+    </section>
+    <section data-markdown data-notes="From the attribute"><script type="text/template">- a < b</script></section>
+  </div>`);
+
+  assert.equal(markdown, [
+    '## MD slide - x\n\nSome *emphasis* & `code`\n\n<!--\nmd note\n-->',
+    '---\n\n- a < b\n\n<!--\nFrom the attribute\n-->'
+  ].join('\n\n') + '\n');
+});
+
+test('notes cannot close their comment early', () => {
+  const { markdown } = htmlStringToMarkdown('<section><p>Hi</p><aside class="notes">say hi --> now</aside></section>');
+
+  assert.equal(markdown, 'Hi\n\n<!--\nsay hi --&gt; now\n-->\n');
+});
+
+test('fences inline code with more backticks than it contains', () => {
+  const { markdown } = htmlStringToMarkdown('<section><p><code>a`b</code> <code>``x</code> <code>y`</code></p></section>');
+
+  assert.equal(markdown, '``a`b`` ``` ``x ``` `` y` ``\n');
+  assert.match(renderMarkdown(markdown), /<code>a`b<\/code> <code>``x<\/code> <code>y`<\/code>/);
+});
+
+test('escapes text that Markdown would read as syntax', () => {
+  const { markdown } = htmlStringToMarkdown(`<section>
+    <h2>&lt;div&gt; &amp; *stars*</h2>
+    <p>Costs $5 for snake_case [x] and \`ticks\`</p>
+    <p>- not a list</p><p>2. not ordered</p><p>---</p>
+    <ul><li># not a heading</li></ul>
+  </section>`);
+
+  assert.equal(markdown, [
+    '## &lt;div&gt; &amp; \\*stars\\*',
+    'Costs \\$5 for snake\\_case \\[x\\] and \\`ticks\\`',
+    '\\- not a list',
+    '2\\. not ordered',
+    '\\---',
+    '- \\# not a heading'
+  ].join('\n\n') + '\n');
+});
+
+test('escaped output renders back to the original text', () => {
+  const { markdown } = htmlStringToMarkdown('<section><p>a &lt;b&gt; *c* `d` | e_f_</p><table><tr><th>x|y</th></tr></table></section>');
+  const html = renderMarkdown(markdown);
+
+  assert.match(html, /<p>a &lt;b&gt; \*c\* `d` \| e_f_<\/p>/);
+  assert.match(html, /<th>x\|y<\/th>/);
+});
+
+test('htmlToMarkdown reads HTML files and writes <name>.md', () => {
+  const dir = writeFiles({ 'talk.html': '<section><h1>Hi</h1></section>', 'talk.md': '# Hi\n' });
+  const outDir = tempDir();
+  const { outputPath, markdown } = htmlToMarkdown(join(dir, 'talk.html'), { outDir, headmatter: { theme: 'prsmtech' } });
+
+  assert.equal(markdown, '---\ntheme: prsmtech\n---\n\n# Hi\n');
+  assert.equal(readFileSync(outputPath, 'utf-8'), markdown);
+  assert.throws(() => htmlToMarkdown(join(dir, 'talk.md')), /expects an HTML deck/);
+  assert.throws(() => htmlToMarkdown(join(dir, 'missing.html')), /File not found/);
+});
+
+test('decodeEntities decodes named and numeric references', () => {
+  assert.equal(decodeEntities('&lt;a&gt; &amp; &#65;&#x42; &rarr; &unknown;'), '<a> & AB → &unknown;');
+});
+
+test('decodeEntities replaces out-of-range code points with U+FFFD', () => {
+  assert.equal(decodeEntities('&#99999999; &#xD800; &#0; &#x110000;'), '� � � �');
+});
+
+test('findSlideSections finds WebSlides sections and nested Reveal sections', () => {
+  const root = parseHTML('<article id="webslides"><section>1</section><section>2</section></article>');
+
+  assert.equal(findSlideSections(root).length, 2);
+});
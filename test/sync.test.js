@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { parseDesignSystem, mapDesignSystem, mapSkipped, syncTokens, formatSyncReport } from '../core/tokens/sync.js';
+import { syncTheme, loadThemeTokens } from '../core/themes.js';
+import { writeFiles } from './helpers/fixtures.js';
+import { writeTheme } from './helpers/themes.js';
+
+const DESIGN_SYSTEM = `// Website design system
+import { clsx } from 'clsx';
+
+const blue = '#0057E6';
+
+export const colors = {
+  primary: { 500: blue, 600: '#0046b3' },
+  secondary: { ...{ 500: '#5c00e6' } },
+  accent: colors?.primary,
+} as const;
+
+export const typography: Typography = {
+  fonts: { sans: 'Inter, "Geist", system-ui, sans-serif' },
+  sizes: { base: ['1rem', { lineHeight: '1.5rem' }] },
+};
+
+export const spacing = { 4: \`1rem\`, dyn: \`\${blue}px\`, big: getSpace(8) } satisfies Spacing;
+export const shadows = compute();
+`;
+
+const TOKENS = {
+  colors: { primary: { 500: '#0057e6', 600: '#0046b3', DEFAULT: '{colors.primary.500}' }, accent: '#ff0000' },
+  spacing: { 1: '0.25rem', 2: '0.5rem' },
+  typography: { fontSize: { base: { value: '1rem', px: '16px' } }, fontFamily: { sans: ['Inter', 'sans-serif'] } }
+};
+
+const writeSource = code => join(writeFiles({ 'design-system.ts': code }), 'design-system.ts');
+
+test('reads the literals of a design-system module without running it', () => {
+  const { values, skipped } = parseDesignSystem(DESIGN_SYSTEM);
+
+  assert.deepEqual(values, {
+    blue: '#0057E6',
+    colors: { primary: { 500: '#0057E6', 600: '#0046b3' }, secondary: { 500: '#5c00e6' } },
+    typography: { fonts: { sans: 'Inter, "Geist", system-ui, sans-serif' }, sizes: { base: ['1rem', { lineHeight: '1.5rem' }] } },
+    spacing: { 4: '1rem' }
+  });
+  assert.deepEqual(skipped, ['colors.accent', 'spacing.dyn', 'spacing.big', 'shadows']);
+});
+
+test('maps exports, bundled groups and configured paths to token groups', t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  assert.deepEqual(mapDesignSystem(parseDesignSystem(DESIGN_SYSTEM).values), {
+    colors: { primary: { 500: '#0057E6', 600: '#0046b3' }, secondary: { 500: '#5c00e6' } },
+    'typography.fontFamily': { sans: 'Inter, "Geist", system-ui, sans-serif' },
+    'typography.fontSize': { base: ['1rem', { lineHeight: '1.5rem' }] },
+    spacing: { 4: '1rem' }
+  });
+  assert.deepEqual(mapDesignSystem(
+    { brand: { blue: '#123456' }, designSystem: { palette: { a: '#fff' }, typography: { weights: { bold: 700 } } } },
+    { 'brand.blue': 'colors.primary.500', 'brand.green': 'colors.secondary.500' }
+  ), { colors: { a: '#fff' }, 'typography.fontWeight': { bold: 700 }, 'colors.primary.500': '#123456' });
+  assert.match(warn.mock.calls[0].arguments[0], /Design system has no "brand\.green" \(mapped to colors\.secondary\.500\)/);
+});
+
+test('adds, changes, removes and flags conflicting tokens', () => {
+  const result = syncTokens(TOKENS, {
+    colors: { primary: { 500: '#C2410C', 700: '#782200' }, accent: { light: '#fff' } },
+    spacing: { 1: '0.25rem' },
+    'typography.fontSize': { base: '1.125rem' },
+    'typography.fontFamily': { sans: '"Inter", sans-serif' }
+  });
+
+  assert.deepEqual(result.added, [{ path: 'colors.primary.700', to: '#782200' }]);
+  assert.deepEqual(result.changed, [
+    { path: 'colors.primary.500', from: '#0057e6', to: '#c2410c' },
+    { path: 'typography.fontSize.base', from: { value: '1rem', px: '16px' }, to: { value: '1.125rem', px: '18px' } }
+  ]);
+  assert.deepEqual(result.removed, [{ path: 'colors.primary.600', from: '#0046b3' }, { path: 'spacing.2', from: '0.5rem' }]);
+  assert.deepEqual(result.conflicts, [{ path: 'colors.accent.light', from: '#ff0000', to: '#fff' }]);
+  assert.equal(result.tokens.colors.primary.DEFAULT, '{colors.primary.500}');
+  assert.equal(result.tokens.spacing['2'], '0.5rem');
+  assert.equal(TOKENS.colors.primary['500'], '#0057e6');
+});
+
+test('prune deletes what the design system no longer declares', () => {
+  const { tokens } = syncTokens(TOKENS, { spacing: { 1: '0.25rem' } }, { prune: true });
+
+  assert.deepEqual(tokens.spacing, { 1: '0.25rem' });
+  assert.deepEqual(tokens.colors, TOKENS.colors);
+});
+
+test('tokens the design system computes are neither removed nor pruned', () => {
+  const { skipped } = parseDesignSystem('const base = 4;\nexport const spacing = { 1: `${base}px`, 2: \'0.5rem\' };\nexport const colors = { ...palette };\n');
+  const unread = mapSkipped(skipped);
+  const result = syncTokens(TOKENS, { spacing: { 2: '0.5rem' }, colors: {} }, { prune: true, skipped: unread });
+
+  assert.deepEqual(unread, ['spacing.1', 'colors']);
+  assert.deepEqual(result.removed, []);
+  assert.deepEqual(result.tokens.spacing, TOKENS.spacing);
+  assert.deepEqual(result.tokens.colors, TOKENS.colors);
+  assert.deepEqual(mapSkipped(['brand.blue', 'designSystem.palette...'], { 'brand.blue': 'colors.primary.500' }), ['colors', 'colors.primary.500']);
+});
+
+test('a flat colour sets the DEFAULT of a scale, unless its reference already matches', () => {
+  assert.deepEqual(syncTokens(TOKENS, { colors: { primary: '#0057E6', accent: '#f00' } }).changed, []);
+  assert.deepEqual(syncTokens(TOKENS, { colors: { primary: '#c2410c', accent: '#f00' } }).changed, [
+    { path: 'colors.primary.DEFAULT', from: '{colors.primary.500}', to: '#c2410c' }
+  ]);
+});
+
+test('formats a sync report', () => {
+  const result = syncTokens(TOKENS, { colors: { primary: { 500: '#c2410c', 600: '#0046b3', 700: '#782200' }, accent: { light: '#fff' } } });
+
+  assert.equal(formatSyncReport(result), [
+    'Design system sync: 1 added, 1 changed, 0 removed, 1 conflicting',
+    '  + colors.primary.700: #782200',
+    '  ~ colors.primary.500: #0057e6 → #c2410c',
+    '  ! colors.accent.light: #ff0000 cannot take #fff'
+  ].join('\n'));
+  assert.match(formatSyncReport(syncTokens(TOKENS, { spacing: { 1: '0.25rem' } })), /- spacing\.2: 0\.5rem \(kept; --prune deletes it\)$/);
+  assert.equal(formatSyncReport(syncTokens(TOKENS, { spacing: TOKENS.spacing })), 'Design system and tokens match');
+});
+
+test('syncTheme writes only the theme\'s own file, and only when something changed', t => {
+  const theme = writeTheme(t, {
+    $extends: 'prsmtech',
+    $lastUpdated: '2020-01-01',
+    $sync: { map: { 'brand.blue': 'colors.primary.500' } },
+    brand: { name: 'Acme' }
+  });
+  const source = writeSource("export const brand = { blue: '#c2410c' };\nexport const spacing = { 4: '1rem' };\n");
+
+  const dryRun = syncTheme(theme, source, { write: false });
+  assert.deepEqual(dryRun.changed, [{ path: 'colors.primary.500', from: '#0057e6', to: '#c2410c' }]);
+  assert.equal(dryRun.written, false);
+
+  const result = syncTheme(theme, source);
+  const own = JSON.parse(readFileSync(result.path, 'utf-8'));
+  assert.equal(result.written, true);
+  assert.deepEqual(own.colors, { primary: { 500: '#c2410c' } });
+  assert.equal('spacing' in own, false);
+  assert.notEqual(own.$lastUpdated, '2020-01-01');
+  assert.equal(loadThemeTokens(theme).colors.primary['600'], '#0046b3');
+
+  const again = syncTheme(theme, source);
+  assert.equal(again.written, false);
+  assert.equal(again.drift, true);
+  assert.deepEqual(again.changed, []);
+});
+
+test('syncTheme --check does not report computed tokens as drift', t => {
+  const theme = writeTheme(t, { $extends: 'prsmtech', $sync: { map: { 'brand.blue': 'colors.primary.500' } } });
+  const spacing = loadThemeTokens(theme).spacing;
+  const source = writeSource([
+    'const base = 4;',
+    `export const spacing = { ${Object.entries(spacing).filter(([key]) => key !== '1').map(([key, value]) => `'${key}': '${value}'`).join(', ')}, 1: \`\${base}px\` };`,
+    'export const brand = { blue: getBlue() };'
+  ].join('\n'));
+
+  const result = syncTheme(theme, source, { prune: true });
+  assert.deepEqual(result.removed, []);
+  assert.equal(result.drift, false);
+  assert.equal(loadThemeTokens(theme).spacing['1'], spacing['1']);
+});
+
+test('syncTheme reports unreadable modules and modules without token groups', t => {
+  const theme = writeTheme(t);
+
+  assert.throws(() => syncTheme(theme, '/no/such/design-system.ts'), /\/no\/such\/design-system\.ts: ENOENT/);
+  assert.throws(() => syncTheme(theme, writeSource('export const x = 1;\n')), /no colours, fonts, spacing or other token groups found \(exports: x\)/);
+});
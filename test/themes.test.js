@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import {
+  THEMES_DIR, DEFAULT_THEME, getThemeDirs, getThemeDir, listThemes, hasTheme, getThemeChain, mergeTokens, loadThemeTokens
+} from '../core/themes.js';
+import { getDesignTokens, getThemeCSS } from '../core/index.js';
+import { TEST_THEMES_DIR, writeTheme, buildTestTheme } from './helpers/themes.js';
+
+test('lists the themes under themes/', () => {
+  assert.equal(DEFAULT_THEME, 'prsmtech');
+  assert.ok(listThemes().includes('prsmtech'));
+  assert.equal(hasTheme('prsmtech'), true);
+  assert.equal(hasTheme('no-such-theme'), false);
+  assert.equal(hasTheme('../prsmtech'), false);
+  assert.throws(() => getThemeDir('../etc'), /Invalid theme name "\.\.\/etc"/);
+});
+
+test('PRESENTRUS_THEMES_DIR holds new themes, searched before the built-in ones', t => {
+  const name = writeTheme(t);
+
+  assert.deepEqual(getThemeDirs(), [TEST_THEMES_DIR, THEMES_DIR]);
+  assert.equal(getThemeDir(name), join(TEST_THEMES_DIR, name));
+  assert.equal(getThemeDir('prsmtech'), join(THEMES_DIR, 'prsmtech'));
+  assert.equal(getThemeDir('not-yet'), join(TEST_THEMES_DIR, 'not-yet'));
+  assert.ok(listThemes().includes(name) && listThemes().includes('prsmtech'));
+  assert.deepEqual(getThemeChain(name), [name, 'prsmtech']);
+});
+
+test('mergeTokens merges groups key by key and replaces values and arrays', () => {
+  assert.deepEqual(
+    mergeTokens({ colors: { a: 1, b: 2 }, fonts: ['A', 'B'], x: { y: 1 } }, { colors: { b: 3 }, fonts: ['C'], x: 'flat' }),
+    { colors: { a: 1, b: 3 }, fonts: ['C'], x: 'flat' }
+  );
+});
+
+test('a theme inherits everything it does not override', t => {
+  const parent = writeTheme(t, { $extends: 'prsmtech', brand: { name: 'Parent' }, colors: { primary: { 500: '#c2410c' } } });
+  const child = writeTheme(t, { $extends: parent, brand: { tagline: 'Child' } });
+  const tokens = loadThemeTokens(child);
+
+  assert.deepEqual(getThemeChain(child), [child, parent, 'prsmtech']);
+  assert.equal('$extends' in tokens, false);
+  assert.deepEqual(tokens.brand, { name: 'Parent', tagline: 'Child' });
+  assert.equal(tokens.colors.primary['500'], '#c2410c');
+  assert.equal(tokens.colors.primary['600'], '#0046b3');
+});
+
+test('parent references resolve against the child tokens', t => {
+  const name = writeTheme(t, { $extends: 'prsmtech', colors: { primary: { 500: '#c2410c' } } });
+  const tokens = getDesignTokens(name);
+
+  assert.equal(tokens.colors.primary.DEFAULT, '#c2410c');
+  assert.equal(tokens.colors.slide.heading, '#c2410c');
+});
+
+test('reports unknown parents and inheritance cycles', t => {
+  const orphan = writeTheme(t, { $extends: 'no-such-theme' });
+  const a = writeTheme(t, {});
+  const b = writeTheme(t, { $extends: a });
+  writeFileSync(join(getThemeDir(a), 'variables.json'), JSON.stringify({ $extends: b }));
+
+  assert.throws(() => getThemeChain(orphan), new RegExp(`Theme "${orphan}" extends unknown theme "no-such-theme"`));
+  assert.throws(() => getThemeChain(a), new RegExp(`Theme inheritance cycle: ${a} → ${b} → ${a}`));
+  assert.throws(() => getThemeChain('no-such-theme'), /Unknown theme "no-such-theme" \(available: .*prsmtech/);
+});
+
+test('reports unreadable and invalid theme files', t => {
+  const broken = writeTheme(t);
+  writeFileSync(join(getThemeDir(broken), 'variables.json'), '{ nope');
+  const invalid = writeTheme(t, { $extends: 'prsmtech', colors: { primary: { 500: 'blue-ish' } } });
+
+  assert.throws(() => loadThemeTokens(broken), new RegExp(`${broken}/variables\\.json: `));
+  assert.throws(() => getDesignTokens(invalid), new RegExp(`${invalid}/variables\\.json: 1 invalid token\\n {2}✗ colors\\.primary\\.500`));
+});
+
+test('each theme compiles into its own dist/', t => {
+  const { name, result, read } = buildTestTheme(t, { $extends: 'prsmtech', colors: { primary: { 500: '#c2410c' } } });
+
+  assert.equal(result.success, true);
+  assert.equal(result.outputDir, join(getThemeDir(name), 'dist'));
+  assert.match(read('base.css'), /--prsm-colors-primary-500: #c2410c;/);
+  assert.equal(getThemeCSS('reveal', name), read('reveal.css'));
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findCSSVariableDefinitions, findCSSVariableReferences, checkCSSVariables, formatCSSVariableReport
+} from '../core/tokens/usage.js';
+import { toCSSVariables, tokenCSSVariables } from '../core/tokens/css.js';
+import { registerFramework, unregisterFramework } from '../core/index.js';
+import { buildTestTheme } from './helpers/themes.js';
+
+const BASE = `:root {
+  --prsm-colors-primary-500: #0057e6;
+  --prsm-colors-primary-600: #0046b3;
+  --prsm-spacing-md: 1.5rem;
+  /* --prsm-spacing-lg: 2rem; */
+}`;
+
+const TOKENS = { $version: '1.0.0', colors: { primary: { 500: '#0057e6', 600: '#0046b3' } }, spacing: { md: '1.5rem', lg: '2rem' } };
+
+test('names tokens as custom properties', () => {
+  assert.deepEqual(toCSSVariables({ colors: { primary: { 500: '#0057e6', DEFAULT: '#0057e6' } }, fontSize: { base: { value: '1rem', px: '16px' } } }), {
+    '--prsm-colors-primary': '#0057e6',
+    '--prsm-colors-primary-500': '#0057e6',
+    '--prsm-colors-primary-DEFAULT': '#0057e6',
+    '--prsm-fontSize-base': '1rem',
+    '--prsm-fontSize-base-value': '1rem',
+    '--prsm-fontSize-base-px': '16px'
+  });
+  assert.deepEqual(tokenCSSVariables('colors.primary.DEFAULT'), ['--prsm-colors-primary', '--prsm-colors-primary-DEFAULT']);
+  assert.deepEqual(tokenCSSVariables('spacing.md'), ['--prsm-spacing-md']);
+});
+
+test('finds definitions and var() references outside comments', () => {
+  assert.deepEqual([...findCSSVariableDefinitions(BASE)], ['--prsm-colors-primary-500', '--prsm-colors-primary-600', '--prsm-spacing-md']);
+  assert.deepEqual(findCSSVariableReferences('/* var(--prsm-a) */\na { color: var( --prsm-b, var(--prsm-c)); }'), [
+    { name: '--prsm-b', line: 2 },
+    { name: '--prsm-c', line: 2 }
+  ]);
+});
+
+test('reports references base.css does not define and tokens nothing uses', () => {
+  const check = checkCSSVariables({
+    'base.css': BASE,
+    'slidev.css': 'h1 { color: var(--prsm-colors-primary-500); }\n.x {\n  --prsm-local: 1px;\n  gap: var(--prsm-spacing-mid) var(--prsm-local);\n}'
+  }, { tokens: TOKENS });
+
+  assert.deepEqual(check, {
+    defined: 3,
+    references: 3,
+    unresolved: [{ file: 'slidev.css', line: 4, name: '--prsm-spacing-mid' }],
+    unused: ['colors.primary.600', 'spacing.md']
+  });
+  assert.equal(formatCSSVariableReport(check), [
+    '1 unresolved var(--prsm-…) reference (not defined in base.css):',
+    '  ✗ slidev.css:4  --prsm-spacing-mid',
+    '2 tokens no framework CSS uses:',
+    '  colors.primary: 600',
+    '  spacing: md'
+  ].join('\n'));
+});
+
+test('tokens a used token references, directly or through others, are used', () => {
+  const tokens = {
+    colors: {
+      primary: { 500: '#0057e6', 600: '#0046b3', 700: '#003380' },
+      slide: { link: '{colors.primary.500}', linkHover: '{colors.slide.link}', border: '1px solid {colors.primary.600}', spare: '{colors.primary.700}' }
+    }
+  };
+  const base = `:root {
+  --prsm-colors-primary-500: #0057e6;
+  --prsm-colors-primary-600: #0046b3;
+  --prsm-colors-primary-700: #003380;
+  --prsm-colors-slide-link: #0057e6;
+  --prsm-colors-slide-linkHover: #0057e6;
+  --prsm-colors-slide-border: 1px solid #0046b3;
+  --prsm-colors-slide-spare: #003380;
+}`;
+  const check = checkCSSVariables({
+    'base.css': base,
+    'reveal.css': 'a:hover { color: var(--prsm-colors-slide-linkHover); border: var(--prsm-colors-slide-border); }'
+  }, { tokens });
+
+  assert.deepEqual(check.unused, ['colors.primary.700', 'colors.slide.spare']);
+});
+
+test('ignored tokens are not reported as unused', () => {
+  const check = checkCSSVariables({ 'base.css': BASE, 'reveal.css': 'a { color: var(--prsm-colors-primary-500); }' }, { tokens: TOKENS, ignore: ['colors.primary', 'spacing.md'] });
+
+  assert.deepEqual(check.unused, []);
+  assert.equal(formatCSSVariableReport(check), 'All 1 var(--prsm-…) references resolve');
+});
+
+test('the stock stylesheets resolve every reference', t => {
+  const { result } = buildTestTheme(t);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.cssVariables.unresolved, []);
+});
+
+test('a dangling var() fails the build and writes nothing', t => {
+  t.after(() => unregisterFramework('impress'));
+  registerFramework({ id: 'impress', name: 'impress.js', theme: () => '.step {\n  color: var(--prsm-colors-primary-550);\n}\n' });
+
+  const { result } = buildTestTheme(t);
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.cssVariables.unresolved, [{ file: 'impress.css', line: 2, name: '--prsm-colors-primary-550' }]);
+  assert.match(result.error, /^1 unresolved var\(--prsm-…\) reference \(not defined in base\.css\):\n {2}✗ impress\.css:2 {2}--prsm-colors-primary-550$/);
+  assert.equal(result.results.length, 0);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { validateTokens, formatTokenErrors } from '../core/tokens/validate.js';
+
+const variables = () => JSON.parse(readFileSync(new URL('../themes/prsmtech/variables.json', import.meta.url), 'utf-8'));
+const paths = result => result.errors.map(error => error.path);
+
+test('the stock tokens are valid', () => {
+  assert.deepEqual(validateTokens(variables()), { valid: true, errors: [] });
+});
+
+test('reports the path, expectation and value of a bad token', () => {
+  const tokens = variables();
+  tokens.colors.neutral['800'] = 42;
+  delete tokens.spacing;
+  tokens.typography.fontFamily.sans[1] = '';
+
+  const { valid, errors } = validateTokens(tokens);
+
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map(({ path, message }) => [path, message]), [
+    ['spacing', 'missing required token'],
+    ['colors.neutral.800', 'expected colour (#rgb, #rrggbb, rgb(), hsl(), oklch(), ...), got integer'],
+    ['typography.fontFamily.sans[1]', 'expected string, got an empty string']
+  ]);
+  assert.equal(errors[1].value, 42);
+});
+
+test('rejects a non-object', () => {
+  assert.deepEqual(paths(validateTokens([])), ['(root)']);
+});
+
+test('reports each bad literal once, at the token that defines it', () => {
+  const tokens = variables();
+  tokens.colors.neutral['50'] = '#zzz';
+
+  assert.deepEqual(paths(validateTokens(tokens)), ['colors.neutral.50']);
+});
+
+test('reports each broken reference once and not again through its aliases', () => {
+  const tokens = variables();
+  tokens.colors.neutral['50'] = '#zzz';
+  tokens.colors.neutral['800'] = 42;
+  tokens.colors.slide.textMuted = '{colors.neutral.650}';
+  tokens.colors.primary['500'] = '{colors.primary.600}';
+  tokens.colors.primary['600'] = '{colors.primary.500}';
+
+  const { errors } = validateTokens(tokens);
+
+  assert.deepEqual(errors.map(error => error.path).sort(), [
+    'colors.neutral.50', 'colors.neutral.800', 'colors.primary.500', 'colors.primary.600', 'colors.slide.textMuted'
+  ]);
+  assert.match(errors.find(error => error.path === 'colors.slide.textMuted').message, /Unknown token reference \{colors\.neutral\.650\}/);
+  assert.match(errors.find(error => error.path === 'colors.primary.500').message, /reference cycle/);
+});
+
+test('still reports an alias to a valid token of the wrong kind', () => {
+  const tokens = variables();
+  tokens.colors.slide.text = '{typography.fontFamily.sans}';
+
+  assert.deepEqual(paths(validateTokens(tokens)), ['colors.slide.text']);
+});
+
+test('validates against a custom schema', () => {
+  const schema = { type: 'object', properties: { size: { type: 'number', minimum: 1 } }, additionalProperties: false };
+
+  assert.deepEqual(validateTokens({ size: 2 }, { schema }).errors, []);
+  assert.deepEqual(validateTokens({ size: 0, extra: true }, { schema }).errors.map(({ path, message }) => [path, message]), [
+    ['size', 'expected number of at least 1, got 0'],
+    ['extra', 'unknown token']
+  ]);
+});
+
+test('formatTokenErrors writes one line per problem', () => {
+  const errors = [{ path: 'colors.neutral.50', message: 'invalid colour' }];
+
+  assert.equal(formatTokenErrors(errors, 'brand/variables.json'), 'brand/variables.json: 1 invalid token\n  ✗ colors.neutral.50: invalid colour');
+});
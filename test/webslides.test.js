@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { convertToWebSlides, renderWebSlidesSection } from '../core/converters/webslides.js';
+import { writeDeck, tempDir } from './helpers/fixtures.js';
+
+const sections = html => html.match(/<section[^>]*>[\s\S]*?<\/section>/g);
+
+test('renders one section per slide inside #webslides', () => {
+  const { html, slideCount } = convertToWebSlides(writeDeck('---\ntitle: Deck\n---\n\n# One\n\n---\n\n# Two\n'));
+
+  assert.equal(slideCount, 2);
+  assert.match(html, /<title>Deck<\/title>/);
+  assert.match(html, /<article id="webslides">/);
+  assert.equal(sections(html).length, 2);
+});
+
+test('flattens vertical stacks into consecutive sections', () => {
+  const deck = writeDeck('# Intro\n\n---\nclass: lead\n---\n\n# Top\n\n--\n\n# Below\n\n<!-- Stack notes -->\n');
+  const { html, slideCount } = convertToWebSlides(deck);
+  const [, top, below] = sections(html);
+
+  assert.equal(slideCount, 3);
+  assert.equal(sections(html).length, 3);
+  assert.doesNotMatch(html, /<p>--<\/p>/);
+  assert.match(top, /class="lead"[\s\S]*<h1>Top<\/h1>/);
+  assert.doesNotMatch(top, /notes/);
+  assert.match(below, /class="lead"[\s\S]*<h1>Below<\/h1>[\s\S]*<aside class="notes" hidden>\s*<p>Stack notes<\/p>/);
+});
+
+test('maps background directives and frontmatter to theme classes or styles', () => {
+  assert.match(renderWebSlidesSection('<!-- bg: gradient -->\n# Hi'), /<section class="bg-prsm-gradient">/);
+  assert.match(renderWebSlidesSection('# Hi', { background: 'dark' }), /<section class="bg-prsm-dark">/);
+  assert.match(renderWebSlidesSection('# Hi', { background: 'img/a.png' }), /style="background: url\('img\/a.png'\) center \/ cover"/);
+});
+
+test('renders grid directives as theme grids of cards', () => {
+  const html = renderWebSlidesSection('# Grid\n\n<!-- grid: 2 cards -->\nLeft\n<!-- cell -->\nRight\n<!-- /grid -->\n\nAfter');
+
+  assert.match(html, /<div class="prsm-grid-2">\n<div class="prsm-card">\n<p>Left<\/p>\n<\/div>\n<div class="prsm-card">\n<p>Right<\/p>\n<\/div>\n<\/div>\n<p>After<\/p>/);
+});
+
+test('writes index.html to outDir', () => {
+  const outDir = tempDir();
+  const { outputPath, html } = convertToWebSlides(writeDeck('# Slide\n'), { outDir, webslides: { loop: true } });
+
+  assert.equal(outputPath, join(outDir, 'index.html'));
+  assert.equal(readFileSync(outputPath, 'utf-8'), html);
+  assert.match(html, /"loop": true/);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32, createZip } from '../core/zip.js';
+import { readZip } from './helpers/zip.js';
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+  assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('createZip round-trips deflated and stored entries in order', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]);
+  const zip = createZip([
+    { name: '[Content_Types].xml', data: '<Types/>'.repeat(50) },
+    { name: 'ppt/media/image1.png', data: png, store: true },
+    { name: 'docs/résumé.txt', data: 'UTF-8 name' }
+  ]);
+  const entries = readZip(zip);
+
+  assert.deepEqual([...entries.keys()], ['[Content_Types].xml', 'ppt/media/image1.png', 'docs/résumé.txt']);
+  assert.equal(entries.get('[Content_Types].xml').toString(), '<Types/>'.repeat(50));
+  assert.deepEqual(entries.get('ppt/media/image1.png'), png);
+  assert.equal(entries.get('docs/résumé.txt').toString(), 'UTF-8 name');
+  assert.equal(zip.readUInt32LE(0), 0x04034b50);
+  assert.equal(zip.readUInt16LE(8), 8);
+});
+
+test('writes sizes, CRC and the MS-DOS date into the local header', () => {
+  const data = Buffer.from('hello');
+  const zip = createZip([{ name: 'a.txt', data, store: true }], { date: new Date(2024, 1, 29, 13, 45, 30) });
+
+  assert.equal(zip.readUInt16LE(8), 0);
+  assert.equal(zip.readUInt16LE(10), (13 << 11) | (45 << 5) | 15);
+  assert.equal(zip.readUInt16LE(12), (44 << 9) | (2 << 5) | 29);
+  assert.equal(zip.readUInt32LE(14), crc32(data));
+  assert.equal(zip.readUInt32LE(18), 5);
+  assert.equal(zip.readUInt32LE(22), 5);
+});
+
+test('an empty archive is just the end record', () => {
+  const zip = createZip([]);
+
+  assert.equal(zip.length, 22);
+  assert.equal(zip.readUInt32LE(0), 0x06054b50);
+  assert.equal(readZip(zip).size, 0);
+});
@@ -3,38 +3,44 @@
 /**
  * PRSMTECH Theme Compiler
  *
- * Compiles variables.json design tokens into framework-specific CSS:
+ * Compiles the design tokens of every theme (`themes/<name>/variables.json`,
+ * which may `$extends` another theme) into framework-specific CSS in
+ * `themes/<name>/dist/`:
  * - slidev.css   → Slidev CSS custom properties
  * - reveal.css   → Reveal.js theme CSS
  * - webslides.css → WebSlides theme CSS
+ * - marp.css     → Marp theme (registered as `@theme <name>`)
  * - base.css     → Shared CSS variables (imported by all)
  * - tailwind.config.js → Tailwind CSS configuration
+ * - dtcg.json    → Tokens in W3C Design Tokens (DTCG) format
+ * - _tokens.scss → Sass variables and maps
+ * - tokens.less  → Less variables
+ * - tokens.js / tokens.d.ts → ES module of the tokens, with TypeScript typings
+ * - beamer/       → LaTeX Beamer theme (`\usetheme{<name>}`)
+ * - <id>.css      → Themes of frameworks added with registerFramework()
  *
  * Usage:
- *   node themes/prsmtech/build.js [--watch]
+ *   node themes/prsmtech/build.js [--theme <name>] [--watch] [--css-references] [--strict-contrast]
+ *
+ * Also importable: `build()`, `buildTheme()` and `watchMode()` are used by the `presentrus` CLI.
  */
 
-import { readFileSync, writeFileSync, mkdirSync, existsSync, watch } from 'fs';
-import { dirname, join, resolve } from 'path';
+import { writeFileSync, mkdirSync, existsSync, watch } from 'fs';
+import { join, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import { getThemeGenerators } from '../../core/frameworks.js';
+import { resolveTokens, getToken } from '../../core/tokens/references.js';
+import { validateTokens, formatTokenErrors } from '../../core/tokens/validate.js';
+import { auditContrast, formatContrastReport } from '../../core/tokens/contrast.js';
+import { generateModeCSS } from '../../core/tokens/modes.js';
+import { toDTCG } from '../../core/tokens/dtcg.js';
+import { toCSSVariables } from '../../core/tokens/css.js';
+import { getDeprecations } from '../../core/tokens/deprecations.js';
+import { checkCSSVariables, formatCSSVariableReport } from '../../core/tokens/usage.js';
+import { tokenTailwindKey } from '../../core/tokens/diff.js';
+import { DEFAULT_THEME, listThemes, getThemeDir, getThemeChain, loadThemeTokens } from '../../core/themes.js';
 
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-
-// Configuration
-const CONFIG = {
-  variablesPath: join(__dirname, 'variables.json'),
-  outputDir: join(__dirname, 'dist'),
-  frameworks: ['base', 'slidev', 'reveal', 'webslides', 'tailwind']
-};
-
-/**
- * Load and parse variables.json
- */
-function loadVariables() {
-  const content = readFileSync(CONFIG.variablesPath, 'utf-8');
-  return JSON.parse(content);
-}
 
 /**
  * Flatten nested object with prefix
@@ -44,10 +50,10 @@ function flattenObject(obj, prefix = '') {
     const pre = prefix.length ? `${prefix}-` : '';
     const value = obj[key];
 
-    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-      // Skip metadata keys
-      if (key.startsWith('$')) return acc;
+    // Skip metadata keys ($description, $media, ...)
+    if (key.startsWith('$')) return acc;
 
+    if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
       // Handle special cases
       if ('value' in value && typeof value.value === 'string') {
         acc[`${pre}${key}`] = value.value;
@@ -73,14 +79,32 @@ function flattenObject(obj, prefix = '') {
   }, {});
 }
 
+/**
+ * Alias declarations for renamed tokens, each with a deprecation comment
+ *
+ * @param {Object[]} deprecations - getDeprecations() output
+ * @param {Function} declare - `(oldName, newName) => declaration`, given `--prsm-*` names
+ * @param {string[]} comment - Comment delimiters (default: CSS)
+ * @returns {string[]} Declarations
+ */
+function deprecationAliases(deprecations, declare, comment = ['/*', ' */']) {
+  return deprecations
+    .filter(({ replacement }) => replacement)
+    .flatMap(({ variables: names, replacements, message }) =>
+      names.map((name, i) => `${declare(name, replacements[i])} ${comment[0]} deprecated: ${message}${comment[1]}`));
+}
+
 /**
  * Generate base CSS with all custom properties
  */
-function generateBaseCSS(variables) {
-  const flat = flattenObject(variables);
+function generateBaseCSS(variables, { cssTokens = variables } = {}) {
+  const flat = flattenObject(cssTokens);
+  const deprecations = getDeprecations(variables);
+  const deprecated = new Map(deprecations.filter(({ replacement }) => !replacement)
+    .flatMap(({ variables: names, message }) => names.map(name => [name, message])));
 
   let css = `/**
- * PRSMTECH Design Tokens - Base CSS Variables
+ * ${variables.brand.name} Design Tokens - Base CSS Variables
  * Generated from variables.json
  *
  * @generated ${new Date().toISOString()}
@@ -101,9 +125,10 @@ function generateBaseCSS(variables) {
   };
 
   Object.entries(flat).forEach(([key, value]) => {
-    const cssVar = `  --prsm-${key}: ${value};`;
+    const note = deprecated.has(`--prsm-${key}`) ? ` /* deprecated: ${deprecated.get(`--prsm-${key}`)} */` : '';
+    const cssVar = `  --prsm-${key}: ${value};${note}`;
 
-    if (key.startsWith('colors') || key.startsWith('slide') || key.startsWith('dark')) {
+    if (key.startsWith('colors') || key.startsWith('modes') || key.startsWith('slide') || key.startsWith('dark')) {
       categories.colors.push(cssVar);
     } else if (key.startsWith('typography') || key.startsWith('font')) {
       categories.typography.push(cssVar);
@@ -129,24 +154,15 @@ function generateBaseCSS(variables) {
     css += `  /* Other */\n${categories.other.join('\n')}\n\n`;
   }
 
+  // Old names of renamed tokens, kept until the next major version
+  const aliases = deprecationAliases(deprecations, (name, replacement) => `  ${name}: var(${replacement});`);
+  if (aliases.length > 0) {
+    css += `  /* Deprecated aliases */\n${aliases.join('\n')}\n\n`;
+  }
+
   css += `}
 
-/* Dark mode */
-[data-theme="dark"],
-.dark,
-:root.dark {
-  --prsm-slide-background: var(--prsm-dark-background);
-  --prsm-slide-backgroundAlt: var(--prsm-dark-backgroundAlt);
-  --prsm-slide-text: var(--prsm-dark-text);
-  --prsm-slide-textMuted: var(--prsm-dark-textMuted);
-  --prsm-slide-heading: var(--prsm-dark-heading);
-  --prsm-slide-link: var(--prsm-dark-link);
-  --prsm-slide-linkHover: var(--prsm-dark-linkHover);
-  --prsm-slide-border: var(--prsm-dark-border);
-  --prsm-slide-codeBg: var(--prsm-dark-codeBg);
-  --prsm-slide-codeText: var(--prsm-dark-codeText);
-}
-`;
+${generateModeCSS(variables, { references: Boolean(cssTokens.modes) })}`;
 
   return css;
 }
@@ -155,8 +171,10 @@ function generateBaseCSS(variables) {
  * Generate Slidev-specific CSS
  */
 function generateSlidevCSS(variables) {
+  const brand = variables.brand.name;
+
   return `/**
- * PRSMTECH Slidev Theme
+ * ${brand} Slidev Theme
  *
  * @generated ${new Date().toISOString()}
  */
@@ -230,7 +248,7 @@ function generateSlidevCSS(variables) {
 
 .slidev-layout blockquote {
   border-left: ${variables.components?.blockquote?.borderWidth || '4px'} solid var(--prsm-components-blockquote-borderColor);
-  background: var(--prsm-colors-primary-50);
+  background: var(--prsm-slide-accentSoft);
   padding: var(--prsm-components-blockquote-padding);
   margin: var(--prsm-spacing-md) 0;
   font-style: italic;
@@ -267,16 +285,16 @@ function generateSlidevCSS(variables) {
   gap: var(--prsm-spacing-xl);
 }
 
-/* PRSMTECH brand footer */
+/* ${brand} brand footer */
 .slidev-layout::after {
-  content: 'PRSMTECH';
+  content: '${brand.replace(/['\\]/g, '\\$&')}';
   position: fixed;
   bottom: 20px;
   right: 40px;
   font-family: var(--prsm-typography-fontFamily-heading);
   font-size: var(--prsm-typography-fontSize-sm);
   font-weight: var(--prsm-typography-fontWeight-bold);
-  color: var(--prsm-colors-primary-500);
+  color: var(--prsm-slide-accent);
   opacity: 0.6;
 }
 `;
@@ -287,7 +305,7 @@ function generateSlidevCSS(variables) {
  */
 function generateRevealCSS(variables) {
   return `/**
- * PRSMTECH Reveal.js Theme
+ * ${variables.brand.name} Reveal.js Theme
  *
  * @generated ${new Date().toISOString()}
  */
@@ -404,7 +422,7 @@ section.has-light-background h6 {
   width: 95%;
   margin: var(--prsm-spacing-md) auto;
   padding: var(--prsm-components-blockquote-padding);
-  background: var(--prsm-colors-primary-50);
+  background: var(--prsm-slide-accentSoft);
   border-left: ${variables.components?.blockquote?.borderWidth || '4px'} solid var(--prsm-colors-primary-500);
   font-style: italic;
 }
@@ -463,17 +481,17 @@ section.has-light-background h6 {
 /* Progress bar */
 .reveal .progress {
   background: rgba(0, 0, 0, 0.2);
-  color: var(--prsm-colors-primary-500);
+  color: var(--prsm-slide-accent);
 }
 
 .reveal .progress span {
-  background: var(--prsm-colors-primary-500);
+  background: var(--prsm-slide-accent);
   transition: width var(--prsm-transitions-duration-normal) var(--prsm-transitions-timing-ease);
 }
 
 /* Controls */
 .reveal .controls {
-  color: var(--prsm-colors-primary-500);
+  color: var(--prsm-slide-accent);
 }
 
 /* Slide number */
@@ -491,7 +509,7 @@ section.has-light-background h6 {
  */
 function generateWebSlidesCSS(variables) {
   return `/**
- * PRSMTECH WebSlides Theme
+ * ${variables.brand.name} WebSlides Theme
  *
  * @generated ${new Date().toISOString()}
  */
@@ -578,7 +596,7 @@ function generateWebSlidesCSS(variables) {
 
 #webslides blockquote {
   border-left: ${variables.components?.blockquote?.borderWidth || '4px'} solid var(--prsm-colors-primary-500);
-  background: var(--prsm-colors-primary-50);
+  background: var(--prsm-slide-accentSoft);
   padding: var(--prsm-components-blockquote-padding);
   margin: var(--prsm-spacing-lg) 0;
   font-style: italic;
@@ -618,13 +636,13 @@ function generateWebSlidesCSS(variables) {
 }
 
 .bg-prsm-dark {
-  background: var(--prsm-dark-background);
-  color: var(--prsm-dark-text);
+  background: var(--prsm-colors-dark-background);
+  color: var(--prsm-colors-dark-text);
 }
 
 /* Text colors */
 .text-prsm-primary {
-  color: var(--prsm-colors-primary-500);
+  color: var(--prsm-slide-accent);
 }
 
 .text-prsm-secondary {
@@ -664,7 +682,7 @@ function generateWebSlidesCSS(variables) {
 }
 
 #navigation a:hover {
-  color: var(--prsm-colors-primary-500);
+  color: var(--prsm-slide-accent);
 }
 
 /* Counter */
@@ -676,10 +694,385 @@ function generateWebSlidesCSS(variables) {
 `;
 }
 
+/**
+ * Generate Marp theme CSS
+ *
+ * Marp registers themes by their `@theme` comment and cannot follow a
+ * relative `@import`, so the custom properties are inlined on `section`.
+ */
+function generateMarpCSS(variables, { cssTokens = variables, theme = DEFAULT_THEME } = {}) {
+  const flat = flattenObject(cssTokens);
+  const properties = Object.entries(flat).map(([key, value]) => `  --prsm-${key}: ${value};`).join('\n');
+  const modes = generateModeCSS(variables, {
+    scope: 'section',
+    selectors: mode => [`section.${mode.name}`, ...(mode.name === 'dark' ? ['section.invert'] : [])],
+    media: false,
+    references: Boolean(cssTokens.modes)
+  }).replace(/^\/\*.*\*\/\n/, '');
+  const { width = 1280, height = 720 } = variables.slide?.dimensions?.marp || {};
+
+  return `/* @theme ${theme} */
+
+/**
+ * ${variables.brand.name} Marp Theme
+ *
+ * Use with \`theme: ${theme}\` in the deck headmatter and
+ * \`marp --theme-set themes/${theme}/dist/marp.css\`.
+ *
+ * @generated ${new Date().toISOString()}
+ */
+
+@import 'default';
+
+section {
+${properties}
+
+  width: ${width}px;
+  height: ${height}px;
+  padding: ${variables.slide?.padding?.marp || '60px 70px'};
+  font-family: var(--prsm-typography-fontFamily-sans);
+  font-size: var(--prsm-typography-fontSize-2xl);
+  line-height: var(--prsm-typography-lineHeight-relaxed);
+  background: var(--prsm-slide-background);
+  color: var(--prsm-slide-text);
+}
+
+section h1,
+section h2,
+section h3,
+section h4 {
+  font-family: var(--prsm-typography-fontFamily-heading);
+  font-weight: var(--prsm-typography-fontWeight-bold);
+  line-height: var(--prsm-typography-lineHeight-tight);
+  color: var(--prsm-slide-heading);
+  margin: 0 0 var(--prsm-spacing-md) 0;
+}
+
+section h1 {
+  font-size: var(--prsm-typography-fontSize-5xl);
+}
+
+section h2 {
+  font-size: var(--prsm-typography-fontSize-4xl);
+}
+
+section h3 {
+  font-size: var(--prsm-typography-fontSize-3xl);
+}
+
+section a {
+  color: var(--prsm-slide-link);
+  text-decoration: none;
+}
+
+section a:hover {
+  color: var(--prsm-slide-linkHover);
+  text-decoration: underline;
+}
+
+section code {
+  font-family: var(--prsm-typography-fontFamily-mono);
+  background: var(--prsm-slide-codeBg);
+  color: var(--prsm-slide-codeText);
+  padding: var(--prsm-components-code-padding);
+  border-radius: var(--prsm-components-code-borderRadius);
+}
+
+section pre {
+  font-size: var(--prsm-components-code-fontSize);
+  line-height: var(--prsm-components-code-lineHeight);
+  background: var(--prsm-slide-codeBg);
+  border-radius: var(--prsm-borderRadius-md);
+  box-shadow: var(--prsm-shadows-md);
+  padding: var(--prsm-spacing-md);
+}
+
+section pre code {
+  background: transparent;
+  padding: 0;
+}
+
+section blockquote {
+  border-left: ${variables.components?.blockquote?.borderWidth || '4px'} solid var(--prsm-components-blockquote-borderColor);
+  background: var(--prsm-slide-accentSoft);
+  padding: var(--prsm-components-blockquote-padding);
+  font-style: italic;
+}
+
+section li::marker {
+  color: var(--prsm-components-list-bulletColor);
+}
+
+section table th {
+  background: var(--prsm-components-table-headerBackground);
+}
+
+section table th,
+section table td {
+  padding: var(--prsm-components-table-cellPadding);
+  border-color: var(--prsm-components-table-borderColor);
+}
+
+/* Header, footer and pagination (\`header:\`, \`footer:\`, \`paginate: true\`) */
+header,
+footer {
+  font-family: var(--prsm-typography-fontFamily-heading);
+  font-size: var(--prsm-typography-fontSize-sm);
+  color: var(--prsm-slide-textMuted);
+  left: 70px;
+  right: 70px;
+}
+
+section::after {
+  font-family: var(--prsm-typography-fontFamily-mono);
+  font-size: var(--prsm-typography-fontSize-sm);
+  color: var(--prsm-slide-accent);
+}
+
+/* <!-- _class: lead --> title slides */
+section.lead {
+  display: flex;
+  flex-direction: column;
+  justify-content: center;
+  text-align: center;
+  background: var(--prsm-gradients-primary);
+  color: var(--prsm-colors-neutral-50);
+}
+
+section.lead h1,
+section.lead h2 {
+  color: var(--prsm-colors-neutral-50);
+}
+
+/* Colour modes: <!-- class: dark --> (or \`invert\`), \`highContrast\`, \`print\` */
+${modes}`;
+}
+
+/**
+ * Font names that are CSS generic families or system aliases, not installable fonts
+ */
+const GENERIC_FONTS = ['system-ui', 'sans-serif', 'serif', 'monospace', 'cursive', 'fantasy', 'ui-sans-serif', 'ui-serif', 'ui-monospace', 'ui-rounded', '-apple-system', 'BlinkMacSystemFont'];
+
+/**
+ * Escape text for use in LaTeX source
+ */
+function escapeLatex(text) {
+  return String(text)
+    .replace(/\\/g, '\\textbackslash{}')
+    .replace(/([#$%&_{}])/g, '\\$1')
+    .replace(/~/g, '\\textasciitilde{}')
+    .replace(/\^/g, '\\textasciicircum{}');
+}
+
+/**
+ * `\definecolor` for a hex token, or null for non-hex values (gradients, rgba)
+ */
+function defineLatexColor(name, value) {
+  const hex = String(value).trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!hex) return null;
+
+  const digits = hex[1].length === 3 ? hex[1].replace(/./g, c => c + c) : hex[1];
+  return `\\definecolor{${name}}{HTML}{${digits.toUpperCase()}}`;
+}
+
+/**
+ * Capitalize a token key for a LaTeX colour name (`backgroundAlt` → `BackgroundAlt`)
+ */
+function latexName(key) {
+  return String(key).charAt(0).toUpperCase() + String(key).slice(1);
+}
+
+/**
+ * fontspec commands trying each font of a CSS stack in turn (XeLaTeX/LuaLaTeX)
+ *
+ * @param {string[]} stack - CSS font stack
+ * @param {Function} select - `(font) => LaTeX` selecting one font
+ * @param {string} fallback - LaTeX used when no font in the stack is installed
+ */
+function latexFontStack(stack = [], select, fallback) {
+  const fonts = stack.filter(font => !GENERIC_FONTS.includes(font));
+  return fonts.reduceRight((otherwise, font) => `\\IfFontExistsTF{${font}}{${select(font)}}{${otherwise}}`, fallback);
+}
+
+/**
+ * Generate the LaTeX Beamer theme
+ *
+ * Returns the main theme plus its color, font, inner and outer themes.
+ * Load it with `\usetheme{<theme>}`; brand fonts are used under
+ * XeLaTeX/LuaLaTeX (pdfLaTeX falls back to the default sans-serif).
+ */
+function generateBeamerTheme(variables, { theme: themeName = DEFAULT_THEME } = {}) {
+  const generated = new Date();
+  const date = generated.toISOString().slice(0, 10).replace(/-/g, '/');
+  const { primary = {}, secondary = {}, neutral = {}, semantic = {}, slide = {} } = variables.colors || {};
+  const fonts = variables.typography?.fontFamily || {};
+  const brand = escapeLatex(variables.brand?.name || 'PRSMTECH');
+
+  const header = (name, description) => `%% ${name}.sty
+%% ${brand} Beamer ${description}
+%% Generated from variables.json by themes/prsmtech/build.js — do not edit.
+%% @generated ${generated.toISOString()}
+\\NeedsTeXFormat{LaTeX2e}
+\\ProvidesPackage{${name}}[${date} ${brand} Beamer ${description}]
+`;
+
+  const palette = [
+    ...Object.entries(primary).map(([key, value]) => defineLatexColor(`prsmPrimary${key === 'DEFAULT' ? '' : key}`, value)),
+    ...Object.entries(secondary).map(([key, value]) => defineLatexColor(`prsmSecondary${key === 'DEFAULT' ? '' : key}`, value)),
+    ...Object.entries(neutral).map(([key, value]) => defineLatexColor(`prsmNeutral${key === 'DEFAULT' ? '' : key}`, value)),
+    ...Object.entries(semantic).map(([key, value]) =>
+      defineLatexColor(`prsm${latexName(key)}`, typeof value === 'object' ? value.DEFAULT : value)),
+    ...Object.entries(slide).map(([key, value]) => defineLatexColor(`prsmSlide${latexName(key)}`, value))
+  ].filter(Boolean);
+
+  const color = `${header(`beamercolortheme${themeName}`, 'color theme')}
+\\mode<presentation>
+
+% Brand palette (colors.primary, colors.secondary, colors.neutral, colors.semantic)
+% and slide roles (colors.slide)
+${palette.join('\n')}
+
+\\setbeamercolor{normal text}{fg=prsmSlideText,bg=prsmSlideBackground}
+\\setbeamercolor{structure}{fg=prsmPrimary}
+\\setbeamercolor{alerted text}{fg=prsmSecondary}
+\\setbeamercolor{example text}{fg=prsmSuccess}
+
+\\setbeamercolor{palette primary}{fg=prsmNeutral50,bg=prsmPrimary}
+\\setbeamercolor{palette secondary}{fg=prsmNeutral50,bg=prsmSecondary}
+\\setbeamercolor{palette tertiary}{fg=prsmNeutral50,bg=prsmPrimary700}
+\\setbeamercolor{palette quaternary}{fg=prsmNeutral50,bg=prsmNeutral900}
+
+\\setbeamercolor{title}{fg=prsmSlideHeading}
+\\setbeamercolor{subtitle}{fg=prsmSlideTextMuted}
+\\setbeamercolor{frametitle}{fg=prsmSlideHeading,bg=prsmSlideBackground}
+\\setbeamercolor{framesubtitle}{fg=prsmSlideTextMuted}
+
+\\setbeamercolor{block title}{fg=prsmNeutral50,bg=prsmPrimary}
+\\setbeamercolor{block body}{fg=prsmSlideText,bg=prsmPrimary50}
+\\setbeamercolor{block title alerted}{fg=prsmNeutral50,bg=prsmSecondary}
+\\setbeamercolor{block body alerted}{fg=prsmSlideText,bg=prsmSecondary50}
+\\setbeamercolor{block title example}{fg=prsmNeutral50,bg=prsmSuccess}
+\\setbeamercolor{block body example}{fg=prsmSlideText,bg=prsmSlideBackgroundAlt}
+
+\\setbeamercolor{item}{fg=prsmPrimary}
+\\setbeamercolor{footline}{fg=prsmSlideTextMuted}
+\\setbeamercolor{page number in head/foot}{fg=prsmPrimary}
+\\setbeamercolor{section in toc}{fg=prsmSlideHeading}
+
+\\mode<all>
+`;
+
+  const font = `${header(`beamerfonttheme${themeName}`, 'font theme')}
+\\mode<presentation>
+
+\\RequirePackage{iftex}
+
+% Brand fonts (typography.fontFamily) need XeLaTeX or LuaLaTeX
+\\ifPDFTeX
+  \\renewcommand{\\familydefault}{\\sfdefault}
+  \\newcommand{\\prsmheadingfont}{\\sffamily}
+\\else
+  \\RequirePackage{fontspec}
+  ${latexFontStack(fonts.sans, name => `\\setsansfont{${name}}`, '')}
+  ${latexFontStack(fonts.mono, name => `\\setmonofont{${name}}`, '')}
+  ${latexFontStack(fonts.heading, name => `\\newfontfamily{\\prsmheadingfont}{${name}}`, '\\newcommand{\\prsmheadingfont}{\\sffamily}')}
+\\fi
+
+\\usefonttheme{professionalfonts}
+\\setbeamerfont{title}{family=\\prsmheadingfont,series=\\bfseries,size=\\Huge}
+\\setbeamerfont{subtitle}{size=\\large}
+\\setbeamerfont{frametitle}{family=\\prsmheadingfont,series=\\bfseries,size=\\Large}
+\\setbeamerfont{framesubtitle}{size=\\normalsize}
+\\setbeamerfont{block title}{family=\\prsmheadingfont,series=\\bfseries}
+\\setbeamerfont{section in toc}{family=\\prsmheadingfont}
+\\setbeamerfont{footline}{size=\\scriptsize}
+
+\\mode<all>
+`;
+
+  const inner = `${header(`beamerinnertheme${themeName}`, 'inner theme')}
+\\mode<presentation>
+
+\\setbeamertemplate{itemize items}[circle]
+\\setbeamertemplate{enumerate items}[default]
+\\setbeamertemplate{blocks}[rounded]
+\\setbeamertemplate{sections/subsections in toc}[square]
+
+\\setbeamertemplate{title page}{%
+  \\vfill
+  {\\usebeamerfont{title}\\usebeamercolor[fg]{title}\\inserttitle\\par}
+  \\ifx\\insertsubtitle\\@empty\\else
+    \\vskip0.5em
+    {\\usebeamerfont{subtitle}\\usebeamercolor[fg]{subtitle}\\insertsubtitle\\par}
+  \\fi
+  \\vskip0.75em
+  {\\color{prsmPrimary}\\rule{3em}{3pt}\\par}
+  \\vskip1.5em
+  {\\usebeamerfont{author}\\insertauthor\\par}
+  \\vskip0.25em
+  {\\usebeamerfont{date}\\usebeamercolor[fg]{subtitle}\\insertdate\\par}
+  \\vfill
+}
+
+\\mode<all>
+`;
+
+  const outer = `${header(`beameroutertheme${themeName}`, 'outer theme')}
+\\mode<presentation>
+
+\\setbeamertemplate{navigation symbols}{}
+
+\\setbeamertemplate{frametitle}{%
+  \\vskip0.6em
+  {\\usebeamerfont{frametitle}\\usebeamercolor[fg]{frametitle}\\insertframetitle\\par}
+  \\ifx\\insertframesubtitle\\@empty\\else
+    {\\usebeamerfont{framesubtitle}\\usebeamercolor[fg]{framesubtitle}\\insertframesubtitle\\par}
+  \\fi
+  \\vskip0.2em
+  {\\color{prsmPrimary}\\rule{2em}{2pt}\\par}
+}
+
+% Footline: short author on the left, brand and frame number on the right
+\\setbeamertemplate{footline}{%
+  \\leavevmode
+  \\hbox to \\paperwidth{%
+    \\hspace{1.5em}%
+    {\\usebeamerfont{footline}\\usebeamercolor[fg]{footline}\\insertshortauthor}%
+    \\hfill
+    {\\usebeamerfont{footline}\\usebeamercolor[fg]{page number in head/foot}\\textbf{${brand}}\\quad\\insertframenumber}%
+    \\hspace{1.5em}%
+  }%
+  \\vskip0.8em
+}
+
+\\mode<all>
+`;
+
+  const theme = `${header(`beamertheme${themeName}`, 'theme')}
+% Usage: \\documentclass[aspectratio=169]{beamer} \\usetheme{${themeName}}
+\\mode<presentation>
+
+\\usecolortheme{${themeName}}
+\\usefonttheme{${themeName}}
+\\useinnertheme{${themeName}}
+\\useoutertheme{${themeName}}
+
+\\mode<all>
+`;
+
+  return {
+    [`beamertheme${themeName}.sty`]: theme,
+    [`beamercolortheme${themeName}.sty`]: color,
+    [`beamerfonttheme${themeName}.sty`]: font,
+    [`beamerinnertheme${themeName}.sty`]: inner,
+    [`beameroutertheme${themeName}.sty`]: outer
+  };
+}
+
 /**
  * Generate Tailwind CSS configuration
  */
-function generateTailwindConfig(variables) {
+function generateTailwindConfig(variables, { theme = DEFAULT_THEME } = {}) {
   const config = {
     theme: {
       extend: {
@@ -709,12 +1102,26 @@ function generateTailwindConfig(variables) {
     }
   };
 
+  // Old keys of renamed tokens point at the new values
+  const extend = config.theme.extend;
+  const aliases = getDeprecations(variables)
+    .map(({ path, replacement }) => [tokenTailwindKey(path), replacement && tokenTailwindKey(replacement)])
+    .filter(([oldKey, newKey]) => oldKey && newKey && getToken(extend, newKey) !== undefined);
+  aliases.forEach(([oldKey, newKey]) => {
+    const keys = oldKey.split('.');
+    const parent = keys.slice(0, -1).reduce((node, key) => (node[key] ??= {}), extend);
+    parent[keys[keys.length - 1]] = getToken(extend, newKey);
+  });
+  const deprecatedKeys = aliases.length
+    ? `\n * Deprecated (renamed) keys: ${aliases.map(([oldKey, newKey]) => `${oldKey} → ${newKey}`).join(', ')}\n *`
+    : '';
+
   return `/**
- * PRSMTECH Tailwind CSS Configuration
+ * ${variables.brand.name} Tailwind CSS Configuration
  *
  * Import this in your tailwind.config.js:
  *
- * const prsmTheme = require('./themes/prsmtech/dist/tailwind.config.js');
+ * const prsmTheme = require('./themes/${theme}/dist/tailwind.config.js');
  *
  * module.exports = {
  *   theme: {
@@ -723,7 +1130,7 @@ function generateTailwindConfig(variables) {
  *     }
  *   }
  * }
- *
+ *${deprecatedKeys}
  * @generated ${new Date().toISOString()}
  */
 
@@ -732,86 +1139,434 @@ module.exports = ${JSON.stringify(config, null, 2)};
 }
 
 /**
- * Build all themes
+ * Values Sass and Less would parse as something else (`16:9`, `&`,
+ * `and`/`or`/`not`), emitted as quoted strings instead
  */
-function build() {
-  console.log('🎨 PRSMTECH Theme Compiler');
-  console.log('━'.repeat(40));
+const TEXT_VALUE = /[:&;!@{}\\]|\b(and|or|not)\b/;
 
-  // Ensure output directory exists
-  if (!existsSync(CONFIG.outputDir)) {
-    mkdirSync(CONFIG.outputDir, { recursive: true });
+/**
+ * CSS text of a token for the preprocessor exports (font stacks joined,
+ * `{ value, px }` sizes as their value)
+ */
+function preprocessorValue(value) {
+  if (Array.isArray(value)) return value.map(font => (font.includes(' ') ? `"${font}"` : font)).join(', ');
+  if (typeof value === 'object' && value !== null) return value.value;
+  return String(value);
+}
+
+/**
+ * Whether a group is a single token (`{ value, px }` font sizes)
+ */
+const isValueGroup = value => typeof value === 'object' && value !== null && !Array.isArray(value) && typeof value.value === 'string';
+
+/**
+ * Generate Sass variables and maps
+ *
+ * Every custom property of base.css as `$prsm-*`, plus one map per token
+ * group for `map.get($prsm-colors, "primary", "500")` and `@each` loops.
+ */
+function generateSCSS(variables) {
+  const isText = value => TEXT_VALUE.test(preprocessorValue(value));
+  const scssValue = value => (isText(value) ? JSON.stringify(preprocessorValue(value)) : preprocessorValue(value));
+
+  const toMap = (group, indent) => {
+    const entries = Object.entries(group)
+      .filter(([key]) => !key.startsWith('$'))
+      .map(([key, value]) => {
+        if (typeof value === 'object' && value !== null && !Array.isArray(value) && !isValueGroup(value)) {
+          return `${indent}  "${key}": ${toMap(value, `${indent}  `)}`;
+        }
+        const text = scssValue(value);
+        // Comma lists (font stacks, layered shadows) need parentheses inside a map
+        return `${indent}  "${key}": ${text.includes(',') && !isText(value) ? `(${text})` : text}`;
+      });
+    return `(\n${entries.join(',\n')}\n${indent})`;
+  };
+
+  const flat = [
+    ...Object.entries(flattenObject(variables)).map(([key, value]) => `$prsm-${key}: ${scssValue(value)};`),
+    ...deprecationAliases(getDeprecations(variables), (name, replacement) => `$${name.slice(2)}: $${replacement.slice(2)};`, ['//', ''])
+  ];
+  const maps = Object.entries(variables)
+    .filter(([key, value]) => !key.startsWith('$') && typeof value === 'object' && value !== null && !Array.isArray(value))
+    .map(([key, value]) => `$prsm-${key}: ${toMap(value, '')};`);
+
+  return `/**
+ * ${variables.brand.name} Design Tokens - Sass
+ *
+ * @use 'themes/<theme>/dist/tokens' as prsm;  → prsm.$prsm-colors-primary-500
+ *
+ * @generated ${new Date().toISOString()}
+ */
+
+// Variables
+${flat.join('\n')}
+
+// Maps
+${maps.join('\n\n')}
+`;
+}
+
+/**
+ * Generate Less variables
+ */
+function generateLess(variables) {
+  const lessValue = value => {
+    const text = preprocessorValue(value);
+    return TEXT_VALUE.test(text) ? `~${JSON.stringify(text)}` : text;
+  };
+
+  const flat = [
+    ...Object.entries(flattenObject(variables)).map(([key, value]) => `@prsm-${key}: ${lessValue(value)};`),
+    ...deprecationAliases(getDeprecations(variables), (name, replacement) => `@${name.slice(2)}: @${replacement.slice(2)};`, ['//', ''])
+  ];
+
+  return `/**
+ * ${variables.brand.name} Design Tokens - Less
+ *
+ * @import 'themes/<theme>/dist/tokens.less';  → @prsm-colors-primary-500
+ *
+ * @generated ${new Date().toISOString()}
+ */
+
+${flat.join('\n')}
+`;
+}
+
+/**
+ * Generate an ES module of the resolved tokens and their CSS custom properties
+ */
+function generateESM(variables) {
+  return `/**
+ * ${variables.brand.name} Design Tokens - ES module
+ *
+ * \`tokens\` is the tree getDesignTokens() returns, with references
+ * resolved; \`cssVariables\` the custom properties getCSSVariables()
+ * returns. Typed by tokens.d.ts.
+ *
+ * @generated ${new Date().toISOString()}
+ */
+
+export const tokens = ${JSON.stringify(variables, null, 2)};
+
+export const cssVariables = ${JSON.stringify(toCSSVariables(variables), null, 2)};
+
+export default tokens;
+`;
+}
+
+/**
+ * Generate TypeScript declarations for tokens.js
+ *
+ * Keys are exact, so misspelled tokens fail to compile; values are typed
+ * by kind (`string`, `number`, `readonly string[]`) so the same code
+ * type-checks against every theme with the same token tree.
+ */
+function generateTypes(variables, { theme = DEFAULT_THEME } = {}) {
+  const property = key => (/^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`);
+
+  const typeOf = (value, indent) => {
+    if (Array.isArray(value)) {
+      const kinds = [...new Set(value.map(item => typeof item))];
+      return `readonly ${kinds.length === 1 ? kinds[0] : `(${kinds.join(' | ')})`}[]`;
+    }
+    if (typeof value === 'object' && value !== null) {
+      const members = Object.entries(value).map(([key, child]) => `${indent}  readonly ${property(key)}: ${typeOf(child, `${indent}  `)};`);
+      return `{\n${members.join('\n')}\n${indent}}`;
+    }
+    return typeof value;
+  };
+
+  const names = Object.keys(toCSSVariables(variables)).map(name => `  | '${name}'`);
+
+  return `/**
+ * ${variables.brand.name} Design Tokens - TypeScript declarations
+ *
+ * \`DesignTokens\` describes the tree getDesignTokens('${theme}') returns and
+ * \`CSSVariables\` the object getCSSVariables('${theme}') returns:
+ *
+ *   import type { DesignTokens, CSSVariableName } from '@prsmtech/presentation-logic/tokens';
+ *   const tokens = getDesignTokens('${theme}') as DesignTokens;
+ *
+ * @generated ${new Date().toISOString()}
+ */
+
+export interface DesignTokens ${typeOf(variables, '')}
+
+/**
+ * Names of the \`--prsm-*\` custom properties
+ */
+export type CSSVariableName =
+${names.join('\n')};
+
+export type CSSVariables = { readonly [Name in CSSVariableName]: string | number };
+
+export declare const tokens: DesignTokens;
+
+export declare const cssVariables: CSSVariables;
+
+export default tokens;
+`;
+}
+
+/**
+ * Generate the tokens in W3C Design Tokens (DTCG) format
+ *
+ * Exported from the unresolved tokens so references stay aliases for
+ * design tools; `presentrus theme import` reads the file back.
+ */
+function generateDTCG(variables, { tokens = variables } = {}) {
+  return `${JSON.stringify(toDTCG(tokens), null, 2)}\n`;
+}
+
+/**
+ * Output file of each generator in `dist/` (default: `<name>.css`);
+ * a trailing slash marks a directory of files
+ */
+const OUTPUT_FILES = {
+  tailwind: 'tailwind.config.js',
+  beamer: 'beamer/',
+  dtcg: 'dtcg.json',
+  scss: '_tokens.scss',
+  less: 'tokens.less',
+  esm: 'tokens.js',
+  types: 'tokens.d.ts'
+};
+
+/**
+ * Build one theme into its own `dist/`
+ *
+ * `{colors.primary.500}` references in variables.json are resolved to
+ * their values, or kept as `var(--prsm-colors-primary-500)` in the CSS
+ * custom properties with `references: 'var'`. The tokens are validated
+ * against tokens.schema.json first; invalid tokens fail the build and
+ * nothing is written. Then the text/background pairs of the themes are
+ * checked for contrast, configured by `$contrast` in variables.json and
+ * overridden by `options.contrast`. Finally every `var(--prsm-*)` in the
+ * generated CSS is checked against the properties base.css defines; an
+ * unresolved one fails the build before anything is written, and tokens
+ * no framework CSS uses are reported.
+ *
+ * @param {string} theme - Theme name (folder under themes/)
+ * @param {Object} options - Build options
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @param {string} options.references - `resolve` (default) or `var`
+ * @param {Object} options.contrast - `{ level: 'AA'|'AAA', algorithm: 'wcag'|'apca', onFailure: 'warn'|'error'|'off' }`
+ * @returns {{ theme: string, success: boolean, results: Object[], outputDir: string, cssVariables?: Object, contrast?: Object, error?: string, errors?: Object[] }} Build summary
+ *   `cssVariables` is `{ unresolved: [{ file, line, name }], unused: [path] }`
+ */
+export function buildTheme(theme = DEFAULT_THEME, { log = console.log, references = 'resolve', contrast: contrastOptions = {} } = {}) {
+  const outputDir = join(getThemeDir(theme), 'dist');
+  const source = `${theme}/variables.json`;
+  const failed = details => ({ theme, success: false, results: [], outputDir, ...details });
+
+  log(`📂 Theme: ${theme}`);
+  log('━'.repeat(40));
+
+  // Load variables, with the themes it extends merged in
+  let tokens;
+  let variables;
+  let cssTokens;
+  let contrast;
+
+  try {
+    const chain = getThemeChain(theme);
+    log(`📖 Loading ${chain.map(name => `${name}/variables.json`).join(' ← ')}...`);
+
+    tokens = loadThemeTokens(theme);
+    const { valid, errors } = validateTokens(tokens);
+    if (!valid) {
+      const report = formatTokenErrors(errors, source);
+      log(`  ❌ ${report.replace(/\n/g, '\n  ')}`);
+      return failed({ error: report, errors });
+    }
+    variables = resolveTokens(tokens);
+    cssTokens = references === 'var' ? resolveTokens(tokens, { format: 'css-var' }) : variables;
+    contrast = { level: 'AA', algorithm: 'wcag', onFailure: 'warn', ...tokens.$contrast, ...contrastOptions };
+  } catch (error) {
+    log(`  ❌ ${source}: ${error.message}`);
+    return failed({ error: error.message });
   }
 
-  // Load variables
-  console.log('📖 Loading variables.json...');
-  const variables = loadVariables();
+  // Check text/background contrast
+  let audit;
+  if (contrast.onFailure !== 'off') {
+    log('♿ Checking contrast...');
+    try {
+      audit = auditContrast(variables, contrast);
+    } catch (error) {
+      log(`  ❌ ${error.message}`);
+      return failed({ error: error.message });
+    }
+
+    const report = formatContrastReport(audit);
+    const icon = audit.passed ? '✅' : contrast.onFailure === 'error' ? '❌' : '⚠️ ';
+    log(`  ${icon} ${report.replace(/\n/g, '\n  ')}`);
 
-  // Generate each framework
+    if (!audit.passed && contrast.onFailure === 'error') {
+      return failed({ contrast: audit, error: report });
+    }
+  }
+
+  // Generate each framework (plus any added with registerFramework()); built-ins always win
   const generators = {
+    ...getThemeGenerators(),
     base: generateBaseCSS,
     slidev: generateSlidevCSS,
     reveal: generateRevealCSS,
     webslides: generateWebSlidesCSS,
-    tailwind: generateTailwindConfig
+    marp: generateMarpCSS,
+    tailwind: generateTailwindConfig,
+    beamer: generateBeamerTheme,
+    dtcg: generateDTCG,
+    scss: generateSCSS,
+    less: generateLess,
+    esm: generateESM,
+    types: generateTypes
   };
 
-  const results = [];
-
-  Object.entries(generators).forEach(([framework, generator]) => {
-    const extension = framework === 'tailwind' ? '.config.js' : '.css';
-    const outputPath = join(CONFIG.outputDir, `${framework}${extension}`);
+  const outputs = Object.entries(generators).map(([framework, generator]) => {
+    const fileName = OUTPUT_FILES[framework] ?? `${framework}.css`;
 
-    console.log(`⚙️  Generating ${framework}${extension}...`);
+    log(`⚙️  Generating ${fileName}...`);
 
     try {
-      const content = generator(variables);
-      writeFileSync(outputPath, content, 'utf-8');
-      results.push({ framework, success: true, path: outputPath });
+      return { framework, fileName, content: generator(variables, { cssTokens, theme, tokens }) };
     } catch (error) {
-      results.push({ framework, success: false, error: error.message });
+      return { framework, fileName, error: error.message };
+    }
+  });
+
+  // Check every var(--prsm-…) of the stylesheets against base.css (unless base.css itself failed)
+  const stylesheets = Object.fromEntries(outputs
+    .filter(({ fileName, content }) => typeof content === 'string' && fileName.endsWith('.css'))
+    .map(({ fileName, content }) => [fileName, content]));
+  let cssVariables;
+  if ('base.css' in stylesheets) {
+    log('🔗 Checking CSS variables...');
+    const check = checkCSSVariables(stylesheets, { tokens, ignore: Object.keys(tokens.$deprecated ?? {}) });
+    const report = formatCSSVariableReport(check);
+    cssVariables = { unresolved: check.unresolved, unused: check.unused };
+
+    if (check.unresolved.length) {
+      log(`  ❌ ${report.replace(/\n/g, '\n  ')}`);
+      return failed({ error: formatCSSVariableReport({ ...check, unused: [] }), cssVariables, ...(audit && { contrast: audit }) });
+    }
+    log(`  ${check.unused.length ? 'ℹ️ ' : '✅'} ${report.replace(/\n/g, '\n  ')}`);
+  }
+
+  // Ensure output directory exists
+  if (!existsSync(outputDir)) {
+    mkdirSync(outputDir, { recursive: true });
+  }
+
+  const results = outputs.map(({ framework, fileName, content, error }) => {
+    if (error) return { framework, success: false, error };
+
+    const outputPath = join(outputDir, fileName);
+    try {
+      // Multi-file themes return `{ fileName: content }`, written to a directory
+      if (typeof content === 'object') {
+        mkdirSync(outputPath, { recursive: true });
+        Object.entries(content).forEach(([file, text]) => writeFileSync(join(outputPath, file), text, 'utf-8'));
+      } else {
+        writeFileSync(outputPath, content, 'utf-8');
+      }
+      return { framework, success: true, path: outputPath };
+    } catch (writeError) {
+      return { framework, success: false, error: writeError.message };
     }
   });
 
   // Summary
-  console.log('━'.repeat(40));
-  console.log('📦 Build complete!\n');
+  log('━'.repeat(40));
+  log('📦 Build complete!\n');
 
   results.forEach(({ framework, success, path, error }) => {
     if (success) {
-      console.log(`  ✅ ${framework}: ${path}`);
+      log(`  ✅ ${framework}: ${path}`);
     } else {
-      console.log(`  ❌ ${framework}: ${error}`);
+      log(`  ❌ ${framework}: ${error}`);
     }
   });
 
-  console.log(`\n📁 Output directory: ${CONFIG.outputDir}`);
+  log(`\n📁 Output directory: ${outputDir}`);
+
+  return { theme, success: results.every(r => r.success), results, outputDir, ...(cssVariables && { cssVariables }), ...(audit && { contrast: audit }) };
+}
+
+/**
+ * Build every theme under themes/ (or the one named by `options.theme`)
+ *
+ * @param {Object} options - Build options (see buildTheme()), plus `theme`
+ * @returns {{ success: boolean, themes: Object[] }} One buildTheme() summary per theme
+ */
+export function build({ theme, log = console.log, ...options } = {}) {
+  const themes = theme ? [theme] : listThemes();
+
+  log('🎨 PRSMTECH Theme Compiler');
+  log(`   Themes: ${themes.join(', ') || 'none found'}\n`);
 
-  return results.every(r => r.success);
+  const builds = themes.map((name, i) => {
+    if (i > 0) log('');
+    return buildTheme(name, { log, ...options });
+  });
+
+  return { success: builds.length > 0 && builds.every(b => b.success), themes: builds };
 }
 
 /**
  * Watch mode
+ *
+ * Rebuilds a theme when its variables.json, or that of a theme it
+ * extends, changes.
+ *
+ * @param {Object} options - Build options (see build())
  */
-function watchMode() {
+export function watchMode(options = {}) {
   console.log('👀 Watching for changes...\n');
 
-  build();
+  build(options);
 
-  watch(CONFIG.variablesPath, (eventType) => {
-    if (eventType === 'change') {
-      console.log('\n🔄 variables.json changed, rebuilding...\n');
-      build();
+  const themes = options.theme ? [options.theme] : listThemes();
+  const watched = new Set(themes.flatMap(theme => {
+    try {
+      return getThemeChain(theme);
+    } catch {
+      return [theme];
     }
+  }));
+
+  watched.forEach(changed => {
+    watch(join(getThemeDir(changed), 'variables.json'), (eventType) => {
+      if (eventType !== 'change') return;
+      console.log(`\n🔄 ${changed}/variables.json changed, rebuilding...\n`);
+
+      themes.filter(theme => {
+        try {
+          return getThemeChain(theme).includes(changed);
+        } catch {
+          return theme === changed;
+        }
+      }).forEach(theme => buildTheme(theme, options));
+    });
   });
 }
 
-// Main execution
-const args = process.argv.slice(2);
+// Main execution (only when run directly, not when imported)
+if (process.argv[1] && resolve(process.argv[1]) === __filename) {
+  const args = process.argv.slice(2);
+  const themeIndex = args.indexOf('--theme');
+  const options = {
+    theme: themeIndex === -1 ? undefined : args[themeIndex + 1],
+    references: args.includes('--css-references') ? 'var' : 'resolve',
+    contrast: args.includes('--strict-contrast') ? { onFailure: 'error' } : {}
+  };
 
-if (args.includes('--watch') || args.includes('-w')) {
-  watchMode();
-} else {
-  const success = build();
-  process.exit(success ? 0 : 1);
+  if (args.includes('--watch') || args.includes('-w')) {
+    watchMode(options);
+  } else {
+    const { success } = build(options);
+    process.exit(success ? 0 : 1);
+  }
 }
@@ -0,0 +1,654 @@
+/**
+ * PRSMTECH Design Tokens - TypeScript declarations
+ *
+ * `DesignTokens` describes the tree getDesignTokens('prsmtech') returns and
+ * `CSSVariables` the object getCSSVariables('prsmtech') returns:
+ *
+ *   import type { DesignTokens, CSSVariableName } from '@prsmtech/presentation-logic/tokens';
+ *   const tokens = getDesignTokens('prsmtech') as DesignTokens;
+ *
+ * @generated 2026-10-18T20:34:56.865Z
+ */
+
+export interface DesignTokens {
+  readonly $schema: string;
+  readonly $description: string;
+  readonly $version: string;
+  readonly $lastUpdated: string;
+  readonly $source: string;
+  readonly $contrast: {
+    readonly level: string;
+    readonly algorithm: string;
+    readonly onFailure: string;
+  };
+  readonly brand: {
+    readonly name: string;
+    readonly tagline: string;
+  };
+  readonly colors: {
+    readonly primary: {
+      readonly '50': string;
+      readonly '100': string;
+      readonly '200': string;
+      readonly '300': string;
+      readonly '400': string;
+      readonly '500': string;
+      readonly '600': string;
+      readonly '700': string;
+      readonly '800': string;
+      readonly '900': string;
+      readonly DEFAULT: string;
+    };
+    readonly secondary: {
+      readonly '50': string;
+      readonly '100': string;
+      readonly '200': string;
+      readonly '300': string;
+      readonly '400': string;
+      readonly '500': string;
+      readonly '600': string;
+      readonly '700': string;
+      readonly '800': string;
+      readonly '900': string;
+      readonly DEFAULT: string;
+    };
+    readonly neutral: {
+      readonly '50': string;
+      readonly '100': string;
+      readonly '200': string;
+      readonly '300': string;
+      readonly '400': string;
+      readonly '500': string;
+      readonly '600': string;
+      readonly '700': string;
+      readonly '800': string;
+      readonly '900': string;
+      readonly DEFAULT: string;
+    };
+    readonly semantic: {
+      readonly success: {
+        readonly light: string;
+        readonly DEFAULT: string;
+        readonly dark: string;
+      };
+      readonly warning: {
+        readonly light: string;
+        readonly DEFAULT: string;
+        readonly dark: string;
+      };
+      readonly error: {
+        readonly light: string;
+        readonly DEFAULT: string;
+        readonly dark: string;
+      };
+      readonly info: {
+        readonly light: string;
+        readonly DEFAULT: string;
+        readonly dark: string;
+      };
+    };
+    readonly slide: {
+      readonly background: string;
+      readonly backgroundAlt: string;
+      readonly text: string;
+      readonly textMuted: string;
+      readonly heading: string;
+      readonly link: string;
+      readonly linkHover: string;
+      readonly border: string;
+      readonly codeBg: string;
+      readonly codeText: string;
+    };
+    readonly dark: {
+      readonly background: string;
+      readonly backgroundAlt: string;
+      readonly text: string;
+      readonly textMuted: string;
+      readonly heading: string;
+      readonly link: string;
+      readonly linkHover: string;
+      readonly border: string;
+      readonly codeBg: string;
+      readonly codeText: string;
+    };
+  };
+  readonly modes: {
+    readonly $description: string;
+    readonly light: {
+      readonly background: string;
+      readonly backgroundAlt: string;
+      readonly text: string;
+      readonly textMuted: string;
+      readonly heading: string;
+      readonly link: string;
+      readonly linkHover: string;
+      readonly border: string;
+      readonly codeBg: string;
+      readonly codeText: string;
+      readonly accent: string;
+      readonly accentSoft: string;
+    };
+    readonly dark: {
+      readonly $media: string;
+      readonly $selector: string;
+      readonly background: string;
+      readonly backgroundAlt: string;
+      readonly text: string;
+      readonly textMuted: string;
+      readonly heading: string;
+      readonly link: string;
+      readonly linkHover: string;
+      readonly border: string;
+      readonly codeBg: string;
+      readonly codeText: string;
+      readonly accent: string;
+      readonly accentSoft: string;
+    };
+    readonly highContrast: {
+      readonly $media: string;
+      readonly background: string;
+      readonly backgroundAlt: string;
+      readonly text: string;
+      readonly textMuted: string;
+      readonly heading: string;
+      readonly link: string;
+      readonly linkHover: string;
+      readonly border: string;
+      readonly codeBg: string;
+      readonly codeText: string;
+      readonly accent: string;
+      readonly accentSoft: string;
+    };
+    readonly print: {
+      readonly $media: string;
+      readonly background: string;
+      readonly backgroundAlt: string;
+      readonly text: string;
+      readonly textMuted: string;
+      readonly heading: string;
+      readonly link: string;
+      readonly linkHover: string;
+      readonly border: string;
+      readonly codeBg: string;
+      readonly codeText: string;
+      readonly accent: string;
+      readonly accentSoft: string;
+    };
+  };
+  readonly typography: {
+    readonly fontFamily: {
+      readonly sans: readonly string[];
+      readonly heading: readonly string[];
+      readonly mono: readonly string[];
+      readonly display: readonly string[];
+    };
+    readonly fontSize: {
+      readonly xs: {
+        readonly value: string;
+        readonly px: string;
+      };
+      readonly sm: {
+        readonly value: string;
+        readonly px: string;
+      };
+      readonly base: {
+        readonly value: string;
+        readonly px: string;
+      };
+      readonly lg: {
+        readonly value: string;
+        readonly px: string;
+      };
+      readonly xl: {
+        readonly value: string;
+        readonly px: string;
+      };
+      readonly '2xl': {
+        readonly value: string;
+        readonly px: string;
+      };
+      readonly '3xl': {
+        readonly value: string;
+        readonly px: string;
+      };
+      readonly '4xl': {
+        readonly value: string;
+        readonly px: string;
+      };
+      readonly '5xl': {
+        readonly value: string;
+        readonly px: string;
+      };
+      readonly '6xl': {
+        readonly value: string;
+        readonly px: string;
+      };
+      readonly '7xl': {
+        readonly value: string;
+        readonly px: string;
+      };
+    };
+    readonly fontWeight: {
+      readonly light: string;
+      readonly normal: string;
+      readonly medium: string;
+      readonly semibold: string;
+      readonly bold: string;
+      readonly extrabold: string;
+    };
+    readonly lineHeight: {
+      readonly tight: string;
+      readonly normal: string;
+      readonly relaxed: string;
+      readonly loose: string;
+    };
+  };
+  readonly spacing: {
+    readonly '0': string;
+    readonly '1': string;
+    readonly '2': string;
+    readonly '3': string;
+    readonly '4': string;
+    readonly '5': string;
+    readonly '6': string;
+    readonly '8': string;
+    readonly '10': string;
+    readonly '12': string;
+    readonly '16': string;
+    readonly '20': string;
+    readonly '24': string;
+    readonly '32': string;
+    readonly xs: string;
+    readonly sm: string;
+    readonly md: string;
+    readonly lg: string;
+    readonly xl: string;
+    readonly '2xl': string;
+    readonly '3xl': string;
+    readonly '4xl': string;
+  };
+  readonly borderRadius: {
+    readonly none: string;
+    readonly sm: string;
+    readonly DEFAULT: string;
+    readonly md: string;
+    readonly lg: string;
+    readonly xl: string;
+    readonly '2xl': string;
+    readonly full: string;
+  };
+  readonly shadows: {
+    readonly none: string;
+    readonly sm: string;
+    readonly DEFAULT: string;
+    readonly md: string;
+    readonly lg: string;
+    readonly xl: string;
+    readonly '2xl': string;
+    readonly inner: string;
+  };
+  readonly transitions: {
+    readonly duration: {
+      readonly fast: string;
+      readonly normal: string;
+      readonly slow: string;
+      readonly slower: string;
+    };
+    readonly timing: {
+      readonly linear: string;
+      readonly ease: string;
+      readonly easeIn: string;
+      readonly easeOut: string;
+      readonly easeInOut: string;
+      readonly spring: string;
+    };
+  };
+  readonly slide: {
+    readonly dimensions: {
+      readonly slidev: {
+        readonly width: number;
+        readonly height: number;
+        readonly ratio: string;
+      };
+      readonly reveal: {
+        readonly width: number;
+        readonly height: number;
+        readonly ratio: string;
+      };
+      readonly webslides: {
+        readonly width: string;
+        readonly height: string;
+        readonly ratio: string;
+      };
+      readonly marp: {
+        readonly width: number;
+        readonly height: number;
+        readonly ratio: string;
+      };
+    };
+    readonly padding: {
+      readonly slidev: string;
+      readonly reveal: string;
+      readonly webslides: string;
+      readonly marp: string;
+    };
+    readonly defaults: {
+      readonly gap: string;
+      readonly gridColumns: number;
+      readonly maxContentWidth: string;
+    };
+  };
+  readonly components: {
+    readonly code: {
+      readonly fontSize: string;
+      readonly lineHeight: string;
+      readonly padding: string;
+      readonly borderRadius: string;
+      readonly background: string;
+    };
+    readonly blockquote: {
+      readonly borderColor: string;
+      readonly borderWidth: string;
+      readonly background: string;
+      readonly padding: string;
+    };
+    readonly table: {
+      readonly headerBackground: string;
+      readonly borderColor: string;
+      readonly cellPadding: string;
+    };
+    readonly list: {
+      readonly bulletColor: string;
+      readonly numberColor: string;
+      readonly indentation: string;
+    };
+  };
+  readonly gradients: {
+    readonly primary: string;
+    readonly primarySoft: string;
+    readonly dark: string;
+    readonly hero: string;
+  };
+}
+
+/**
+ * Names of the `--prsm-*` custom properties
+ */
+export type CSSVariableName =
+  | '--prsm-brand-name'
+  | '--prsm-brand-tagline'
+  | '--prsm-colors-primary'
+  | '--prsm-colors-primary-50'
+  | '--prsm-colors-primary-100'
+  | '--prsm-colors-primary-200'
+  | '--prsm-colors-primary-300'
+  | '--prsm-colors-primary-400'
+  | '--prsm-colors-primary-500'
+  | '--prsm-colors-primary-600'
+  | '--prsm-colors-primary-700'
+  | '--prsm-colors-primary-800'
+  | '--prsm-colors-primary-900'
+  | '--prsm-colors-primary-DEFAULT'
+  | '--prsm-colors-secondary'
+  | '--prsm-colors-secondary-50'
+  | '--prsm-colors-secondary-100'
+  | '--prsm-colors-secondary-200'
+  | '--prsm-colors-secondary-300'
+  | '--prsm-colors-secondary-400'
+  | '--prsm-colors-secondary-500'
+  | '--prsm-colors-secondary-600'
+  | '--prsm-colors-secondary-700'
+  | '--prsm-colors-secondary-800'
+  | '--prsm-colors-secondary-900'
+  | '--prsm-colors-secondary-DEFAULT'
+  | '--prsm-colors-neutral'
+  | '--prsm-colors-neutral-50'
+  | '--prsm-colors-neutral-100'
+  | '--prsm-colors-neutral-200'
+  | '--prsm-colors-neutral-300'
+  | '--prsm-colors-neutral-400'
+  | '--prsm-colors-neutral-500'
+  | '--prsm-colors-neutral-600'
+  | '--prsm-colors-neutral-700'
+  | '--prsm-colors-neutral-800'
+  | '--prsm-colors-neutral-900'
+  | '--prsm-colors-neutral-DEFAULT'
+  | '--prsm-colors-semantic-success'
+  | '--prsm-colors-semantic-success-light'
+  | '--prsm-colors-semantic-success-DEFAULT'
+  | '--prsm-colors-semantic-success-dark'
+  | '--prsm-colors-semantic-warning'
+  | '--prsm-colors-semantic-warning-light'
+  | '--prsm-colors-semantic-warning-DEFAULT'
+  | '--prsm-colors-semantic-warning-dark'
+  | '--prsm-colors-semantic-error'
+  | '--prsm-colors-semantic-error-light'
+  | '--prsm-colors-semantic-error-DEFAULT'
+  | '--prsm-colors-semantic-error-dark'
+  | '--prsm-colors-semantic-info'
+  | '--prsm-colors-semantic-info-light'
+  | '--prsm-colors-semantic-info-DEFAULT'
+  | '--prsm-colors-semantic-info-dark'
+  | '--prsm-colors-slide-background'
+  | '--prsm-colors-slide-backgroundAlt'
+  | '--prsm-colors-slide-text'
+  | '--prsm-colors-slide-textMuted'
+  | '--prsm-colors-slide-heading'
+  | '--prsm-colors-slide-link'
+  | '--prsm-colors-slide-linkHover'
+  | '--prsm-colors-slide-border'
+  | '--prsm-colors-slide-codeBg'
+  | '--prsm-colors-slide-codeText'
+  | '--prsm-colors-dark-background'
+  | '--prsm-colors-dark-backgroundAlt'
+  | '--prsm-colors-dark-text'
+  | '--prsm-colors-dark-textMuted'
+  | '--prsm-colors-dark-heading'
+  | '--prsm-colors-dark-link'
+  | '--prsm-colors-dark-linkHover'
+  | '--prsm-colors-dark-border'
+  | '--prsm-colors-dark-codeBg'
+  | '--prsm-colors-dark-codeText'
+  | '--prsm-modes-light-background'
+  | '--prsm-modes-light-backgroundAlt'
+  | '--prsm-modes-light-text'
+  | '--prsm-modes-light-textMuted'
+  | '--prsm-modes-light-heading'
+  | '--prsm-modes-light-link'
+  | '--prsm-modes-light-linkHover'
+  | '--prsm-modes-light-border'
+  | '--prsm-modes-light-codeBg'
+  | '--prsm-modes-light-codeText'
+  | '--prsm-modes-light-accent'
+  | '--prsm-modes-light-accentSoft'
+  | '--prsm-modes-dark-background'
+  | '--prsm-modes-dark-backgroundAlt'
+  | '--prsm-modes-dark-text'
+  | '--prsm-modes-dark-textMuted'
+  | '--prsm-modes-dark-heading'
+  | '--prsm-modes-dark-link'
+  | '--prsm-modes-dark-linkHover'
+  | '--prsm-modes-dark-border'
+  | '--prsm-modes-dark-codeBg'
+  | '--prsm-modes-dark-codeText'
+  | '--prsm-modes-dark-accent'
+  | '--prsm-modes-dark-accentSoft'
+  | '--prsm-modes-highContrast-background'
+  | '--prsm-modes-highContrast-backgroundAlt'
+  | '--prsm-modes-highContrast-text'
+  | '--prsm-modes-highContrast-textMuted'
+  | '--prsm-modes-highContrast-heading'
+  | '--prsm-modes-highContrast-link'
+  | '--prsm-modes-highContrast-linkHover'
+  | '--prsm-modes-highContrast-border'
+  | '--prsm-modes-highContrast-codeBg'
+  | '--prsm-modes-highContrast-codeText'
+  | '--prsm-modes-highContrast-accent'
+  | '--prsm-modes-highContrast-accentSoft'
+  | '--prsm-modes-print-background'
+  | '--prsm-modes-print-backgroundAlt'
+  | '--prsm-modes-print-text'
+  | '--prsm-modes-print-textMuted'
+  | '--prsm-modes-print-heading'
+  | '--prsm-modes-print-link'
+  | '--prsm-modes-print-linkHover'
+  | '--prsm-modes-print-border'
+  | '--prsm-modes-print-codeBg'
+  | '--prsm-modes-print-codeText'
+  | '--prsm-modes-print-accent'
+  | '--prsm-modes-print-accentSoft'
+  | '--prsm-typography-fontFamily-sans-0'
+  | '--prsm-typography-fontFamily-sans-1'
+  | '--prsm-typography-fontFamily-sans-2'
+  | '--prsm-typography-fontFamily-sans-3'
+  | '--prsm-typography-fontFamily-heading-0'
+  | '--prsm-typography-fontFamily-heading-1'
+  | '--prsm-typography-fontFamily-heading-2'
+  | '--prsm-typography-fontFamily-heading-3'
+  | '--prsm-typography-fontFamily-mono-0'
+  | '--prsm-typography-fontFamily-mono-1'
+  | '--prsm-typography-fontFamily-mono-2'
+  | '--prsm-typography-fontFamily-mono-3'
+  | '--prsm-typography-fontFamily-mono-4'
+  | '--prsm-typography-fontFamily-display-0'
+  | '--prsm-typography-fontFamily-display-1'
+  | '--prsm-typography-fontFamily-display-2'
+  | '--prsm-typography-fontSize-xs'
+  | '--prsm-typography-fontSize-xs-value'
+  | '--prsm-typography-fontSize-xs-px'
+  | '--prsm-typography-fontSize-sm'
+  | '--prsm-typography-fontSize-sm-value'
+  | '--prsm-typography-fontSize-sm-px'
+  | '--prsm-typography-fontSize-base'
+  | '--prsm-typography-fontSize-base-value'
+  | '--prsm-typography-fontSize-base-px'
+  | '--prsm-typography-fontSize-lg'
+  | '--prsm-typography-fontSize-lg-value'
+  | '--prsm-typography-fontSize-lg-px'
+  | '--prsm-typography-fontSize-xl'
+  | '--prsm-typography-fontSize-xl-value'
+  | '--prsm-typography-fontSize-xl-px'
+  | '--prsm-typography-fontSize-2xl'
+  | '--prsm-typography-fontSize-2xl-value'
+  | '--prsm-typography-fontSize-2xl-px'
+  | '--prsm-typography-fontSize-3xl'
+  | '--prsm-typography-fontSize-3xl-value'
+  | '--prsm-typography-fontSize-3xl-px'
+  | '--prsm-typography-fontSize-4xl'
+  | '--prsm-typography-fontSize-4xl-value'
+  | '--prsm-typography-fontSize-4xl-px'
+  | '--prsm-typography-fontSize-5xl'
+  | '--prsm-typography-fontSize-5xl-value'
+  | '--prsm-typography-fontSize-5xl-px'
+  | '--prsm-typography-fontSize-6xl'
+  | '--prsm-typography-fontSize-6xl-value'
+  | '--prsm-typography-fontSize-6xl-px'
+  | '--prsm-typography-fontSize-7xl'
+  | '--prsm-typography-fontSize-7xl-value'
+  | '--prsm-typography-fontSize-7xl-px'
+  | '--prsm-typography-fontWeight-light'
+  | '--prsm-typography-fontWeight-normal'
+  | '--prsm-typography-fontWeight-medium'
+  | '--prsm-typography-fontWeight-semibold'
+  | '--prsm-typography-fontWeight-bold'
+  | '--prsm-typography-fontWeight-extrabold'
+  | '--prsm-typography-lineHeight-tight'
+  | '--prsm-typography-lineHeight-normal'
+  | '--prsm-typography-lineHeight-relaxed'
+  | '--prsm-typography-lineHeight-loose'
+  | '--prsm-spacing-0'
+  | '--prsm-spacing-1'
+  | '--prsm-spacing-2'
+  | '--prsm-spacing-3'
+  | '--prsm-spacing-4'
+  | '--prsm-spacing-5'
+  | '--prsm-spacing-6'
+  | '--prsm-spacing-8'
+  | '--prsm-spacing-10'
+  | '--prsm-spacing-12'
+  | '--prsm-spacing-16'
+  | '--prsm-spacing-20'
+  | '--prsm-spacing-24'
+  | '--prsm-spacing-32'
+  | '--prsm-spacing-xs'
+  | '--prsm-spacing-sm'
+  | '--prsm-spacing-md'
+  | '--prsm-spacing-lg'
+  | '--prsm-spacing-xl'
+  | '--prsm-spacing-2xl'
+  | '--prsm-spacing-3xl'
+  | '--prsm-spacing-4xl'
+  | '--prsm-borderRadius'
+  | '--prsm-borderRadius-none'
+  | '--prsm-borderRadius-sm'
+  | '--prsm-borderRadius-DEFAULT'
+  | '--prsm-borderRadius-md'
+  | '--prsm-borderRadius-lg'
+  | '--prsm-borderRadius-xl'
+  | '--prsm-borderRadius-2xl'
+  | '--prsm-borderRadius-full'
+  | '--prsm-shadows'
+  | '--prsm-shadows-none'
+  | '--prsm-shadows-sm'
+  | '--prsm-shadows-DEFAULT'
+  | '--prsm-shadows-md'
+  | '--prsm-shadows-lg'
+  | '--prsm-shadows-xl'
+  | '--prsm-shadows-2xl'
+  | '--prsm-shadows-inner'
+  | '--prsm-transitions-duration-fast'
+  | '--prsm-transitions-duration-normal'
+  | '--prsm-transitions-duration-slow'
+  | '--prsm-transitions-duration-slower'
+  | '--prsm-transitions-timing-linear'
+  | '--prsm-transitions-timing-ease'
+  | '--prsm-transitions-timing-easeIn'
+  | '--prsm-transitions-timing-easeOut'
+  | '--prsm-transitions-timing-easeInOut'
+  | '--prsm-transitions-timing-spring'
+  | '--prsm-slide-dimensions-slidev-width'
+  | '--prsm-slide-dimensions-slidev-height'
+  | '--prsm-slide-dimensions-slidev-ratio'
+  | '--prsm-slide-dimensions-reveal-width'
+  | '--prsm-slide-dimensions-reveal-height'
+  | '--prsm-slide-dimensions-reveal-ratio'
+  | '--prsm-slide-dimensions-webslides-width'
+  | '--prsm-slide-dimensions-webslides-height'
+  | '--prsm-slide-dimensions-webslides-ratio'
+  | '--prsm-slide-dimensions-marp-width'
+  | '--prsm-slide-dimensions-marp-height'
+  | '--prsm-slide-dimensions-marp-ratio'
+  | '--prsm-slide-padding-slidev'
+  | '--prsm-slide-padding-reveal'
+  | '--prsm-slide-padding-webslides'
+  | '--prsm-slide-padding-marp'
+  | '--prsm-slide-defaults-gap'
+  | '--prsm-slide-defaults-gridColumns'
+  | '--prsm-slide-defaults-maxContentWidth'
+  | '--prsm-components-code-fontSize'
+  | '--prsm-components-code-lineHeight'
+  | '--prsm-components-code-padding'
+  | '--prsm-components-code-borderRadius'
+  | '--prsm-components-code-background'
+  | '--prsm-components-blockquote-borderColor'
+  | '--prsm-components-blockquote-borderWidth'
+  | '--prsm-components-blockquote-background'
+  | '--prsm-components-blockquote-padding'
+  | '--prsm-components-table-headerBackground'
+  | '--prsm-components-table-borderColor'
+  | '--prsm-components-table-cellPadding'
+  | '--prsm-components-list-bulletColor'
+  | '--prsm-components-list-numberColor'
+  | '--prsm-components-list-indentation'
+  | '--prsm-gradients-primary'
+  | '--prsm-gradients-primarySoft'
+  | '--prsm-gradients-dark'
+  | '--prsm-gradients-hero';
+
+export type CSSVariables = { readonly [Name in CSSVariableName]: string | number };
+
+export declare const tokens: DesignTokens;
+
+export declare const cssVariables: CSSVariables;
+
+export default tokens;
@@ -0,0 +1,664 @@
+/**
+ * PRSMTECH Design Tokens - ES module
+ *
+ * `tokens` is the tree getDesignTokens() returns, with references
+ * resolved; `cssVariables` the custom properties getCSSVariables()
+ * returns. Typed by tokens.d.ts.
+ *
+ * @generated 2026-10-18T20:34:56.862Z
+ */
+
+export const tokens = {
+  "$schema": "./tokens.schema.json",
+  "$description": "PRSMTECH Design Tokens - Single source of truth for all presentation frameworks",
+  "$version": "1.0.0",
+  "$lastUpdated": "2025-12-29",
+  "$source": "Derived from J:\\PRSMTECH\\PRSM-CEO\\website\\lib\\design-system.ts",
+  "$contrast": {
+    "level": "AA",
+    "algorithm": "wcag",
+    "onFailure": "warn"
+  },
+  "brand": {
+    "name": "PRSMTECH",
+    "tagline": "Transform Your Business with Custom Software & AI Automation"
+  },
+  "colors": {
+    "primary": {
+      "50": "#e6f0ff",
+      "100": "#b3d1ff",
+      "200": "#80b3ff",
+      "300": "#4d94ff",
+      "400": "#1a75ff",
+      "500": "#0057e6",
+      "600": "#0046b3",
+      "700": "#003580",
+      "800": "#00244d",
+      "900": "#00131a",
+      "DEFAULT": "#0057e6"
+    },
+    "secondary": {
+      "50": "#f0e6ff",
+      "100": "#d1b3ff",
+      "200": "#b380ff",
+      "300": "#944dff",
+      "400": "#751aff",
+      "500": "#5c00e6",
+      "600": "#4900b3",
+      "700": "#370080",
+      "800": "#24004d",
+      "900": "#12001a",
+      "DEFAULT": "#5c00e6"
+    },
+    "neutral": {
+      "50": "#f8f9fa",
+      "100": "#f1f3f5",
+      "200": "#e9ecef",
+      "300": "#dee2e6",
+      "400": "#ced4da",
+      "500": "#adb5bd",
+      "600": "#6c757d",
+      "700": "#495057",
+      "800": "#343a40",
+      "900": "#212529",
+      "DEFAULT": "#6c757d"
+    },
+    "semantic": {
+      "success": {
+        "light": "#d4edda",
+        "DEFAULT": "#28a745",
+        "dark": "#1e7e34"
+      },
+      "warning": {
+        "light": "#fff3cd",
+        "DEFAULT": "#ffc107",
+        "dark": "#d39e00"
+      },
+      "error": {
+        "light": "#f8d7da",
+        "DEFAULT": "#dc3545",
+        "dark": "#bd2130"
+      },
+      "info": {
+        "light": "#d1ecf1",
+        "DEFAULT": "#17a2b8",
+        "dark": "#117a8b"
+      }
+    },
+    "slide": {
+      "background": "#ffffff",
+      "backgroundAlt": "#f8f9fa",
+      "text": "#212529",
+      "textMuted": "#6c757d",
+      "heading": "#0057e6",
+      "link": "#0057e6",
+      "linkHover": "#0046b3",
+      "border": "#dee2e6",
+      "codeBg": "#f1f3f5",
+      "codeText": "#212529"
+    },
+    "dark": {
+      "background": "#212529",
+      "backgroundAlt": "#343a40",
+      "text": "#f8f9fa",
+      "textMuted": "#adb5bd",
+      "heading": "#4d94ff",
+      "link": "#4d94ff",
+      "linkHover": "#80b3ff",
+      "border": "#495057",
+      "codeBg": "#343a40",
+      "codeText": "#f8f9fa"
+    }
+  },
+  "modes": {
+    "$description": "Colour modes; each maps the --prsm-slide-* roles. The first mode is the default",
+    "light": {
+      "background": "#ffffff",
+      "backgroundAlt": "#f8f9fa",
+      "text": "#212529",
+      "textMuted": "#6c757d",
+      "heading": "#0057e6",
+      "link": "#0057e6",
+      "linkHover": "#0046b3",
+      "border": "#dee2e6",
+      "codeBg": "#f1f3f5",
+      "codeText": "#212529",
+      "accent": "#0057e6",
+      "accentSoft": "#e6f0ff"
+    },
+    "dark": {
+      "$media": "(prefers-color-scheme: dark)",
+      "$selector": "[data-theme=\"dark\"], .dark",
+      "background": "#212529",
+      "backgroundAlt": "#343a40",
+      "text": "#f8f9fa",
+      "textMuted": "#adb5bd",
+      "heading": "#4d94ff",
+      "link": "#4d94ff",
+      "linkHover": "#80b3ff",
+      "border": "#495057",
+      "codeBg": "#343a40",
+      "codeText": "#f8f9fa",
+      "accent": "#4d94ff",
+      "accentSoft": "#343a40"
+    },
+    "highContrast": {
+      "$media": "(prefers-contrast: more)",
+      "background": "#ffffff",
+      "backgroundAlt": "#ffffff",
+      "text": "#000000",
+      "textMuted": "#343a40",
+      "heading": "#003580",
+      "link": "#003580",
+      "linkHover": "#00244d",
+      "border": "#212529",
+      "codeBg": "#f1f3f5",
+      "codeText": "#000000",
+      "accent": "#003580",
+      "accentSoft": "#f1f3f5"
+    },
+    "print": {
+      "$media": "print",
+      "background": "#ffffff",
+      "backgroundAlt": "#ffffff",
+      "text": "#000000",
+      "textMuted": "#495057",
+      "heading": "#003580",
+      "link": "#003580",
+      "linkHover": "#003580",
+      "border": "#ced4da",
+      "codeBg": "#f1f3f5",
+      "codeText": "#000000",
+      "accent": "#003580",
+      "accentSoft": "#f1f3f5"
+    }
+  },
+  "typography": {
+    "fontFamily": {
+      "sans": [
+        "Inter",
+        "Geist",
+        "system-ui",
+        "sans-serif"
+      ],
+      "heading": [
+        "Space Grotesk",
+        "Geist",
+        "system-ui",
+        "sans-serif"
+      ],
+      "mono": [
+        "Maple Mono",
+        "Geist Mono",
+        "Fira Code",
+        "ui-monospace",
+        "monospace"
+      ],
+      "display": [
+        "Space Grotesk",
+        "Inter",
+        "sans-serif"
+      ]
+    },
+    "fontSize": {
+      "xs": {
+        "value": "0.75rem",
+        "px": "12px"
+      },
+      "sm": {
+        "value": "0.875rem",
+        "px": "14px"
+      },
+      "base": {
+        "value": "1rem",
+        "px": "16px"
+      },
+      "lg": {
+        "value": "1.125rem",
+        "px": "18px"
+      },
+      "xl": {
+        "value": "1.25rem",
+        "px": "20px"
+      },
+      "2xl": {
+        "value": "1.5rem",
+        "px": "24px"
+      },
+      "3xl": {
+        "value": "1.875rem",
+        "px": "30px"
+      },
+      "4xl": {
+        "value": "2.25rem",
+        "px": "36px"
+      },
+      "5xl": {
+        "value": "3rem",
+        "px": "48px"
+      },
+      "6xl": {
+        "value": "3.75rem",
+        "px": "60px"
+      },
+      "7xl": {
+        "value": "4.5rem",
+        "px": "72px"
+      }
+    },
+    "fontWeight": {
+      "light": "300",
+      "normal": "400",
+      "medium": "500",
+      "semibold": "600",
+      "bold": "700",
+      "extrabold": "800"
+    },
+    "lineHeight": {
+      "tight": "1.25",
+      "normal": "1.5",
+      "relaxed": "1.75",
+      "loose": "2"
+    }
+  },
+  "spacing": {
+    "0": "0",
+    "1": "0.25rem",
+    "2": "0.5rem",
+    "3": "0.75rem",
+    "4": "1rem",
+    "5": "1.25rem",
+    "6": "1.5rem",
+    "8": "2rem",
+    "10": "2.5rem",
+    "12": "3rem",
+    "16": "4rem",
+    "20": "5rem",
+    "24": "6rem",
+    "32": "8rem",
+    "xs": "0.5rem",
+    "sm": "1rem",
+    "md": "1.5rem",
+    "lg": "2rem",
+    "xl": "3rem",
+    "2xl": "4rem",
+    "3xl": "6rem",
+    "4xl": "8rem"
+  },
+  "borderRadius": {
+    "none": "0",
+    "sm": "0.25rem",
+    "DEFAULT": "0.5rem",
+    "md": "0.75rem",
+    "lg": "1rem",
+    "xl": "1.5rem",
+    "2xl": "2rem",
+    "full": "9999px"
+  },
+  "shadows": {
+    "none": "none",
+    "sm": "0 1px 2px 0 rgba(0, 0, 0, 0.05)",
+    "DEFAULT": "0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06)",
+    "md": "0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)",
+    "lg": "0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)",
+    "xl": "0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)",
+    "2xl": "0 25px 50px -12px rgba(0, 0, 0, 0.25)",
+    "inner": "inset 0 2px 4px 0 rgba(0, 0, 0, 0.06)"
+  },
+  "transitions": {
+    "duration": {
+      "fast": "150ms",
+      "normal": "300ms",
+      "slow": "500ms",
+      "slower": "700ms"
+    },
+    "timing": {
+      "linear": "linear",
+      "ease": "ease",
+      "easeIn": "ease-in",
+      "easeOut": "ease-out",
+      "easeInOut": "ease-in-out",
+      "spring": "cubic-bezier(0.175, 0.885, 0.32, 1.275)"
+    }
+  },
+  "slide": {
+    "dimensions": {
+      "slidev": {
+        "width": 980,
+        "height": 552,
+        "ratio": "16:9"
+      },
+      "reveal": {
+        "width": 960,
+        "height": 700,
+        "ratio": "default"
+      },
+      "webslides": {
+        "width": "100vw",
+        "height": "100vh",
+        "ratio": "responsive"
+      },
+      "marp": {
+        "width": 1280,
+        "height": 720,
+        "ratio": "16:9"
+      }
+    },
+    "padding": {
+      "slidev": "40px",
+      "reveal": "40px 80px",
+      "webslides": "80px",
+      "marp": "60px 70px"
+    },
+    "defaults": {
+      "gap": "1.5rem",
+      "gridColumns": 2,
+      "maxContentWidth": "1200px"
+    }
+  },
+  "components": {
+    "code": {
+      "fontSize": "0.875rem",
+      "lineHeight": "1.7",
+      "padding": "0.25rem 0.5rem",
+      "borderRadius": "0.25rem",
+      "background": "#f1f3f5"
+    },
+    "blockquote": {
+      "borderColor": "#0057e6",
+      "borderWidth": "4px",
+      "background": "#e6f0ff",
+      "padding": "1rem 1.5rem"
+    },
+    "table": {
+      "headerBackground": "#f8f9fa",
+      "borderColor": "#dee2e6",
+      "cellPadding": "0.75rem 1rem"
+    },
+    "list": {
+      "bulletColor": "#0057e6",
+      "numberColor": "#0057e6",
+      "indentation": "1.5rem"
+    }
+  },
+  "gradients": {
+    "primary": "linear-gradient(135deg, #0057e6 0%, #5c00e6 100%)",
+    "primarySoft": "linear-gradient(135deg, #e6f0ff 0%, #f0e6ff 100%)",
+    "dark": "linear-gradient(135deg, #212529 0%, #343a40 100%)",
+    "hero": "linear-gradient(180deg, rgba(0, 87, 230, 0.1) 0%, transparent 100%)"
+  }
+};
+
+export const cssVariables = {
+  "--prsm-brand-name": "PRSMTECH",
+  "--prsm-brand-tagline": "Transform Your Business with Custom Software & AI Automation",
+  "--prsm-colors-primary": "#0057e6",
+  "--prsm-colors-primary-50": "#e6f0ff",
+  "--prsm-colors-primary-100": "#b3d1ff",
+  "--prsm-colors-primary-200": "#80b3ff",
+  "--prsm-colors-primary-300": "#4d94ff",
+  "--prsm-colors-primary-400": "#1a75ff",
+  "--prsm-colors-primary-500": "#0057e6",
+  "--prsm-colors-primary-600": "#0046b3",
+  "--prsm-colors-primary-700": "#003580",
+  "--prsm-colors-primary-800": "#00244d",
+  "--prsm-colors-primary-900": "#00131a",
+  "--prsm-colors-primary-DEFAULT": "#0057e6",
+  "--prsm-colors-secondary": "#5c00e6",
+  "--prsm-colors-secondary-50": "#f0e6ff",
+  "--prsm-colors-secondary-100": "#d1b3ff",
+  "--prsm-colors-secondary-200": "#b380ff",
+  "--prsm-colors-secondary-300": "#944dff",
+  "--prsm-colors-secondary-400": "#751aff",
+  "--prsm-colors-secondary-500": "#5c00e6",
+  "--prsm-colors-secondary-600": "#4900b3",
+  "--prsm-colors-secondary-700": "#370080",
+  "--prsm-colors-secondary-800": "#24004d",
+  "--prsm-colors-secondary-900": "#12001a",
+  "--prsm-colors-secondary-DEFAULT": "#5c00e6",
+  "--prsm-colors-neutral": "#6c757d",
+  "--prsm-colors-neutral-50": "#f8f9fa",
+  "--prsm-colors-neutral-100": "#f1f3f5",
+  "--prsm-colors-neutral-200": "#e9ecef",
+  "--prsm-colors-neutral-300": "#dee2e6",
+  "--prsm-colors-neutral-400": "#ced4da",
+  "--prsm-colors-neutral-500": "#adb5bd",
+  "--prsm-colors-neutral-600": "#6c757d",
+  "--prsm-colors-neutral-700": "#495057",
+  "--prsm-colors-neutral-800": "#343a40",
+  "--prsm-colors-neutral-900": "#212529",
+  "--prsm-colors-neutral-DEFAULT": "#6c757d",
+  "--prsm-colors-semantic-success": "#28a745",
+  "--prsm-colors-semantic-success-light": "#d4edda",
+  "--prsm-colors-semantic-success-DEFAULT": "#28a745",
+  "--prsm-colors-semantic-success-dark": "#1e7e34",
+  "--prsm-colors-semantic-warning": "#ffc107",
+  "--prsm-colors-semantic-warning-light": "#fff3cd",
+  "--prsm-colors-semantic-warning-DEFAULT": "#ffc107",
+  "--prsm-colors-semantic-warning-dark": "#d39e00",
+  "--prsm-colors-semantic-error": "#dc3545",
+  "--prsm-colors-semantic-error-light": "#f8d7da",
+  "--prsm-colors-semantic-error-DEFAULT": "#dc3545",
+  "--prsm-colors-semantic-error-dark": "#bd2130",
+  "--prsm-colors-semantic-info": "#17a2b8",
+  "--prsm-colors-semantic-info-light": "#d1ecf1",
+  "--prsm-colors-semantic-info-DEFAULT": "#17a2b8",
+  "--prsm-colors-semantic-info-dark": "#117a8b",
+  "--prsm-colors-slide-background": "#ffffff",
+  "--prsm-colors-slide-backgroundAlt": "#f8f9fa",
+  "--prsm-colors-slide-text": "#212529",
+  "--prsm-colors-slide-textMuted": "#6c757d",
+  "--prsm-colors-slide-heading": "#0057e6",
+  "--prsm-colors-slide-link": "#0057e6",
+  "--prsm-colors-slide-linkHover": "#0046b3",
+  "--prsm-colors-slide-border": "#dee2e6",
+  "--prsm-colors-slide-codeBg": "#f1f3f5",
+  "--prsm-colors-slide-codeText": "#212529",
+  "--prsm-colors-dark-background": "#212529",
+  "--prsm-colors-dark-backgroundAlt": "#343a40",
+  "--prsm-colors-dark-text": "#f8f9fa",
+  "--prsm-colors-dark-textMuted": "#adb5bd",
+  "--prsm-colors-dark-heading": "#4d94ff",
+  "--prsm-colors-dark-link": "#4d94ff",
+  "--prsm-colors-dark-linkHover": "#80b3ff",
+  "--prsm-colors-dark-border": "#495057",
+  "--prsm-colors-dark-codeBg": "#343a40",
+  "--prsm-colors-dark-codeText": "#f8f9fa",
+  "--prsm-modes-light-background": "#ffffff",
+  "--prsm-modes-light-backgroundAlt": "#f8f9fa",
+  "--prsm-modes-light-text": "#212529",
+  "--prsm-modes-light-textMuted": "#6c757d",
+  "--prsm-modes-light-heading": "#0057e6",
+  "--prsm-modes-light-link": "#0057e6",
+  "--prsm-modes-light-linkHover": "#0046b3",
+  "--prsm-modes-light-border": "#dee2e6",
+  "--prsm-modes-light-codeBg": "#f1f3f5",
+  "--prsm-modes-light-codeText": "#212529",
+  "--prsm-modes-light-accent": "#0057e6",
+  "--prsm-modes-light-accentSoft": "#e6f0ff",
+  "--prsm-modes-dark-background": "#212529",
+  "--prsm-modes-dark-backgroundAlt": "#343a40",
+  "--prsm-modes-dark-text": "#f8f9fa",
+  "--prsm-modes-dark-textMuted": "#adb5bd",
+  "--prsm-modes-dark-heading": "#4d94ff",
+  "--prsm-modes-dark-link": "#4d94ff",
+  "--prsm-modes-dark-linkHover": "#80b3ff",
+  "--prsm-modes-dark-border": "#495057",
+  "--prsm-modes-dark-codeBg": "#343a40",
+  "--prsm-modes-dark-codeText": "#f8f9fa",
+  "--prsm-modes-dark-accent": "#4d94ff",
+  "--prsm-modes-dark-accentSoft": "#343a40",
+  "--prsm-modes-highContrast-background": "#ffffff",
+  "--prsm-modes-highContrast-backgroundAlt": "#ffffff",
+  "--prsm-modes-highContrast-text": "#000000",
+  "--prsm-modes-highContrast-textMuted": "#343a40",
+  "--prsm-modes-highContrast-heading": "#003580",
+  "--prsm-modes-highContrast-link": "#003580",
+  "--prsm-modes-highContrast-linkHover": "#00244d",
+  "--prsm-modes-highContrast-border": "#212529",
+  "--prsm-modes-highContrast-codeBg": "#f1f3f5",
+  "--prsm-modes-highContrast-codeText": "#000000",
+  "--prsm-modes-highContrast-accent": "#003580",
+  "--prsm-modes-highContrast-accentSoft": "#f1f3f5",
+  "--prsm-modes-print-background": "#ffffff",
+  "--prsm-modes-print-backgroundAlt": "#ffffff",
+  "--prsm-modes-print-text": "#000000",
+  "--prsm-modes-print-textMuted": "#495057",
+  "--prsm-modes-print-heading": "#003580",
+  "--prsm-modes-print-link": "#003580",
+  "--prsm-modes-print-linkHover": "#003580",
+  "--prsm-modes-print-border": "#ced4da",
+  "--prsm-modes-print-codeBg": "#f1f3f5",
+  "--prsm-modes-print-codeText": "#000000",
+  "--prsm-modes-print-accent": "#003580",
+  "--prsm-modes-print-accentSoft": "#f1f3f5",
+  "--prsm-typography-fontFamily-sans-0": "Inter",
+  "--prsm-typography-fontFamily-sans-1": "Geist",
+  "--prsm-typography-fontFamily-sans-2": "system-ui",
+  "--prsm-typography-fontFamily-sans-3": "sans-serif",
+  "--prsm-typography-fontFamily-heading-0": "Space Grotesk",
+  "--prsm-typography-fontFamily-heading-1": "Geist",
+  "--prsm-typography-fontFamily-heading-2": "system-ui",
+  "--prsm-typography-fontFamily-heading-3": "sans-serif",
+  "--prsm-typography-fontFamily-mono-0": "Maple Mono",
+  "--prsm-typography-fontFamily-mono-1": "Geist Mono",
+  "--prsm-typography-fontFamily-mono-2": "Fira Code",
+  "--prsm-typography-fontFamily-mono-3": "ui-monospace",
+  "--prsm-typography-fontFamily-mono-4": "monospace",
+  "--prsm-typography-fontFamily-display-0": "Space Grotesk",
+  "--prsm-typography-fontFamily-display-1": "Inter",
+  "--prsm-typography-fontFamily-display-2": "sans-serif",
+  "--prsm-typography-fontSize-xs": "0.75rem",
+  "--prsm-typography-fontSize-xs-value": "0.75rem",
+  "--prsm-typography-fontSize-xs-px": "12px",
+  "--prsm-typography-fontSize-sm": "0.875rem",
+  "--prsm-typography-fontSize-sm-value": "0.875rem",
+  "--prsm-typography-fontSize-sm-px": "14px",
+  "--prsm-typography-fontSize-base": "1rem",
+  "--prsm-typography-fontSize-base-value": "1rem",
+  "--prsm-typography-fontSize-base-px": "16px",
+  "--prsm-typography-fontSize-lg": "1.125rem",
+  "--prsm-typography-fontSize-lg-value": "1.125rem",
+  "--prsm-typography-fontSize-lg-px": "18px",
+  "--prsm-typography-fontSize-xl": "1.25rem",
+  "--prsm-typography-fontSize-xl-value": "1.25rem",
+  "--prsm-typography-fontSize-xl-px": "20px",
+  "--prsm-typography-fontSize-2xl": "1.5rem",
+  "--prsm-typography-fontSize-2xl-value": "1.5rem",
+  "--prsm-typography-fontSize-2xl-px": "24px",
+  "--prsm-typography-fontSize-3xl": "1.875rem",
+  "--prsm-typography-fontSize-3xl-value": "1.875rem",
+  "--prsm-typography-fontSize-3xl-px": "30px",
+  "--prsm-typography-fontSize-4xl": "2.25rem",
+  "--prsm-typography-fontSize-4xl-value": "2.25rem",
+  "--prsm-typography-fontSize-4xl-px": "36px",
+  "--prsm-typography-fontSize-5xl": "3rem",
+  "--prsm-typography-fontSize-5xl-value": "3rem",
+  "--prsm-typography-fontSize-5xl-px": "48px",
+  "--prsm-typography-fontSize-6xl": "3.75rem",
+  "--prsm-typography-fontSize-6xl-value": "3.75rem",
+  "--prsm-typography-fontSize-6xl-px": "60px",
+  "--prsm-typography-fontSize-7xl": "4.5rem",
+  "--prsm-typography-fontSize-7xl-value": "4.5rem",
+  "--prsm-typography-fontSize-7xl-px": "72px",
+  "--prsm-typography-fontWeight-light": "300",
+  "--prsm-typography-fontWeight-normal": "400",
+  "--prsm-typography-fontWeight-medium": "500",
+  "--prsm-typography-fontWeight-semibold": "600",
+  "--prsm-typography-fontWeight-bold": "700",
+  "--prsm-typography-fontWeight-extrabold": "800",
+  "--prsm-typography-lineHeight-tight": "1.25",
+  "--prsm-typography-lineHeight-normal": "1.5",
+  "--prsm-typography-lineHeight-relaxed": "1.75",
+  "--prsm-typography-lineHeight-loose": "2",
+  "--prsm-spacing-0": "0",
+  "--prsm-spacing-1": "0.25rem",
+  "--prsm-spacing-2": "0.5rem",
+  "--prsm-spacing-3": "0.75rem",
+  "--prsm-spacing-4": "1rem",
+  "--prsm-spacing-5": "1.25rem",
+  "--prsm-spacing-6": "1.5rem",
+  "--prsm-spacing-8": "2rem",
+  "--prsm-spacing-10": "2.5rem",
+  "--prsm-spacing-12": "3rem",
+  "--prsm-spacing-16": "4rem",
+  "--prsm-spacing-20": "5rem",
+  "--prsm-spacing-24": "6rem",
+  "--prsm-spacing-32": "8rem",
+  "--prsm-spacing-xs": "0.5rem",
+  "--prsm-spacing-sm": "1rem",
+  "--prsm-spacing-md": "1.5rem",
+  "--prsm-spacing-lg": "2rem",
+  "--prsm-spacing-xl": "3rem",
+  "--prsm-spacing-2xl": "4rem",
+  "--prsm-spacing-3xl": "6rem",
+  "--prsm-spacing-4xl": "8rem",
+  "--prsm-borderRadius": "0.5rem",
+  "--prsm-borderRadius-none": "0",
+  "--prsm-borderRadius-sm": "0.25rem",
+  "--prsm-borderRadius-DEFAULT": "0.5rem",
+  "--prsm-borderRadius-md": "0.75rem",
+  "--prsm-borderRadius-lg": "1rem",
+  "--prsm-borderRadius-xl": "1.5rem",
+  "--prsm-borderRadius-2xl": "2rem",
+  "--prsm-borderRadius-full": "9999px",
+  "--prsm-shadows": "0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06)",
+  "--prsm-shadows-none": "none",
+  "--prsm-shadows-sm": "0 1px 2px 0 rgba(0, 0, 0, 0.05)",
+  "--prsm-shadows-DEFAULT": "0 1px 3px 0 rgba(0, 0, 0, 0.1), 0 1px 2px 0 rgba(0, 0, 0, 0.06)",
+  "--prsm-shadows-md": "0 4px 6px -1px rgba(0, 0, 0, 0.1), 0 2px 4px -1px rgba(0, 0, 0, 0.06)",
+  "--prsm-shadows-lg": "0 10px 15px -3px rgba(0, 0, 0, 0.1), 0 4px 6px -2px rgba(0, 0, 0, 0.05)",
+  "--prsm-shadows-xl": "0 20px 25px -5px rgba(0, 0, 0, 0.1), 0 10px 10px -5px rgba(0, 0, 0, 0.04)",
+  "--prsm-shadows-2xl": "0 25px 50px -12px rgba(0, 0, 0, 0.25)",
+  "--prsm-shadows-inner": "inset 0 2px 4px 0 rgba(0, 0, 0, 0.06)",
+  "--prsm-transitions-duration-fast": "150ms",
+  "--prsm-transitions-duration-normal": "300ms",
+  "--prsm-transitions-duration-slow": "500ms",
+  "--prsm-transitions-duration-slower": "700ms",
+  "--prsm-transitions-timing-linear": "linear",
+  "--prsm-transitions-timing-ease": "ease",
+  "--prsm-transitions-timing-easeIn": "ease-in",
+  "--prsm-transitions-timing-easeOut": "ease-out",
+  "--prsm-transitions-timing-easeInOut": "ease-in-out",
+  "--prsm-transitions-timing-spring": "cubic-bezier(0.175, 0.885, 0.32, 1.275)",
+  "--prsm-slide-dimensions-slidev-width": 980,
+  "--prsm-slide-dimensions-slidev-height": 552,
+  "--prsm-slide-dimensions-slidev-ratio": "16:9",
+  "--prsm-slide-dimensions-reveal-width": 960,
+  "--prsm-slide-dimensions-reveal-height": 700,
+  "--prsm-slide-dimensions-reveal-ratio": "default",
+  "--prsm-slide-dimensions-webslides-width": "100vw",
+  "--prsm-slide-dimensions-webslides-height": "100vh",
+  "--prsm-slide-dimensions-webslides-ratio": "responsive",
+  "--prsm-slide-dimensions-marp-width": 1280,
+  "--prsm-slide-dimensions-marp-height": 720,
+  "--prsm-slide-dimensions-marp-ratio": "16:9",
+  "--prsm-slide-padding-slidev": "40px",
+  "--prsm-slide-padding-reveal": "40px 80px",
+  "--prsm-slide-padding-webslides": "80px",
+  "--prsm-slide-padding-marp": "60px 70px",
+  "--prsm-slide-defaults-gap": "1.5rem",
+  "--prsm-slide-defaults-gridColumns": 2,
+  "--prsm-slide-defaults-maxContentWidth": "1200px",
+  "--prsm-components-code-fontSize": "0.875rem",
+  "--prsm-components-code-lineHeight": "1.7",
+  "--prsm-components-code-padding": "0.25rem 0.5rem",
+  "--prsm-components-code-borderRadius": "0.25rem",
+  "--prsm-components-code-background": "#f1f3f5",
+  "--prsm-components-blockquote-borderColor": "#0057e6",
+  "--prsm-components-blockquote-borderWidth": "4px",
+  "--prsm-components-blockquote-background": "#e6f0ff",
+  "--prsm-components-blockquote-padding": "1rem 1.5rem",
+  "--prsm-components-table-headerBackground": "#f8f9fa",
+  "--prsm-components-table-borderColor": "#dee2e6",
+  "--prsm-components-table-cellPadding": "0.75rem 1rem",
+  "--prsm-components-list-bulletColor": "#0057e6",
+  "--prsm-components-list-numberColor": "#0057e6",
+  "--prsm-components-list-indentation": "1.5rem",
+  "--prsm-gradients-primary": "linear-gradient(135deg, #0057e6 0%, #5c00e6 100%)",
+  "--prsm-gradients-primarySoft": "linear-gradient(135deg, #e6f0ff 0%, #f0e6ff 100%)",
+  "--prsm-gradients-dark": "linear-gradient(135deg, #212529 0%, #343a40 100%)",
+  "--prsm-gradients-hero": "linear-gradient(180deg, rgba(0, 87, 230, 0.1) 0%, transparent 100%)"
+};
+
+export default tokens;